@@ -15,6 +15,8 @@ module.exports = {
     ecmaVersion: 'latest',
     sourceType: 'module'
   },
+  // Third-party libraries copied into the served tree
+  ignorePatterns: ['js/vendor/'],
   rules: {
     // Error prevention
     'no-console': 'warn',
@@ -61,6 +63,10 @@ module.exports = {
     'AudioContext': 'readonly',
     'webkitAudioContext': 'readonly',
     
+    // WebCodecs
+    'VideoEncoder': 'readonly',
+    'VideoFrame': 'readonly',
+    
     // File APIs
     'FileReader': 'readonly',
     'Blob': 'readonly',
@@ -73,12 +79,33 @@ module.exports = {
     // ResizeObserver
     'ResizeObserver': 'readonly',
     
+    // Third-party libraries
+    'GIF': 'readonly',
+    
     // Custom globals
     'CanvasEngine': 'readonly',
+    'Easing': 'readonly',
     'Timeline': 'readonly',
     'PlaybackEngine': 'readonly',
     'AssetLoader': 'readonly',
+    'WebMMuxer': 'readonly',
+    'MP4Muxer': 'readonly',
+    'ProjectSchema': 'readonly',
+    'ProjectStorage': 'readonly',
+    'ProjectBundle': 'readonly',
+    'OnionSkin': 'readonly',
+    'MotionPaths': 'readonly',
+    'PenTool': 'readonly',
+    'ColorUtils': 'readonly',
+    'TextLayout': 'readonly',
+    'TextEditor': 'readonly',
+    'TextAnimators': 'readonly',
+    'Rulers': 'readonly',
+    'LayersPanel': 'readonly',
     'ProjectExporter': 'readonly',
+    'HistoryManager': 'readonly',
+    'TimelineUI': 'readonly',
+    'GraphEditor': 'readonly',
     'AnimationStudio': 'readonly'
   }
 };
\ No newline at end of file
@@ -11,6 +11,9 @@ class AnimationStudio {
         this.playbackEngine = null;
         this.assetLoader = null;
         this.projectExporter = null;
+        this.history = null;
+        this.timelineUI = null;
+        this.graphEditor = null;
         
         this.isInitialized = false;
         this.currentProject = null;
@@ -34,6 +37,7 @@ class AnimationStudio {
             await this.initializeAssetLoader();
             await this.initializePlaybackEngine();
             await this.initializeProjectExporter();
+            this.initializeHistory();
             
             // Initialize UI
             this.initializeUI();
@@ -42,6 +46,7 @@ class AnimationStudio {
             
             // Load demo content
             await this.loadDemoContent();
+            this.history.clear();
             
             this.hideLoadingScreen();
             this.showWelcomeMessage();
@@ -65,6 +70,7 @@ class AnimationStudio {
         // Initialize canvas with proper sizing
         this.resizeCanvas();
         this.canvasEngine = new CanvasEngine(this.canvas);
+        this.canvasEngine.fitStage();
         
         // Set up responsive canvas
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -73,6 +79,7 @@ class AnimationStudio {
     }
 
     resizeCanvas() {
+        const previous = this.canvasEngine ? this.canvasEngine.getViewSize() : null;
         const container = this.canvas.parentElement;
         const rect = container.getBoundingClientRect();
         const dpr = window.devicePixelRatio || 1;
@@ -90,9 +97,12 @@ class AnimationStudio {
         const ctx = this.canvas.getContext('2d');
         ctx.scale(dpr, dpr);
         
-        // Re-render if canvas engine exists
+        // Keep what was in the middle of the view there
         if (this.canvasEngine) {
-            this.canvasEngine.render();
+            this.canvasEngine.setPan(
+                this.canvasEngine.panX + (width - previous.width) / 2,
+                this.canvasEngine.panY + (height - previous.height) / 2
+            );
         }
     }
 
@@ -113,6 +123,24 @@ class AnimationStudio {
     // Playback Engine Initialization
     async initializePlaybackEngine() {
         this.playbackEngine = new PlaybackEngine(this.canvasEngine, this.timeline);
+        
+        // Curved position paths, orient to path and path following
+        this.motionPaths = new MotionPaths(this.canvasEngine, this.timeline);
+        this.playbackEngine.motionPaths = this.motionPaths;
+        this.canvasEngine.motionPaths = this.motionPaths;
+        
+        // Reparenting and moving pivots rewrite keyframes to match
+        this.canvasEngine.timeline = this.timeline;
+        
+        // Onion skin ghosts are drawn by the canvas engine while editing
+        this.onionSkin = new OnionSkin(this.canvasEngine, this.timeline, this.playbackEngine);
+        this.canvasEngine.onionSkin = this.onionSkin;
+        
+        // Drawing and editing path objects
+        this.canvasEngine.penTool = new PenTool(this.canvasEngine);
+        
+        // Double-clicking a text object edits it in place
+        this.canvasEngine.textEditor = new TextEditor(this.canvasEngine);
         console.log('✅ Playback engine initialized');
     }
 
@@ -125,18 +153,37 @@ class AnimationStudio {
             this.playbackEngine
         );
         
+        // Bring projects saved by older versions into IndexedDB
+        const migrated = await this.projectExporter.initializeStorage();
+        if (migrated > 0) {
+            this.showNotification(`Moved ${migrated} saved project(s) to the new project storage`, 'info');
+        }
+        
         // Enable auto-save
         this.projectExporter.enableAutoSave(2); // Auto-save every 2 minutes
         console.log('✅ Project exporter initialized');
     }
 
+    // History Initialization
+    initializeHistory() {
+        this.history = new HistoryManager(100);
+        this.canvasEngine.history = this.history;
+        this.timeline.history = this.history;
+        this.assetLoader.history = this.history;
+    }
+
     // UI Initialization
     initializeUI() {
         this.setupToolbar();
         this.setupPlaybackControls();
         this.setupAssetPanel();
+        this.setupLayersPanel();
         this.setupPropertiesPanel();
+        this.setupStage();
+        this.setupViewControls();
+        this.setupOnionSkinPanel();
         this.setupTimelineUI();
+        this.setupHistoryPanel();
         this.setupProjectControls();
         this.setupExportControls();
         console.log('✅ UI initialized');
@@ -144,7 +191,7 @@ class AnimationStudio {
 
     // Toolbar Setup
     setupToolbar() {
-        const toolButtons = document.querySelectorAll('.tool-btn');
+        const toolButtons = document.querySelectorAll('.tool-btn[data-tool]');
         
         toolButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -164,6 +211,109 @@ class AnimationStudio {
                 }
             });
         });
+        
+        const groupBtn = document.getElementById('groupBtn');
+        const ungroupBtn = document.getElementById('ungroupBtn');
+        
+        if (groupBtn) {
+            groupBtn.addEventListener('click', () => this.groupSelection());
+        }
+        
+        if (ungroupBtn) {
+            ungroupBtn.addEventListener('click', () => this.ungroupSelection());
+        }
+        
+        const maskBtn = document.getElementById('maskBtn');
+        if (maskBtn) {
+            maskBtn.addEventListener('click', () => this.maskSelection());
+        }
+        
+        const addShapeBtn = document.getElementById('addShapeBtn');
+        if (addShapeBtn) {
+            addShapeBtn.addEventListener('click', () => this.addShape(document.getElementById('shapeSelect').value));
+        }
+        
+        this.setupSnapAndAlign();
+    }
+
+    // Snapping toggles and the align / distribute buttons
+    setupSnapAndAlign() {
+        const toggles = { snapToggle: 'snapping', gridSnapToggle: 'snapToGrid' };
+        Object.entries(toggles).forEach(([id, flag]) => {
+            const button = document.getElementById(id);
+            if (!button) {
+                return;
+            }
+            button.classList.toggle('active', this.canvasEngine[flag]);
+            button.addEventListener('click', () => {
+                this.canvasEngine[flag] = !this.canvasEngine[flag];
+                button.classList.toggle('active', this.canvasEngine[flag]);
+            });
+        });
+        
+        document.querySelectorAll('[data-align]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.canvasEngine.getTopmostSelected().length === 0) {
+                    this.showNotification('Select objects to align first', 'warning');
+                    return;
+                }
+                this.canvasEngine.alignSelectedObjects(button.dataset.align);
+            });
+        });
+        document.querySelectorAll('[data-distribute]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.canvasEngine.getTopmostSelected().length < 3) {
+                    this.showNotification('Select at least three objects to distribute', 'warning');
+                    return;
+                }
+                this.canvasEngine.distributeSelectedObjects(button.dataset.distribute);
+            });
+        });
+    }
+
+    // Add a shape of the given kind in the middle of the visible canvas
+    addShape(shape) {
+        const size = CanvasEngine.shapeTypes[shape] || CanvasEngine.shapeTypes.rectangle;
+        const centre = this.canvasEngine.screenToCanvas(this.canvas.clientWidth / 2, this.canvas.clientHeight / 2);
+        const obj = this.canvasEngine.addShapeObject(shape, centre.x - size.width / 2, centre.y - size.height / 2);
+        
+        this.canvasEngine.clearSelection();
+        this.canvasEngine.selectObject(obj.id);
+        this.canvasEngine.render();
+    }
+
+    groupSelection() {
+        if (this.canvasEngine.selectedObjects.length === 0) {
+            this.showNotification('Select objects to group first', 'warning');
+            return;
+        }
+        
+        const group = this.canvasEngine.groupSelectedObjects();
+        if (group) {
+            this.showNotification(`Created ${group.name}`, 'success');
+        }
+    }
+
+    maskSelection() {
+        if (this.canvasEngine.getTopmostSelected().length < 2) {
+            this.showNotification('Select the objects to mask and, on top of them, the mask', 'warning');
+            return;
+        }
+        
+        const mask = this.canvasEngine.maskSelectedObjects();
+        if (mask) {
+            this.showNotification(`Masked with ${mask.name}`, 'success');
+        }
+    }
+
+    ungroupSelection() {
+        if (!this.canvasEngine.selectedObjects.some(obj => obj.type === 'group')) {
+            this.showNotification('Select a group to ungroup', 'warning');
+            return;
+        }
+        
+        this.canvasEngine.ungroupSelectedObjects();
+        this.showNotification('Group removed', 'success');
     }
 
     // Playback Controls Setup
@@ -325,6 +475,11 @@ class AnimationStudio {
             this.updatePropertiesPanel(e.detail.selectedObjects);
         });
         
+        // Refresh the numbers after an on-canvas move, resize or rotate
+        this.canvasEngine.canvas.addEventListener('objectTransformed', () => {
+            this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+        });
+        
         // Keyframe controls
         const addKeyframeBtn = document.getElementById('addKeyframe');
         const deleteKeyframeBtn = document.getElementById('deleteKeyframe');
@@ -351,25 +506,278 @@ class AnimationStudio {
                     return;
                 }
                 
-                selectedKeyframes.forEach(kf => this.timeline.deleteKeyframe(kf.id));
+                this.timeline.withHistoryGroup(
+                    selectedKeyframes.length === 1 ? 'Delete keyframe' : `Delete ${selectedKeyframes.length} keyframes`,
+                    () => selectedKeyframes.forEach(kf => this.timeline.deleteKeyframe(kf.id))
+                );
                 this.showNotification(`Deleted ${selectedKeyframes.length} keyframe(s)`, 'success');
                 this.renderTimeline();
             });
         }
     }
 
+    // Stage
+    setupStage() {
+        const sizeLabel = document.querySelector('.canvas-size');
+        const showStage = () => {
+            const { width, height } = this.canvasEngine.stage;
+            if (sizeLabel) {
+                sizeLabel.textContent = `${width} × ${height}`;
+            }
+        };
+        
+        this.canvasEngine.canvas.addEventListener('stageChanged', (e) => {
+            const { stage, previous } = e.detail;
+            showStage();
+            if (stage.width !== previous.width || stage.height !== previous.height) {
+                this.canvasEngine.fitStage();
+            }
+            if (this.canvasEngine.selectedObjects.length === 0) {
+                this.updatePropertiesPanel([]);
+            }
+        });
+        
+        showStage();
+    }
+
+    // Zoom buttons and readout in the status bar, and the rulers around the view
+    setupViewControls() {
+        const engine = this.canvasEngine;
+        const commands = {
+            zoomIn: () => engine.zoomIn(),
+            zoomOut: () => engine.zoomOut(),
+            zoomFit: () => engine.fitStage(),
+            zoomSelection: () => engine.zoomToSelection(),
+            zoomActual: () => engine.setZoom(1)
+        };
+        Object.entries(commands).forEach(([id, command]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', command);
+            }
+        });
+        
+        const zoomLevel = document.getElementById('zoomLevel');
+        const showZoom = () => {
+            if (zoomLevel) {
+                zoomLevel.textContent = `${Math.round(engine.zoom * 100)}%`;
+            }
+        };
+        engine.canvas.addEventListener('zoomChanged', showZoom);
+        showZoom();
+        
+        const wrapper = document.getElementById('canvasWrapper');
+        if (wrapper) {
+            this.rulers = new Rulers(engine, wrapper);
+        }
+    }
+
+    // Size, background and transparency of the stage, shown while nothing is selected
+    getStageProperties() {
+        const stage = this.canvasEngine.stage;
+        const presetIndex = CanvasEngine.stagePresets.findIndex(preset =>
+            preset.width === stage.width && preset.height === stage.height);
+        const presets = CanvasEngine.stagePresets.map((preset, index) =>
+            `<option value="${index}" ${index === presetIndex ? 'selected' : ''}>${preset.name} (${preset.width} × ${preset.height})</option>`
+        ).join('');
+        
+        return `
+            <div class="property-group">
+                <h4>Stage</h4>
+                <div class="property-row">
+                    <label>Size:</label>
+                    <select data-stage-preset>
+                        ${presets}
+                        <option value="" ${presetIndex === -1 ? 'selected' : ''}>Custom</option>
+                    </select>
+                </div>
+                <div class="property-row">
+                    <label>Width:</label>
+                    <input type="number" value="${stage.width}" data-stage="width" step="1" min="1">
+                </div>
+                <div class="property-row">
+                    <label>Height:</label>
+                    <input type="number" value="${stage.height}" data-stage="height" step="1" min="1">
+                </div>
+                <div class="property-row">
+                    <label>Background:</label>
+                    <input type="color" value="${ColorUtils.toHex(stage.background)}" data-stage="background" ${stage.transparent ? 'disabled' : ''}>
+                </div>
+                <div class="property-row">
+                    <label>Transparent:</label>
+                    <input type="checkbox" data-stage="transparent" ${stage.transparent ? 'checked' : ''}>
+                </div>
+            </div>
+        `;
+    }
+
+    setupStageProperties(panel) {
+        const presetSelect = panel.querySelector('[data-stage-preset]');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => {
+                const preset = CanvasEngine.stagePresets[presetSelect.value];
+                if (preset) {
+                    this.canvasEngine.setStage({ width: preset.width, height: preset.height });
+                }
+            });
+        }
+        
+        panel.querySelectorAll('[data-stage]').forEach(input => {
+            input.addEventListener('change', () => {
+                const key = input.dataset.stage;
+                let value = input.value;
+                if (input.type === 'checkbox') {
+                    value = input.checked;
+                } else if (input.type === 'number') {
+                    value = parseInt(value);
+                    if (!(value > 0)) {
+                        input.value = this.canvasEngine.stage[key];
+                        return;
+                    }
+                }
+                this.canvasEngine.setStage({ [key]: value });
+            });
+        });
+    }
+
+    // Onion Skin Settings
+    setupOnionSkinPanel() {
+        const settings = document.getElementById('onionSkinSettings');
+        if (!settings) {
+            return;
+        }
+        
+        settings.addEventListener('input', (e) => {
+            const key = e.target.dataset.onion;
+            if (!key) {
+                return;
+            }
+            
+            let value = e.target.value;
+            if (e.target.type === 'checkbox') {
+                value = e.target.checked;
+            } else if (e.target.type === 'number' || e.target.type === 'range') {
+                value = parseFloat(value);
+                if (isNaN(value)) {
+                    return;
+                }
+            }
+            this.onionSkin.setOptions({ [key]: value });
+        });
+        
+        // Ghosts are hidden while playing, so redraw them when playback stops
+        window.addEventListener('playback:pause', () => this.canvasEngine.render());
+        window.addEventListener('playback:stop', () => this.canvasEngine.render());
+        
+        // Follow selection changes when only the selection is ghosted
+        this.canvasEngine.canvas.addEventListener('selectionChanged', () => {
+            if (this.onionSkin.enabled && this.onionSkin.selectedOnly) {
+                this.canvasEngine.render();
+            }
+        });
+    }
+
+    toggleOnionSkin() {
+        const enabled = this.onionSkin.toggle();
+        const checkbox = document.getElementById('onionSkinEnabled');
+        if (checkbox) {
+            checkbox.checked = enabled;
+        }
+        this.showNotification(`Onion skin ${enabled ? 'on' : 'off'}`, 'info');
+    }
+
     // Timeline UI Setup
     setupTimelineUI() {
         const timelineElement = document.getElementById('timeline');
         if (!timelineElement) return;
         
-        this.renderTimeline();
+        // Tracks, keyframes and playhead; re-renders itself on timeline events
+        this.timelineUI = new TimelineUI(this.timeline, this.playbackEngine);
+        
+        // Easing editor for the selected keyframe segment
+        this.graphEditor = new GraphEditor(this.timeline);
+        
+        // Track names highlight the selected objects
+        this.canvasEngine.canvas.addEventListener('selectionChanged', () => this.renderTimeline());
+    }
+
+    // History Panel Setup
+    setupHistoryPanel() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+        
+        window.addEventListener('history:changed', () => this.updateHistoryPanel());
+        this.updateHistoryPanel();
+    }
+
+    updateHistoryPanel() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const historyList = document.getElementById('historyList');
+        
+        if (undoBtn) {
+            undoBtn.disabled = !this.history.canUndo();
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !this.history.canRedo();
+        }
+        if (!historyList) {
+            return;
+        }
+        
+        const entries = this.history.getEntries();
+        if (entries.length === 0) {
+            historyList.innerHTML = '<p class="empty-state">No actions yet</p>';
+            return;
+        }
+        
+        historyList.innerHTML = '';
         
-        // Listen for timeline updates
-        window.addEventListener('timeline:keyframeAdded', () => this.renderTimeline());
-        window.addEventListener('timeline:keyframeUpdated', () => this.renderTimeline());
-        window.addEventListener('timeline:keyframeDeleted', () => this.renderTimeline());
-        window.addEventListener('playback:timeChanged', () => this.renderTimeline());
+        // Clicking an entry rewinds or replays history up to and including it
+        entries.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = `history-item${entry.undone ? ' undone' : ''}`;
+            if (index === this.history.getPosition() - 1) {
+                item.classList.add('current');
+            }
+            item.textContent = entry.name;
+            item.addEventListener('click', () => {
+                this.history.jumpTo(index + 1);
+                this.afterHistoryChange();
+            });
+            historyList.appendChild(item);
+        });
+        
+        historyList.lastElementChild.scrollIntoView({ block: 'nearest' });
+    }
+
+    undo() {
+        const name = this.history.undo();
+        if (name) {
+            this.afterHistoryChange();
+            this.showNotification(`Undo: ${name}`, 'info', 1500);
+        }
+    }
+
+    redo() {
+        const name = this.history.redo();
+        if (name) {
+            this.afterHistoryChange();
+            this.showNotification(`Redo: ${name}`, 'info', 1500);
+        }
+    }
+
+    afterHistoryChange() {
+        // Keyframe changes re-apply through the playback engine's own listeners
+        this.updateSceneObjects();
+        this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
     }
 
     // Project Controls Setup
@@ -377,6 +785,7 @@ class AnimationStudio {
         const newProjectBtn = document.getElementById('newProject');
         const loadProjectBtn = document.getElementById('loadProject');
         const saveProjectBtn = document.getElementById('saveProject');
+        const downloadProjectBtn = document.getElementById('downloadProject');
         
         if (newProjectBtn) {
             newProjectBtn.addEventListener('click', () => this.newProject());
@@ -389,6 +798,10 @@ class AnimationStudio {
         if (saveProjectBtn) {
             saveProjectBtn.addEventListener('click', () => this.saveProject());
         }
+        
+        if (downloadProjectBtn) {
+            downloadProjectBtn.addEventListener('click', () => this.downloadProject());
+        }
     }
 
     // Export Controls Setup
@@ -400,6 +813,24 @@ class AnimationStudio {
             exportVideoBtn.addEventListener('click', () => this.exportVideo());
         }
         
+        const cancelExportBtn = document.getElementById('cancelExport');
+        if (cancelExportBtn) {
+            cancelExportBtn.addEventListener('click', () => this.projectExporter.cancelExport());
+        }
+        
+        // Only offer the formats this browser can encode
+        const formatSelect = document.getElementById('videoFormat');
+        if (formatSelect) {
+            this.projectExporter.getSupportedVideoFormats().then(formats => {
+                Array.from(formatSelect.options).forEach(option => {
+                    option.disabled = !formats.includes(option.value);
+                });
+                if (formats.length > 0 && !formats.includes(formatSelect.value)) {
+                    formatSelect.value = formats[0];
+                }
+            });
+        }
+        
         if (exportGifBtn) {
             exportGifBtn.addEventListener('click', () => this.exportGIF());
         }
@@ -446,7 +877,8 @@ class AnimationStudio {
             const obj = await this.canvasEngine.addImageObject(
                 asset.src,
                 canvasPoint.x,
-                canvasPoint.y
+                canvasPoint.y,
+                { assetId }
             );
             
             // Scale down large images
@@ -524,49 +956,18 @@ class AnimationStudio {
     }
 
     // Scene Objects Management
-    updateSceneObjects() {
-        const sceneObjects = document.getElementById('sceneObjects');
-        if (!sceneObjects) return;
-        
-        sceneObjects.innerHTML = '';
+    setupLayersPanel() {
+        const list = document.getElementById('sceneObjects');
+        if (!list) return;
         
-        if (this.canvasEngine.objects.length === 0) {
-            sceneObjects.innerHTML = '<p class="empty-state">No objects in scene. Drag assets to canvas to add objects!</p>';
-            return;
-        }
-        
-        this.canvasEngine.objects.forEach(obj => {
-            const objectItem = this.createSceneObjectItem(obj);
-            sceneObjects.appendChild(objectItem);
-        });
+        this.layersPanel = new LayersPanel(this.canvasEngine, list, document.getElementById('layerControls'));
+        this.layersPanel.onDelete = id => this.deleteObject(id);
     }
 
-    createSceneObjectItem(obj) {
-        const item = document.createElement('div');
-        item.className = 'scene-object';
-        
-        if (this.canvasEngine.selectedObjects.find(selected => selected.id === obj.id)) {
-            item.classList.add('selected');
+    updateSceneObjects() {
+        if (this.layersPanel) {
+            this.layersPanel.render();
         }
-        
-        item.innerHTML = `
-            <div class="scene-object-icon">${this.getObjectIcon(obj.type)}</div>
-            <div class="scene-object-info">
-                <div class="scene-object-name">${obj.name || 'Object'}</div>
-                <div class="scene-object-type">${obj.type}</div>
-            </div>
-            <div class="scene-object-controls">
-                <button class="btn-icon" title="Delete" onclick="app.deleteObject('${obj.id}')">🗑️</button>
-            </div>
-        `;
-        
-        item.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('btn-icon')) {
-                this.canvasEngine.selectObject(obj.id);
-            }
-        });
-        
-        return item;
     }
 
     deleteObject(objectId) {
@@ -577,22 +978,17 @@ class AnimationStudio {
         }
     }
 
-    getObjectIcon(type) {
-        const icons = {
-            image: '🖼️',
-            text: '📝',
-            shape: '🔷'
-        };
-        return icons[type] || '⬜';
-    }
-
     // Properties Panel Updates
     updatePropertiesPanel(selectedObjects) {
         const propertiesPanel = document.getElementById('objectProperties');
         if (!propertiesPanel) return;
         
         if (selectedObjects.length === 0) {
-            propertiesPanel.innerHTML = '<p class="empty-state">Select an object to edit properties</p>';
+            propertiesPanel.innerHTML = `
+                <p class="empty-state">Select an object to edit properties</p>
+                ${this.getStageProperties()}
+            `;
+            this.setupStageProperties(propertiesPanel);
             return;
         }
         
@@ -604,38 +1000,80 @@ class AnimationStudio {
                 <div class="property-row">
                     <label>X:</label>
                     <input type="number" value="${Math.round(obj.x)}" data-property="x" step="1">
+                    ${this.getKeyButton(obj, 'x')}
                 </div>
                 <div class="property-row">
                     <label>Y:</label>
                     <input type="number" value="${Math.round(obj.y)}" data-property="y" step="1">
+                    ${this.getKeyButton(obj, 'y')}
                 </div>
                 <div class="property-row">
                     <label>Width:</label>
                     <input type="number" value="${Math.round(obj.width)}" data-property="width" step="1" min="1">
+                    ${this.getKeyButton(obj, 'width')}
                 </div>
                 <div class="property-row">
                     <label>Height:</label>
                     <input type="number" value="${Math.round(obj.height)}" data-property="height" step="1" min="1">
+                    ${this.getKeyButton(obj, 'height')}
                 </div>
                 <div class="property-row">
                     <label>Rotation:</label>
                     <input type="number" value="${Math.round(obj.rotation)}" data-property="rotation" step="1">
+                    ${this.getKeyButton(obj, 'rotation')}
                 </div>
                 <div class="property-row">
                     <label>Opacity:</label>
                     <input type="range" min="0" max="1" step="0.1" value="${obj.opacity}" data-property="opacity">
                     <span class="value-display">${Math.round(obj.opacity * 100)}%</span>
+                    ${this.getKeyButton(obj, 'opacity')}
+                </div>
+                <div class="property-row">
+                    <label>Pivot X %:</label>
+                    <input type="number" value="${Math.round((obj.originX ?? 0.5) * 100)}" data-origin="x" step="5" min="0" max="100">
+                </div>
+                <div class="property-row">
+                    <label>Pivot Y %:</label>
+                    <input type="number" value="${Math.round((obj.originY ?? 0.5) * 100)}" data-origin="y" step="5" min="0" max="100">
+                </div>
+            </div>
+            
+            <div class="property-group">
+                <h4>Hierarchy</h4>
+                <div class="property-row">
+                    <label>Parent:</label>
+                    <select data-parent>
+                        <option value="">None</option>
+                        ${this.getParentOptions(obj)}
+                    </select>
                 </div>
             </div>
             
+            ${this.getStyleProperties(obj)}
+            
+            ${this.getTextAnimatorProperties(obj)}
+            
+            ${this.getShapeProperties(obj)}
+            
+            ${this.getEffectProperties(obj)}
+            
+            ${this.getMaskProperties(obj)}
+            
+            ${this.getMotionPathProperties(obj)}
+            
             <div class="property-group">
                 <h4>Animation</h4>
-                <button class="btn btn-primary btn-small" onclick="app.addKeyframeForObject('${obj.id}')">
-                    Add Keyframe at Current Time
+                <button class="btn btn-primary btn-small" onclick="app.addKeyframeForObject('${obj.id}')" title="Key every property at the current time; use a property's ◆ to key it alone">
+                    Key All Properties
                 </button>
             </div>
         `;
         
+        // Each ◆ keys just its own property, so channels can be keyed independently
+        propertiesPanel.querySelectorAll('[data-key-property]').forEach(button => {
+            button.addEventListener('click', () => this.addPropertyKeyframe(obj.id, button.dataset.keyProperty));
+        });
+        
         // Set up property change listeners
         const inputs = propertiesPanel.querySelectorAll('input[data-property]');
         inputs.forEach(input => {
@@ -657,136 +1095,762 @@ class AnimationStudio {
                 }
             });
         });
-    }
-
-    addKeyframeForObject(objectId) {
-        const obj = this.canvasEngine.getObject(objectId);
-        if (!obj) return;
         
-        const keyframe = this.timeline.addKeyframe(objectId, this.timeline.currentTime, {
-            x: obj.x,
-            y: obj.y,
-            rotation: obj.rotation,
-            scaleX: obj.scaleX,
-            scaleY: obj.scaleY,
-            opacity: obj.opacity
+        // Moving the pivot shifts x/y so the object stays put
+        const originInputs = propertiesPanel.querySelectorAll('input[data-origin]');
+        originInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                const [originX, originY] = Array.from(originInputs, el => (parseFloat(el.value) || 0) / 100);
+                this.canvasEngine.setOrigin(obj.id, originX, originY);
+                this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+            });
         });
         
-        this.showNotification('Keyframe added', 'success');
-        this.renderTimeline();
-    }
-
-    // Timeline Rendering
-    renderTimeline() {
-        const timelineElement = document.getElementById('timeline');
-        if (!timelineElement) return;
-        
-        const tracks = this.timeline.getAllTracks();
-        const playheadPosition = (this.timeline.currentTime / this.timeline.duration) * 100;
-        
-        timelineElement.innerHTML = `
-            <div class="timeline-content">
-                <div class="timeline-track-list">
-                    <div class="timeline-track-header">Objects (${tracks.length})</div>
-                    ${tracks.length === 0 ? '<div class="timeline-empty">No animated objects</div>' : 
-                        tracks.map(track => `
-                            <div class="timeline-track-item" data-track-id="${track.id}">
-                                <div class="timeline-track-info">
-                                    <div class="track-name">${track.name}</div>
-                                    <div class="track-type">${track.objectId.substring(0, 8)}...</div>
-                                </div>
-                            </div>
-                        `).join('')
-                    }
-                </div>
-                <div class="timeline-track-content">
-                    <div class="timeline-ruler">
-                        ${this.generateTimelineRuler()}
-                    </div>
-                    <div class="timeline-playhead" style="left: ${playheadPosition}%">
-                        <div class="playhead-handle"></div>
-                    </div>
-                    ${this.generateTimelineKeyframes()}
-                </div>
-            </div>
-        `;
-        
-        // Make timeline interactive
-        this.makeTimelineInteractive();
-    }
-
-    generateTimelineRuler() {
-        const duration = this.timeline.duration;
-        const marks = [];
+        // Fill and stroke of shapes and paths
+        propertiesPanel.querySelectorAll('[data-style]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.style;
+                let value = e.target.value;
+                if (e.target.type === 'checkbox') {
+                    value = e.target.checked;
+                } else if (key === 'strokeWidth') {
+                    value = Math.max(0, parseFloat(value) || 0);
+                } else if (key === 'lineDash') {
+                    value = value.split(/[\s,]+/).map(Number).filter(n => Number.isFinite(n) && n >= 0);
+                }
+                this.canvasEngine.updateObject(obj.id, { [key]: value });
+            });
+        });
         
-        for (let i = 0; i <= duration; i++) {
-            const position = (i / duration) * 100;
-            marks.push(`
-                <div class="ruler-mark" style="left: ${position}%">
-                    <span class="time-label">${i}s</span>
-                </div>
-            `);
+        propertiesPanel.querySelectorAll('.paint-editor').forEach(editor => this.setupPaintEditor(editor, obj));
+        
+        // Text layout; the box only rewraps when it stops growing with its text
+        propertiesPanel.querySelectorAll('[data-text]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.text;
+                let value = e.target.value;
+                if (key === 'fontWeight') {
+                    value = e.target.checked ? 'bold' : 'normal';
+                } else if (key === 'fontStyle') {
+                    value = e.target.checked ? 'italic' : 'normal';
+                } else if (key === 'autoSize') {
+                    value = !e.target.checked;
+                } else if (key === 'fontSize' || key === 'lineHeight') {
+                    value = Math.max(key === 'fontSize' ? 1 : 0.1, parseFloat(value) || 0);
+                } else if (key === 'letterSpacing') {
+                    value = parseFloat(value) || 0;
+                }
+                this.canvasEngine.updateObject(obj.id, { [key]: value });
+                if (key === 'autoSize') {
+                    this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+                }
+            });
+        });
+        const editTextButton = propertiesPanel.querySelector('[data-text-edit]');
+        if (editTextButton) {
+            editTextButton.addEventListener('click', () => this.canvasEngine.editTextObject(obj));
         }
         
-        return marks.join('');
-    }
-
-    generateTimelineKeyframes() {
-        const keyframeElements = [];
-        
-        for (const [trackId, keyframes] of this.timeline.keyframes.entries()) {
-            keyframes.forEach(keyframe => {
-                const position = (keyframe.time / this.timeline.duration) * 100;
-                keyframeElements.push(`
-                    <div class="keyframe" 
-                         style="left: ${position}%" 
-                         data-keyframe-id="${keyframe.id}"
-                         title="Keyframe at ${keyframe.time.toFixed(2)}s">
-                    </div>
-                `);
+        // Shape parameters
+        propertiesPanel.querySelectorAll('input[data-shape]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) {
+                    this.canvasEngine.updateObject(obj.id, { [e.target.dataset.shape]: value });
+                }
             });
-        }
+        });
         
-        return keyframeElements.join('');
-    }
-
-    makeTimelineInteractive() {
-        const timelineContent = document.querySelector('.timeline-track-content');
-        if (!timelineContent) return;
+        this.setupEffectProperties(propertiesPanel, obj);
+        this.setupTextAnimatorProperties(propertiesPanel, obj);
         
-        // Timeline scrubbing
-        timelineContent.addEventListener('click', (e) => {
-            const rect = timelineContent.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const percentage = x / rect.width;
-            const time = percentage * this.timeline.duration;
-            
-            this.playbackEngine.setCurrentTime(Math.max(0, Math.min(this.timeline.duration, time)));
+        propertiesPanel.querySelectorAll('[data-mask]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.mask;
+                this.canvasEngine.updateObject(obj.id, { [key]: e.target.value || null });
+                if (key === 'maskId') {
+                    this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+                }
+            });
         });
         
-        // Keyframe selection
-        const keyframes = timelineContent.querySelectorAll('.keyframe');
-        keyframes.forEach(kf => {
-            kf.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const keyframeId = kf.dataset.keyframeId;
+        // Motion path settings change what the timeline drives, so re-pose the object
+        propertiesPanel.querySelectorAll('[data-motion]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.motion;
+                let value = e.target.value;
+                if (e.target.type === 'checkbox') {
+                    value = e.target.checked;
+                } else if (key === 'pathProgress') {
+                    value = Math.max(0, Math.min(100, parseFloat(value) || 0));
+                } else if (key === 'pathId') {
+                    value = value || null;
+                }
                 
-                // Toggle selection
-                if (kf.classList.contains('selected')) {
-                    kf.classList.remove('selected');
-                } else {
-                    // Clear other selections if not holding Ctrl
-                    if (!e.ctrlKey) {
-                        keyframes.forEach(other => other.classList.remove('selected'));
-                    }
-                    kf.classList.add('selected');
+                this.canvasEngine.updateObject(obj.id, { [key]: value });
+                this.playbackEngine.updateObjectStates();
+                if (key === 'pathId') {
+                    this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
                 }
             });
         });
+        
+        const parentSelect = propertiesPanel.querySelector('select[data-parent]');
+        if (parentSelect) {
+            parentSelect.addEventListener('change', (e) => {
+                this.canvasEngine.setParent(obj.id, e.target.value || null);
+                this.updateSceneObjects();
+                this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+            });
+        }
     }
 
-    // Project Management
-    newProject() {
+    // Objects that can parent obj: anything except itself and its own descendants
+    getParentOptions(obj) {
+        const descendants = this.canvasEngine.getDescendants(obj.id);
+        const candidates = this.canvasEngine.objects
+            .filter(candidate => candidate !== obj && !descendants.includes(candidate));
+        return this.getObjectOptions(candidates, obj.parentId);
+    }
+
+    // <option>s naming the given objects. Names and ids come from users and opened files, so
+    // they are escaped
+    getObjectOptions(objects, selectedId) {
+        return objects
+            .map(candidate => `<option value="${this.escapeHTML(candidate.id)}" ${candidate.id === selectedId ? 'selected' : ''}>${this.escapeHTML(candidate.name)}</option>`)
+            .join('');
+    }
+
+    getStyleProperties(obj) {
+        const options = (values, current) => values
+            .map(value => `<option value="${this.escapeHTML(value)}" ${value === current ? 'selected' : ''}>${this.escapeHTML(value)}</option>`)
+            .join('');
+        
+        if (obj.type === 'text') {
+            const fixed = obj.autoSize === false;
+            return `
+            <div class="property-group">
+                <h4>Text</h4>
+                <div class="property-row">
+                    <button class="btn btn-small" data-text-edit title="Or double-click the text">Edit Text</button>
+                </div>
+                <div class="property-row">
+                    <label>Font:</label>
+                    <select data-text="fontFamily">${options([...new Set([obj.fontFamily, 'Arial, sans-serif', 'Georgia, serif', 'Courier New, monospace', 'Impact, sans-serif', 'Verdana, sans-serif'])], obj.fontFamily)}</select>
+                </div>
+                <div class="property-row">
+                    <label>Size:</label>
+                    <input type="number" value="${obj.fontSize}" data-text="fontSize" step="1" min="1">
+                </div>
+                <div class="property-row">
+                    <label>Bold / Italic:</label>
+                    <input type="checkbox" data-text="fontWeight" ${obj.fontWeight === 'bold' ? 'checked' : ''}>
+                    <input type="checkbox" data-text="fontStyle" ${obj.fontStyle === 'italic' ? 'checked' : ''}>
+                </div>
+                <div class="property-row">
+                    <label>Align:</label>
+                    <select data-text="textAlign">${options(TextLayout.textAligns, obj.textAlign)}</select>
+                </div>
+                <div class="property-row">
+                    <label>Line height:</label>
+                    <input type="number" value="${obj.lineHeight ?? 1.2}" data-text="lineHeight" step="0.1" min="0.1">
+                </div>
+                <div class="property-row">
+                    <label>Letter spacing:</label>
+                    <input type="number" value="${obj.letterSpacing || 0}" data-text="letterSpacing" step="0.5">
+                </div>
+                <div class="property-row">
+                    <label>Wrap in box:</label>
+                    <input type="checkbox" data-text="autoSize" title="Wrap lines at the box width instead of growing the box" ${fixed ? 'checked' : ''}>
+                </div>
+                ${fixed ? `
+                <div class="property-row">
+                    <label>Vertical align:</label>
+                    <select data-text="verticalAlign">${options(TextLayout.verticalAligns, obj.verticalAlign || 'top')}</select>
+                </div>` : ''}
+                ${this.getPaintEditor('color', 'Colour', obj.color, true)}
+                <div class="property-row">
+                    <label>Outline:</label>
+                    <input type="color" value="${ColorUtils.toHex(obj.stroke || '#000000')}" data-style="stroke">
+                </div>
+                <div class="property-row">
+                    <label>Outline width:</label>
+                    <input type="number" value="${obj.strokeWidth ?? 0}" data-style="strokeWidth" step="1" min="0">
+                </div>
+            </div>
+            `;
+        }
+        if (obj.type !== 'path' && obj.type !== 'shape') {
+            return '';
+        }
+        
+        const isPath = obj.type === 'path';
+        const isLine = obj.type === 'shape' && (obj.shape === 'line' || obj.shape === 'arrow');
+        
+        return `
+            <div class="property-group">
+                <h4>${isPath ? 'Path' : 'Style'}</h4>
+                ${isLine ? '' : this.getPaintEditor('fill', 'Fill', obj.fill, true)}
+                <div class="property-row">
+                    <label>Stroke:</label>
+                    <input type="color" value="${ColorUtils.toHex(obj.stroke || '#00d4ff')}" data-style="stroke">
+                </div>
+                <div class="property-row">
+                    <label>Stroke width:</label>
+                    <input type="number" value="${obj.strokeWidth ?? 0}" data-style="strokeWidth" step="1" min="0">
+                </div>
+                ${isPath || isLine ? `
+                <div class="property-row">
+                    <label>Line cap:</label>
+                    <select data-style="lineCap">${options(['butt', 'round', 'square'], obj.lineCap || 'round')}</select>
+                </div>` : ''}
+                ${isPath ? `
+                <div class="property-row">
+                    <label>Line join:</label>
+                    <select data-style="lineJoin">${options(['miter', 'round', 'bevel'], obj.lineJoin)}</select>
+                </div>
+                <div class="property-row">
+                    <label>Dashes:</label>
+                    <input type="text" value="${this.escapeHTML((obj.lineDash || []).join(', '))}" data-style="lineDash" placeholder="e.g. 10, 5">
+                </div>
+                <div class="property-row">
+                    <label>Closed:</label>
+                    <input type="checkbox" data-style="closed" ${obj.closed ? 'checked' : ''}>
+                </div>` : ''}
+            </div>
+        `;
+    }
+
+    // Fill or text colour: none, a solid colour, or a linear/radial gradient with editable stops
+    getPaintEditor(key, label, paint, allowNone) {
+        const gradient = ColorUtils.isGradient(paint) ? paint : null;
+        const type = gradient ? gradient.type : (paint && paint !== 'none' ? 'solid' : 'none');
+        const types = [...(allowNone ? ['none'] : []), 'solid', 'linear', 'radial'];
+        const percent = value => Math.round(value * 100);
+        
+        let details = '';
+        if (type === 'solid') {
+            details = `
+                <div class="property-row">
+                    <label>Colour:</label>
+                    <input type="color" value="${ColorUtils.toHex(paint)}" data-paint-color>
+                </div>`;
+        } else if (gradient) {
+            details = gradient.type === 'linear' ? `
+                <div class="property-row">
+                    <label>Angle:</label>
+                    <input type="number" value="${Math.round(gradient.angle ?? 0)}" data-gradient="angle" step="15">
+                </div>` : `
+                <div class="property-row">
+                    <label>Centre %:</label>
+                    <input type="number" value="${percent(gradient.centerX ?? 0.5)}" data-gradient="centerX" step="5">
+                    <input type="number" value="${percent(gradient.centerY ?? 0.5)}" data-gradient="centerY" step="5">
+                </div>
+                <div class="property-row">
+                    <label>Radius %:</label>
+                    <input type="number" value="${percent(gradient.radius ?? 0.5)}" data-gradient="radius" step="5" min="1">
+                </div>`;
+            details += gradient.stops.map((stop, index) => `
+                <div class="property-row gradient-stop">
+                    <label>Stop ${index + 1}:</label>
+                    <input type="color" value="${ColorUtils.toHex(stop.color)}" data-stop-color>
+                    <input type="number" value="${percent(stop.offset)}" data-stop-offset step="5" min="0" max="100">
+                    <button class="btn btn-small" data-stop-remove="${index}" title="Remove stop" ${gradient.stops.length <= 2 ? 'disabled' : ''}>✕</button>
+                </div>`).join('');
+            details += `
+                <div class="property-row">
+                    <button class="btn btn-small" data-stop-add>+ Stop</button>
+                </div>`;
+        }
+        
+        return `
+            <div class="paint-editor" data-paint="${key}">
+                <div class="property-row">
+                    <label>${label}:</label>
+                    <select data-paint-type>
+                        ${types.map(value => `<option value="${value}" ${value === type ? 'selected' : ''}>${value}</option>`).join('')}
+                    </select>
+                </div>
+                ${details}
+            </div>
+        `;
+    }
+
+    setupPaintEditor(editor, obj) {
+        const key = editor.dataset.paint;
+        const typeSelect = editor.querySelector('[data-paint-type]');
+        const apply = (paint, rerender = false) => {
+            this.canvasEngine.updateObject(obj.id, { [key]: paint });
+            if (rerender) {
+                this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+            }
+        };
+        
+        // Read the gradient back from the editor's inputs
+        const readGradient = () => {
+            const value = (name, fallback) => {
+                const input = editor.querySelector(`[data-gradient="${name}"]`);
+                const number = input ? parseFloat(input.value) : NaN;
+                return Number.isFinite(number) ? number : fallback;
+            };
+            const stops = Array.from(editor.querySelectorAll('.gradient-stop'), row => ({
+                offset: Math.max(0, Math.min(1, (parseFloat(row.querySelector('[data-stop-offset]').value) || 0) / 100)),
+                color: row.querySelector('[data-stop-color]').value
+            }));
+            return typeSelect.value === 'linear'
+                ? { type: 'linear', angle: value('angle', 0), stops }
+                : {
+                    type: 'radial',
+                    centerX: value('centerX', 50) / 100,
+                    centerY: value('centerY', 50) / 100,
+                    radius: Math.max(0.01, value('radius', 50) / 100),
+                    stops
+                };
+        };
+        
+        typeSelect.addEventListener('change', () => {
+            const current = obj[key];
+            const gradient = ColorUtils.isGradient(current) ? current : null;
+            const color = gradient ? gradient.stops[0].color : (ColorUtils.parse(current) && current !== 'none' ? current : '#00d4ff');
+            
+            if (typeSelect.value === 'none') {
+                apply('none', true);
+            } else if (typeSelect.value === 'solid') {
+                apply(ColorUtils.toHex(color), true);
+            } else {
+                const stops = gradient
+                    ? gradient.stops.map(stop => ({ ...stop }))
+                    : [{ offset: 0, color: ColorUtils.toHex(color) }, { offset: 1, color: '#ffffff' }];
+                apply(typeSelect.value === 'linear'
+                    ? { type: 'linear', angle: 0, stops }
+                    : { type: 'radial', centerX: 0.5, centerY: 0.5, radius: 0.5, stops }, true);
+            }
+        });
+        
+        const colorInput = editor.querySelector('[data-paint-color]');
+        if (colorInput) {
+            colorInput.addEventListener('change', () => apply(colorInput.value));
+        }
+        
+        editor.querySelectorAll('[data-gradient], [data-stop-color], [data-stop-offset]').forEach(input => {
+            input.addEventListener('change', () => apply(readGradient()));
+        });
+        
+        editor.querySelectorAll('[data-stop-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                const gradient = readGradient();
+                gradient.stops.splice(parseInt(button.dataset.stopRemove), 1);
+                apply(gradient, true);
+            });
+        });
+        
+        const addStop = editor.querySelector('[data-stop-add]');
+        if (addStop) {
+            addStop.addEventListener('click', () => {
+                // Split the widest gap between stops
+                const gradient = readGradient();
+                const sorted = gradient.stops.slice().sort((a, b) => a.offset - b.offset);
+                let gap = 0;
+                for (let i = 1; i < sorted.length; i++) {
+                    if (sorted[i].offset - sorted[i - 1].offset > sorted[gap + 1].offset - sorted[gap].offset) {
+                        gap = i - 1;
+                    }
+                }
+                const offset = (sorted[gap].offset + sorted[gap + 1].offset) / 2;
+                gradient.stops = [...sorted, { offset, color: ColorUtils.toHex(ColorUtils.getColorAtOffset(gradient, offset)) }]
+                    .sort((a, b) => a.offset - b.offset);
+                apply(gradient, true);
+            });
+        }
+    }
+
+    // Keyframeable parameters of the shape's kind, e.g. a star's points and inner radius
+    getShapeProperties(obj) {
+        const parameters = this.canvasEngine.getShapeParameters(obj);
+        if (parameters.length === 0) {
+            return '';
+        }
+        
+        const inputs = {
+            cornerRadiusTopLeft: { label: 'Radius ↖', step: 1, min: 0 },
+            cornerRadiusTopRight: { label: 'Radius ↗', step: 1, min: 0 },
+            cornerRadiusBottomRight: { label: 'Radius ↘', step: 1, min: 0 },
+            cornerRadiusBottomLeft: { label: 'Radius ↙', step: 1, min: 0 },
+            sides: { label: 'Sides', step: 1, min: 3 },
+            starPoints: { label: 'Points', step: 1, min: 3 },
+            innerRadius: { label: 'Inner radius', step: 0.05, min: 0, max: 1 },
+            headLength: { label: 'Head length', step: 1, min: 0 }
+        };
+        
+        return `
+            <div class="property-group">
+                <h4>Shape</h4>
+                ${parameters.map(parameter => {
+                    const input = inputs[parameter] || { label: parameter, step: 1 };
+                    return `
+                <div class="property-row">
+                    <label>${input.label}:</label>
+                    <input type="number" value="${Math.round((obj[parameter] ?? 0) * 100) / 100}" data-shape="${parameter}"
+                        step="${input.step}" ${input.min !== undefined ? `min="${input.min}"` : ''} ${input.max !== undefined ? `max="${input.max}"` : ''}>
+                </div>`;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Per-character animators of text objects: what each selects and what it does to it
+    getTextAnimatorProperties(obj) {
+        if (obj.type !== 'text') {
+            return '';
+        }
+        
+        const options = (values, current, labels = {}) => values
+            .map(value => `<option value="${value}" ${value === current ? 'selected' : ''}>${labels[value] || value}</option>`)
+            .join('');
+        const number = (index, key, label, animator, step = 1) => `
+                    <label>${label}</label>
+                    <input type="number" value="${Math.round((animator[key] ?? TextAnimators.defaults[key]) * 100) / 100}" data-animator="${index}" data-key="${key}" step="${step}">`;
+        
+        const animators = (obj.animators || []).map((animator, index) => `
+            <div class="text-animator">
+                <div class="property-row">
+                    <label>Animator ${index + 1}:</label>
+                    <select data-animator="${index}" data-key="unit">${options(TextAnimators.units, animator.unit)}</select>
+                    <select data-animator="${index}" data-key="shape">${options(TextAnimators.shapes, animator.shape)}</select>
+                    <button class="btn btn-small" data-animator-remove="${index}" title="Remove animator">✕</button>
+                </div>
+                <div class="property-row">${number(index, 'start', 'Start %', animator)}${number(index, 'end', 'End %', animator)}</div>
+                <div class="property-row">${number(index, 'offset', 'Offset %', animator)}${number(index, 'stagger', 'Stagger %', animator)}</div>
+                <div class="property-row">${number(index, 'x', 'Move X', animator)}${number(index, 'y', 'Move Y', animator)}</div>
+                <div class="property-row">${number(index, 'rotation', 'Rotate', animator)}${number(index, 'scale', 'Scale %', animator)}</div>
+                <div class="property-row">${number(index, 'opacity', 'Opacity %', animator)}${number(index, 'amount', 'Amount %', animator)}</div>
+                <div class="property-row">
+                    <label>Colour:</label>
+                    <input type="checkbox" data-animator="${index}" data-key="colorEnabled" ${animator.color ? 'checked' : ''}>
+                    <input type="color" value="${ColorUtils.toHex(animator.color || '#ffcc00')}" data-animator="${index}" data-key="color">
+                </div>
+            </div>
+        `).join('');
+        
+        const presetLabels = Object.fromEntries(Object.entries(TextAnimators.presets).map(([key, preset]) => [key, preset.name]));
+        return `
+            <div class="property-group">
+                <h4>Text Animators</h4>
+                ${animators}
+                <div class="property-row">
+                    <select data-animator-preset title="Presets are keyframed from the current time">
+                        <option value="">Blank</option>
+                        ${options(Object.keys(TextAnimators.presets), null, presetLabels)}
+                    </select>
+                    <button class="btn btn-small" data-animator-add>+ Animator</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupTextAnimatorProperties(panel, obj) {
+        // Edits replace the list, so keyframes holding the previous animators are left untouched
+        const animators = () => (obj.animators || []).map(animator => ({ ...animator }));
+        
+        panel.querySelectorAll('[data-animator]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const list = animators();
+                const animator = list[parseInt(e.target.dataset.animator)];
+                const key = e.target.dataset.key;
+                if (key === 'colorEnabled') {
+                    animator.color = e.target.checked ? panel.querySelector(`input[data-animator="${e.target.dataset.animator}"][data-key="color"]`).value : null;
+                } else if (key === 'color') {
+                    animator.color = e.target.value;
+                } else if (key === 'unit' || key === 'shape') {
+                    animator[key] = e.target.value;
+                } else {
+                    animator[key] = parseFloat(e.target.value) || 0;
+                }
+                this.canvasEngine.updateObject(obj.id, { animators: list });
+                if (key === 'colorEnabled') {
+                    this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+                }
+            });
+        });
+        
+        panel.querySelectorAll('[data-animator-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = parseInt(button.dataset.animatorRemove);
+                this.canvasEngine.updateObject(obj.id, { animators: animators().filter((_, i) => i !== index) });
+                this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+            });
+        });
+        
+        const addButton = panel.querySelector('[data-animator-add]');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                this.addTextAnimator(obj, panel.querySelector('[data-animator-preset]').value);
+                this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+            });
+        }
+    }
+
+    // Add a blank animator, or a preset keyframed from the current time over its duration
+    addTextAnimator(obj, presetName) {
+        const preset = TextAnimators.presets[presetName];
+        const animator = TextAnimators.create(preset ? preset.animator : {});
+        if (!preset) {
+            this.canvasEngine.updateObject(obj.id, { animators: [...(obj.animators || []), animator] });
+            return;
+        }
+        
+        const existing = (obj.animators || []).map(other => ({ ...other }));
+        const from = [...existing, { ...animator, ...preset.from }];
+        const to = [...existing.map(other => ({ ...other })), { ...animator, ...preset.to }];
+        const time = this.timeline.currentTime;
+        
+        this.canvasEngine.withHistoryGroup(`Add ${preset.name} animator`, () => {
+            this.canvasEngine.updateObject(obj.id, { animators: from });
+            this.timeline.addKeyframe(obj.id, time, { animators: from });
+            this.timeline.addKeyframe(obj.id, Math.min(time + preset.duration, this.timeline.duration), { animators: to });
+        });
+        this.playbackEngine.updateObjectStates();
+        this.renderTimeline();
+        this.showNotification(`${preset.name} animator added`, 'success');
+    }
+
+    // Blend mode, drop shadow and the filter stack (applied top to bottom)
+    getEffectProperties(obj) {
+        const hasShadow = this.canvasEngine.hasShadow(obj);
+        const filters = Array.isArray(obj.filters) ? obj.filters : [];
+        const filterTypes = CanvasEngine.filterTypes;
+        const labels = { hueRotate: 'hue rotate' };
+        
+        const shadowRows = hasShadow ? `
+                <div class="property-row">
+                    <label>Shadow colour:</label>
+                    <input type="color" value="${ColorUtils.toHex(obj.shadowColor)}" data-effect="shadowColor">
+                </div>
+                <div class="property-row">
+                    <label>Shadow blur:</label>
+                    <input type="number" value="${obj.shadowBlur ?? 0}" data-effect="shadowBlur" step="1" min="0">
+                </div>
+                <div class="property-row">
+                    <label>Shadow X:</label>
+                    <input type="number" value="${obj.shadowOffsetX ?? 0}" data-effect="shadowOffsetX" step="1">
+                </div>
+                <div class="property-row">
+                    <label>Shadow Y:</label>
+                    <input type="number" value="${obj.shadowOffsetY ?? 0}" data-effect="shadowOffsetY" step="1">
+                </div>` : '';
+        
+        const filterRows = filters.map((filter, index) => {
+            const type = filterTypes[filter.type] || {};
+            return `
+                <div class="property-row">
+                    <label>${this.escapeHTML(labels[filter.type] || filter.type)} (${type.unit || ''}):</label>
+                    <input type="number" value="${filter.amount}" data-filter-amount="${index}" step="1"
+                        ${type.min !== undefined ? `min="${type.min}"` : ''} ${type.max !== undefined ? `max="${type.max}"` : ''}>
+                    <button class="btn btn-small" data-filter-move="${index}" data-direction="-1" title="Apply earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn btn-small" data-filter-move="${index}" data-direction="1" title="Apply later" ${index === filters.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="btn btn-small" data-filter-remove="${index}" title="Remove filter">✕</button>
+                </div>`;
+        }).join('');
+        
+        return `
+            <div class="property-group">
+                <h4>Effects</h4>
+                <div class="property-row">
+                    <label>Blend mode:</label>
+                    <select data-effect="blendMode">
+                        ${CanvasEngine.blendModes.map(mode => `<option value="${mode}" ${mode === (obj.blendMode || 'normal') ? 'selected' : ''}>${mode}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="property-row">
+                    <label>Drop shadow:</label>
+                    <input type="checkbox" data-effect="shadow" ${hasShadow ? 'checked' : ''}>
+                </div>
+                ${shadowRows}
+                ${filterRows}
+                <div class="property-row">
+                    <select data-filter-type>
+                        ${Object.keys(filterTypes).map(type => `<option value="${type}">${labels[type] || type}</option>`).join('')}
+                    </select>
+                    <button class="btn btn-small" data-filter-add>+ Filter</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEffectProperties(panel, obj) {
+        const update = (changes, rebuild = false) => {
+            this.canvasEngine.updateObject(obj.id, changes);
+            if (rebuild) {
+                this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+            }
+        };
+        // Filter edits replace the list, so keyframes holding the previous stack are left untouched
+        const filters = () => (Array.isArray(obj.filters) ? obj.filters : []).map(filter => ({ ...filter }));
+        
+        panel.querySelectorAll('[data-effect]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.effect;
+                if (key === 'shadow') {
+                    update(e.target.checked
+                        ? { shadowColor: 'rgba(0, 0, 0, 0.5)', shadowBlur: obj.shadowBlur || 10, shadowOffsetX: obj.shadowOffsetX ?? 4, shadowOffsetY: obj.shadowOffsetY ?? 4 }
+                        : { shadowColor: 'none' }, true);
+                } else if (key === 'shadowColor') {
+                    // The colour picker has no alpha, so keep the shadow's current transparency
+                    const color = ColorUtils.parse(e.target.value);
+                    const previous = ColorUtils.parse(obj.shadowColor);
+                    update({ shadowColor: ColorUtils.toString({ ...color, a: previous ? previous.a : 1 }) });
+                } else if (key === 'blendMode') {
+                    update({ blendMode: e.target.value });
+                } else {
+                    const value = parseFloat(e.target.value) || 0;
+                    update({ [key]: key === 'shadowBlur' ? Math.max(0, value) : value });
+                }
+            });
+        });
+        
+        panel.querySelectorAll('[data-filter-amount]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) {
+                    const list = filters();
+                    list[parseInt(e.target.dataset.filterAmount)].amount = value;
+                    update({ filters: list });
+                }
+            });
+        });
+        
+        panel.querySelectorAll('[data-filter-move]').forEach(button => {
+            button.addEventListener('click', () => {
+                const list = filters();
+                const index = parseInt(button.dataset.filterMove);
+                const target = index + parseInt(button.dataset.direction);
+                [list[index], list[target]] = [list[target], list[index]];
+                update({ filters: list }, true);
+            });
+        });
+        
+        panel.querySelectorAll('[data-filter-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                update({ filters: filters().filter((_, i) => i !== parseInt(button.dataset.filterRemove)) }, true);
+            });
+        });
+        
+        const addButton = panel.querySelector('[data-filter-add]');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                const type = panel.querySelector('[data-filter-type]').value;
+                update({ filters: [...filters(), { type, amount: CanvasEngine.filterTypes[type].default }] }, true);
+            });
+        }
+    }
+
+    getMaskProperties(obj) {
+        const maskOptions = this.getObjectOptions(this.canvasEngine.getMaskCandidates(obj), obj.maskId);
+        const modeLabels = { alpha: 'Alpha', alphaInverted: 'Alpha inverted', clip: 'Clip', clipInverted: 'Clip inverted' };
+        const maskedBy = this.canvasEngine.objects.filter(other => other.maskId === obj.id);
+        
+        return `
+            <div class="property-group">
+                <h4>Mask</h4>
+                <div class="property-row">
+                    <label>Masked by:</label>
+                    <select data-mask="maskId" title="Only show this object where another object is drawn">
+                        <option value="">None</option>
+                        ${maskOptions}
+                    </select>
+                </div>
+                ${obj.maskId ? `
+                <div class="property-row">
+                    <label>Mode:</label>
+                    <select data-mask="maskMode" title="Alpha follows the mask's opacity and colours; clip uses its outline">
+                        ${CanvasEngine.maskModes.map(mode => `<option value="${mode}" ${mode === (obj.maskMode || 'alpha') ? 'selected' : ''}>${modeLabels[mode] || mode}</option>`).join('')}
+                    </select>
+                </div>` : ''}
+                ${maskedBy.length > 0 ? `
+                <div class="property-row">
+                    <label>Masks:</label>
+                    <span class="value-display">${maskedBy.map(other => this.escapeHTML(other.name)).join(', ')}</span>
+                </div>` : ''}
+            </div>
+        `;
+    }
+
+    getMotionPathProperties(obj) {
+        const pathOptions = this.getObjectOptions(this.motionPaths.getPathCandidates(obj), obj.pathId);
+        const hasPositionPath = !obj.pathId && this.timeline.getPositionKeys(obj.id).length > 1;
+        
+        return `
+            <div class="property-group">
+                <h4>Motion Path</h4>
+                <div class="property-row">
+                    <label>Follow:</label>
+                    <select data-motion="pathId" title="Move along another object's outline">
+                        <option value="">Keyframes</option>
+                        ${pathOptions}
+                    </select>
+                </div>
+                ${obj.pathId ? `
+                <div class="property-row">
+                    <label>Progress %:</label>
+                    <input type="number" value="${Math.round((obj.pathProgress ?? 0) * 10) / 10}" data-motion="pathProgress" step="1" min="0" max="100">
+                </div>` : ''}
+                <div class="property-row">
+                    <label>Orient to path:</label>
+                    <input type="checkbox" data-motion="orientToPath" ${obj.orientToPath ? 'checked' : ''}>
+                </div>
+                ${hasPositionPath ? `
+                <div class="property-row">
+                    <button class="btn btn-small" onclick="app.smoothMotionPath('${obj.id}')">Smooth</button>
+                    <button class="btn btn-small" onclick="app.straightenMotionPath('${obj.id}')">Straighten</button>
+                </div>` : ''}
+            </div>
+        `;
+    }
+
+    smoothMotionPath(objectId) {
+        this.timeline.smoothMotionPath(objectId);
+        this.playbackEngine.updateObjectStates();
+        this.showNotification('Motion path smoothed', 'success');
+    }
+
+    straightenMotionPath(objectId) {
+        this.timeline.straightenMotionPath(objectId);
+        this.playbackEngine.updateObjectStates();
+    }
+
+    addKeyframeForObject(objectId) {
+        const obj = this.canvasEngine.getObject(objectId);
+        if (!obj) return;
+        
+        this.playbackEngine.addKeyframeForObject(objectId);
+        
+        this.showNotification('Keyframe added', 'success');
+        this.renderTimeline();
+    }
+
+    addPropertyKeyframe(objectId, property) {
+        if (this.playbackEngine.addPropertyKeyframe(objectId, property)) {
+            this.renderTimeline();
+            this.updatePropertiesPanel(this.canvasEngine.selectedObjects);
+        }
+    }
+
+    // ◆ button keying one property of obj; filled when that channel has a key at the current time
+    getKeyButton(obj, property) {
+        const keyed = this.timeline.getChannel(obj.id, property)
+            .some(keyframe => Math.abs(keyframe.time - this.timeline.currentTime) < 0.01);
+        return `<button class="key-btn ${keyed ? 'keyed' : ''}" data-key-property="${property}" title="Key ${property} at the current time">◆</button>`;
+    }
+
+    // Timeline Rendering
+    renderTimeline() {
+        if (this.timelineUI) {
+            this.timelineUI.render();
+        }
+    }
+
+    // Project Management
+    newProject() {
         if (this.projectExporter.isDirty) {
             if (!confirm('You have unsaved changes. Create new project anyway?')) {
                 return;
@@ -796,6 +1860,7 @@ class AnimationStudio {
         const name = prompt('Project name:', 'New Project');
         if (name) {
             this.projectExporter.createNewProject(name);
+            this.history.clear();
             this.updateSceneObjects();
             this.updateAssetList();
             this.renderTimeline();
@@ -803,9 +1868,9 @@ class AnimationStudio {
         }
     }
 
-    saveProject() {
+    async saveProject() {
         try {
-            this.projectExporter.saveProject();
+            await this.projectExporter.saveProject();
             this.showNotification('Project saved successfully', 'success');
         } catch (error) {
             console.error('Save failed:', error);
@@ -813,10 +1878,21 @@ class AnimationStudio {
         }
     }
 
+    async downloadProject() {
+        try {
+            this.showLoadingNotification('Packing project...');
+            await this.projectExporter.downloadProject();
+            this.showNotification('Project downloaded', 'success');
+        } catch (error) {
+            console.error('Download failed:', error);
+            this.showError(`Failed to download project: ${error.message}`);
+        }
+    }
+
     loadProject() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.zip,.json';
         
         input.addEventListener('change', async (e) => {
             const file = e.target.files[0];
@@ -825,12 +1901,11 @@ class AnimationStudio {
                     this.showLoadingNotification('Loading project...');
                     const success = await this.projectExporter.loadProjectFromFile(file);
                     if (success) {
+                        this.history.clear();
                         this.updateSceneObjects();
                         this.updateAssetList();
                         this.renderTimeline();
                         this.showNotification('Project loaded successfully', 'success');
-                    } else {
-                        this.showError('Failed to load project');
                     }
                 } catch (error) {
                     console.error('Load failed:', error);
@@ -849,21 +1924,30 @@ class AnimationStudio {
             return;
         }
         
-        const modal = this.showExportModal();
+        const formatSelect = document.getElementById('videoFormat');
+        const format = formatSelect ? formatSelect.value : 'webm';
+        
+        this.showExportModal();
         
         try {
-            const result = await this.projectExporter.exportToWebM({
+            const result = await this.projectExporter.exportVideo({
+                format,
+                scale: this.getExportScale(),
                 onProgress: (progressValue) => {
                     this.updateExportProgress(progressValue * 100);
                 }
             });
             
-            this.projectExporter.downloadWebM(result.blob);
+            this.projectExporter.downloadVideo(result.blob, result.format);
             this.showNotification('Video exported successfully', 'success');
             
         } catch (error) {
-            console.error('Video export failed:', error);
-            this.showError('Video export failed: ' + error.message);
+            if (error.name === 'AbortError') {
+                this.showNotification('Export cancelled', 'info');
+            } else {
+                console.error('Video export failed:', error);
+                this.showError('Video export failed: ' + error.message);
+            }
         } finally {
             this.hideExportModal();
         }
@@ -875,7 +1959,74 @@ class AnimationStudio {
             return;
         }
         
-        this.showNotification('GIF export is coming soon! Use video export for now.', 'info');
+        const options = await this.promptGIFOptions();
+        if (!options) {
+            return;
+        }
+        
+        this.showExportModal();
+        
+        try {
+            const result = await this.projectExporter.exportToGIF({
+                scale: this.getExportScale(),
+                ...options,
+                onProgress: (progressValue) => {
+                    this.updateExportProgress(progressValue * 100);
+                }
+            });
+            
+            this.projectExporter.downloadGIF(result.blob);
+            this.showNotification('GIF exported successfully', 'success');
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showNotification('Export cancelled', 'info');
+            } else {
+                console.error('GIF export failed:', error);
+                this.showError(`GIF export failed: ${error.message}`);
+            }
+        } finally {
+            this.hideExportModal();
+        }
+    }
+
+    // Size of exported frames relative to the stage
+    getExportScale() {
+        const scaleSelect = document.getElementById('exportScale');
+        return scaleSelect ? parseFloat(scaleSelect.value) || 1 : 1;
+    }
+
+    // Resolves with the chosen GIF options, or null if the dialog is cancelled
+    promptGIFOptions() {
+        const modal = document.getElementById('gifOptionsModal');
+        if (!modal) {
+            return Promise.resolve({});
+        }
+        
+        document.getElementById('gifTransparent').checked = this.canvasEngine.stage.transparent;
+        modal.style.display = 'flex';
+        
+        return new Promise(resolve => {
+            const exportBtn = document.getElementById('gifOptionsExport');
+            const cancelBtn = document.getElementById('gifOptionsCancel');
+            
+            const close = (result) => {
+                modal.style.display = 'none';
+                exportBtn.removeEventListener('click', onExport);
+                cancelBtn.removeEventListener('click', onCancel);
+                resolve(result);
+            };
+            const onExport = () => close({
+                palette: document.getElementById('gifPalette').value,
+                dither: document.getElementById('gifDither').value || false,
+                repeat: parseInt(document.getElementById('gifRepeat').value),
+                transparent: document.getElementById('gifTransparent').checked
+            });
+            const onCancel = () => close(null);
+            
+            exportBtn.addEventListener('click', onExport);
+            cancelBtn.addEventListener('click', onCancel);
+        });
     }
 
     // Demo Content
@@ -924,19 +2075,6 @@ class AnimationStudio {
 
     // Event Listeners
     setupEventListeners() {
-        // Canvas events
-        this.canvasEngine.canvas.addEventListener('objectCreated', () => {
-            this.updateSceneObjects();
-        });
-        
-        this.canvasEngine.canvas.addEventListener('objectDeleted', () => {
-            this.updateSceneObjects();
-        });
-        
-        this.canvasEngine.canvas.addEventListener('selectionChanged', () => {
-            this.updateSceneObjects();
-        });
-        
         // Project events
         window.addEventListener('project:projectSaved', () => {
             this.showNotification('Project saved successfully', 'success');
@@ -949,13 +2087,18 @@ class AnimationStudio {
         window.addEventListener('project:exportError', (e) => {
             this.showError('Export failed: ' + e.detail.message);
         });
+        
+        // Load failures carry the validation details
+        window.addEventListener('project:projectError', (e) => {
+            this.showError(e.detail.message);
+        });
     }
 
     // Keyboard Shortcuts
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             // Don't trigger shortcuts when typing in inputs
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
                 return;
             }
             
@@ -963,11 +2106,43 @@ class AnimationStudio {
             
             switch (e.key) {
                 case ' ':
+                    // Plays when released, unless space was held to pan the view
                     e.preventDefault();
-                    if (this.playbackEngine.isPlaying) {
-                        this.playbackEngine.pause();
-                    } else {
-                        this.playbackEngine.play();
+                    break;
+                    
+                case '=':
+                case '+':
+                    if (ctrl) {
+                        e.preventDefault();
+                        this.canvasEngine.zoomIn();
+                    }
+                    break;
+                    
+                case '-':
+                    if (ctrl) {
+                        e.preventDefault();
+                        this.canvasEngine.zoomOut();
+                    }
+                    break;
+                    
+                case '0':
+                    if (ctrl) {
+                        e.preventDefault();
+                        this.canvasEngine.fitStage();
+                    }
+                    break;
+                    
+                case '1':
+                    if (ctrl) {
+                        e.preventDefault();
+                        this.canvasEngine.setZoom(1);
+                    }
+                    break;
+                    
+                case '2':
+                    if (ctrl) {
+                        e.preventDefault();
+                        this.canvasEngine.zoomToSelection();
                     }
                     break;
                     
@@ -979,9 +2154,17 @@ class AnimationStudio {
                     break;
                     
                 case 'o':
+                    e.preventDefault();
                     if (ctrl) {
-                        e.preventDefault();
                         this.loadProject();
+                    } else {
+                        this.toggleOnionSkin();
+                    }
+                    break;
+                    
+                case 'p':
+                    if (!ctrl) {
+                        document.getElementById('penTool').click();
                     }
                     break;
                     
@@ -998,11 +2181,53 @@ class AnimationStudio {
                         this.exportVideo();
                     }
                     break;
+                    
+                case 'z':
+                case 'Z':
+                    if (ctrl) {
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                    }
+                    break;
+                    
+                case 'y':
+                    if (ctrl) {
+                        e.preventDefault();
+                        this.redo();
+                    }
+                    break;
+            }
+        });
+        
+        document.addEventListener('keyup', (e) => {
+            if (e.key !== ' ' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
+                return;
+            }
+            if (this.canvasEngine.spacePanned) {
+                return;
+            }
+            if (this.playbackEngine.isPlaying) {
+                this.playbackEngine.pause();
+            } else {
+                this.playbackEngine.play();
             }
         });
     }
 
     // UI Helper Methods
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     showLoadingScreen() {
         const loading = document.createElement('div');
         loading.id = 'loadingScreen';
@@ -32,6 +32,9 @@ class AssetLoader {
         // Asset usage tracking
         this.usageCount = new Map();
         
+        // Undo/redo history, assigned by the application
+        this.history = null;
+        
         console.log('✅ Asset Loader initialized');
     }
 
@@ -119,6 +122,12 @@ class AssetLoader {
             // Add to category
             this.addToCategory(asset.category, asset);
             
+            this.recordHistory(
+                `Add asset ${asset.name}`,
+                () => this.deleteAsset(id),
+                () => this.restoreAsset(asset, asset.thumbnail, 0)
+            );
+            
             // Emit individual asset added event
             window.dispatchEvent(new CustomEvent('assets:assetAdded', {
                 detail: { asset }
@@ -311,6 +320,9 @@ class AssetLoader {
     deleteAsset(id) {
         const asset = this.assets.get(id);
         if (asset) {
+            const thumbnail = this.thumbnails.get(id);
+            const usage = this.usageCount.get(id) || 0;
+            
             // Remove from storage
             this.assets.delete(id);
             this.thumbnails.delete(id);
@@ -319,6 +331,12 @@ class AssetLoader {
             // Remove from category
             this.removeFromCategory(asset.category, asset);
             
+            this.recordHistory(
+                `Delete asset ${asset.name}`,
+                () => this.restoreAsset(asset, thumbnail, usage),
+                () => this.deleteAsset(id)
+            );
+            
             // Emit event
             window.dispatchEvent(new CustomEvent('assets:assetDeleted', {
                 detail: { asset }
@@ -330,9 +348,34 @@ class AssetLoader {
         return false;
     }
 
+    // Put a previously deleted asset back with its thumbnail and usage count
+    restoreAsset(asset, thumbnail, usage = 0) {
+        if (this.assets.has(asset.id)) {
+            return asset;
+        }
+        
+        this.assets.set(asset.id, asset);
+        this.usageCount.set(asset.id, usage);
+        if (thumbnail) {
+            this.thumbnails.set(asset.id, thumbnail);
+        }
+        this.addToCategory(asset.category, asset);
+        
+        window.dispatchEvent(new CustomEvent('assets:assetAdded', {
+            detail: { asset }
+        }));
+        
+        return asset;
+    }
+
     updateAsset(id, updates) {
         const asset = this.assets.get(id);
         if (asset) {
+            const previous = {};
+            for (const key in updates) {
+                previous[key] = asset[key];
+            }
+            
             // Update category if changed
             if (updates.category && updates.category !== asset.category) {
                 this.removeFromCategory(asset.category, asset);
@@ -341,6 +384,13 @@ class AssetLoader {
             
             Object.assign(asset, updates);
             
+            this.recordHistory(
+                `Edit asset ${asset.name}`,
+                () => this.updateAsset(id, previous),
+                () => this.updateAsset(id, updates),
+                { coalesceKey: `asset:${id}:${Object.keys(updates).join(',')}` }
+            );
+            
             // Emit event
             window.dispatchEvent(new CustomEvent('assets:assetUpdated', {
                 detail: { asset }
@@ -480,7 +530,8 @@ class AssetLoader {
     }
 
     // Asset Export/Import
-    exportAssets() {
+    // includeLargeSources keeps the data of files over 1 MB (e.g. for IndexedDB storage)
+    exportAssets(options = {}) {
         const assets = this.getAllAssets();
         return {
             version: '1.0',
@@ -489,7 +540,7 @@ class AssetLoader {
             assets: assets.map(asset => ({
                 ...asset,
                 // Don't export the actual data for large files
-                src: asset.size > 1024 * 1024 ? null : asset.src,
+                src: asset.size > 1024 * 1024 && !options.includeLargeSources ? null : asset.src,
                 thumbnail: this.thumbnails.get(asset.id)
             })),
             categories: Object.fromEntries(this.categories.entries()),
@@ -497,7 +548,8 @@ class AssetLoader {
         };
     }
 
-    async importAssets(data) {
+    // keepIds preserves the saved ids (e.g. when opening a project) unless they clash
+    async importAssets(data, options = {}) {
         if (!data.assets) {
             throw new Error('Invalid asset data');
         }
@@ -510,7 +562,9 @@ class AssetLoader {
         for (const assetData of data.assets) {
             try {
                 // Regenerate ID to avoid conflicts
-                const newId = this.generateAssetId();
+                const newId = options.keepIds && assetData.id && !this.assets.has(assetData.id)
+                    ? assetData.id
+                    : this.generateAssetId();
                 const asset = {
                     ...assetData,
                     id: newId,
@@ -609,6 +663,13 @@ class AssetLoader {
         return asset;
     }
 
+    // History
+    recordHistory(name, undo, redo, options) {
+        if (this.history) {
+            this.history.record(name, undo, redo, options);
+        }
+    }
+
     // Utilities
     fileToDataURL(file) {
         return new Promise((resolve, reject) => {
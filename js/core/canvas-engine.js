@@ -14,16 +14,74 @@ class CanvasEngine {
         this.panX = 0;
         this.panY = 0;
         
+        // The artboard: the part of the scene from (0, 0) to its size that exports render
+        this.stage = { ...CanvasEngine.defaultStage };
+        this.checkerPattern = null;
+        
+        // View panning: a middle-button or space + drag in progress, and whether space is held
+        // (spacePanned tells a tap of space, which plays, from a pan)
+        this.viewPan = null;
+        this.spaceHeld = false;
+        this.spacePanned = false;
+        
         // Interaction state
         this.isDragging = false;
         this.dragStartPos = { x: 0, y: 0 };
         this.dragTargetObject = null;
         
+        // Object properties that only exist at runtime and are never saved
+        this.runtimeProperties = ['image'];
+        
+        // Active move/resize/rotate/scale drag and its on-canvas readout
+        this.transform = null;
+        this.transformFeedback = null;
+        this.toolModes = { select: 'move', move: 'move', rotate: 'rotate', scale: 'scale' };
+        this.handleSize = 8;
+        this.rotateHandleOffset = 25;
+        this.rotationSnap = 15; // degrees
+        
+        // Undo/redo history, assigned by the application
+        this.history = null;
+        
         // Grid and guides
         this.showGrid = true;
         this.snapToGrid = false;
         this.gridSize = 20;
         
+        // Moves snap to the stage, guides and other objects within snapThreshold view pixels.
+        // Guides are { axis: 'x' | 'y', position }: vertical lines at x, horizontal ones at y
+        this.snapping = true;
+        this.snapThreshold = 6;
+        this.guides = [];
+        this.guideDrag = null;
+        this.smartGuides = [];
+        
+        // Editor-only overlay of neighbouring frames (an OnionSkin, set up by the app)
+        this.onionSkin = null;
+        
+        // Editable motion paths of the selection (a MotionPaths, set up by the app)
+        this.motionPaths = null;
+        
+        // Keyframes of the scene's objects, kept in step when reparenting (a Timeline, set up by the app)
+        this.timeline = null;
+        
+        // Draws and edits path objects while the pen tool is active (a PenTool, set up by the app)
+        this.penTool = null;
+        
+        // In-place editor for text objects (a TextEditor, set up by the app)
+        this.textEditor = null;
+        
+        // Offscreen layers for objects with shadows, filters or group blend modes
+        this.effectLayers = [];
+        this.effectDepth = 0;
+        
+        // Masks being applied or drawn right now; a mask's own mask is not applied while it masks
+        this.maskedObjectIds = new Set();
+        this.drawingMaskIds = new Set();
+        
+        // Soloed objects; while any are, the editor shows (and hit-tests) only them. Not saved
+        this.soloIds = new Set();
+        
         this.setupEventListeners();
         this.render();
         
@@ -47,6 +105,61 @@ class CanvasEngine {
         
         // Prevent context menu
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        
+        // Wheel and trackpad pinch zoom toward the cursor
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        
+        // Space turns any drag into a pan, wherever focus is (except while typing)
+        window.addEventListener('keydown', (e) => this.handleSpaceKey(e, true));
+        window.addEventListener('keyup', (e) => this.handleSpaceKey(e, false));
+        window.addEventListener('blur', () => {
+            this.spaceHeld = false;
+            this.viewPan = null;
+        });
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const pos = this.getMousePos(e);
+        
+        // Pinches arrive as ctrl + wheel with small deltas; lines and pages are scaled to pixels
+        const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1);
+        const speed = e.ctrlKey ? 0.01 : 0.002;
+        this.setZoom(this.zoom * Math.exp(-delta * speed), pos);
+    }
+
+    handleSpaceKey(e, down) {
+        if (e.key !== ' ' || (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' ||
+            e.target.isContentEditable))) {
+            return;
+        }
+        
+        if (down && !this.spaceHeld) {
+            this.spaceHeld = true;
+            this.spacePanned = false;
+            if (!this.isDragging) {
+                this.canvas.style.cursor = 'grab';
+            }
+        } else if (!down) {
+            this.spaceHeld = false;
+            if (!this.viewPan) {
+                this.updateCursor();
+            }
+        }
+    }
+
+    beginViewPan(pos) {
+        this.viewPan = { start: pos, panX: this.panX, panY: this.panY };
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    endViewPan() {
+        this.viewPan = null;
+        if (this.spaceHeld) {
+            this.canvas.style.cursor = 'grab';
+        } else {
+            this.updateCursor();
+        }
     }
 
     // Mouse Event Handlers
@@ -54,28 +167,69 @@ class CanvasEngine {
         const pos = this.getMousePos(e);
         const canvasPos = this.screenToCanvas(pos.x, pos.y);
         
+        // The middle button, or any drag while space is held, pans the view
+        if (e.button === 1 || (this.spaceHeld && !this.transform)) {
+            e.preventDefault();
+            this.spacePanned = this.spaceHeld;
+            this.beginViewPan(pos);
+            return;
+        }
+        
         this.isDragging = true;
         this.dragStartPos = canvasPos;
         
+        // The pen tool draws and edits paths instead of selecting and transforming
+        if (this.currentTool === 'pen' && this.penTool) {
+            this.penTool.handleMouseDown(canvasPos, e);
+            this.render();
+            return;
+        }
+        
+        // Motion path points and tangents are drawn above everything else
+        const pathHandle = this.motionPaths ? this.motionPaths.getHandleAtPosition(canvasPos.x, canvasPos.y) : null;
+        if (pathHandle) {
+            this.motionPaths.beginDrag(pathHandle, e);
+            this.render();
+            return;
+        }
+        
+        // Handles of the current selection take priority over the objects beneath them
+        const handle = this.getHandleAtPosition(canvasPos.x, canvasPos.y);
+        if (handle) {
+            this.beginTransform(handle.type, canvasPos, handle.corner);
+            this.render();
+            return;
+        }
+        
+        // Then guides, which lie over the objects
+        const guide = this.getGuideAtPosition(canvasPos.x, canvasPos.y);
+        if (guide) {
+            this.isDragging = false;
+            this.beginGuideDrag(guide.axis, guide);
+            return;
+        }
+        
         // Find object under mouse
         const objectUnderMouse = this.getObjectAtPosition(canvasPos.x, canvasPos.y);
         
-        if (this.currentTool === 'select') {
-            if (objectUnderMouse) {
-                // Select object if not already selected
-                if (!this.selectedObjects.includes(objectUnderMouse)) {
-                    if (!e.ctrlKey && !e.metaKey) {
-                        this.clearSelection();
-                    }
-                    this.selectObject(objectUnderMouse.id);
-                }
-                this.dragTargetObject = objectUnderMouse;
-            } else {
-                // Click on empty space - clear selection
+        if (objectUnderMouse) {
+            // Select object if not already selected
+            if (!this.selectedObjects.includes(objectUnderMouse)) {
                 if (!e.ctrlKey && !e.metaKey) {
                     this.clearSelection();
                 }
+                this.selectObject(objectUnderMouse.id);
             }
+            this.dragTargetObject = objectUnderMouse;
+        } else if (this.currentTool === 'select' && !e.ctrlKey && !e.metaKey) {
+            // Click on empty space - clear selection
+            this.clearSelection();
+        }
+        
+        // Select drags objects it grabs; the other tools act on the selection wherever the drag starts
+        const mode = this.toolModes[this.currentTool];
+        if (mode && (objectUnderMouse || this.currentTool !== 'select')) {
+            this.beginTransform(mode, canvasPos);
         }
         
         this.render();
@@ -85,24 +239,28 @@ class CanvasEngine {
         const pos = this.getMousePos(e);
         const canvasPos = this.screenToCanvas(pos.x, pos.y);
         
-        if (this.isDragging && this.dragTargetObject && this.currentTool === 'select') {
-            // Calculate drag delta
-            const deltaX = canvasPos.x - this.dragStartPos.x;
-            const deltaY = canvasPos.y - this.dragStartPos.y;
-            
-            // Move selected objects
-            this.selectedObjects.forEach(obj => {
-                obj.x += deltaX;
-                obj.y += deltaY;
-            });
-            
-            this.dragStartPos = canvasPos;
-            this.render();
-            
-            // Emit object updated event
-            this.canvas.dispatchEvent(new CustomEvent('objectUpdated', {
-                detail: { objects: this.selectedObjects }
-            }));
+        if (this.viewPan) {
+            const { start, panX, panY } = this.viewPan;
+            this.setPan(panX + pos.x - start.x, panY + pos.y - start.y);
+            return;
+        }
+        if (this.spaceHeld || this.guideDrag) {
+            return;
+        }
+        
+        if (this.currentTool === 'pen' && this.penTool) {
+            this.penTool.handleMouseMove(canvasPos, e);
+            this.updateCursor(canvasPos);
+            return;
+        }
+        
+        if (this.isDragging && this.motionPaths && this.motionPaths.drag) {
+            this.motionPaths.updateDrag(canvasPos, e);
+            return;
+        }
+        
+        if (this.isDragging && this.transform) {
+            this.updateTransform(canvasPos, e);
         }
         
         // Update cursor based on what's under mouse
@@ -110,17 +268,391 @@ class CanvasEngine {
     }
 
     handleMouseUp(e) {
-        if (this.isDragging && this.dragTargetObject) {
-            // Emit movement complete event
-            this.canvas.dispatchEvent(new CustomEvent('objectMoved', {
-                detail: { objects: this.selectedObjects }
-            }));
+        if (this.viewPan) {
+            this.endViewPan();
+            return;
+        }
+        
+        if (this.penTool && (this.penTool.drag || this.currentTool === 'pen')) {
+            this.penTool.handleMouseUp();
+        }
+        
+        if (this.motionPaths && this.motionPaths.drag) {
+            this.motionPaths.endDrag();
+        }
+        
+        if (this.transform) {
+            this.endTransform();
         }
         
         this.isDragging = false;
         this.dragTargetObject = null;
     }
 
+    // Transform Tools
+    beginTransform(mode, pos, corner = null) {
+        const objects = this.getTopmostSelected().filter(obj => !this.isLockedInHierarchy(obj));
+        if (objects.length === 0) {
+            return;
+        }
+        
+        const frame = this.getSelectionFrame(objects);
+        this.transform = {
+            mode,
+            corner,
+            objects,
+            frame,
+            handles: this.getFrameHandles(frame),
+            startPos: pos,
+            startStates: new Map(objects.map(obj => [obj.id, this.captureTransformState(obj)])),
+            startMatrices: new Map(objects.map(obj => [obj.id, this.getWorldMatrix(obj)]))
+        };
+    }
+
+    updateTransform(pos, e) {
+        const { mode, objects, startStates } = this.transform;
+        
+        // Every update starts again from the drag-start state so modifiers can be toggled mid-drag
+        objects.forEach(obj => Object.assign(obj, startStates.get(obj.id)));
+        
+        switch (mode) {
+            case 'move':
+                this.applyMove(pos, e);
+                break;
+            case 'resize':
+                this.applyResize(pos, e);
+                break;
+            case 'rotate':
+                this.applyRotate(pos, e);
+                break;
+            case 'scale':
+                this.applyScale(pos);
+                break;
+        }
+        
+        this.render();
+        
+        // Emit object updated event
+        this.canvas.dispatchEvent(new CustomEvent('objectUpdated', {
+            detail: { objects }
+        }));
+    }
+
+    endTransform() {
+        const { mode, objects } = this.transform;
+        const changed = this.recordTransform();
+        this.transform = null;
+        this.transformFeedback = null;
+        this.smartGuides = [];
+        
+        if (changed) {
+            if (mode === 'move') {
+                // Emit movement complete event
+                this.canvas.dispatchEvent(new CustomEvent('objectMoved', {
+                    detail: { objects }
+                }));
+            }
+            
+            this.canvas.dispatchEvent(new CustomEvent('objectTransformed', {
+                detail: { objects, mode }
+            }));
+        }
+        
+        this.render();
+    }
+
+    cancelTransform() {
+        const { objects, startStates } = this.transform;
+        objects.forEach(obj => Object.assign(obj, startStates.get(obj.id)));
+        
+        this.transform = null;
+        this.transformFeedback = null;
+        this.smartGuides = [];
+        this.isDragging = false;
+        this.render();
+    }
+
+    applyMove(pos, e) {
+        const { objects, startPos } = this.transform;
+        let deltaX = pos.x - startPos.x;
+        let deltaY = pos.y - startPos.y;
+        const axes = { x: true, y: true };
+        
+        // Shift locks the move to the dominant axis
+        if (e.shiftKey) {
+            if (Math.abs(deltaX) > Math.abs(deltaY)) {
+                deltaY = 0;
+                axes.y = false;
+            } else {
+                deltaX = 0;
+                axes.x = false;
+            }
+        }
+        
+        // The selection's box snaps to guides, the stage, other objects and the grid; Alt moves
+        // freely. Targets are gathered once per drag, with the objects still where they started
+        this.smartGuides = [];
+        if ((this.snapping || this.snapToGrid) && !e.altKey) {
+            const transform = this.transform;
+            if (!transform.snapTargets) {
+                transform.snapTargets = this.snapping ? this.getSnapTargets(objects) : { x: [], y: [] };
+                transform.snapBounds = this.getObjectsBounds(objects);
+            }
+            
+            const start = transform.snapBounds;
+            const snap = this.snapBox({ ...start, x: start.x + deltaX, y: start.y + deltaY }, transform.snapTargets, axes);
+            deltaX += snap.x;
+            deltaY += snap.y;
+            this.smartGuides = this.getSmartGuides({ ...start, x: start.x + deltaX, y: start.y + deltaY }, transform.snapTargets);
+        }
+        
+        objects.forEach(obj => this.moveObjectBy(obj, deltaX, deltaY));
+        
+        const label = objects.length === 1
+            ? `X ${Math.round(objects[0].x)}  Y ${Math.round(objects[0].y)}`
+            : `ΔX ${Math.round(deltaX)}  ΔY ${Math.round(deltaY)}`;
+        this.setTransformFeedback(label, pos);
+    }
+
+    applyResize(pos, e) {
+        const { frame, handles, corner, objects } = this.transform;
+        const dragged = handles.corners[corner].local;
+        const { x, y, width, height } = frame.bounds;
+        
+        // Alt resizes around the centre, otherwise the opposite corner stays put
+        const anchor = e.altKey
+            ? { x: x + width / 2, y: y + height / 2 }
+            : handles.corners[(corner + 2) % 4].local;
+        
+        const local = frame.matrix.inverse().transformPoint(new DOMPoint(pos.x, pos.y));
+        let factorX = dragged.x !== anchor.x ? (local.x - anchor.x) / (dragged.x - anchor.x) : 1;
+        let factorY = dragged.y !== anchor.y ? (local.y - anchor.y) / (dragged.y - anchor.y) : 1;
+        
+        // Shift keeps the aspect ratio
+        if (e.shiftKey) {
+            factorX = factorY = Math.max(factorX, factorY);
+        }
+        
+        this.scaleSelection(Math.max(factorX, 0.01), Math.max(factorY, 0.01), anchor);
+        
+        const label = objects.length === 1
+            ? `${Math.round(objects[0].width * Math.abs(objects[0].scaleX))} × ${Math.round(objects[0].height * Math.abs(objects[0].scaleY))}`
+            : `${Math.round(factorX * 100)}% × ${Math.round(factorY * 100)}%`;
+        this.setTransformFeedback(label, pos);
+    }
+
+    applyScale(pos) {
+        const { frame, startPos } = this.transform;
+        const pivot = frame.pivot;
+        const startDistance = Math.hypot(startPos.x - pivot.x, startPos.y - pivot.y);
+        const factor = startDistance > 0
+            ? Math.max(Math.hypot(pos.x - pivot.x, pos.y - pivot.y) / startDistance, 0.01)
+            : 1;
+        
+        this.scaleSelection(factor, factor, frame.matrix.inverse().transformPoint(new DOMPoint(pivot.x, pivot.y)));
+        this.setTransformFeedback(`${Math.round(factor * 100)}%`, pos);
+    }
+
+    applyRotate(pos, e) {
+        const { frame, objects, startPos, startStates, startMatrices } = this.transform;
+        const pivot = frame.pivot;
+        const toDegrees = 180 / Math.PI;
+        let delta = (Math.atan2(pos.y - pivot.y, pos.x - pivot.x) -
+            Math.atan2(startPos.y - pivot.y, startPos.x - pivot.x)) * toDegrees;
+        
+        // Snap to 15° steps unless Alt is held (a single object snaps its absolute angle)
+        if (!e.altKey) {
+            const base = objects.length === 1 ? startStates.get(objects[0].id).rotation : 0;
+            delta = Math.round((base + delta) / this.rotationSnap) * this.rotationSnap - base;
+        }
+        
+        const radians = delta / toDegrees;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        
+        objects.forEach(obj => {
+            obj.rotation = startStates.get(obj.id).rotation + delta;
+            
+            // Swing each object's centre around the shared pivot
+            const centre = startMatrices.get(obj.id).transformPoint(new DOMPoint(0, 0));
+            const offsetX = centre.x - pivot.x;
+            const offsetY = centre.y - pivot.y;
+            this.placeContentPoint(obj, { x: 0, y: 0 }, {
+                x: pivot.x + offsetX * cos - offsetY * sin,
+                y: pivot.y + offsetX * sin + offsetY * cos
+            });
+        });
+        
+        const angle = objects.length === 1 ? objects[0].rotation : delta;
+        this.setTransformFeedback(`${Math.round(angle * 10) / 10}°`, pos);
+    }
+
+    // Resize the dragged objects by factors along the frame's axes, keeping anchor (frame space) fixed
+    scaleSelection(factorX, factorY, anchor) {
+        const { frame, objects, startStates, startMatrices } = this.transform;
+        const anchorWorld = frame.matrix.transformPoint(new DOMPoint(anchor.x, anchor.y));
+        
+        objects.forEach(obj => {
+            const start = startStates.get(obj.id);
+            const startMatrix = startMatrices.get(obj.id);
+            let ratioX = factorX;
+            let ratioY = factorY;
+            
+            if (this.resizesByScale(obj)) {
+                obj.scaleX = start.scaleX * factorX;
+                obj.scaleY = start.scaleY * factorY;
+                ratioX = ratioY = 1;
+            } else {
+                obj.width = Math.max(1, start.width * factorX);
+                obj.height = Math.max(1, start.height * factorY);
+                ratioX = obj.width / start.width;
+                ratioY = obj.height / start.height;
+            }
+            
+            if (objects.length === 1) {
+                // The frame is the object's own content space, so pin the anchor itself
+                this.placeContentPoint(obj, { x: anchor.x * ratioX, y: anchor.y * ratioY }, anchorWorld);
+            } else {
+                // Spread object centres away from the anchor along with the frame
+                const centre = startMatrix.transformPoint(new DOMPoint(0, 0));
+                this.placeContentPoint(obj, { x: 0, y: 0 }, {
+                    x: anchorWorld.x + (centre.x - anchorWorld.x) * factorX,
+                    y: anchorWorld.y + (centre.y - anchorWorld.y) * factorY
+                });
+            }
+        });
+    }
+
+    // Auto-sized text, paths and groups get their size from their content, so they are resized
+    // through scale; text in a fixed box is resized and rewraps
+    resizesByScale(obj) {
+        if (obj.type === 'text') {
+            return obj.autoSize !== false;
+        }
+        return ['group', 'path'].includes(obj.type);
+    }
+
+    // Move an object so a point in its content space lands on a scene-space point
+    placeContentPoint(obj, contentPoint, scenePoint) {
+        const current = this.getWorldMatrix(obj).transformPoint(new DOMPoint(contentPoint.x, contentPoint.y));
+        this.moveObjectBy(obj, scenePoint.x - current.x, scenePoint.y - current.y);
+    }
+
+    captureTransformState(obj) {
+        return {
+            x: obj.x,
+            y: obj.y,
+            width: obj.width,
+            height: obj.height,
+            rotation: obj.rotation,
+            scaleX: obj.scaleX,
+            scaleY: obj.scaleY
+        };
+    }
+
+    // Record the finished drag as one undo step; returns whether anything changed
+    recordTransform() {
+        const { mode, objects, startStates } = this.transform;
+        const before = [];
+        const after = [];
+        
+        objects.forEach(obj => {
+            const start = startStates.get(obj.id);
+            const end = this.captureTransformState(obj);
+            if (Object.keys(end).some(key => end[key] !== start[key])) {
+                before.push({ id: obj.id, state: start });
+                after.push({ id: obj.id, state: end });
+            }
+        });
+        
+        if (after.length === 0) {
+            return false;
+        }
+        
+        const verb = { move: 'Move', resize: 'Resize', rotate: 'Rotate', scale: 'Scale' }[mode];
+        this.recordHistory(
+            after.length === 1 ? `${verb} ${this.getObject(after[0].id).name}` : `${verb} ${after.length} objects`,
+            () => before.forEach(({ id, state }) => this.updateObject(id, state)),
+            () => after.forEach(({ id, state }) => this.updateObject(id, state))
+        );
+        return true;
+    }
+
+    setTransformFeedback(text, pos) {
+        this.transformFeedback = { text, x: pos.x, y: pos.y };
+    }
+
+    // The box transform handles are drawn on: a single object's own rotated box, or the
+    // scene-aligned box around a multi-selection
+    getSelectionFrame(objects = this.getTopmostSelected()) {
+        if (objects.length === 0) {
+            return null;
+        }
+        
+        if (objects.length === 1) {
+            const obj = objects[0];
+            return {
+                matrix: this.getWorldMatrix(obj),
+                bounds: this.getLocalBounds(obj),
+                pivot: this.getWorldPivot(obj)
+            };
+        }
+        
+        const corners = [];
+        objects.forEach(obj => corners.push(...this.getOrientedCorners(obj)));
+        const box = this.getPointBounds(corners);
+        const centre = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+        
+        return {
+            matrix: new DOMMatrix().translate(centre.x, centre.y),
+            bounds: { x: -box.width / 2, y: -box.height / 2, width: box.width, height: box.height },
+            pivot: centre
+        };
+    }
+
+    // Corner handles (clockwise from top-left) and the rotation handle for a frame
+    getFrameHandles(frame) {
+        const { x, y, width, height } = frame.bounds;
+        const toScene = point => frame.matrix.transformPoint(new DOMPoint(point.x, point.y));
+        
+        const corners = [
+            { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+        ].map(local => ({ local, scene: toScene(local) }));
+        
+        // The rotation handle sits a fixed screen distance beyond the top edge
+        const top = toScene({ x: x + width / 2, y });
+        const centre = toScene({ x: x + width / 2, y: y + height / 2 });
+        const length = Math.hypot(top.x - centre.x, top.y - centre.y);
+        const direction = length > 0
+            ? { x: (top.x - centre.x) / length, y: (top.y - centre.y) / length }
+            : { x: 0, y: -1 };
+        const offset = this.rotateHandleOffset / this.zoom;
+        
+        return {
+            corners,
+            top,
+            rotate: { x: top.x + direction.x * offset, y: top.y + direction.y * offset }
+        };
+    }
+
+    getHandleAtPosition(x, y) {
+        const objects = this.getTopmostSelected().filter(obj => !this.isLockedInHierarchy(obj));
+        if (objects.length === 0) {
+            return null;
+        }
+        
+        const handles = this.getFrameHandles(this.getSelectionFrame(objects));
+        const reach = this.handleSize / this.zoom;
+        const isNear = point => Math.hypot(point.x - x, point.y - y) <= reach;
+        
+        if (isNear(handles.rotate)) {
+            return { type: 'rotate' };
+        }
+        
+        const corner = handles.corners.findIndex(handle => isNear(handle.scene));
+        return corner !== -1 ? { type: 'resize', corner } : null;
+    }
+
     handleClick(e) {
         // Click handling is done in mousedown to prevent conflicts
     }
@@ -128,6 +660,12 @@ class CanvasEngine {
     handleDoubleClick(e) {
         const pos = this.getMousePos(e);
         const canvasPos = this.screenToCanvas(pos.x, pos.y);
+        
+        if (this.currentTool === 'pen' && this.penTool) {
+            this.penTool.finish();
+            return;
+        }
+        
         const objectUnderMouse = this.getObjectAtPosition(canvasPos.x, canvasPos.y);
         
         if (objectUnderMouse && objectUnderMouse.type === 'text') {
@@ -137,13 +675,22 @@ class CanvasEngine {
     }
 
     handleKeyDown(e) {
+        if (this.currentTool === 'pen' && this.penTool && this.penTool.handleKeyDown(e)) {
+            e.preventDefault();
+            return;
+        }
+        
         switch (e.key) {
             case 'Delete':
             case 'Backspace':
                 this.deleteSelectedObjects();
                 break;
             case 'Escape':
-                this.clearSelection();
+                if (this.transform) {
+                    this.cancelTransform();
+                } else {
+                    this.clearSelection();
+                }
                 break;
             case 'a':
                 if (e.ctrlKey || e.metaKey) {
@@ -157,6 +704,42 @@ class CanvasEngine {
                     this.duplicateSelectedObjects();
                 }
                 break;
+            case 'm':
+            case 'M':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.releaseSelectedMasks();
+                    } else {
+                        this.maskSelectedObjects();
+                    }
+                }
+                break;
+            case 'g':
+            case 'G':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.ungroupSelectedObjects();
+                    } else {
+                        this.groupSelectedObjects();
+                    }
+                }
+                break;
+            case ']':
+            case '}':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.restackSelectedObjects(e.shiftKey ? 'front' : 'forward');
+                }
+                break;
+            case '[':
+            case '{':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.restackSelectedObjects(e.shiftKey ? 'back' : 'backward');
+                }
+                break;
         }
     }
 
@@ -198,6 +781,9 @@ class CanvasEngine {
             opacity: properties.opacity !== undefined ? properties.opacity : 1,
             visible: properties.visible !== undefined ? properties.visible : true,
             locked: properties.locked || false,
+            originX: properties.originX ?? 0.5,
+            originY: properties.originY ?? 0.5,
+            parentId: properties.parentId || null,
             name: properties.name || `${type}_${this.objects.length + 1}`,
             ...properties
         };
@@ -205,6 +791,13 @@ class CanvasEngine {
         this.objects.push(obj);
         this.selectObject(obj.id);
         
+        const index = this.objects.length - 1;
+        this.recordHistory(
+            `Add ${obj.name}`,
+            () => this.deleteObject(obj.id),
+            () => this.restoreObject(obj, index)
+        );
+        
         // Emit object created event
         this.canvas.dispatchEvent(new CustomEvent('objectCreated', {
             detail: { object: obj }
@@ -214,7 +807,7 @@ class CanvasEngine {
         return obj;
     }
 
-    addImageObject(src, x, y) {
+    addImageObject(src, x, y, properties = {}) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => {
@@ -224,7 +817,8 @@ class CanvasEngine {
                     width: img.naturalWidth,
                     height: img.naturalHeight,
                     originalWidth: img.naturalWidth,
-                    originalHeight: img.naturalHeight
+                    originalHeight: img.naturalHeight,
+                    ...properties
                 });
                 resolve(obj);
             };
@@ -243,7 +837,11 @@ class CanvasEngine {
             color: '#ffffff',
             textAlign: 'left',
             fontWeight: 'normal',
-            fontStyle: 'normal'
+            fontStyle: 'normal',
+            lineHeight: 1.2,
+            letterSpacing: 0,
+            autoSize: true,
+            verticalAlign: 'top'
         });
         
         // Measure text to set appropriate width/height
@@ -251,26 +849,63 @@ class CanvasEngine {
         return obj;
     }
 
-    addShapeObject(shape, x, y) {
+    // Shapes are drawn inside their width × height box; see CanvasEngine.shapeTypes
+    addShapeObject(shape, x, y, properties = {}) {
+        const kind = CanvasEngine.shapeTypes[shape] ? shape : 'rectangle';
+        const { width, height, parameters } = CanvasEngine.shapeTypes[kind];
+        const isLine = kind === 'line' || kind === 'arrow';
+        
         const obj = this.createObject('shape', x, y, {
-            shape: shape || 'rectangle',
+            shape: kind,
+            width,
+            height,
             fill: '#4CAF50',
-            stroke: '#333333',
-            strokeWidth: 2,
-            radius: 50 // for circles
+            stroke: isLine ? '#4CAF50' : '#333333',
+            strokeWidth: isLine ? 4 : 2,
+            ...parameters,
+            ...properties
+        });
+        return obj;
+    }
+
+    // Names of the keyframeable parameters of a shape object, e.g. ['sides'] for polygons
+    getShapeParameters(obj) {
+        const shapeType = obj.type === 'shape' && CanvasEngine.shapeTypes[obj.shape];
+        return shapeType ? Object.keys(shapeType.parameters) : [];
+    }
+
+    // points: anchors { x, y, inX, inY, outX, outY } in scene coordinates (handles are offsets)
+    addPathObject(points, properties = {}) {
+        const bounds = this.getPointBounds(points);
+        const obj = this.createObject('path', bounds.x, bounds.y, {
+            width: Math.max(1, bounds.width),
+            height: Math.max(1, bounds.height),
+            points: points.map(point => ({
+                inX: 0, inY: 0, outX: 0, outY: 0,
+                ...point,
+                x: point.x - bounds.x,
+                y: point.y - bounds.y
+            })),
+            closed: false,
+            fill: 'none',
+            stroke: '#00d4ff',
+            strokeWidth: 3,
+            lineCap: 'round',
+            lineJoin: 'round',
+            lineDash: [],
+            ...properties
         });
+        this.fitPathBounds(obj);
         return obj;
     }
 
+    // Auto-sized text fits its box to its lines; fixed boxes keep their size and wrap instead
     updateTextMetrics(textObj) {
-        if (textObj.type !== 'text') return;
+        if (textObj.type !== 'text' || textObj.autoSize === false) return;
         
-        this.ctx.save();
-        this.ctx.font = `${textObj.fontWeight} ${textObj.fontStyle} ${textObj.fontSize}px ${textObj.fontFamily}`;
-        const metrics = this.ctx.measureText(textObj.text);
-        textObj.width = metrics.width;
-        textObj.height = textObj.fontSize * 1.2; // Approximate height
-        this.ctx.restore();
+        const layout = TextLayout.layout(textObj, this.ctx);
+        textObj.width = Math.max(1, layout.width);
+        textObj.height = layout.height;
     }
 
     getObject(id) {
@@ -280,15 +915,29 @@ class CanvasEngine {
     updateObject(id, properties) {
         const obj = this.getObject(id);
         if (obj) {
+            const previous = {};
+            for (const key in properties) {
+                previous[key] = obj[key];
+            }
+            
             Object.assign(obj, properties);
             
             // Update text metrics if text properties changed
-            if (obj.type === 'text' && ('text' in properties || 'fontSize' in properties)) {
+            if (obj.type === 'text' && TextLayout.layoutProperties.some(key => key in properties)) {
                 this.updateTextMetrics(obj);
             }
             
             this.render();
             
+            // Repeated edits of the same properties (slider drags, typing) merge into one step
+            const keys = Object.keys(properties);
+            this.recordHistory(
+                `Change ${obj.name} ${keys.join(', ')}`,
+                () => this.updateObject(id, previous),
+                () => this.updateObject(id, properties),
+                { coalesceKey: `object:${id}:${keys.join(',')}` }
+            );
+            
             // Emit object updated event
             this.canvas.dispatchEvent(new CustomEvent('objectUpdated', {
                 detail: { object: obj }
@@ -297,10 +946,21 @@ class CanvasEngine {
     }
 
     deleteObject(id) {
+        const children = this.getChildren(id);
+        if (children.length > 0) {
+            // Children go first so undo brings the parent back before them
+            this.withHistoryGroup(`Delete ${this.getObject(id).name}`, () => {
+                children.forEach(child => this.deleteObject(child.id));
+                this.deleteObject(id);
+            });
+            return;
+        }
+
         const index = this.objects.findIndex(obj => obj.id === id);
         if (index !== -1) {
             const obj = this.objects[index];
             this.objects.splice(index, 1);
+            this.soloIds.delete(id);
             
             // Remove from selection if selected
             const selectedIndex = this.selectedObjects.indexOf(obj);
@@ -310,6 +970,12 @@ class CanvasEngine {
             
             this.render();
             
+            this.recordHistory(
+                `Delete ${obj.name}`,
+                () => this.restoreObject(obj, index),
+                () => this.deleteObject(id)
+            );
+            
             // Emit object deleted event
             this.canvas.dispatchEvent(new CustomEvent('objectDeleted', {
                 detail: { object: obj }
@@ -317,32 +983,643 @@ class CanvasEngine {
         }
     }
 
+    // Put a previously removed object back at its stacking position
+    restoreObject(obj, index = this.objects.length) {
+        if (this.getObject(obj.id)) {
+            return;
+        }
+        
+        this.objects.splice(Math.min(index, this.objects.length), 0, obj);
+        this.render();
+        
+        this.canvas.dispatchEvent(new CustomEvent('objectCreated', {
+            detail: { object: obj }
+        }));
+    }
+
     duplicateSelectedObjects() {
         const duplicates = [];
         
-        this.selectedObjects.forEach(obj => {
-            const duplicate = {
-                ...obj,
-                id: this.generateId(),
-                x: obj.x + 20,
-                y: obj.y + 20,
-                name: obj.name + '_copy'
-            };
-            
-            this.objects.push(duplicate);
-            duplicates.push(duplicate);
-        });
-        
+        const added = [];
+
+        this.getTopmostSelected().forEach(obj => {
+            // Copy the whole subtree so groups duplicate with their children
+            const copies = this.cloneSubtree(obj, obj.parentId);
+            copies[0].x = obj.x + 20;
+            copies[0].y = obj.y + 20;
+            copies[0].name = obj.name + '_copy';
+
+            this.objects.push(...copies);
+            added.push(...copies);
+            duplicates.push(copies[0]);
+        });
+
         if (duplicates.length > 0) {
+            const indices = added.map(obj => this.objects.indexOf(obj));
+            this.recordHistory(
+                duplicates.length === 1 ? `Duplicate ${duplicates[0].name}` : `Duplicate ${duplicates.length} objects`,
+                () => added.forEach(obj => this.deleteObject(obj.id)),
+                () => added.forEach((obj, i) => this.restoreObject(obj, indices[i]))
+            );
+
             this.clearSelection();
             duplicates.forEach(obj => this.selectObject(obj.id));
             this.render();
         }
     }
 
+    // Locked objects, and groups holding any, are left alone
     deleteSelectedObjects() {
-        const idsToDelete = this.selectedObjects.map(obj => obj.id);
-        idsToDelete.forEach(id => this.deleteObject(id));
+        const deletable = this.selectedObjects.filter(obj =>
+            !this.isLockedInHierarchy(obj) && !this.getDescendants(obj.id).some(descendant => descendant.locked)
+        );
+        const idsToDelete = deletable.map(obj => obj.id);
+        if (idsToDelete.length === 0) {
+            return;
+        }
+        
+        this.withHistoryGroup(
+            idsToDelete.length === 1 ? `Delete ${deletable[0].name}` : `Delete ${idsToDelete.length} objects`,
+            () => idsToDelete.forEach(id => this.deleteObject(id))
+        );
+    }
+
+    // Hierarchy
+    getParent(obj) {
+        return obj.parentId ? this.getObject(obj.parentId) || null : null;
+    }
+
+    getChildren(id) {
+        return this.objects.filter(obj => obj.parentId === id);
+    }
+
+    getRootObjects() {
+        return this.objects.filter(obj => !this.getParent(obj));
+    }
+
+    getDescendants(id) {
+        const descendants = [];
+        this.getChildren(id).forEach(child => {
+            descendants.push(child, ...this.getDescendants(child.id));
+        });
+        return descendants;
+    }
+
+    isAncestorOf(ancestorId, obj) {
+        for (let parent = this.getParent(obj); parent; parent = this.getParent(parent)) {
+            if (parent.id === ancestorId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Objects in the order they are drawn: each parent followed by its subtree
+    getDrawOrder() {
+        const order = [];
+        const visit = obj => {
+            order.push(obj);
+            this.getChildren(obj.id).forEach(visit);
+        };
+        this.getRootObjects().forEach(visit);
+        return order;
+    }
+
+    // Selected objects whose ancestors are not also selected
+    getTopmostSelected() {
+        return this.selectedObjects.filter(obj =>
+            !this.selectedObjects.some(other => other !== obj && this.isAncestorOf(other.id, obj))
+        );
+    }
+
+    // Pivot for rotation and scale, as a fraction of the object's size (0.5 = centre)
+    getOrigin(obj) {
+        return {
+            originX: obj.originX ?? 0.5,
+            originY: obj.originY ?? 0.5
+        };
+    }
+
+    // Maps the object's content space (origin at its centre) into its parent's space,
+    // rotating and scaling around the pivot
+    getLocalMatrix(obj) {
+        const { originX, originY } = this.getOrigin(obj);
+        const pivotX = originX * obj.width;
+        const pivotY = originY * obj.height;
+
+        return new DOMMatrix()
+            .translate(obj.x + pivotX, obj.y + pivotY)
+            .rotate(obj.rotation || 0)
+            .scale(obj.scaleX ?? 1, obj.scaleY ?? 1)
+            .translate(obj.width / 2 - pivotX, obj.height / 2 - pivotY);
+    }
+
+    // Maps the object's content space to scene space
+    getWorldMatrix(obj) {
+        const parent = this.getParent(obj);
+        const local = this.getLocalMatrix(obj);
+        return parent ? this.getChildSpaceMatrix(parent).multiply(local) : local;
+    }
+
+    // Children are positioned relative to their parent's top-left corner
+    getChildSpaceMatrix(parent) {
+        return this.getWorldMatrix(parent).translate(-parent.width / 2, -parent.height / 2);
+    }
+
+    getWorldOpacity(obj) {
+        let opacity = obj.opacity ?? 1;
+        for (let parent = this.getParent(obj); parent; parent = this.getParent(parent)) {
+            opacity *= parent.opacity ?? 1;
+        }
+        return opacity;
+    }
+
+    isVisibleInHierarchy(obj) {
+        for (let current = obj; current; current = this.getParent(current)) {
+            if (!current.visible) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Locking a group locks everything in it
+    isLockedInHierarchy(obj) {
+        for (let current = obj; current; current = this.getParent(current)) {
+            if (current.locked) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Box in the object's content space; groups wrap their children
+    getLocalBounds(obj) {
+        const children = this.getChildren(obj.id);
+        if (obj.type !== 'group' || children.length === 0) {
+            return { x: -obj.width / 2, y: -obj.height / 2, width: obj.width, height: obj.height };
+        }
+
+        const toLocal = this.getWorldMatrix(obj).inverse();
+        const points = [];
+        children.forEach(child => {
+            this.getOrientedCorners(child).forEach(corner => points.push(toLocal.transformPoint(corner)));
+        });
+        return this.getPointBounds(points);
+    }
+
+    // Scene-space corners of the object's box, following rotation, scale and parents
+    getOrientedCorners(obj) {
+        const matrix = this.getWorldMatrix(obj);
+        const { x, y, width, height } = this.getLocalBounds(obj);
+        return [
+            [x, y], [x + width, y], [x + width, y + height], [x, y + height]
+        ].map(([px, py]) => matrix.transformPoint(new DOMPoint(px, py)));
+    }
+
+    // Axis-aligned scene-space bounds
+    getWorldBounds(obj) {
+        return this.getPointBounds(this.getOrientedCorners(obj));
+    }
+
+    getObjectsBounds(objects) {
+        const corners = [];
+        objects.forEach(obj => corners.push(...this.getOrientedCorners(obj)));
+        return this.getPointBounds(corners);
+    }
+
+    getPointBounds(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+
+    // Outline of the object in scene space, e.g. for objects following it as a motion path.
+    // Boxes are closed loops starting at their top-left; shapes follow getShapeOutline and
+    // paths their curve from the first anchor
+    getOutlinePoints(obj) {
+        const matrix = this.getWorldMatrix(obj);
+        let points;
+        
+        if (obj.type === 'path') {
+            points = this.samplePath(obj).map(point => new DOMPoint(point.x - obj.width / 2, point.y - obj.height / 2));
+            return {
+                points: points.map(point => matrix.transformPoint(point)),
+                closed: Boolean(obj.closed)
+            };
+        }
+        
+        if (obj.type === 'shape' && obj.shape !== 'rectangle') {
+            const outline = this.getShapeOutline(obj);
+            return {
+                points: outline.points.map(point => matrix.transformPoint(new DOMPoint(point.x, point.y))),
+                closed: outline.closed
+            };
+        } else {
+            const { x, y, width, height } = this.getLocalBounds(obj);
+            points = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+                .map(([px, py]) => new DOMPoint(px, py));
+        }
+        
+        return {
+            points: points.map(point => matrix.transformPoint(point)),
+            closed: true
+        };
+    }
+
+    // Scene-space position of the object's pivot
+    getWorldPivot(obj) {
+        const { originX, originY } = this.getOrigin(obj);
+        return this.getWorldMatrix(obj).transformPoint(
+            new DOMPoint((originX - 0.5) * obj.width, (originY - 0.5) * obj.height)
+        );
+    }
+
+    // Turn a local-to-parent matrix back into x/y/rotation/scale for an object of the
+    // given size and pivot
+    decomposeMatrix(matrix, obj) {
+        const round = value => Math.round(value * 1e6) / 1e6;
+        const scaleX = Math.hypot(matrix.a, matrix.b);
+        const scaleY = scaleX ? (matrix.a * matrix.d - matrix.b * matrix.c) / scaleX : 0;
+
+        // The matrix ends with a shift from the pivot to the centre; undo it to find the pivot
+        const { originX, originY } = this.getOrigin(obj);
+        const pivotX = originX * obj.width;
+        const pivotY = originY * obj.height;
+        const offsetX = obj.width / 2 - pivotX;
+        const offsetY = obj.height / 2 - pivotY;
+
+        return {
+            x: round(matrix.e - (matrix.a * offsetX + matrix.c * offsetY) - pivotX),
+            y: round(matrix.f - (matrix.b * offsetX + matrix.d * offsetY) - pivotY),
+            rotation: round(Math.atan2(matrix.b, matrix.a) * 180 / Math.PI),
+            scaleX: round(scaleX),
+            scaleY: round(scaleY)
+        };
+    }
+
+    // Reparent an object without moving it on screen; parentId null moves it to the root
+    setParent(id, parentId) {
+        const obj = this.getObject(id);
+        const parent = parentId ? this.getObject(parentId) : null;
+        if (!obj || (parentId && (!parent || parent === obj || this.isAncestorOf(obj.id, parent)))) {
+            return false;
+        }
+        if ((obj.parentId || null) === (parentId || null)) {
+            return true;
+        }
+
+        // From the old parent's space to the new one's, for the object and its keyframes alike
+        const oldParent = this.getParent(obj);
+        const oldSpace = oldParent ? this.getChildSpaceMatrix(oldParent) : new DOMMatrix();
+        const parentSpace = parent ? this.getChildSpaceMatrix(parent) : new DOMMatrix();
+        const matrix = parentSpace.inverse().multiply(oldSpace);
+        const transform = this.decomposeMatrix(matrix.multiply(this.getLocalMatrix(obj)), obj);
+
+        this.withHistoryGroup(`Reparent ${obj.name}`, () => {
+            this.convertTransformKeyframes(
+                obj,
+                state => this.decomposeMatrix(matrix.multiply(this.getLocalMatrix(state)), state),
+                matrix
+            );
+            this.updateObject(id, { parentId: parentId || null, ...transform });
+        });
+        return true;
+    }
+
+    // Rewrite the object's transform keyframes to what convert returns for the object as keyed
+    // at each one's time, so animated objects don't jump. Spatial tangents turn with matrix
+    convertTransformKeyframes(obj, convert, matrix = new DOMMatrix()) {
+        const timeline = this.timeline;
+        if (!timeline) {
+            return;
+        }
+
+        // Work out every value first: writing one changes the keyed state the others come from
+        const updates = new Map();
+        ['x', 'y', 'rotation', 'scaleX', 'scaleY'].forEach(property => {
+            timeline.getChannel(obj.id, property).forEach(keyframe => {
+                const state = { ...obj, ...timeline.getObjectStateAtTime(obj.id, keyframe.time) };
+                let value = convert(state)[property];
+                if (value === undefined) {
+                    return;
+                }
+                if (property === 'rotation') {
+                    // Keep whole turns; only the change of angle is applied
+                    value = keyframe.value + ((value - keyframe.value) % 360 + 540) % 360 - 180;
+                }
+                updates.set(keyframe, { value });
+            });
+        });
+
+        // Tangents are x/y vectors made of the two axes' keyframes at the same time
+        const yChannel = timeline.getChannel(obj.id, 'y');
+        timeline.getChannel(obj.id, 'x').forEach(xKey => {
+            const yKey = yChannel.find(keyframe => Math.abs(keyframe.time - xKey.time) < 0.01);
+            ['spatialIn', 'spatialOut'].forEach(side => {
+                const dx = xKey[side] || 0;
+                const dy = (yKey && yKey[side]) || 0;
+                if (dx || dy) {
+                    updates.get(xKey)[side] = matrix.a * dx + matrix.c * dy;
+                    if (yKey) {
+                        updates.get(yKey)[side] = matrix.b * dx + matrix.d * dy;
+                    }
+                }
+            });
+        });
+
+        updates.forEach((props, keyframe) => timeline.updateKeyframe(keyframe.id, props));
+    }
+
+    // Move the pivot without moving the object on screen
+    setOrigin(id, originX, originY) {
+        const obj = this.getObject(id);
+        if (!obj) {
+            return;
+        }
+
+        const clamp = value => Math.max(0, Math.min(1, value));
+        const origin = { originX: clamp(originX), originY: clamp(originY) };
+        const { x, y } = this.decomposeMatrix(this.getLocalMatrix(obj), { ...obj, ...origin });
+
+        this.withHistoryGroup(`Move pivot of ${obj.name}`, () => {
+            this.convertTransformKeyframes(obj, state => {
+                const moved = this.decomposeMatrix(this.getLocalMatrix(state), { ...state, ...origin });
+                return { x: moved.x, y: moved.y };
+            });
+            this.updateObject(id, { ...origin, x, y });
+        });
+    }
+
+    // Stacking Order
+    // Siblings draw in the order they appear in objects; a parent's children stack within it
+    getSiblings(obj) {
+        const parent = this.getParent(obj);
+        return parent ? this.getChildren(parent.id) : this.getRootObjects();
+    }
+
+    restackSelectedObjects(direction) {
+        return this.restackObjects(this.getTopmostSelected().map(obj => obj.id), direction);
+    }
+
+    // Move objects among their siblings: 'forward' and 'backward' one step past the nearest
+    // sibling that isn't moving, 'front' and 'back' all the way. Moving objects keep their order
+    restackObjects(ids, direction) {
+        const moving = new Set(ids.map(id => this.getObject(id)).filter(Boolean));
+        const label = CanvasEngine.restackLabels[direction];
+        if (moving.size === 0 || !label) {
+            return false;
+        }
+
+        const previous = this.objects.map(obj => obj.id);
+        const families = new Set([...moving].map(obj => this.getSiblings(obj)[0]));
+        families.forEach(first => {
+            const siblings = this.getSiblings(first);
+            const order = [...siblings];
+            if (direction === 'front' || direction === 'back') {
+                const others = order.filter(obj => !moving.has(obj));
+                const movers = order.filter(obj => moving.has(obj));
+                order.splice(0, order.length, ...(direction === 'front' ? [...others, ...movers] : [...movers, ...others]));
+            } else if (direction === 'forward') {
+                for (let i = order.length - 2; i >= 0; i--) {
+                    if (moving.has(order[i]) && !moving.has(order[i + 1])) {
+                        [order[i], order[i + 1]] = [order[i + 1], order[i]];
+                    }
+                }
+            } else {
+                for (let i = 1; i < order.length; i++) {
+                    if (moving.has(order[i]) && !moving.has(order[i - 1])) {
+                        [order[i], order[i - 1]] = [order[i - 1], order[i]];
+                    }
+                }
+            }
+
+            // The family keeps the array slots it had, only in its new order
+            const slots = siblings.map(obj => this.objects.indexOf(obj));
+            order.forEach((obj, i) => {
+                this.objects[slots[i]] = obj;
+            });
+        });
+
+        if (this.objects.every((obj, i) => obj.id === previous[i])) {
+            return false;
+        }
+        const name = moving.size === 1 ? `${label} ${[...moving][0].name}` : `${label} ${moving.size} objects`;
+        this.recordObjectOrder(name, previous);
+        return true;
+    }
+
+    // Restack an object next to target, in front of it ('above') or behind it ('below'), taking
+    // target's parent; or put it inside target, in front of target's children ('inside')
+    placeObject(id, targetId, placement) {
+        const obj = this.getObject(id);
+        const target = this.getObject(targetId);
+        if (!obj || !target || obj === target || this.isAncestorOf(obj.id, target)) {
+            return false;
+        }
+
+        const parent = placement === 'inside' ? target : this.getParent(target);
+        return this.withHistoryGroup(`Move ${obj.name}`, () => {
+            const previous = this.objects.map(other => other.id);
+            if (!this.setParent(obj.id, parent ? parent.id : null)) {
+                return false;
+            }
+
+            this.objects.splice(this.objects.indexOf(obj), 1);
+            if (placement === 'inside') {
+                this.objects.push(obj);
+            } else {
+                this.objects.splice(this.objects.indexOf(target) + (placement === 'above' ? 1 : 0), 0, obj);
+            }
+
+            if (!this.objects.every((other, i) => other.id === previous[i])) {
+                this.recordObjectOrder(`Move ${obj.name}`, previous);
+            }
+            return true;
+        });
+    }
+
+    // Record a stacking change; previous is the ids in their order before it
+    recordObjectOrder(name, previous) {
+        const next = this.objects.map(obj => obj.id);
+        this.recordHistory(
+            name,
+            () => this.applyObjectOrder(previous),
+            () => this.applyObjectOrder(next)
+        );
+        this.render();
+        this.emitObjectsReordered();
+    }
+
+    // Put objects into the order of ids, in place
+    applyObjectOrder(ids) {
+        const rank = new Map(ids.map((id, i) => [id, i]));
+        this.objects.sort((a, b) => (rank.get(a.id) ?? ids.length) - (rank.get(b.id) ?? ids.length));
+        this.render();
+        this.emitObjectsReordered();
+    }
+
+    emitObjectsReordered() {
+        this.canvas.dispatchEvent(new CustomEvent('objectsReordered', {
+            detail: { objects: this.objects }
+        }));
+    }
+
+    // Solo
+    toggleSolo(id) {
+        if (this.soloIds.has(id)) {
+            this.soloIds.delete(id);
+        } else if (this.getObject(id)) {
+            this.soloIds.add(id);
+        }
+        this.render();
+        this.canvas.dispatchEvent(new CustomEvent('soloChanged', {
+            detail: { soloIds: [...this.soloIds] }
+        }));
+    }
+
+    clearSolo() {
+        if (this.soloIds.size > 0) {
+            this.soloIds.clear();
+            this.render();
+            this.canvas.dispatchEvent(new CustomEvent('soloChanged', {
+                detail: { soloIds: [] }
+            }));
+        }
+    }
+
+    // Whether solo leaves the object showing: it or one of its ancestors is soloed
+    isSoloed(obj) {
+        if (this.soloIds.size === 0) {
+            return true;
+        }
+        for (let current = obj; current; current = this.getParent(current)) {
+            if (this.soloIds.has(current.id)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Parents of soloed objects are drawn for their transform, without their own content
+    hasSoloedDescendant(obj) {
+        return this.soloIds.size > 0 && this.getDescendants(obj.id).some(descendant => this.soloIds.has(descendant.id));
+    }
+
+    // Translate an object by a scene-space delta, whatever its parent's transform
+    moveObjectBy(obj, deltaX, deltaY) {
+        const parent = this.getParent(obj);
+        if (!parent) {
+            obj.x += deltaX;
+            obj.y += deltaY;
+            return;
+        }
+
+        const toParent = this.getChildSpaceMatrix(parent).inverse();
+        const origin = toParent.transformPoint(new DOMPoint(0, 0));
+        const moved = toParent.transformPoint(new DOMPoint(deltaX, deltaY));
+        obj.x += moved.x - origin.x;
+        obj.y += moved.y - origin.y;
+    }
+
+    groupSelectedObjects() {
+        return this.groupObjects(this.getTopmostSelected().map(obj => obj.id));
+    }
+
+    groupObjects(ids) {
+        const candidates = ids.map(id => this.getObject(id)).filter(Boolean);
+        const members = candidates.filter(obj =>
+            !candidates.some(other => other !== obj && this.isAncestorOf(other.id, obj))
+        );
+        if (members.length === 0) {
+            return null;
+        }
+
+        // Members sharing a parent stay under it; otherwise the group goes to the root
+        const parentId = members.every(obj => obj.parentId === members[0].parentId) ? members[0].parentId : null;
+        const parent = parentId ? this.getObject(parentId) : null;
+        const toParent = parent ? this.getChildSpaceMatrix(parent).inverse() : new DOMMatrix();
+
+        const corners = [];
+        members.forEach(obj => {
+            this.getOrientedCorners(obj).forEach(corner => corners.push(toParent.transformPoint(corner)));
+        });
+        const minX = Math.min(...corners.map(point => point.x));
+        const minY = Math.min(...corners.map(point => point.y));
+
+        const group = {
+            id: this.generateId(),
+            type: 'group',
+            x: minX,
+            y: minY,
+            width: Math.max(...corners.map(point => point.x)) - minX,
+            height: Math.max(...corners.map(point => point.y)) - minY,
+            rotation: 0,
+            scaleX: 1,
+            scaleY: 1,
+            opacity: 1,
+            visible: true,
+            locked: false,
+            originX: 0.5,
+            originY: 0.5,
+            parentId,
+            name: `group_${this.objects.filter(obj => obj.type === 'group').length + 1}`
+        };
+
+        // The group takes the stacking position of its topmost member
+        const index = Math.max(...members.map(obj => this.objects.indexOf(obj))) + 1;
+
+        this.withHistoryGroup(`Group ${members.length} objects`, () => {
+            this.restoreObject(group, index);
+            this.recordHistory(
+                `Add ${group.name}`,
+                () => this.deleteObject(group.id),
+                () => this.restoreObject(group, index)
+            );
+            members.forEach(obj => this.setParent(obj.id, group.id));
+        });
+
+        this.clearSelection();
+        this.selectObject(group.id);
+        return group;
+    }
+
+    ungroupSelectedObjects() {
+        const groups = this.selectedObjects.filter(obj => obj.type === 'group');
+        if (groups.length === 0) {
+            return;
+        }
+
+        const released = [];
+        this.withHistoryGroup(groups.length === 1 ? `Ungroup ${groups[0].name}` : `Ungroup ${groups.length} groups`, () => {
+            groups.forEach(group => {
+                this.getChildren(group.id).forEach(child => {
+                    this.setParent(child.id, group.parentId);
+                    released.push(child);
+                });
+                this.deleteObject(group.id);
+            });
+        });
+
+        this.clearSelection();
+        released.forEach(obj => this.selectObject(obj.id));
+    }
+
+    // Deep copy of an object and its descendants with fresh ids
+    cloneSubtree(obj, parentId) {
+        const copy = { ...obj, id: this.generateId(), parentId: parentId || null };
+        const copies = [copy];
+        this.getChildren(obj.id).forEach(child => {
+            copies.push(...this.cloneSubtree(child, copy.id));
+        });
+        return copies;
     }
 
     // Selection Management
@@ -376,7 +1653,7 @@ class CanvasEngine {
     }
 
     selectAllObjects() {
-        this.selectedObjects = [...this.objects];
+        this.selectedObjects = this.objects.filter(obj => !this.isLockedInHierarchy(obj));
         this.emitSelectionChanged();
         this.render();
     }
@@ -388,27 +1665,59 @@ class CanvasEngine {
     }
 
     // Collision Detection
-    getObjectAtPosition(x, y) {
-        // Check objects in reverse order (top to bottom)
-        for (let i = this.objects.length - 1; i >= 0; i--) {
-            const obj = this.objects[i];
-            if (this.isPointInObject(x, y, obj)) {
-                return obj;
+    // Returns the topmost object under the point; clicks on a group member select the
+    // outermost group unless deep is set
+    getObjectAtPosition(x, y, deep = false) {
+        const order = this.getDrawOrder();
+
+        // Check objects in reverse draw order (top to bottom)
+        for (let i = order.length - 1; i >= 0; i--) {
+            const obj = order[i];
+            if (obj.type !== 'group' && this.isVisibleInHierarchy(obj) && !this.isLockedInHierarchy(obj) &&
+                this.isSoloed(obj) && this.isPointInObject(x, y, obj)) {
+                if (deep) {
+                    return obj;
+                }
+
+                let target = obj;
+                for (let parent = this.getParent(obj); parent; parent = this.getParent(parent)) {
+                    if (parent.type === 'group') {
+                        target = parent;
+                    }
+                }
+                return target;
             }
         }
         return null;
     }
 
     isPointInObject(x, y, obj) {
-        if (!obj.visible) return false;
-        
-        // Simple bounding box collision for now
-        const left = obj.x;
-        const right = obj.x + obj.width * obj.scaleX;
-        const top = obj.y;
-        const bottom = obj.y + obj.height * obj.scaleY;
-        
-        return x >= left && x <= right && y >= top && y <= bottom;
+        if (!obj.visible) {
+            return false;
+        }
+
+        if (obj.type === 'group') {
+            return this.getChildren(obj.id).some(child => this.isPointInObject(x, y, child));
+        }
+
+        // Test in the object's own (rotated and scaled) content space
+        const local = this.getWorldMatrix(obj).inverse().transformPoint(new DOMPoint(x, y));
+
+        // Auto-sized text is hit on its lines, text in a fixed box anywhere in the box
+        if (obj.type === 'text' && obj.autoSize !== false) {
+            return this.getTextLineBoxes(obj).some(box =>
+                local.x >= box.x && local.x <= box.x + box.width &&
+                local.y >= box.y && local.y <= box.y + box.height
+            );
+        }
+
+        const tolerance = obj.type === 'shape' ? (obj.strokeWidth || 0) / 2 : 0;
+
+        if (obj.type === 'shape' && obj.shape !== 'rectangle') {
+            return this.isPointInShape(local, obj, tolerance);
+        }
+
+        return Math.abs(local.x) <= obj.width / 2 + tolerance && Math.abs(local.y) <= obj.height / 2 + tolerance;
     }
 
     // Rendering
@@ -421,24 +1730,164 @@ class CanvasEngine {
         this.ctx.scale(this.zoom, this.zoom);
         this.ctx.translate(this.panX / this.zoom, this.panY / this.zoom);
         
+        this.drawStage();
+        
         // Draw grid if enabled
         if (this.showGrid) {
             this.drawGrid();
         }
         
+        // Ghosts of neighbouring frames sit behind the scene
+        if (this.onionSkin) {
+            this.onionSkin.draw(this.ctx);
+        }
+        
         // Draw objects
-        this.objects.forEach(obj => {
-            if (obj.visible) {
-                this.drawObject(obj);
-            }
-        });
+        this.getRootObjects().forEach(obj => this.drawObject(obj));
+        this.drawPasteboard();
+        this.drawMaskOutlines();
+        this.drawGuides();
+        this.drawSmartGuides();
+        
+        // Position paths of the selection, with their keyframe and tangent handles
+        if (this.motionPaths) {
+            this.motionPaths.draw(this.ctx);
+        }
         
-        // Draw selection handles
+        // Draw selection outlines and the transform handles around them; the pen tool shows
+        // anchors and bezier handles instead
         this.selectedObjects.forEach(obj => {
-            this.drawSelectionHandles(obj);
+            this.drawSelectionOutline(obj);
         });
+        if (this.currentTool === 'pen' && this.penTool) {
+            this.penTool.draw(this.ctx);
+        } else {
+            this.drawSelectionHandles();
+        }
         
         this.ctx.restore();
+        
+        if (this.transformFeedback) {
+            this.drawTransformFeedback();
+        }
+    }
+
+    // Draw only the scene (no grid, selection or pan/zoom) into another context, e.g. for export
+    // The stage's corner lands on ctx's origin; background defaults to the stage's own
+    renderToContext(ctx, options = {}) {
+        const { scale = 1, background = this.getStageBackground() } = options;
+        const editorCtx = this.ctx;
+        const soloIds = this.soloIds;
+        
+        // Solo is an editor aid; exports show the whole scene
+        this.ctx = ctx;
+        this.soloIds = new Set();
+        try {
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            if (background) {
+                ctx.fillStyle = background;
+                ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+            } else {
+                ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+            }
+            ctx.scale(scale, scale);
+            
+            this.getRootObjects().forEach(obj => this.drawObject(obj));
+            
+            ctx.restore();
+        } finally {
+            this.ctx = editorCtx;
+            this.soloIds = soloIds;
+        }
+    }
+
+    // Draw the given objects (with their children) into ctx at their place in the scene,
+    // using whatever view transform ctx already has
+    drawObjectsToContext(ctx, objects) {
+        const editorCtx = this.ctx;
+        
+        this.ctx = ctx;
+        try {
+            objects.forEach(obj => {
+                const parent = this.getParent(obj);
+                ctx.save();
+                if (parent) {
+                    const matrix = this.getChildSpaceMatrix(parent);
+                    ctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+                    ctx.globalAlpha *= this.getWorldOpacity(parent);
+                }
+                this.drawObject(obj);
+                ctx.restore();
+            });
+        } finally {
+            this.ctx = editorCtx;
+        }
+    }
+
+    // Size of the scene that exports render: the stage
+    getSceneSize() {
+        return {
+            width: this.stage.width,
+            height: this.stage.height
+        };
+    }
+
+    // Size of the editor's view in canvas units (the canvas backing store is scaled for high DPI)
+    getViewSize() {
+        const dpr = window.devicePixelRatio || 1;
+        return {
+            width: this.canvas.width / dpr,
+            height: this.canvas.height / dpr
+        };
+    }
+
+    // The part of the scene the view shows
+    getViewBounds() {
+        const view = this.getViewSize();
+        const topLeft = this.screenToCanvas(0, 0);
+        return { x: topLeft.x, y: topLeft.y, width: view.width / this.zoom, height: view.height / this.zoom };
+    }
+
+    // The stage's background; transparent stages show a checkerboard
+    drawStage() {
+        this.ctx.save();
+        this.ctx.fillStyle = this.stage.transparent ? this.getCheckerPattern() : this.stage.background;
+        this.ctx.fillRect(0, 0, this.stage.width, this.stage.height);
+        this.ctx.restore();
+    }
+
+    getCheckerPattern() {
+        if (!this.checkerPattern) {
+            const tile = document.createElement('canvas');
+            tile.width = tile.height = 16;
+            const ctx = tile.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, 16, 16);
+            ctx.fillStyle = '#cccccc';
+            ctx.fillRect(0, 0, 8, 8);
+            ctx.fillRect(8, 8, 8, 8);
+            this.checkerPattern = this.ctx.createPattern(tile, 'repeat');
+        }
+        return this.checkerPattern;
+    }
+
+    // Dim whatever lies off the stage, which exports leave out, and outline the stage
+    drawPasteboard() {
+        const view = this.getViewBounds();
+        const { width, height } = this.stage;
+        
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(view.x, view.y, view.width, view.height);
+        this.ctx.rect(0, 0, width, height);
+        this.ctx.fillStyle = CanvasEngine.pasteboardColor;
+        this.ctx.fill('evenodd');
+        
+        this.ctx.strokeStyle = '#555555';
+        this.ctx.lineWidth = 1 / this.zoom;
+        this.ctx.strokeRect(0, 0, width, height);
+        this.ctx.restore();
     }
 
     drawGrid() {
@@ -467,127 +1916,855 @@ class CanvasEngine {
             this.ctx.lineTo(endX, y);
             this.ctx.stroke();
         }
-        
-        this.ctx.restore();
+        
+        this.ctx.restore();
+    }
+
+    // Draws an object and then its children inside its transform
+    drawObject(obj) {
+        if (!obj.visible) {
+            return;
+        }
+        
+        // Masks only show through the objects they mask
+        if (this.isMaskObject(obj) && !this.drawingMaskIds.has(obj.id)) {
+            return;
+        }
+
+        if (!this.drawingMaskIds.has(obj.id) && !this.isSoloed(obj) && !this.hasSoloedDescendant(obj)) {
+            return;
+        }
+
+        const mask = this.drawingMaskIds.size === 0 && !this.maskedObjectIds.has(obj.id) ? this.getMask(obj) : null;
+        if (mask) {
+            this.drawMaskedObject(obj, mask);
+            return;
+        }
+
+        if (this.needsEffectLayer(obj)) {
+            this.drawObjectWithEffects(obj);
+            return;
+        }
+
+        this.ctx.save();
+
+        // Apply transformations (relative to the parent's space when nested)
+        const matrix = this.getLocalMatrix(obj);
+        this.ctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+        this.ctx.globalAlpha *= obj.opacity;
+        if (this.getCompositeOperation(obj)) {
+            this.ctx.globalCompositeOperation = this.getCompositeOperation(obj);
+        }
+
+        this.drawObjectContent(obj);
+
+        this.ctx.restore();
+    }
+
+    // The object's own drawing and its children, in its content space
+    drawObjectContent(obj) {
+        // Parents drawn only for a soloed child skip their own drawing
+        const ownContent = this.isSoloed(obj) || this.drawingMaskIds.has(obj.id);
+        switch (ownContent ? obj.type : null) {
+            case 'image':
+                this.drawImageObject(obj);
+                break;
+            case 'text':
+                this.drawTextObject(obj);
+                break;
+            case 'shape':
+                this.drawShapeObject(obj);
+                break;
+            case 'path':
+                this.drawPathObject(obj);
+                break;
+        }
+
+        // Children are laid out from the parent's top-left corner
+        const children = this.getChildren(obj.id);
+        if (children.length > 0) {
+            this.ctx.save();
+            this.ctx.translate(-obj.width / 2, -obj.height / 2);
+            children.forEach(child => this.drawObject(child));
+            this.ctx.restore();
+        }
+    }
+
+    // Effects
+    // Shadows and filters apply to the object as a whole (fill, stroke and children together),
+    // so such objects are drawn into a layer first. So are groups with a blend mode, whose
+    // children blend with each other normally and with the scene as one
+    needsEffectLayer(obj) {
+        return this.hasShadow(obj) || this.getFilterString(obj, 1) !== '' ||
+            (this.getCompositeOperation(obj) !== null && this.getChildren(obj.id).length > 0);
+    }
+
+    hasShadow(obj) {
+        const color = ColorUtils.parse(obj.shadowColor);
+        return Boolean(color) && color.a > 0;
+    }
+
+    // globalCompositeOperation for the object's blend mode, or null for normal
+    getCompositeOperation(obj) {
+        return obj.blendMode && obj.blendMode !== 'normal' && CanvasEngine.blendModes.includes(obj.blendMode)
+            ? obj.blendMode
+            : null;
+    }
+
+    // ctx.filter value for the object's filter stack; lengths are scaled to device pixels
+    getFilterString(obj, scale) {
+        if (!Array.isArray(obj.filters)) {
+            return '';
+        }
+        return obj.filters
+            .filter(filter => filter && CanvasEngine.filterTypes[filter.type])
+            .map(filter => {
+                const { css, unit } = CanvasEngine.filterTypes[filter.type];
+                const amount = Number(filter.amount) || 0;
+                return `${css}(${unit === 'px' ? Math.max(0, amount) * scale : amount}${unit})`;
+            })
+            .join(' ');
+    }
+
+    drawObjectWithEffects(obj) {
+        const ctx = this.ctx;
+        const parentTransform = ctx.getTransform();
+        const scale = Math.sqrt(Math.abs(parentTransform.a * parentTransform.d - parentTransform.b * parentTransform.c));
+        
+        // Draw the object unaffected into a layer the size of the target canvas
+        const layer = this.getEffectLayer(ctx.canvas);
+        layer.setTransform(1, 0, 0, 1, 0, 0);
+        layer.globalAlpha = 1;
+        layer.globalCompositeOperation = 'source-over';
+        layer.filter = 'none';
+        layer.shadowColor = 'transparent';
+        layer.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+        layer.setTransform(parentTransform);
+        const matrix = this.getLocalMatrix(obj);
+        layer.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+        
+        this.ctx = layer;
+        this.effectDepth++;
+        try {
+            this.drawObjectContent(obj);
+        } finally {
+            this.effectDepth--;
+            this.ctx = ctx;
+        }
+        
+        // Composite it with the object's opacity, blend mode, filters and shadow. Shadow
+        // offsets are in scene units and don't turn with the object
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha *= obj.opacity;
+        if (this.getCompositeOperation(obj)) {
+            ctx.globalCompositeOperation = this.getCompositeOperation(obj);
+        }
+        const filter = this.getFilterString(obj, scale);
+        if (filter) {
+            ctx.filter = filter;
+        }
+        if (this.hasShadow(obj)) {
+            ctx.shadowColor = ColorUtils.toString(ColorUtils.parse(obj.shadowColor));
+            ctx.shadowBlur = Math.max(0, obj.shadowBlur || 0) * scale;
+            ctx.shadowOffsetX = (obj.shadowOffsetX || 0) * scale;
+            ctx.shadowOffsetY = (obj.shadowOffsetY || 0) * scale;
+        }
+        ctx.drawImage(layer.canvas, 0, 0);
+        ctx.restore();
+    }
+
+    // Masks
+    // An object masked by another (maskId) shows only where the mask is drawn (maskMode 'alpha',
+    // a track matte that follows the mask's opacity, gradients and effects) or inside its outline
+    // ('clip'); the inverted modes show it everywhere else. Masks are never drawn themselves
+    getMask(obj) {
+        if (!obj.maskId) {
+            return null;
+        }
+        const mask = this.getObject(obj.maskId);
+        if (!mask || mask === obj || this.isAncestorOf(mask.id, obj) || this.isAncestorOf(obj.id, mask) ||
+            !this.isVisibleInHierarchy(mask)) {
+            return null;
+        }
+        return mask;
+    }
+
+    isMaskObject(obj) {
+        return this.objects.some(other => other.maskId === obj.id && other !== obj);
+    }
+
+    // Objects that can mask obj: anything outside its own branch of the hierarchy
+    getMaskCandidates(obj) {
+        const descendants = this.getDescendants(obj.id);
+        return this.objects.filter(candidate => candidate !== obj && !descendants.includes(candidate) &&
+            !this.isAncestorOf(candidate.id, obj));
+    }
+
+    // The topmost selected object (in draw order) masks the rest of the selection
+    maskSelectedObjects(mode = 'alpha') {
+        const selected = this.getTopmostSelected();
+        const order = this.getDrawOrder();
+        const mask = selected.reduce((top, obj) => (order.indexOf(obj) > order.indexOf(top) ? obj : top), selected[0]);
+        const masked = selected.filter(obj => obj !== mask && this.getMaskCandidates(obj).includes(mask));
+        if (masked.length === 0) {
+            return null;
+        }
+        
+        this.withHistoryGroup(`Mask with ${mask.name}`, () => {
+            masked.forEach(obj => this.updateObject(obj.id, { maskId: mask.id, maskMode: mode }));
+        });
+        return mask;
+    }
+
+    releaseSelectedMasks() {
+        const masked = this.selectedObjects.filter(obj => obj.maskId);
+        this.withHistoryGroup('Release mask', () => {
+            masked.forEach(obj => this.updateObject(obj.id, { maskId: null }));
+        });
+        return masked.length;
+    }
+
+    drawMaskedObject(obj, mask) {
+        const ctx = this.ctx;
+        const mode = CanvasEngine.maskModes.includes(obj.maskMode) ? obj.maskMode : 'alpha';
+        const inverted = mode.endsWith('Inverted');
+        
+        // Masks can live anywhere in the hierarchy, so they are placed from the scene root
+        const parent = this.getParent(obj);
+        const parentTransform = ctx.getTransform();
+        const rootTransform = parent ? parentTransform.multiply(this.getChildSpaceMatrix(parent).inverse()) : parentTransform;
+        const maskParent = this.getParent(mask);
+        const maskTransform = maskParent ? rootTransform.multiply(this.getChildSpaceMatrix(maskParent)) : rootTransform;
+        
+        this.maskedObjectIds.add(obj.id);
+        try {
+            if (mode.startsWith('clip')) {
+                // Clip to the mask's outline, ignoring how it is painted
+                const { points } = this.getOutlinePoints(mask);
+                ctx.save();
+                ctx.setTransform(rootTransform);
+                this.tracePolygon(points);
+                if (inverted) {
+                    ctx.rect(-CanvasEngine.maskExtent, -CanvasEngine.maskExtent, CanvasEngine.maskExtent * 2, CanvasEngine.maskExtent * 2);
+                }
+                ctx.clip(inverted ? 'evenodd' : 'nonzero');
+                ctx.setTransform(parentTransform);
+                this.drawObject(obj);
+                ctx.restore();
+                return;
+            }
+            
+            // Draw the object into a layer, keep it only where the mask is (or isn't) drawn,
+            // then composite the result like the object itself
+            const layer = this.getEffectLayer(ctx.canvas);
+            layer.setTransform(1, 0, 0, 1, 0, 0);
+            layer.globalAlpha = 1;
+            layer.globalCompositeOperation = 'source-over';
+            layer.filter = 'none';
+            layer.shadowColor = 'transparent';
+            layer.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+            
+            this.ctx = layer;
+            this.effectDepth++;
+            try {
+                layer.setTransform(parentTransform);
+                this.drawObject(obj);
+                
+                layer.save();
+                layer.globalCompositeOperation = inverted ? 'destination-out' : 'destination-in';
+                layer.setTransform(maskTransform);
+                if (maskParent) {
+                    layer.globalAlpha = this.getWorldOpacity(maskParent);
+                }
+                this.drawingMaskIds.add(mask.id);
+                try {
+                    this.drawObject(mask);
+                } finally {
+                    this.drawingMaskIds.delete(mask.id);
+                }
+                layer.restore();
+            } finally {
+                this.effectDepth--;
+                this.ctx = ctx;
+            }
+            
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.drawImage(layer.canvas, 0, 0);
+            ctx.restore();
+        } finally {
+            this.maskedObjectIds.delete(obj.id);
+        }
+    }
+
+    // Dashed outlines of masks in the editor, since they are not drawn themselves
+    drawMaskOutlines() {
+        const masks = this.objects.filter(obj => this.isMaskObject(obj) && this.isVisibleInHierarchy(obj));
+        if (masks.length === 0) {
+            return;
+        }
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ff4fd8';
+        this.ctx.lineWidth = 1 / this.zoom;
+        this.ctx.setLineDash([6 / this.zoom, 4 / this.zoom]);
+        masks.forEach(mask => {
+            const { points, closed } = this.getOutlinePoints(mask);
+            this.ctx.beginPath();
+            points.forEach(point => this.ctx.lineTo(point.x, point.y));
+            if (closed) {
+                this.ctx.closePath();
+            }
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    // One offscreen layer per nesting level of effect objects
+    getEffectLayer(canvas) {
+        if (!this.effectLayers[this.effectDepth]) {
+            this.effectLayers[this.effectDepth] = document.createElement('canvas');
+        }
+        const layer = this.effectLayers[this.effectDepth];
+        if (layer.width !== canvas.width || layer.height !== canvas.height) {
+            layer.width = canvas.width;
+            layer.height = canvas.height;
+        }
+        return layer.getContext('2d');
+    }
+
+    drawImageObject(obj) {
+        if (obj.image && obj.image.complete) {
+            this.ctx.drawImage(
+                obj.image,
+                -obj.width / 2,
+                -obj.height / 2,
+                obj.width,
+                obj.height
+            );
+        } else {
+            // Draw placeholder
+            this.ctx.fillStyle = '#cccccc';
+            this.ctx.fillRect(-obj.width / 2, -obj.height / 2, obj.width, obj.height);
+            this.ctx.fillStyle = '#666666';
+            this.ctx.font = '14px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('Loading...', 0, 0);
+        }
+    }
+
+    // Lines come from TextLayout; an outline (stroke) is drawn behind the fill
+    drawTextObject(obj) {
+        if (this.textEditor && this.textEditor.isEditing(obj)) {
+            return;
+        }
+        
+        const layout = TextLayout.layout(obj, this.ctx);
+        const top = TextLayout.getTop(obj, layout);
+        const paint = ColorUtils.createCanvasPaint(this.ctx, obj.color, obj.width, obj.height);
+        const hasStroke = obj.strokeWidth > 0 && obj.stroke && obj.stroke !== 'none';
+        
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        if (hasStroke) {
+            this.ctx.strokeStyle = ColorUtils.createCanvasPaint(this.ctx, obj.stroke, obj.width, obj.height);
+            this.ctx.lineWidth = obj.strokeWidth;
+            this.ctx.lineJoin = 'round';
+        }
+        
+        if (TextAnimators.isAnimated(obj)) {
+            this.drawAnimatedText(obj, paint, hasStroke);
+            return;
+        }
+        
+        layout.lines.forEach((line, index) => {
+            const lineX = TextLayout.getLineX(obj, line);
+            const y = top + (index + 0.5) * layout.lineHeight;
+            line.pieces.forEach(piece => {
+                this.ctx.font = TextLayout.getFont(obj, piece.run);
+                if (hasStroke) {
+                    this.drawTextPiece(obj, piece.text, lineX + piece.x, y, 'strokeText');
+                }
+                if (piece.run.color || obj.color !== 'none') {
+                    this.ctx.fillStyle = piece.run.color || paint;
+                    this.drawTextPiece(obj, piece.text, lineX + piece.x, y, 'fillText');
+                }
+            });
+        });
+    }
+
+    // Text with animators is drawn a glyph at a time, each moved, faded and recoloured by them
+    drawAnimatedText(obj, paint, hasStroke) {
+        const glyphs = TextLayout.getGlyphs(obj, this.ctx);
+        const states = TextAnimators.getGlyphStates(obj, glyphs);
+        
+        glyphs.forEach((glyph, i) => {
+            const { matrix, opacity, colors } = states[i];
+            if (opacity <= 0) {
+                return;
+            }
+            
+            let fill = glyph.run.color || obj.color;
+            colors.forEach(([color, amount]) => {
+                fill = ColorUtils.interpolatePaint(fill === 'none' ? 'transparent' : fill, color, amount);
+            });
+            
+            this.ctx.save();
+            this.ctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+            this.ctx.globalAlpha *= Math.min(1, opacity);
+            this.ctx.font = TextLayout.getFont(obj, glyph.run);
+            if (hasStroke) {
+                this.ctx.strokeText(glyph.text, glyph.x, glyph.y);
+            }
+            if (fill !== 'none') {
+                this.ctx.fillStyle = fill === obj.color ? paint : ColorUtils.createCanvasPaint(this.ctx, fill, obj.width, obj.height);
+                this.ctx.fillText(glyph.text, glyph.x, glyph.y);
+            }
+            this.ctx.restore();
+        });
+    }
+
+    // Letter-spaced text is drawn a character at a time, each placed after the text before it
+    drawTextPiece(obj, text, x, y, method) {
+        const spacing = obj.letterSpacing || 0;
+        if (!spacing) {
+            this.ctx[method](text, x, y);
+            return;
+        }
+        const characters = [...text];
+        characters.forEach((character, index) => {
+            const before = characters.slice(0, index).join('');
+            this.ctx[method](character, x + this.ctx.measureText(before).width + spacing * index, y);
+        });
+    }
+
+    getFontString(obj) {
+        return TextLayout.getFont(obj);
+    }
+
+    // Boxes around each line of a text object, in its content space
+    getTextLineBoxes(obj) {
+        const layout = TextLayout.layout(obj, this.ctx);
+        const top = TextLayout.getTop(obj, layout);
+        return layout.lines.map((line, index) => ({
+            x: TextLayout.getLineX(obj, line),
+            y: top + index * layout.lineHeight,
+            width: line.width,
+            height: layout.lineHeight
+        }));
+    }
+
+    drawShapeObject(obj) {
+        this.ctx.fillStyle = ColorUtils.createCanvasPaint(this.ctx, obj.fill, obj.width, obj.height);
+        this.ctx.strokeStyle = ColorUtils.createCanvasPaint(this.ctx, obj.stroke, obj.width, obj.height);
+        this.ctx.lineWidth = obj.strokeWidth;
+        
+        const halfWidth = obj.width / 2;
+        const halfHeight = obj.height / 2;
+        
+        switch (obj.shape) {
+            case 'rectangle':
+                if (obj.fill && obj.fill !== 'none') {
+                    this.ctx.fillRect(-halfWidth, -halfHeight, obj.width, obj.height);
+                }
+                if (obj.strokeWidth > 0) {
+                    this.ctx.strokeRect(-halfWidth, -halfHeight, obj.width, obj.height);
+                }
+                return;
+            case 'circle':
+            case 'ellipse':
+                this.ctx.beginPath();
+                this.ctx.ellipse(0, 0, halfWidth, halfHeight, 0, 0, 2 * Math.PI);
+                break;
+            case 'roundedRectangle': {
+                const [topLeft, topRight, bottomRight, bottomLeft] = this.getCornerRadii(obj);
+                this.ctx.beginPath();
+                this.ctx.moveTo(-halfWidth + topLeft, -halfHeight);
+                this.ctx.arcTo(halfWidth, -halfHeight, halfWidth, halfHeight, topRight);
+                this.ctx.arcTo(halfWidth, halfHeight, -halfWidth, halfHeight, bottomRight);
+                this.ctx.arcTo(-halfWidth, halfHeight, -halfWidth, -halfHeight, bottomLeft);
+                this.ctx.arcTo(-halfWidth, -halfHeight, halfWidth, -halfHeight, topLeft);
+                this.ctx.closePath();
+                break;
+            }
+            case 'polygon':
+            case 'star':
+                this.ctx.beginPath();
+                this.getShapeOutline(obj).points.forEach((point, index) => {
+                    if (index === 0) {
+                        this.ctx.moveTo(point.x, point.y);
+                    } else {
+                        this.ctx.lineTo(point.x, point.y);
+                    }
+                });
+                this.ctx.closePath();
+                break;
+            case 'line':
+            case 'arrow': {
+                // Lines run through the middle of their box; arrows end in a head as tall as the box
+                const headLength = obj.shape === 'arrow' ? this.getArrowHeadLength(obj) : 0;
+                this.ctx.lineCap = obj.lineCap || 'round';
+                if (obj.strokeWidth > 0) {
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(-halfWidth, 0);
+                    this.ctx.lineTo(halfWidth - headLength, 0);
+                    this.ctx.stroke();
+                }
+                if (headLength > 0) {
+                    this.ctx.fillStyle = this.ctx.strokeStyle;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(halfWidth, 0);
+                    this.ctx.lineTo(halfWidth - headLength, -halfHeight);
+                    this.ctx.lineTo(halfWidth - headLength, halfHeight);
+                    this.ctx.closePath();
+                    this.ctx.fill();
+                }
+                return;
+            }
+            default:
+                return;
+        }
+        
+        if (obj.fill && obj.fill !== 'none') {
+            this.ctx.fill();
+        }
+        if (obj.strokeWidth > 0) {
+            this.ctx.stroke();
+        }
+    }
+
+    // Outline of a shape in its centred content space. Closed shapes list their corners (curves
+    // are sampled); lines and arrows are the open segment through the middle of their box
+    getShapeOutline(obj) {
+        const halfWidth = obj.width / 2;
+        const halfHeight = obj.height / 2;
+        const onEllipse = (angle, scale = 1) => ({
+            x: Math.cos(angle) * halfWidth * scale,
+            y: Math.sin(angle) * halfHeight * scale
+        });
+        
+        switch (obj.shape) {
+            case 'circle':
+            case 'ellipse': {
+                const segments = 64;
+                return {
+                    points: Array.from({ length: segments }, (_, i) => onEllipse(i / segments * Math.PI * 2)),
+                    closed: true
+                };
+            }
+            case 'roundedRectangle': {
+                const radii = this.getCornerRadii(obj);
+                const corners = [
+                    { x: -halfWidth, y: -halfHeight, dx: 1, dy: 1, start: Math.PI },
+                    { x: halfWidth, y: -halfHeight, dx: -1, dy: 1, start: -Math.PI / 2 },
+                    { x: halfWidth, y: halfHeight, dx: -1, dy: -1, start: 0 },
+                    { x: -halfWidth, y: halfHeight, dx: 1, dy: -1, start: Math.PI / 2 }
+                ];
+                const points = [];
+                corners.forEach((corner, index) => {
+                    const radius = radii[index];
+                    const centreX = corner.x + corner.dx * radius;
+                    const centreY = corner.y + corner.dy * radius;
+                    for (let s = 0; s <= 8; s++) {
+                        const angle = corner.start + s / 8 * Math.PI / 2;
+                        points.push({ x: centreX + Math.cos(angle) * radius, y: centreY + Math.sin(angle) * radius });
+                    }
+                });
+                return { points, closed: true };
+            }
+            case 'polygon':
+            case 'star': {
+                // Vertices start at the top; a star alternates outer and inner points
+                const isStar = obj.shape === 'star';
+                const count = Math.max(3, Math.round(isStar ? obj.starPoints : obj.sides) || 3);
+                const innerRadius = Math.max(0, Math.min(1, obj.innerRadius ?? 0.5));
+                const steps = isStar ? count * 2 : count;
+                return {
+                    points: Array.from({ length: steps }, (_, i) =>
+                        onEllipse(-Math.PI / 2 + i / steps * Math.PI * 2, isStar && i % 2 === 1 ? innerRadius : 1)
+                    ),
+                    closed: true
+                };
+            }
+            case 'line':
+            case 'arrow':
+                return { points: [{ x: -halfWidth, y: 0 }, { x: halfWidth, y: 0 }], closed: false };
+            default:
+                return {
+                    points: [
+                        { x: -halfWidth, y: -halfHeight }, { x: halfWidth, y: -halfHeight },
+                        { x: halfWidth, y: halfHeight }, { x: -halfWidth, y: halfHeight }
+                    ],
+                    closed: true
+                };
+        }
+    }
+
+    // Corner radii (top-left, top-right, bottom-right, bottom-left) limited to what fits the box
+    getCornerRadii(obj) {
+        const limit = Math.min(obj.width, obj.height) / 2;
+        return [
+            obj.cornerRadiusTopLeft, obj.cornerRadiusTopRight,
+            obj.cornerRadiusBottomRight, obj.cornerRadiusBottomLeft
+        ].map(radius => Math.max(0, Math.min(limit, radius || 0)));
+    }
+
+    getArrowHeadLength(obj) {
+        return Math.max(0, Math.min(obj.width, obj.headLength ?? 0));
+    }
+
+    // Hit test a point in the shape's centred content space
+    isPointInShape(local, obj, tolerance) {
+        if (obj.shape === 'line' || obj.shape === 'arrow') {
+            // Thin lines keep a few pixels of grab area
+            const reach = Math.max(tolerance, 4);
+            const halfWidth = obj.width / 2;
+            if (Math.abs(local.y) <= reach && Math.abs(local.x) <= halfWidth + reach) {
+                return true;
+            }
+            if (obj.shape === 'arrow') {
+                const headLength = this.getArrowHeadLength(obj);
+                const along = halfWidth - local.x;
+                return headLength > 0 && along >= 0 && along <= headLength &&
+                    Math.abs(local.y) <= obj.height / 2 * along / headLength + tolerance;
+            }
+            return false;
+        }
+        
+        const { points } = this.getShapeOutline(obj);
+        if (this.isPointInPolygon(local, points)) {
+            return true;
+        }
+        return tolerance > 0 && points.some((point, i) =>
+            this.getDistanceToSegment(local, point, points[(i + 1) % points.length]) <= tolerance
+        );
+    }
+
+    isPointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
     }
 
-    drawObject(obj) {
-        this.ctx.save();
+    getDistanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+            : 0;
+        return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+    }
+
+    drawPathObject(obj) {
+        const points = obj.points || [];
+        if (points.length < 2) {
+            return;
+        }
         
-        // Apply transformations
-        this.ctx.translate(obj.x + obj.width / 2, obj.y + obj.height / 2);
-        this.ctx.rotate(obj.rotation * Math.PI / 180);
-        this.ctx.scale(obj.scaleX, obj.scaleY);
-        this.ctx.globalAlpha = obj.opacity;
+        this.ctx.beginPath();
+        this.tracePath(points, obj.closed, -obj.width / 2, -obj.height / 2);
         
-        // Draw based on object type
-        switch (obj.type) {
-            case 'image':
-                this.drawImageObject(obj);
-                break;
-            case 'text':
-                this.drawTextObject(obj);
-                break;
-            case 'shape':
-                this.drawShapeObject(obj);
-                break;
+        if (obj.fill && obj.fill !== 'none') {
+            this.ctx.fillStyle = ColorUtils.createCanvasPaint(this.ctx, obj.fill, obj.width, obj.height);
+            this.ctx.fill();
+        }
+        if (obj.stroke && obj.stroke !== 'none' && obj.strokeWidth > 0) {
+            this.ctx.strokeStyle = ColorUtils.createCanvasPaint(this.ctx, obj.stroke, obj.width, obj.height);
+            this.ctx.lineWidth = obj.strokeWidth;
+            this.ctx.lineCap = obj.lineCap || 'butt';
+            this.ctx.lineJoin = obj.lineJoin || 'miter';
+            this.ctx.setLineDash(obj.lineDash || []);
+            this.ctx.stroke();
         }
-        
-        this.ctx.restore();
     }
 
-    drawImageObject(obj) {
-        if (obj.image && obj.image.complete) {
-            this.ctx.drawImage(
-                obj.image,
-                -obj.width / 2,
-                -obj.height / 2,
-                obj.width,
-                obj.height
+    // Add a path's bezier segments to the current canvas path. Points are anchors
+    // { x, y, inX, inY, outX, outY } in the object's box, with handles as offsets
+    tracePath(points, closed, offsetX = 0, offsetY = 0) {
+        const segment = (from, to) => {
+            this.ctx.bezierCurveTo(
+                offsetX + from.x + (from.outX || 0), offsetY + from.y + (from.outY || 0),
+                offsetX + to.x + (to.inX || 0), offsetY + to.y + (to.inY || 0),
+                offsetX + to.x, offsetY + to.y
             );
-        } else {
-            // Draw placeholder
-            this.ctx.fillStyle = '#cccccc';
-            this.ctx.fillRect(-obj.width / 2, -obj.height / 2, obj.width, obj.height);
-            this.ctx.fillStyle = '#666666';
-            this.ctx.font = '14px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText('Loading...', 0, 0);
+        };
+        
+        this.ctx.moveTo(offsetX + points[0].x, offsetY + points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            segment(points[i - 1], points[i]);
+        }
+        if (closed) {
+            segment(points[points.length - 1], points[0]);
+            this.ctx.closePath();
         }
     }
 
-    drawTextObject(obj) {
-        this.ctx.font = `${obj.fontWeight} ${obj.fontStyle} ${obj.fontSize}px ${obj.fontFamily}`;
-        this.ctx.fillStyle = obj.color;
-        this.ctx.textAlign = obj.textAlign;
-        this.ctx.textBaseline = 'middle';
+    // Points along a path object's curve in its box coordinates
+    samplePath(obj, samplesPerSegment = 16) {
+        const points = obj.points || [];
+        const samples = points.length > 0 ? [{ x: points[0].x, y: points[0].y }] : [];
+        const count = obj.closed ? points.length : points.length - 1;
         
-        const lines = obj.text.split('\n');
-        const lineHeight = obj.fontSize * 1.2;
-        const totalHeight = lines.length * lineHeight;
+        for (let i = 0; i < count; i++) {
+            const from = points[i];
+            const to = points[(i + 1) % points.length];
+            const p1 = { x: from.x + (from.outX || 0), y: from.y + (from.outY || 0) };
+            const p2 = { x: to.x + (to.inX || 0), y: to.y + (to.inY || 0) };
+            for (let s = 1; s <= samplesPerSegment; s++) {
+                const t = s / samplesPerSegment;
+                const u = 1 - t;
+                samples.push({
+                    x: u * u * u * from.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * to.x,
+                    y: u * u * u * from.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * to.y
+                });
+            }
+        }
         
-        lines.forEach((line, index) => {
-            const y = (index - (lines.length - 1) / 2) * lineHeight;
-            this.ctx.fillText(line, 0, y);
-        });
+        // A closed path's last sample repeats its first point
+        if (obj.closed && samples.length > 1) {
+            samples.pop();
+        }
+        return samples;
     }
 
-    drawShapeObject(obj) {
-        this.ctx.fillStyle = obj.fill;
-        this.ctx.strokeStyle = obj.stroke;
-        this.ctx.lineWidth = obj.strokeWidth;
-        
-        switch (obj.shape) {
-            case 'rectangle':
-                this.ctx.fillRect(-obj.width / 2, -obj.height / 2, obj.width, obj.height);
-                if (obj.strokeWidth > 0) {
-                    this.ctx.strokeRect(-obj.width / 2, -obj.height / 2, obj.width, obj.height);
-                }
-                break;
-            case 'circle':
-                this.ctx.beginPath();
-                this.ctx.arc(0, 0, obj.radius, 0, 2 * Math.PI);
-                this.ctx.fill();
-                if (obj.strokeWidth > 0) {
-                    this.ctx.stroke();
-                }
-                break;
+    // Resize a path object's box to fit its anchors and handles without moving it in the scene
+    fitPathBounds(obj) {
+        const points = obj.points || [];
+        if (points.length === 0) {
+            return;
         }
+        
+        const extents = [];
+        points.forEach(point => {
+            extents.push(
+                { x: point.x, y: point.y },
+                { x: point.x + (point.inX || 0), y: point.y + (point.inY || 0) },
+                { x: point.x + (point.outX || 0), y: point.y + (point.outY || 0) }
+            );
+        });
+        const bounds = this.getPointBounds(extents);
+        const anchor = this.getWorldMatrix(obj).transformPoint(
+            new DOMPoint(points[0].x - obj.width / 2, points[0].y - obj.height / 2)
+        );
+        
+        obj.points = points.map(point => ({ ...point, x: point.x - bounds.x, y: point.y - bounds.y }));
+        obj.width = Math.max(1, bounds.width);
+        obj.height = Math.max(1, bounds.height);
+        this.placeContentPoint(obj, {
+            x: obj.points[0].x - obj.width / 2,
+            y: obj.points[0].y - obj.height / 2
+        }, anchor);
     }
 
-    drawSelectionHandles(obj) {
+    drawSelectionOutline(obj) {
+        // Outline the object's actual (rotated, scaled and nested) box
+        const corners = this.getOrientedCorners(obj);
+        
         this.ctx.save();
+        this.ctx.strokeStyle = '#00d4ff';
+        this.ctx.lineWidth = 2 / this.zoom;
+        this.ctx.setLineDash([5 / this.zoom, 5 / this.zoom]);
+        this.tracePolygon(corners);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    drawSelectionHandles() {
+        const objects = this.getTopmostSelected().filter(obj => !this.isLockedInHierarchy(obj));
+        if (objects.length === 0) {
+            return;
+        }
         
-        // Draw selection outline
+        const frame = this.transform ? this.getSelectionFrame(this.transform.objects) : this.getSelectionFrame(objects);
+        const handles = this.getFrameHandles(frame);
+        const handleSize = this.handleSize / this.zoom;
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 1 / this.zoom;
         this.ctx.strokeStyle = '#00d4ff';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
-        this.ctx.strokeRect(obj.x - 2, obj.y - 2, obj.width + 4, obj.height + 4);
-        
-        // Draw resize handles
-        const handleSize = 8;
-        const handles = [
-            { x: obj.x - handleSize / 2, y: obj.y - handleSize / 2 }, // Top-left
-            { x: obj.x + obj.width - handleSize / 2, y: obj.y - handleSize / 2 }, // Top-right
-            { x: obj.x - handleSize / 2, y: obj.y + obj.height - handleSize / 2 }, // Bottom-left
-            { x: obj.x + obj.width - handleSize / 2, y: obj.y + obj.height - handleSize / 2 } // Bottom-right
-        ];
         
+        // Multi-selections get a frame around the whole group
+        if (objects.length > 1) {
+            this.tracePolygon(handles.corners.map(corner => corner.scene));
+            this.ctx.stroke();
+        }
+        
+        // Rotation handle on a stalk above the top edge
+        this.ctx.beginPath();
+        this.ctx.moveTo(handles.top.x, handles.top.y);
+        this.ctx.lineTo(handles.rotate.x, handles.rotate.y);
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(handles.rotate.x, handles.rotate.y, handleSize / 2, 0, 2 * Math.PI);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        // Resize handles at the corners
         this.ctx.fillStyle = '#00d4ff';
         this.ctx.strokeStyle = '#ffffff';
-        this.ctx.lineWidth = 1;
-        this.ctx.setLineDash([]);
+        handles.corners.forEach(({ scene }) => {
+            this.ctx.fillRect(scene.x - handleSize / 2, scene.y - handleSize / 2, handleSize, handleSize);
+            this.ctx.strokeRect(scene.x - handleSize / 2, scene.y - handleSize / 2, handleSize, handleSize);
+        });
+        
+        // Pivot used by rotation and scaling
+        const pivot = frame.pivot;
+        this.ctx.strokeStyle = '#00d4ff';
+        this.ctx.beginPath();
+        this.ctx.arc(pivot.x, pivot.y, handleSize / 2, 0, 2 * Math.PI);
+        this.ctx.moveTo(pivot.x - handleSize, pivot.y);
+        this.ctx.lineTo(pivot.x + handleSize, pivot.y);
+        this.ctx.moveTo(pivot.x, pivot.y - handleSize);
+        this.ctx.lineTo(pivot.x, pivot.y + handleSize);
+        this.ctx.stroke();
         
-        handles.forEach(handle => {
-            this.ctx.fillRect(handle.x, handle.y, handleSize, handleSize);
-            this.ctx.strokeRect(handle.x, handle.y, handleSize, handleSize);
+        this.ctx.restore();
+    }
+
+    tracePolygon(points) {
+        this.ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                this.ctx.moveTo(point.x, point.y);
+            } else {
+                this.ctx.lineTo(point.x, point.y);
+            }
         });
+        this.ctx.closePath();
+    }
+
+    // Numeric readout next to the cursor while dragging, drawn in screen space
+    drawTransformFeedback() {
+        const { text, x, y } = this.transformFeedback;
+        const screen = this.canvasToScreen(x, y);
         
+        this.ctx.save();
+        this.ctx.font = '12px Arial, sans-serif';
+        this.ctx.textBaseline = 'middle';
+        const width = this.ctx.measureText(text).width + 12;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.ctx.fillRect(screen.x + 16, screen.y + 16, width, 20);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText(text, screen.x + 22, screen.y + 26);
         this.ctx.restore();
     }
 
     // Tool Management
     setTool(tool) {
+        if (this.currentTool === 'pen' && tool !== 'pen' && this.penTool) {
+            this.penTool.finish();
+        }
         this.currentTool = tool;
         this.updateCursor();
     }
@@ -597,6 +2774,28 @@ class CanvasEngine {
             canvasPos = { x: 0, y: 0 };
         }
         
+        if (this.currentTool === 'pen') {
+            this.canvas.style.cursor = 'crosshair';
+            return;
+        }
+        
+        if (!this.transform && this.motionPaths && this.motionPaths.getHandleAtPosition(canvasPos.x, canvasPos.y)) {
+            this.canvas.style.cursor = 'pointer';
+            return;
+        }
+        
+        const handle = this.transform ? null : this.getHandleAtPosition(canvasPos.x, canvasPos.y);
+        if (handle) {
+            this.canvas.style.cursor = handle.type === 'rotate' ? 'grab' : (handle.corner % 2 === 0 ? 'nwse-resize' : 'nesw-resize');
+            return;
+        }
+        
+        const guide = this.transform ? null : this.getGuideAtPosition(canvasPos.x, canvasPos.y);
+        if (guide) {
+            this.canvas.style.cursor = guide.axis === 'x' ? 'col-resize' : 'row-resize';
+            return;
+        }
+        
         const objectUnderMouse = this.getObjectAtPosition(canvasPos.x, canvasPos.y);
         
         switch (this.currentTool) {
@@ -619,43 +2818,547 @@ class CanvasEngine {
 
     // Text Editing
     editTextObject(obj) {
-        const newText = prompt('Edit text:', obj.text);
-        if (newText !== null) {
-            this.updateObject(obj.id, { text: newText });
+        if (this.textEditor && !this.isLockedInHierarchy(obj)) {
+            this.textEditor.open(obj);
         }
     }
 
+    // History
+    recordHistory(name, undo, redo, options) {
+        if (this.history) {
+            this.history.record(name, undo, redo, options);
+        }
+    }
+
+    withHistoryGroup(name, fn) {
+        return this.history ? this.history.group(name, fn) : fn();
+    }
+
     // Utility
     generateId() {
         return 'obj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    // Snapping
+    // Lines a moving selection can snap to, per axis: the stage's edges and centre, guides, and
+    // the edges and centres of other visible objects. from/to is how far each runs along the
+    // other axis, for drawing smart guides; guides have no extent as they are drawn anyway
+    getSnapTargets(moving) {
+        const excluded = new Set();
+        moving.forEach(obj => {
+            excluded.add(obj);
+            this.getDescendants(obj.id).forEach(descendant => excluded.add(descendant));
+        });
+        
+        const targets = { x: [], y: [] };
+        const addBox = box => {
+            [box.x, box.x + box.width / 2, box.x + box.width].forEach(value => {
+                targets.x.push({ value, from: box.y, to: box.y + box.height });
+            });
+            [box.y, box.y + box.height / 2, box.y + box.height].forEach(value => {
+                targets.y.push({ value, from: box.x, to: box.x + box.width });
+            });
+        };
+        
+        addBox({ x: 0, y: 0, width: this.stage.width, height: this.stage.height });
+        this.guides.forEach(guide => targets[guide.axis].push({ value: guide.position, from: null, to: null }));
+        this.objects.forEach(obj => {
+            if (!excluded.has(obj) && this.isVisibleInHierarchy(obj) && !this.isMaskObject(obj)) {
+                addBox(this.getWorldBounds(obj));
+            }
+        });
+        return targets;
+    }
+
+    // Offset per axis that brings an edge or the centre of box onto the nearest target (or grid
+    // line, with snapToGrid) within the snap distance; 0 where nothing is that close
+    snapBox(box, targets, axes = { x: true, y: true }) {
+        const threshold = this.snapThreshold / this.zoom;
+        const offset = { x: 0, y: 0 };
+        
+        ['x', 'y'].forEach(axis => {
+            if (!axes[axis]) {
+                return;
+            }
+            const size = axis === 'x' ? box.width : box.height;
+            let best = null;
+            [box[axis], box[axis] + size / 2, box[axis] + size].forEach(point => {
+                const values = targets[axis].map(target => target.value);
+                if (this.snapToGrid) {
+                    values.push(Math.round(point / this.gridSize) * this.gridSize);
+                }
+                values.forEach(value => {
+                    const distance = value - point;
+                    if (Math.abs(distance) <= threshold && (best === null || Math.abs(distance) < Math.abs(best))) {
+                        best = distance;
+                    }
+                });
+            });
+            offset[axis] = best ?? 0;
+        });
+        return offset;
+    }
+
+    // Lines through every target that an edge or the centre of box lies on, spanning both
+    getSmartGuides(box, targets) {
+        const tolerance = 0.5 / this.zoom;
+        const lines = [];
+        
+        [box.x, box.x + box.width / 2, box.x + box.width].forEach(point => {
+            targets.x.forEach(({ value, from, to }) => {
+                if (from !== null && Math.abs(value - point) < tolerance) {
+                    lines.push({ x1: value, y1: Math.min(from, box.y), x2: value, y2: Math.max(to, box.y + box.height) });
+                }
+            });
+        });
+        [box.y, box.y + box.height / 2, box.y + box.height].forEach(point => {
+            targets.y.forEach(({ value, from, to }) => {
+                if (from !== null && Math.abs(value - point) < tolerance) {
+                    lines.push({ x1: Math.min(from, box.x), y1: value, x2: Math.max(to, box.x + box.width), y2: value });
+                }
+            });
+        });
+        return lines;
+    }
+
+    drawSmartGuides() {
+        if (this.smartGuides.length === 0) {
+            return;
+        }
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = CanvasEngine.smartGuideColor;
+        this.ctx.lineWidth = 1 / this.zoom;
+        this.ctx.beginPath();
+        this.smartGuides.forEach(({ x1, y1, x2, y2 }) => {
+            this.ctx.moveTo(x1, y1);
+            this.ctx.lineTo(x2, y2);
+        });
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Guides
+    getGuideAtPosition(x, y) {
+        const tolerance = 4 / this.zoom;
+        return this.guides.find(guide => Math.abs((guide.axis === 'x' ? x : y) - guide.position) <= tolerance) || null;
+    }
+
+    // Drag out a new guide (from a ruler) or an existing one. Guides land on whole pixels;
+    // dropping one anywhere but the view, e.g. back on its ruler, removes it
+    beginGuideDrag(axis, guide = null) {
+        this.guideDrag = { axis, guide, position: guide ? guide.position : null };
+        
+        const move = (e) => {
+            const pos = this.getMousePos(e);
+            const point = this.screenToCanvas(pos.x, pos.y);
+            this.guideDrag.position = Math.round(point[axis]);
+            this.canvas.style.cursor = axis === 'x' ? 'col-resize' : 'row-resize';
+            this.render();
+        };
+        const up = (e) => {
+            window.removeEventListener('mousemove', move);
+            window.removeEventListener('mouseup', up);
+            
+            const { position } = this.guideDrag;
+            this.guideDrag = null;
+            const dropped = e.target === this.canvas && position !== null;
+            if (guide && dropped) {
+                if (position !== guide.position) {
+                    this.setGuides(this.guides.map(other => other === guide ? { axis, position } : other), 'Move guide');
+                }
+            } else if (guide) {
+                this.setGuides(this.guides.filter(other => other !== guide), 'Remove guide');
+            } else if (dropped) {
+                this.setGuides([...this.guides, { axis, position }], 'Add guide');
+            }
+            this.render();
+        };
+        
+        window.addEventListener('mousemove', move);
+        window.addEventListener('mouseup', up);
+    }
+
+    setGuides(guides, name = 'Change guides') {
+        const previous = this.guides;
+        this.applyGuides(guides);
+        this.recordHistory(name, () => this.applyGuides(previous), () => this.applyGuides(guides));
+    }
+
+    applyGuides(guides) {
+        this.guides = guides;
+        this.render();
+        
+        this.canvas.dispatchEvent(new CustomEvent('guidesChanged', {
+            detail: { guides: this.guides }
+        }));
+    }
+
+    drawGuides() {
+        const drag = this.guideDrag;
+        const guides = this.guides.filter(guide => !drag || guide !== drag.guide);
+        if (drag && drag.position !== null) {
+            guides.push(drag);
+        }
+        if (guides.length === 0) {
+            return;
+        }
+        
+        const view = this.getViewBounds();
+        this.ctx.save();
+        this.ctx.strokeStyle = CanvasEngine.guideColor;
+        this.ctx.lineWidth = 1 / this.zoom;
+        this.ctx.beginPath();
+        guides.forEach(({ axis, position }) => {
+            if (axis === 'x') {
+                this.ctx.moveTo(position, view.y);
+                this.ctx.lineTo(position, view.y + view.height);
+            } else {
+                this.ctx.moveTo(view.x, position);
+                this.ctx.lineTo(view.x + view.width, position);
+            }
+        });
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Align and Distribute
+    // Line up the selection's edges or centres (edge: left, center, right, top, middle or
+    // bottom) with those of its bounding box, or a single object with the stage
+    alignSelectedObjects(edge) {
+        const objects = this.getTopmostSelected().filter(obj => !this.isLockedInHierarchy(obj));
+        if (objects.length === 0) {
+            return;
+        }
+        
+        const target = objects.length === 1
+            ? { x: 0, y: 0, width: this.stage.width, height: this.stage.height }
+            : this.getObjectsBounds(objects);
+        const horizontal = ['left', 'center', 'right'].includes(edge);
+        const fraction = { left: 0, center: 0.5, right: 1, top: 0, middle: 0.5, bottom: 1 }[edge];
+        const line = horizontal ? target.x + target.width * fraction : target.y + target.height * fraction;
+        
+        this.moveObjects(objects.map(obj => {
+            const box = this.getWorldBounds(obj);
+            const current = horizontal ? box.x + box.width * fraction : box.y + box.height * fraction;
+            return horizontal ? { obj, deltaX: line - current, deltaY: 0 } : { obj, deltaX: 0, deltaY: line - current };
+        }), `Align ${edge}`);
+    }
+
+    // Space three or more selected objects evenly along axis ('x' or 'y') between the two
+    // outermost, which stay put
+    distributeSelectedObjects(axis) {
+        const objects = this.getTopmostSelected().filter(obj => !this.isLockedInHierarchy(obj));
+        if (objects.length < 3) {
+            return;
+        }
+        
+        const size = axis === 'x' ? 'width' : 'height';
+        const boxes = objects
+            .map(obj => ({ obj, box: this.getWorldBounds(obj) }))
+            .sort((a, b) => a.box[axis] - b.box[axis]);
+        const first = boxes[0].box;
+        const end = Math.max(...boxes.map(({ box }) => box[axis] + box[size]));
+        const total = boxes.reduce((sum, { box }) => sum + box[size], 0);
+        const gap = (end - first[axis] - total) / (boxes.length - 1);
+        
+        let position = first[axis];
+        this.moveObjects(boxes.map(({ obj, box }) => {
+            const delta = position - box[axis];
+            position += box[size] + gap;
+            return axis === 'x' ? { obj, deltaX: delta, deltaY: 0 } : { obj, deltaX: 0, deltaY: delta };
+        }), `Distribute ${axis === 'x' ? 'horizontally' : 'vertically'}`);
+    }
+
+    // Move objects by scene-space offsets ({ obj, deltaX, deltaY }) as one undo step
+    moveObjects(moves, name) {
+        const before = [];
+        const after = [];
+        moves.forEach(({ obj, deltaX, deltaY }) => {
+            if (Math.abs(deltaX) < 1e-6 && Math.abs(deltaY) < 1e-6) {
+                return;
+            }
+            before.push({ id: obj.id, state: { x: obj.x, y: obj.y } });
+            this.moveObjectBy(obj, deltaX, deltaY);
+            after.push({ id: obj.id, state: { x: obj.x, y: obj.y } });
+        });
+        if (after.length === 0) {
+            return;
+        }
+        
+        this.render();
+        this.recordHistory(
+            name,
+            () => before.forEach(({ id, state }) => this.updateObject(id, state)),
+            () => after.forEach(({ id, state }) => this.updateObject(id, state))
+        );
+        
+        const objects = after.map(({ id }) => this.getObject(id));
+        objects.forEach(obj => {
+            this.canvas.dispatchEvent(new CustomEvent('objectUpdated', {
+                detail: { object: obj }
+            }));
+        });
+        this.canvas.dispatchEvent(new CustomEvent('objectTransformed', {
+            detail: { objects, mode: 'move' }
+        }));
+    }
+
+    // Stage
+    // Change the stage's width, height, background or transparent flag (undoable)
+    setStage(props) {
+        const previous = { ...this.stage };
+        const stage = { ...previous, ...props };
+        stage.width = Math.max(1, Math.round(stage.width) || previous.width);
+        stage.height = Math.max(1, Math.round(stage.height) || previous.height);
+        stage.transparent = Boolean(stage.transparent);
+        
+        if (Object.keys(stage).every(key => stage[key] === previous[key])) {
+            return;
+        }
+        
+        this.applyStage(stage);
+        this.recordHistory(
+            'Change stage',
+            () => this.applyStage(previous),
+            () => this.applyStage(stage),
+            { coalesceKey: 'stage' }
+        );
+    }
+
+    // Replace the stage without recording history, e.g. when a project opens
+    applyStage(stage) {
+        const previous = this.stage;
+        this.stage = { ...CanvasEngine.defaultStage, ...stage };
+        this.render();
+        
+        this.canvas.dispatchEvent(new CustomEvent('stageChanged', {
+            detail: { stage: this.stage, previous }
+        }));
+    }
+
+    // Colour behind exported frames, or null when the stage is transparent
+    getStageBackground() {
+        return this.stage.transparent ? null : this.stage.background;
+    }
+
     // Zoom and Pan
-    setZoom(zoom) {
-        this.zoom = Math.max(0.1, Math.min(5, zoom));
+    // Every change of view goes through here; listeners (rulers, the text editor) follow
+    // viewChanged
+    setView(zoom, panX, panY) {
+        const previousZoom = this.zoom;
+        this.zoom = Math.max(CanvasEngine.minZoom, Math.min(CanvasEngine.maxZoom, zoom));
+        this.panX = panX;
+        this.panY = panY;
         this.render();
         
-        this.canvas.dispatchEvent(new CustomEvent('zoomChanged', {
-            detail: { zoom: this.zoom }
+        this.canvas.dispatchEvent(new CustomEvent('viewChanged', {
+            detail: { zoom: this.zoom, panX: this.panX, panY: this.panY }
         }));
+        if (this.zoom !== previousZoom) {
+            this.canvas.dispatchEvent(new CustomEvent('zoomChanged', {
+                detail: { zoom: this.zoom }
+            }));
+        }
+    }
+
+    // Zoom keeping the scene point under anchor (a view position, the view's centre by default)
+    // in place
+    setZoom(zoom, anchor = null) {
+        const view = this.getViewSize();
+        const { x, y } = anchor || { x: view.width / 2, y: view.height / 2 };
+        const point = this.screenToCanvas(x, y);
+        const clamped = Math.max(CanvasEngine.minZoom, Math.min(CanvasEngine.maxZoom, zoom));
+        this.setView(clamped, x - point.x * clamped, y - point.y * clamped);
     }
 
     setPan(x, y) {
-        this.panX = x;
-        this.panY = y;
+        this.setView(this.zoom, x, y);
+    }
+
+    zoomIn() {
+        this.setZoom(this.getZoomStep(1));
+    }
+
+    zoomOut() {
+        this.setZoom(this.getZoomStep(-1));
+    }
+
+    // The next of CanvasEngine.zoomLevels above (direction 1) or below (-1) the current zoom
+    getZoomStep(direction) {
+        const levels = direction > 0 ? CanvasEngine.zoomLevels : [...CanvasEngine.zoomLevels].reverse();
+        const next = levels.find(level => (level - this.zoom) * direction > 0.001);
+        return next ?? this.zoom;
+    }
+
+    // Zoom and pan so a scene rectangle fills the view, less padding, zooming to maxZoom at most
+    zoomToRect(rect, padding = 40, maxZoom = CanvasEngine.maxZoom) {
+        const view = this.getViewSize();
+        const zoom = Math.max(CanvasEngine.minZoom, Math.min(
+            maxZoom,
+            (view.width - padding * 2) / Math.max(rect.width, 1),
+            (view.height - padding * 2) / Math.max(rect.height, 1)
+        ));
+        this.setView(
+            zoom,
+            view.width / 2 - (rect.x + rect.width / 2) * zoom,
+            view.height / 2 - (rect.y + rect.height / 2) * zoom
+        );
+    }
+
+    // The whole stage in the middle of the view, at 100% at most
+    fitStage() {
+        this.zoomToRect({ x: 0, y: 0, width: this.stage.width, height: this.stage.height }, 40, 1);
+    }
+
+    zoomToSelection() {
+        const objects = this.getTopmostSelected();
+        if (objects.length === 0) {
+            return;
+        }
+        
+        this.zoomToRect(this.getObjectsBounds(objects), 60);
+    }
+
+    // Serialization
+    // Plain-data copy of the scene for project files; runtime-only values are left out
+    exportToJSON() {
+        return {
+            objects: this.objects.map(obj => {
+                const data = {};
+                for (const key in obj) {
+                    if (!this.runtimeProperties.includes(key)) {
+                        data[key] = obj[key];
+                    }
+                }
+                return data;
+            }),
+            guides: this.guides.map(guide => ({ ...guide }))
+        };
+    }
+
+    // Replace the scene with serialized objects, reloading images from their src
+    async importFromJSON(data) {
+        const objects = (data.objects || []).map(obj => ({ ...obj, parentId: obj.parentId || null }));
+        
+        await Promise.all(objects
+            .filter(obj => obj.type === 'image' && obj.src)
+            .map(obj => this.loadImageElement(obj.src)
+                .then(image => {
+                    obj.image = image;
+                })
+                .catch(() => {
+                    console.warn(`⚠️ Could not load image for ${obj.name}`);
+                })));
+        
+        this.objects = objects;
+        this.guides = (data.guides || []).map(guide => ({ ...guide }));
+        this.selectedObjects = [];
+        this.emitSelectionChanged();
         this.render();
+        
+        this.canvas.dispatchEvent(new CustomEvent('canvasLoaded', {
+            detail: { objects: this.objects }
+        }));
+    }
+
+    loadImageElement(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load image'));
+            img.src = src;
+        });
     }
 
     // Clear all objects
     clearCanvas() {
         this.objects = [];
+        this.guides = [];
         this.selectedObjects = [];
+        this.soloIds.clear();
         this.render();
         
         this.canvas.dispatchEvent(new CustomEvent('canvasCleared'));
     }
 }
 
+// Stage of a new project; background is any CSS colour
+CanvasEngine.defaultStage = { width: 1920, height: 1080, background: '#ffffff', transparent: false };
+
+CanvasEngine.stagePresets = [
+    { name: 'HD landscape', width: 1920, height: 1080 },
+    { name: 'HD portrait', width: 1080, height: 1920 },
+    { name: 'Square', width: 1080, height: 1080 },
+    { name: '4K landscape', width: 3840, height: 2160 },
+    { name: '720p landscape', width: 1280, height: 720 },
+    { name: 'Portrait 4:5', width: 1080, height: 1350 }
+];
+
+// History names of the restackObjects directions
+CanvasEngine.restackLabels = {
+    forward: 'Bring forward',
+    backward: 'Send backward',
+    front: 'Bring to front',
+    back: 'Send to back'
+};
+
+// View zoom limits, and the levels zoom in/out step through
+CanvasEngine.minZoom = 0.05;
+CanvasEngine.maxZoom = 32;
+CanvasEngine.zoomLevels = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+
+// Drawn over everything off the stage in the editor
+CanvasEngine.pasteboardColor = 'rgba(43, 43, 43, 0.75)';
+
+CanvasEngine.guideColor = '#29b6f6';
+CanvasEngine.smartGuideColor = '#ff3d71';
+
+// Shape kinds: their initial size and the keyframeable parameters (with defaults) they add.
+// Circles are ellipses that start out round
+CanvasEngine.shapeTypes = {
+    rectangle: { width: 100, height: 100, parameters: {} },
+    roundedRectangle: {
+        width: 120,
+        height: 80,
+        parameters: {
+            cornerRadiusTopLeft: 16,
+            cornerRadiusTopRight: 16,
+            cornerRadiusBottomRight: 16,
+            cornerRadiusBottomLeft: 16
+        }
+    },
+    circle: { width: 100, height: 100, parameters: {} },
+    ellipse: { width: 140, height: 90, parameters: {} },
+    polygon: { width: 100, height: 100, parameters: { sides: 6 } },
+    star: { width: 100, height: 100, parameters: { starPoints: 5, innerRadius: 0.5 } },
+    line: { width: 150, height: 20, parameters: {} },
+    arrow: { width: 150, height: 30, parameters: { headLength: 24 } }
+};
+
+// How an object is cut out by its mask (see drawMaskedObject)
+CanvasEngine.maskModes = ['alpha', 'alphaInverted', 'clip', 'clipInverted'];
+
+// Half the size of the area an inverted clip mask keeps, in scene units
+CanvasEngine.maskExtent = 100000;
+
+// Blend modes objects can use (globalCompositeOperation names); 'normal' draws over
+CanvasEngine.blendModes = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
+
+// Filters an object's filter stack may hold: the CSS filter function, its unit, and the
+// amount that leaves the image unchanged (a new filter starts from its default)
+CanvasEngine.filterTypes = {
+    blur: { css: 'blur', unit: 'px', identity: 0, default: 4, min: 0, max: 100 },
+    brightness: { css: 'brightness', unit: '%', identity: 100, default: 130, min: 0, max: 400 },
+    contrast: { css: 'contrast', unit: '%', identity: 100, default: 130, min: 0, max: 400 },
+    saturate: { css: 'saturate', unit: '%', identity: 100, default: 200, min: 0, max: 400 },
+    hueRotate: { css: 'hue-rotate', unit: 'deg', identity: 0, default: 90, min: -360, max: 360 },
+    grayscale: { css: 'grayscale', unit: '%', identity: 0, default: 100, min: 0, max: 100 }
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CanvasEngine;
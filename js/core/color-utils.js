@@ -0,0 +1,340 @@
+/**
+ * Color Utils - Parsing, formatting and interpolation of colours and gradient fills
+ *
+ * Colours are CSS strings: #rgb, #rrggbb, #rrggbbaa, rgb(), rgba(), hsl(), hsla(), a few
+ * names, and 'none' / 'transparent'. A gradient fill is a plain object:
+ *
+ *   { type: 'linear', angle: 90, stops: [{ offset: 0, color: '#ff0000' }, ...] }
+ *   { type: 'radial', centerX: 0.5, centerY: 0.5, radius: 0.5, stops: [...] }
+ *
+ * angle is in degrees (0 runs left to right, 90 top to bottom); the radial centre and radius
+ * are fractions of the object's box. Colours interpolate in one of ColorUtils.modes:
+ *   rgb    straight sRGB blend
+ *   hsl    around the hue wheel the short way
+ *   oklab  perceptually even (no muddy midpoints)
+ */
+
+class ColorUtils {
+    // Parsing and Formatting
+    // Returns { r, g, b, a } with channels 0-255 and alpha 0-1, or null if value isn't a colour
+    static parse(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const text = value.trim().toLowerCase();
+        if (text === 'none' || text === 'transparent') {
+            return { r: 0, g: 0, b: 0, a: 0 };
+        }
+        if (ColorUtils.namedColors[text]) {
+            return ColorUtils.parse(ColorUtils.namedColors[text]);
+        }
+
+        const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length <= 4) {
+                digits = digits.split('').map(digit => digit + digit).join('');
+            }
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16),
+                a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+            };
+        }
+
+        const functional = text.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+        if (!functional) {
+            return null;
+        }
+
+        const parts = functional[2].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) {
+            return null;
+        }
+        const number = part => parseFloat(part);
+        const alpha = parts[3] === undefined ? 1
+            : parts[3].endsWith('%') ? number(parts[3]) / 100 : number(parts[3]);
+        if (parts.slice(0, 3).some(part => isNaN(number(part))) || isNaN(alpha)) {
+            return null;
+        }
+
+        if (functional[1].startsWith('rgb')) {
+            const channel = part => part.endsWith('%') ? number(part) * 2.55 : number(part);
+            return ColorUtils.clamp({ r: channel(parts[0]), g: channel(parts[1]), b: channel(parts[2]), a: alpha });
+        }
+
+        return ColorUtils.clamp({
+            ...ColorUtils.hslToRgb(number(parts[0]), number(parts[1]) / 100, number(parts[2]) / 100),
+            a: alpha
+        });
+    }
+
+    // Opaque colours as #rrggbb, translucent ones as rgba()
+    static toString(color) {
+        const { r, g, b, a } = ColorUtils.clamp(color);
+        if (a >= 1) {
+            return ColorUtils.toHex(color);
+        }
+        return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${Math.round(a * 1000) / 1000})`;
+    }
+
+    // #rrggbb without alpha, e.g. for <input type="color">
+    static toHex(color) {
+        const parsed = typeof color === 'string' ? ColorUtils.parse(color) : color;
+        if (!parsed) {
+            return '#000000';
+        }
+        const { r, g, b } = ColorUtils.clamp(parsed);
+        return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    static clamp({ r, g, b, a }) {
+        const limit = (value, max) => Math.max(0, Math.min(max, value));
+        return { r: limit(r, 255), g: limit(g, 255), b: limit(b, 255), a: limit(a ?? 1, 1) };
+    }
+
+    static isColor(value) {
+        return ColorUtils.parse(value) !== null;
+    }
+
+    static isGradient(value) {
+        return Boolean(value) && typeof value === 'object' &&
+            (value.type === 'linear' || value.type === 'radial') && Array.isArray(value.stops);
+    }
+
+    // Anything a fill, stroke or text colour may hold
+    static isPaint(value) {
+        return ColorUtils.isColor(value) || ColorUtils.isGradient(value);
+    }
+
+    // Interpolation
+    static interpolate(from, to, t, mode = 'rgb') {
+        let start = ColorUtils.parse(from);
+        let end = ColorUtils.parse(to);
+        if (!start || !end) {
+            return t < 0.5 ? from : to;
+        }
+
+        // Fading from or to transparent keeps the visible colour instead of passing through black
+        if (start.a === 0) {
+            start = { ...end, a: 0 };
+        } else if (end.a === 0) {
+            end = { ...start, a: 0 };
+        }
+
+        const lerp = (a, b) => a + (b - a) * t;
+        const alpha = lerp(start.a, end.a);
+
+        if (mode === 'hsl') {
+            const a = ColorUtils.rgbToHsl(start);
+            const b = ColorUtils.rgbToHsl(end);
+            // Greys have no hue of their own; borrow the other colour's
+            if (a.s === 0) {
+                a.h = b.h;
+            }
+            if (b.s === 0) {
+                b.h = a.h;
+            }
+            let hueDelta = ((b.h - a.h) % 360 + 540) % 360 - 180;
+            if (hueDelta === -180 && b.h > a.h) {
+                hueDelta = 180;
+            }
+            const hue = (a.h + hueDelta * t + 360) % 360;
+            return ColorUtils.toString({ ...ColorUtils.hslToRgb(hue, lerp(a.s, b.s), lerp(a.l, b.l)), a: alpha });
+        }
+
+        if (mode === 'oklab') {
+            const a = ColorUtils.rgbToOklab(start);
+            const b = ColorUtils.rgbToOklab(end);
+            return ColorUtils.toString({
+                ...ColorUtils.oklabToRgb({ L: lerp(a.L, b.L), a: lerp(a.a, b.a), b: lerp(a.b, b.b) }),
+                a: alpha
+            });
+        }
+
+        return ColorUtils.toString({ r: lerp(start.r, end.r), g: lerp(start.g, end.g), b: lerp(start.b, end.b), a: alpha });
+    }
+
+    // Colours and gradients in any combination. A solid colour blends with a gradient as a
+    // gradient of that colour; gradients with different stops are resampled at every offset
+    static interpolatePaint(from, to, t, mode = 'rgb') {
+        const fromGradient = ColorUtils.isGradient(from);
+        const toGradient = ColorUtils.isGradient(to);
+        if (!fromGradient && !toGradient) {
+            return ColorUtils.interpolate(from, to, t, mode);
+        }
+
+        const start = fromGradient ? from : ColorUtils.toGradient(from, to);
+        const end = toGradient ? to : ColorUtils.toGradient(to, from);
+        const lerp = (key, fallback) => (start[key] ?? fallback) + ((end[key] ?? fallback) - (start[key] ?? fallback)) * t;
+
+        const offsets = [...new Set([...start.stops, ...end.stops].map(stop => stop.offset))].sort((a, b) => a - b);
+        const stops = offsets.map(offset => ({
+            offset,
+            color: ColorUtils.interpolate(
+                ColorUtils.getColorAtOffset(start, offset),
+                ColorUtils.getColorAtOffset(end, offset),
+                t,
+                mode
+            )
+        }));
+
+        const type = t < 0.5 ? start.type : end.type;
+        return type === 'linear'
+            ? { type, angle: lerp('angle', 0), stops }
+            : { type, centerX: lerp('centerX', 0.5), centerY: lerp('centerY', 0.5), radius: lerp('radius', 0.5), stops };
+    }
+
+    // A gradient shaped like `like` whose stops are all `color`
+    static toGradient(color, like) {
+        return {
+            ...like,
+            stops: like.stops.map(stop => ({ offset: stop.offset, color }))
+        };
+    }
+
+    static getColorAtOffset(gradient, offset) {
+        const stops = gradient.stops.slice().sort((a, b) => a.offset - b.offset);
+        if (stops.length === 0) {
+            return 'transparent';
+        }
+        if (offset <= stops[0].offset) {
+            return stops[0].color;
+        }
+        for (let i = 1; i < stops.length; i++) {
+            if (offset <= stops[i].offset) {
+                const span = stops[i].offset - stops[i - 1].offset;
+                const t = span > 0 ? (offset - stops[i - 1].offset) / span : 1;
+                return ColorUtils.interpolate(stops[i - 1].color, stops[i].color, t);
+            }
+        }
+        return stops[stops.length - 1].color;
+    }
+
+    // Canvas
+    // A fillStyle/strokeStyle for a paint, in an object's centred box space
+    static createCanvasPaint(ctx, paint, width, height) {
+        if (!ColorUtils.isGradient(paint)) {
+            return paint === 'none' ? 'transparent' : paint;
+        }
+
+        let gradient;
+        if (paint.type === 'radial') {
+            const centerX = ((paint.centerX ?? 0.5) - 0.5) * width;
+            const centerY = ((paint.centerY ?? 0.5) - 0.5) * height;
+            const radius = Math.max(0.001, (paint.radius ?? 0.5) * Math.max(width, height));
+            gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+        } else {
+            // Like CSS, the gradient line is long enough to reach the box's corners
+            const angle = (paint.angle ?? 0) * Math.PI / 180;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+            const half = Math.abs(width / 2 * dx) + Math.abs(height / 2 * dy);
+            gradient = ctx.createLinearGradient(-dx * half, -dy * half, dx * half, dy * half);
+        }
+
+        paint.stops
+            .slice()
+            .sort((a, b) => a.offset - b.offset)
+            .forEach(stop => {
+                const color = ColorUtils.parse(stop.color);
+                gradient.addColorStop(Math.max(0, Math.min(1, stop.offset)), color ? ColorUtils.toString(color) : 'transparent');
+            });
+        return gradient;
+    }
+
+    // Colour Spaces
+    static rgbToHsl({ r, g, b }) {
+        const red = r / 255;
+        const green = g / 255;
+        const blue = b / 255;
+        const max = Math.max(red, green, blue);
+        const min = Math.min(red, green, blue);
+        const l = (max + min) / 2;
+        const d = max - min;
+
+        if (d === 0) {
+            return { h: 0, s: 0, l };
+        }
+
+        const s = d / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === red) {
+            h = ((green - blue) / d) % 6;
+        } else if (max === green) {
+            h = (blue - red) / d + 2;
+        } else {
+            h = (red - green) / d + 4;
+        }
+        return { h: (h * 60 + 360) % 360, s, l };
+    }
+
+    static hslToRgb(h, s, l) {
+        const c = (1 - Math.abs(2 * l - 1)) * s;
+        const hue = ((h % 360) + 360) % 360 / 60;
+        const x = c * (1 - Math.abs(hue % 2 - 1));
+        const m = l - c / 2;
+        const [r, g, b] = hue < 1 ? [c, x, 0] : hue < 2 ? [x, c, 0] : hue < 3 ? [0, c, x]
+            : hue < 4 ? [0, x, c] : hue < 5 ? [x, 0, c] : [c, 0, x];
+        return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 };
+    }
+
+    static rgbToOklab({ r, g, b }) {
+        const linear = channel => {
+            const c = channel / 255;
+            return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+        return {
+            L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    }
+
+    static oklabToRgb({ L, a, b }) {
+        const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+        const gamma = channel => {
+            const c = Math.max(0, Math.min(1, channel));
+            return (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055) * 255;
+        };
+
+        return {
+            r: gamma(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+            g: gamma(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+            b: gamma(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+        };
+    }
+}
+
+ColorUtils.modes = ['rgb', 'hsl', 'oklab'];
+
+ColorUtils.namedColors = {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    cyan: '#00ffff',
+    magenta: '#ff00ff',
+    orange: '#ffa500',
+    purple: '#800080',
+    gray: '#808080',
+    grey: '#808080'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorUtils;
+}
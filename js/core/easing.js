@@ -0,0 +1,248 @@
+/**
+ * Easing - Timing functions for keyframe interpolation
+ * Provides the Penner easing set plus cubic-bezier, steps, elastic and back curves
+ */
+
+class Easing {
+    // Evaluate an easing curve at progress (0-1) with optional per-keyframe params
+    static apply(progress, easingType = 'linear', easingParams = {}) {
+        const t = Math.max(0, Math.min(1, progress));
+        const params = easingParams || {};
+
+        switch (easingType) {
+            case 'cubicBezier':
+                return Easing.cubicBezier(
+                    params.x1 ?? 0.25,
+                    params.y1 ?? 0.1,
+                    params.x2 ?? 0.25,
+                    params.y2 ?? 1
+                )(t);
+
+            case 'steps':
+                return Easing.steps(t, params.steps ?? 5, params.position ?? 'end');
+
+            case 'elastic':
+                return Easing.easeOutElastic(t, params.amplitude, params.period);
+
+            case 'back':
+                return Easing.easeOutBack(t, params.overshoot);
+
+            case 'easeInElastic':
+            case 'easeOutElastic':
+            case 'easeInOutElastic':
+                return Easing[easingType](t, params.amplitude, params.period);
+
+            case 'easeInBack':
+            case 'easeOutBack':
+            case 'easeInOutBack':
+                return Easing[easingType](t, params.overshoot);
+
+            default: {
+                const fn = Easing.functions[easingType];
+                return fn ? fn(t) : t;
+            }
+        }
+    }
+
+    static getTypes() {
+        const families = ['Quad', 'Cubic', 'Quart', 'Quint', 'Sine', 'Expo', 'Circ', 'Back', 'Elastic', 'Bounce'];
+        const penner = [];
+        families.forEach(family => {
+            penner.push(`easeIn${family}`, `easeOut${family}`, `easeInOut${family}`);
+        });
+
+        return [
+            'linear', 'easeIn', 'easeOut', 'easeInOut', 'bounce',
+            'cubicBezier', 'steps', 'elastic', 'back',
+            ...penner
+        ];
+    }
+
+    // CSS-style cubic-bezier(x1, y1, x2, y2) timing curve
+    static cubicBezier(x1, y1, x2, y2) {
+        const key = `${x1},${y1},${x2},${y2}`;
+        if (Easing.bezierCache.has(key)) {
+            return Easing.bezierCache.get(key);
+        }
+
+        // Keep x monotonic so the curve stays a function of time
+        const cx1 = Math.max(0, Math.min(1, x1));
+        const cx2 = Math.max(0, Math.min(1, x2));
+
+        const sampleCurve = (a1, a2, t) => 3 * a1 * t * (1 - t) * (1 - t) + 3 * a2 * t * t * (1 - t) + t * t * t;
+        const sampleDerivative = (a1, a2, t) => 3 * a1 * (1 - t) * (1 - t) + 6 * (a2 - a1) * t * (1 - t) + 3 * (1 - a2) * t * t;
+
+        const solveT = (x) => {
+            // Newton-Raphson first, falling back to bisection for flat regions
+            let t = x;
+            for (let i = 0; i < 8; i++) {
+                const error = sampleCurve(cx1, cx2, t) - x;
+                if (Math.abs(error) < 1e-6) {
+                    return t;
+                }
+                const derivative = sampleDerivative(cx1, cx2, t);
+                if (Math.abs(derivative) < 1e-6) {
+                    break;
+                }
+                t -= error / derivative;
+            }
+
+            let low = 0;
+            let high = 1;
+            t = x;
+            for (let i = 0; i < 30; i++) {
+                const value = sampleCurve(cx1, cx2, t);
+                if (Math.abs(value - x) < 1e-6) {
+                    break;
+                }
+                if (value < x) {
+                    low = t;
+                } else {
+                    high = t;
+                }
+                t = (low + high) / 2;
+            }
+            return t;
+        };
+
+        const fn = (x) => {
+            if (x <= 0) {
+                return 0;
+            }
+            if (x >= 1) {
+                return 1;
+            }
+            return sampleCurve(y1, y2, solveT(x));
+        };
+
+        Easing.bezierCache.set(key, fn);
+        return fn;
+    }
+
+    static steps(t, steps = 5, position = 'end') {
+        const count = Math.max(1, Math.round(steps));
+        if (t >= 1) {
+            return 1;
+        }
+        const step = position === 'start' ? Math.ceil(t * count) : Math.floor(t * count);
+        return Math.min(1, step / count);
+    }
+
+    // Back and elastic variants accept tuning parameters
+    static easeInBack(t, overshoot = 1.70158) {
+        const c3 = overshoot + 1;
+        return c3 * t * t * t - overshoot * t * t;
+    }
+
+    static easeOutBack(t, overshoot = 1.70158) {
+        const c3 = overshoot + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + overshoot * Math.pow(t - 1, 2);
+    }
+
+    static easeInOutBack(t, overshoot = 1.70158) {
+        const c2 = overshoot * 1.525;
+        return t < 0.5
+            ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+            : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2;
+    }
+
+    static easeInElastic(t, amplitude = 1, period = 0.3) {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        const a = Math.max(1, amplitude);
+        const s = (period / (2 * Math.PI)) * Math.asin(1 / a);
+        return -(a * Math.pow(2, 10 * (t - 1)) * Math.sin(((t - 1 - s) * 2 * Math.PI) / period));
+    }
+
+    static easeOutElastic(t, amplitude = 1, period = 0.3) {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        const a = Math.max(1, amplitude);
+        const s = (period / (2 * Math.PI)) * Math.asin(1 / a);
+        return a * Math.pow(2, -10 * t) * Math.sin(((t - s) * 2 * Math.PI) / period) + 1;
+    }
+
+    static easeInOutElastic(t, amplitude = 1, period = 0.45) {
+        return t < 0.5
+            ? Easing.easeInElastic(t * 2, amplitude, period) / 2
+            : Easing.easeOutElastic(t * 2 - 1, amplitude, period) / 2 + 0.5;
+    }
+
+    static easeOutBounce(t) {
+        const n1 = 7.5625;
+        const d1 = 2.75;
+
+        if (t < 1 / d1) {
+            return n1 * t * t;
+        } else if (t < 2 / d1) {
+            t -= 1.5 / d1;
+            return n1 * t * t + 0.75;
+        } else if (t < 2.5 / d1) {
+            t -= 2.25 / d1;
+            return n1 * t * t + 0.9375;
+        }
+        t -= 2.625 / d1;
+        return n1 * t * t + 0.984375;
+    }
+}
+
+Easing.bezierCache = new Map();
+
+// Parameterless curves, keyed by easing type name
+Easing.functions = {
+    linear: (t) => t,
+
+    // Original names kept for existing keyframes
+    easeIn: (t) => t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 2),
+    easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    bounce: (t) => Easing.easeOutBounce(t),
+
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+    easeInQuart: (t) => t * t * t * t,
+    easeOutQuart: (t) => 1 - Math.pow(1 - t, 4),
+    easeInOutQuart: (t) => (t < 0.5 ? 8 * Math.pow(t, 4) : 1 - Math.pow(-2 * t + 2, 4) / 2),
+
+    easeInQuint: (t) => Math.pow(t, 5),
+    easeOutQuint: (t) => 1 - Math.pow(1 - t, 5),
+    easeInOutQuint: (t) => (t < 0.5 ? 16 * Math.pow(t, 5) : 1 - Math.pow(-2 * t + 2, 5) / 2),
+
+    easeInSine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+    easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+
+    easeInExpo: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+    easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeInOutExpo: (t) => {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+    },
+
+    easeInCirc: (t) => 1 - Math.sqrt(1 - t * t),
+    easeOutCirc: (t) => Math.sqrt(1 - Math.pow(t - 1, 2)),
+    easeInOutCirc: (t) => (t < 0.5
+        ? (1 - Math.sqrt(1 - Math.pow(2 * t, 2))) / 2
+        : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2),
+
+    easeInBounce: (t) => 1 - Easing.easeOutBounce(1 - t),
+    easeOutBounce: (t) => Easing.easeOutBounce(t),
+    easeInOutBounce: (t) => (t < 0.5
+        ? (1 - Easing.easeOutBounce(1 - 2 * t)) / 2
+        : (1 + Easing.easeOutBounce(2 * t - 1)) / 2)
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Easing;
+}
@@ -0,0 +1,200 @@
+/**
+ * History Manager - Undo/redo for editor mutations
+ * Stores named commands recorded by the canvas, timeline and asset modules
+ */
+
+class HistoryManager {
+    constructor(maxEntries = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxEntries = maxEntries;
+
+        // Consecutive records sharing a coalesce key within this window merge into one step
+        this.coalesceWindow = 1000; // ms
+
+        // Open groups collect commands until the outermost group ends
+        this.groups = [];
+
+        // Set while undoing/redoing so replayed mutations are not recorded again
+        this.isApplying = false;
+
+        console.log('✅ History manager initialized');
+    }
+
+    // Recording
+    record(name, undo, redo, options = {}) {
+        if (this.isApplying) {
+            return;
+        }
+
+        const command = { undo, redo };
+
+        if (this.groups.length > 0) {
+            this.groups[this.groups.length - 1].commands.push(command);
+            return;
+        }
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (options.coalesceKey && last && last.coalesceKey === options.coalesceKey &&
+            now - last.timestamp < this.coalesceWindow) {
+            last.commands.push(command);
+            last.timestamp = now;
+            this.redoStack = [];
+            this.emitChanged();
+            return;
+        }
+
+        this.pushEntry({
+            name,
+            commands: [command],
+            coalesceKey: options.coalesceKey || null,
+            timestamp: now
+        });
+    }
+
+    beginGroup(name) {
+        this.groups.push({ name, commands: [] });
+    }
+
+    endGroup() {
+        const group = this.groups.pop();
+        if (!group || group.commands.length === 0) {
+            return;
+        }
+
+        if (this.groups.length > 0) {
+            // Nested groups fold into their parent
+            this.groups[this.groups.length - 1].commands.push(...group.commands);
+            return;
+        }
+
+        this.pushEntry({
+            name: group.name,
+            commands: group.commands,
+            coalesceKey: null,
+            timestamp: Date.now()
+        });
+    }
+
+    // Run fn with every mutation it records collapsed into a single step
+    group(name, fn) {
+        this.beginGroup(name);
+        try {
+            return fn();
+        } finally {
+            this.endGroup();
+        }
+    }
+
+    pushEntry(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.emitChanged();
+    }
+
+    // Undo / Redo
+    canUndo() {
+        return this.undoStack.length > 0 && !this.isApplying;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.isApplying;
+    }
+
+    undo() {
+        if (!this.canUndo()) {
+            return null;
+        }
+
+        const entry = this.undoStack.pop();
+        this.apply(() => {
+            for (let i = entry.commands.length - 1; i >= 0; i--) {
+                entry.commands[i].undo();
+            }
+        });
+
+        // A new edit after undoing should not merge into the undone step
+        entry.timestamp = 0;
+        this.redoStack.push(entry);
+        this.emitChanged();
+        return entry.name;
+    }
+
+    redo() {
+        if (!this.canRedo()) {
+            return null;
+        }
+
+        const entry = this.redoStack.pop();
+        this.apply(() => {
+            entry.commands.forEach(command => command.redo());
+        });
+
+        this.undoStack.push(entry);
+        this.emitChanged();
+        return entry.name;
+    }
+
+    // Undo or redo until exactly `position` entries remain on the undo stack
+    jumpTo(position) {
+        while (this.undoStack.length > position && this.canUndo()) {
+            this.undo();
+        }
+        while (this.undoStack.length < position && this.canRedo()) {
+            this.redo();
+        }
+    }
+
+    apply(fn) {
+        this.isApplying = true;
+        try {
+            fn();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    // State
+    getEntries() {
+        // Oldest first; entries after the current position have been undone
+        return [
+            ...this.undoStack.map(entry => ({ name: entry.name, undone: false })),
+            ...this.redoStack.slice().reverse().map(entry => ({ name: entry.name, undone: true }))
+        ];
+    }
+
+    getPosition() {
+        return this.undoStack.length;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.groups = [];
+        this.emitChanged();
+    }
+
+    emitChanged() {
+        const undoEntry = this.undoStack[this.undoStack.length - 1];
+        const redoEntry = this.redoStack[this.redoStack.length - 1];
+
+        window.dispatchEvent(new CustomEvent('history:changed', {
+            detail: {
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo(),
+                undoName: undoEntry ? undoEntry.name : null,
+                redoName: redoEntry ? redoEntry.name : null
+            }
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
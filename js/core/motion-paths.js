@@ -0,0 +1,347 @@
+/**
+ * Motion Paths - Curved position animation, orient to path and following path objects
+ * Draws the position path of selected objects on the canvas with editable keyframe points
+ * and bezier tangent handles, and resolves the properties motion paths drive:
+ *   orientToPath  rotation follows the direction of travel (plus any keyframed rotation)
+ *   pathId        the object rides along another object's outline at pathProgress (0-100 %)
+ */
+
+class MotionPaths {
+    constructor(canvasEngine, timeline) {
+        this.canvasEngine = canvasEngine;
+        this.timeline = timeline;
+
+        this.enabled = true;
+        this.pathColor = '#ffaa00';
+        this.handleRadius = 5;
+        this.samplesPerSegment = 24;
+
+        this.drag = null;
+    }
+
+    // Driven Properties
+    // Called after keyframes have been applied; returns the x/y/rotation the paths dictate
+    resolveState(obj, time) {
+        const state = {};
+        let angle = null;
+
+        const path = this.getFollowedPath(obj);
+        if (path) {
+            const sample = this.getPointAtProgress(path, obj.pathProgress ?? 0);
+            const parent = this.canvasEngine.getParent(obj);
+            const local = parent
+                ? this.canvasEngine.getChildSpaceMatrix(parent).inverse().transformPoint(sample)
+                : sample;
+            const { originX, originY } = this.canvasEngine.getOrigin(obj);
+
+            state.x = local.x - originX * obj.width;
+            state.y = local.y - originY * obj.height;
+            angle = sample.angle - this.getParentRotation(obj);
+        } else if (obj.orientToPath) {
+            angle = this.timeline.getPathAngleAtTime(obj.id, time);
+        }
+
+        if (obj.orientToPath && angle !== null) {
+            const rotationChannel = this.timeline.getChannel(obj.id, 'rotation');
+            const offset = rotationChannel.length > 0 ? this.timeline.getChannelValueAtTime(rotationChannel, time) : 0;
+            state.rotation = angle + offset;
+        }
+
+        return Object.keys(state).length > 0 ? state : null;
+    }
+
+    getParentRotation(obj) {
+        const parent = this.canvasEngine.getParent(obj);
+        if (!parent) {
+            return 0;
+        }
+        const matrix = this.canvasEngine.getChildSpaceMatrix(parent);
+        return Math.atan2(matrix.b, matrix.a) * 180 / Math.PI;
+    }
+
+    // Following Path Objects
+    // Objects obj may follow: anything but itself and its own descendants
+    getPathCandidates(obj) {
+        const descendants = this.canvasEngine.getDescendants(obj.id);
+        return this.canvasEngine.objects.filter(candidate => candidate !== obj && !descendants.includes(candidate));
+    }
+
+    getFollowedPath(obj) {
+        if (!obj.pathId) {
+            return null;
+        }
+        const pathObject = this.canvasEngine.getObject(obj.pathId);
+        if (!pathObject || pathObject === obj || this.canvasEngine.isAncestorOf(obj.id, pathObject)) {
+            return null;
+        }
+        return this.measurePath(this.canvasEngine.getOutlinePoints(pathObject));
+    }
+
+    // Cumulative lengths along a world-space outline, for sampling by distance
+    measurePath({ points, closed }) {
+        const vertices = closed && points.length > 1 ? [...points, points[0]] : points;
+        const lengths = [0];
+        for (let i = 1; i < vertices.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(vertices[i].x - vertices[i - 1].x, vertices[i].y - vertices[i - 1].y));
+        }
+        return { vertices, lengths, total: lengths[lengths.length - 1] };
+    }
+
+    // Point and direction (degrees) at a percentage of the path's length
+    getPointAtProgress(path, progress) {
+        const { vertices, lengths, total } = path;
+        if (vertices.length === 0) {
+            return { x: 0, y: 0, angle: 0 };
+        }
+        if (vertices.length === 1 || total === 0) {
+            return { x: vertices[0].x, y: vertices[0].y, angle: 0 };
+        }
+
+        const distance = Math.max(0, Math.min(100, progress)) / 100 * total;
+        let index = 1;
+        while (index < lengths.length - 1 && lengths[index] < distance) {
+            index++;
+        }
+
+        const a = vertices[index - 1];
+        const b = vertices[index];
+        const segment = lengths[index] - lengths[index - 1];
+        const t = segment > 0 ? (distance - lengths[index - 1]) / segment : 0;
+
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI
+        };
+    }
+
+    // Keyframed Paths
+    // Objects whose position path is shown: selected, not following a path object, with 2+ keys
+    getEditableObjects() {
+        return this.canvasEngine.getTopmostSelected().filter(obj =>
+            !this.canvasEngine.isLockedInHierarchy(obj) && !this.getFollowedPath(obj) && this.timeline.getPositionKeys(obj.id).length > 1
+        );
+    }
+
+    // Position values are the object's top-left in its parent; the path is drawn through its pivot
+    positionToScene(obj, x, y) {
+        const { originX, originY } = this.canvasEngine.getOrigin(obj);
+        const point = { x: x + originX * obj.width, y: y + originY * obj.height };
+        const parent = this.canvasEngine.getParent(obj);
+        return parent ? this.canvasEngine.getChildSpaceMatrix(parent).transformPoint(point) : point;
+    }
+
+    sceneToPosition(obj, sceneX, sceneY) {
+        const parent = this.canvasEngine.getParent(obj);
+        const point = parent
+            ? this.canvasEngine.getChildSpaceMatrix(parent).inverse().transformPoint({ x: sceneX, y: sceneY })
+            : { x: sceneX, y: sceneY };
+        const { originX, originY } = this.canvasEngine.getOrigin(obj);
+        return { x: point.x - originX * obj.width, y: point.y - originY * obj.height };
+    }
+
+    getKeyPosition(obj, key) {
+        const position = this.timeline.getPositionAtTime(obj.id, key.time);
+        return {
+            x: key.x ? key.x.value : position.x ?? obj.x,
+            y: key.y ? key.y.value : position.y ?? obj.y
+        };
+    }
+
+    getPathSamples(obj) {
+        const keys = this.timeline.getPositionKeys(obj.id);
+        const samples = [];
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            const start = keys[i].time;
+            const end = keys[i + 1].time;
+            for (let s = 0; s <= this.samplesPerSegment; s++) {
+                if (s === 0 && i > 0) {
+                    continue;
+                }
+                const time = start + (end - start) * s / this.samplesPerSegment;
+                const position = this.timeline.getPositionAtTime(obj.id, time);
+                samples.push(this.positionToScene(obj, position.x ?? obj.x, position.y ?? obj.y));
+            }
+        }
+
+        return samples;
+    }
+
+    // Keyframe points and tangent handles of obj's path, in scene coordinates
+    getHandles(obj) {
+        const keys = this.timeline.getPositionKeys(obj.id);
+        const handles = [];
+
+        keys.forEach((key, index) => {
+            const position = this.getKeyPosition(obj, key);
+            const point = this.positionToScene(obj, position.x, position.y);
+            handles.push({ obj, key, part: 'point', ...point, anchor: point, isLast: index === keys.length - 1 });
+
+            // Tangents need both axes keyed at the same time; straight keys show none
+            if (!key.x || !key.y) {
+                return;
+            }
+            if (index > 0 && (key.x.spatialIn || key.y.spatialIn)) {
+                const handle = this.positionToScene(obj,
+                    position.x + (key.x.spatialIn || 0), position.y + (key.y.spatialIn || 0));
+                handles.push({ obj, key, part: 'in', ...handle, anchor: point });
+            }
+            if (index < keys.length - 1 && (key.x.spatialOut || key.y.spatialOut)) {
+                const handle = this.positionToScene(obj,
+                    position.x + (key.x.spatialOut || 0), position.y + (key.y.spatialOut || 0));
+                handles.push({ obj, key, part: 'out', ...handle, anchor: point });
+            }
+        });
+
+        return handles;
+    }
+
+    getHandleAtPosition(x, y) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const tolerance = this.handleRadius * 1.5 / this.canvasEngine.zoom;
+        const handles = this.getEditableObjects().flatMap(obj => this.getHandles(obj));
+
+        // Tangent handles sit on top of the keyframe points they belong to
+        const ordered = [...handles.filter(h => h.part !== 'point'), ...handles.filter(h => h.part === 'point')];
+        return ordered.find(handle => Math.hypot(handle.x - x, handle.y - y) <= tolerance) || null;
+    }
+
+    // Editing
+    // Alt-dragging a keyframe point pulls new tangents out of it
+    beginDrag(handle, e = {}) {
+        const pullOut = handle.part === 'point' && e.altKey && handle.key.x && handle.key.y;
+        this.drag = {
+            handle: pullOut ? { ...handle, part: handle.isLast ? 'in' : 'out' } : handle,
+            pullOut,
+            before: this.captureKey(handle.key)
+        };
+    }
+
+    updateDrag(pos, e) {
+        if (!this.drag) {
+            return;
+        }
+
+        const { obj, key, part } = this.drag.handle;
+        const target = this.sceneToPosition(obj, pos.x, pos.y);
+        const updated = [];
+
+        if (part === 'point') {
+            ['x', 'y'].forEach(axis => {
+                if (key[axis]) {
+                    key[axis].value = target[axis];
+                    updated.push(key[axis]);
+                }
+            });
+        } else {
+            // Tangents stay mirrored (a smooth path) unless Alt is held
+            const opposite = part === 'in' ? 'spatialOut' : 'spatialIn';
+            const own = part === 'in' ? 'spatialIn' : 'spatialOut';
+            ['x', 'y'].forEach(axis => {
+                const offset = target[axis] - key[axis].value;
+                key[axis][own] = offset;
+                if (!e.altKey || this.drag.pullOut) {
+                    key[axis][opposite] = -offset;
+                }
+                updated.push(key[axis]);
+            });
+        }
+
+        updated.forEach(keyframe => {
+            window.dispatchEvent(new CustomEvent('timeline:keyframeUpdated', {
+                detail: { keyframe }
+            }));
+        });
+    }
+
+    endDrag() {
+        if (!this.drag) {
+            return;
+        }
+
+        const { handle, before } = this.drag;
+        const after = this.captureKey(handle.key);
+        this.drag = null;
+
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return;
+        }
+
+        this.timeline.recordHistory(
+            handle.part === 'point' ? 'Move motion path point' : 'Edit motion path',
+            () => this.restoreKey(before),
+            () => this.restoreKey(after)
+        );
+    }
+
+    captureKey(key) {
+        return ['x', 'y']
+            .filter(axis => key[axis])
+            .map(axis => ({
+                id: key[axis].id,
+                value: key[axis].value,
+                spatialIn: key[axis].spatialIn || 0,
+                spatialOut: key[axis].spatialOut || 0
+            }));
+    }
+
+    restoreKey(snapshot) {
+        snapshot.forEach(({ id, ...values }) => this.timeline.updateKeyframe(id, values));
+    }
+
+    // Rendering
+    draw(ctx) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const zoom = this.canvasEngine.zoom;
+        const radius = this.handleRadius / zoom;
+
+        this.getEditableObjects().forEach(obj => {
+            const samples = this.getPathSamples(obj);
+            const handles = this.getHandles(obj);
+
+            ctx.save();
+            ctx.strokeStyle = this.pathColor;
+            ctx.fillStyle = this.pathColor;
+            ctx.lineWidth = 1.5 / zoom;
+            ctx.setLineDash([4 / zoom, 3 / zoom]);
+            ctx.beginPath();
+            samples.forEach((point, index) => {
+                if (index === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            handles.forEach(handle => {
+                if (handle.part === 'point') {
+                    ctx.fillRect(handle.x - radius, handle.y - radius, radius * 2, radius * 2);
+                    return;
+                }
+                ctx.lineWidth = 1 / zoom;
+                ctx.beginPath();
+                ctx.moveTo(handle.anchor.x, handle.anchor.y);
+                ctx.lineTo(handle.x, handle.y);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.arc(handle.x, handle.y, radius * 0.8, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MotionPaths;
+}
@@ -0,0 +1,204 @@
+/**
+ * MP4 Muxer - Packs encoded H.264 chunks into an MP4 file
+ * Writes a single-track, fast-start file (moov before mdat) once encoding has finished
+ */
+
+class MP4Muxer {
+    constructor({ width, height, fps = 30 }) {
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.timescale = 90000;
+        this.chunks = [];
+        this.decoderConfig = null;
+    }
+
+    // Accepts EncodedVideoChunk output from a VideoEncoder configured with avc format 'avc'
+    addVideoChunk(chunk, metadata) {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+            this.decoderConfig = new Uint8Array(this.toArrayBuffer(metadata.decoderConfig.description));
+        }
+
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.chunks.push({
+            data,
+            timestamp: chunk.timestamp,
+            isKey: chunk.type === 'key'
+        });
+    }
+
+    finalize() {
+        if (!this.decoderConfig) {
+            throw new Error('The encoder did not provide an H.264 decoder configuration');
+        }
+
+        const ftyp = this.box('ftyp', [
+            this.ascii('isom'),
+            this.u32(0x200),
+            this.ascii('isom'), this.ascii('iso2'), this.ascii('avc1'), this.ascii('mp41')
+        ]);
+
+        // The chunk offset depends on the size of moov itself, so build it once to measure
+        const dataSize = this.chunks.reduce((sum, chunk) => sum + chunk.data.length, 0);
+        const moovSize = this.buildMoov(0).length;
+        const mdatOffset = ftyp.length + moovSize + 8;
+        const moov = this.buildMoov(mdatOffset);
+
+        const mdat = this.concat([
+            this.u32(dataSize + 8),
+            this.ascii('mdat'),
+            ...this.chunks.map(chunk => chunk.data)
+        ]);
+
+        return new Blob([ftyp, moov, mdat], { type: 'video/mp4' });
+    }
+
+    buildMoov(dataOffset) {
+        const sampleCount = this.chunks.length;
+        const sampleDelta = Math.round(this.timescale / this.fps);
+        const duration = sampleCount * sampleDelta;
+        const matrix = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(v => this.u32(v));
+
+        const mvhd = this.fullBox('mvhd', 0, 0, [
+            this.u32(0), this.u32(0),       // creation / modification time
+            this.u32(this.timescale),
+            this.u32(duration),
+            this.u32(0x00010000),           // rate 1.0
+            this.u16(0x0100),               // volume 1.0
+            new Uint8Array(10),
+            ...matrix,
+            new Uint8Array(24),
+            this.u32(2)                     // next track ID
+        ]);
+
+        const tkhd = this.fullBox('tkhd', 0, 3, [
+            this.u32(0), this.u32(0),
+            this.u32(1),                    // track ID
+            this.u32(0),
+            this.u32(duration),
+            new Uint8Array(8),
+            this.u16(0), this.u16(0),       // layer, alternate group
+            this.u16(0),                    // volume (video)
+            this.u16(0),
+            ...matrix,
+            this.u32(this.width * 0x10000),
+            this.u32(this.height * 0x10000)
+        ]);
+
+        const mdhd = this.fullBox('mdhd', 0, 0, [
+            this.u32(0), this.u32(0),
+            this.u32(this.timescale),
+            this.u32(duration),
+            this.u16(0x55C4),               // language 'und'
+            this.u16(0)
+        ]);
+
+        const hdlr = this.fullBox('hdlr', 0, 0, [
+            this.u32(0),
+            this.ascii('vide'),
+            new Uint8Array(12),
+            this.ascii('VideoHandler\0')
+        ]);
+
+        const avc1 = this.box('avc1', [
+            new Uint8Array(6),
+            this.u16(1),                    // data reference index
+            new Uint8Array(16),
+            this.u16(this.width),
+            this.u16(this.height),
+            this.u32(0x00480000),           // 72 dpi
+            this.u32(0x00480000),
+            this.u32(0),
+            this.u16(1),                    // frame count
+            new Uint8Array(32),             // compressor name
+            this.u16(0x0018),               // depth
+            this.u16(0xFFFF),
+            this.box('avcC', [this.decoderConfig])
+        ]);
+
+        const keyframes = [];
+        this.chunks.forEach((chunk, index) => {
+            if (chunk.isKey) {
+                keyframes.push(this.u32(index + 1));
+            }
+        });
+
+        // Every sample lives in one contiguous chunk inside mdat
+        const stbl = this.box('stbl', [
+            this.fullBox('stsd', 0, 0, [this.u32(1), avc1]),
+            this.fullBox('stts', 0, 0, [this.u32(1), this.u32(sampleCount), this.u32(sampleDelta)]),
+            this.fullBox('stss', 0, 0, [this.u32(keyframes.length), ...keyframes]),
+            this.fullBox('stsc', 0, 0, [this.u32(1), this.u32(1), this.u32(sampleCount), this.u32(1)]),
+            this.fullBox('stsz', 0, 0, [
+                this.u32(0),
+                this.u32(sampleCount),
+                ...this.chunks.map(chunk => this.u32(chunk.data.length))
+            ]),
+            this.fullBox('stco', 0, 0, [this.u32(1), this.u32(dataOffset)])
+        ]);
+
+        const minf = this.box('minf', [
+            this.fullBox('vmhd', 0, 1, [new Uint8Array(8)]),
+            this.box('dinf', [
+                this.fullBox('dref', 0, 0, [this.u32(1), this.fullBox('url ', 0, 1, [])])
+            ]),
+            stbl
+        ]);
+
+        return this.box('moov', [
+            mvhd,
+            this.box('trak', [tkhd, this.box('mdia', [mdhd, hdlr, minf])])
+        ]);
+    }
+
+    // Box Encoding
+    box(type, payload) {
+        const content = this.concat(payload);
+        return this.concat([this.u32(content.length + 8), this.ascii(type), content]);
+    }
+
+    fullBox(type, version, flags, payload) {
+        return this.box(type, [new Uint8Array([version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF]), ...payload]);
+    }
+
+    u32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value >>> 0);
+        return bytes;
+    }
+
+    u16(value) {
+        const bytes = new Uint8Array(2);
+        new DataView(bytes.buffer).setUint16(0, value);
+        return bytes;
+    }
+
+    ascii(text) {
+        return new Uint8Array(Array.from(text, char => char.charCodeAt(0)));
+    }
+
+    toArrayBuffer(source) {
+        if (source instanceof ArrayBuffer) {
+            return source.slice(0);
+        }
+        return source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+    }
+
+    concat(arrays) {
+        const total = arrays.reduce((sum, array) => sum + array.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MP4Muxer;
+}
@@ -0,0 +1,199 @@
+/**
+ * Onion Skin - Ghosts of neighbouring frames drawn behind the current frame in the editor
+ * Previous and next frames are evaluated with Timeline.getObjectStateAtTime, tinted and faded
+ * with distance. Only the editor view shows them; exports render through renderToContext
+ */
+
+class OnionSkin {
+    constructor(canvasEngine, timeline, playbackEngine = null) {
+        this.canvasEngine = canvasEngine;
+        this.timeline = timeline;
+        this.playbackEngine = playbackEngine;
+
+        this.enabled = false;
+        this.previousFrames = 2;
+        this.nextFrames = 2;
+        this.frameStep = 1;
+        this.previousColor = '#ff4d4d';
+        this.nextColor = '#4dd2ff';
+        this.opacity = 0.5;         // opacity of the nearest ghost; further ones fade out
+        this.tintStrength = 0.6;
+        this.selectedOnly = false;
+        this.showDuringPlayback = false;
+
+        this.ghostCanvas = null;
+    }
+
+    // Settings
+    setOptions(options) {
+        OnionSkin.optionKeys.forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        });
+        this.previousFrames = Math.max(0, Math.floor(this.previousFrames));
+        this.nextFrames = Math.max(0, Math.floor(this.nextFrames));
+        this.frameStep = Math.max(1, Math.floor(this.frameStep));
+        this.canvasEngine.render();
+    }
+
+    getOptions() {
+        return Object.fromEntries(OnionSkin.optionKeys.map(key => [key, this[key]]));
+    }
+
+    toggle() {
+        this.setOptions({ enabled: !this.enabled });
+        return this.enabled;
+    }
+
+    isActive() {
+        if (!this.enabled) {
+            return false;
+        }
+        return this.showDuringPlayback || !(this.playbackEngine && this.playbackEngine.isPlaying);
+    }
+
+    // Ghost frames, furthest first so nearer ghosts are drawn on top
+    getGhostFrames() {
+        const current = this.timeline.currentTime;
+        const frames = [];
+
+        const addFrames = (count, direction, color) => {
+            for (let i = count; i >= 1; i--) {
+                const time = current + direction * this.timeline.getTimeAtFrame(i * this.frameStep);
+                if (time < 0 || time > this.timeline.duration) {
+                    continue;
+                }
+                frames.push({ time, color, alpha: this.opacity * (1 - (i - 1) / count) });
+            }
+        };
+
+        addFrames(this.previousFrames, -1, this.previousColor);
+        addFrames(this.nextFrames, 1, this.nextColor);
+
+        return frames;
+    }
+
+    // Animated objects to ghost; children are drawn with their animated ancestor
+    getTargetObjects() {
+        const engine = this.canvasEngine;
+        const candidates = this.selectedOnly ? engine.getTopmostSelected() : engine.objects;
+
+        const isAnimated = obj => this.timeline.getAnimatedProperties(obj.id).length > 0;
+        const hasAnimatedDescendant = obj => engine.getDescendants(obj.id).some(isAnimated);
+
+        return candidates.filter(obj => {
+            if (!engine.isVisibleInHierarchy(obj)) {
+                return false;
+            }
+            if (this.selectedOnly) {
+                return isAnimated(obj) || hasAnimatedDescendant(obj);
+            }
+            return isAnimated(obj) &&
+                !engine.objects.some(other => other !== obj && isAnimated(other) && engine.isAncestorOf(other.id, obj));
+        });
+    }
+
+    // Rendering
+    // Called by CanvasEngine.render with the editor's zoom and pan already applied to ctx
+    draw(ctx) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const frames = this.getGhostFrames();
+        const targets = this.getTargetObjects();
+        if (frames.length === 0 || targets.length === 0) {
+            return;
+        }
+
+        const ghost = this.getGhostContext(ctx.canvas);
+        const viewTransform = ctx.getTransform();
+
+        frames.forEach(frame => {
+            const saved = this.applyStatesAtTime(frame.time);
+            try {
+                ghost.setTransform(1, 0, 0, 1, 0, 0);
+                ghost.globalCompositeOperation = 'source-over';
+                ghost.globalAlpha = 1;
+                ghost.clearRect(0, 0, ghost.canvas.width, ghost.canvas.height);
+
+                ghost.setTransform(viewTransform);
+                this.canvasEngine.drawObjectsToContext(ghost, targets);
+
+                // Tint only the pixels the ghost covers
+                ghost.setTransform(1, 0, 0, 1, 0, 0);
+                ghost.globalCompositeOperation = 'source-atop';
+                ghost.globalAlpha = this.tintStrength;
+                ghost.fillStyle = frame.color;
+                ghost.fillRect(0, 0, ghost.canvas.width, ghost.canvas.height);
+            } finally {
+                this.restoreStates(saved);
+            }
+
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalAlpha = frame.alpha;
+            ctx.drawImage(ghost.canvas, 0, 0);
+            ctx.restore();
+        });
+    }
+
+    getGhostContext(canvas) {
+        if (!this.ghostCanvas) {
+            this.ghostCanvas = document.createElement('canvas');
+        }
+        if (this.ghostCanvas.width !== canvas.width || this.ghostCanvas.height !== canvas.height) {
+            this.ghostCanvas.width = canvas.width;
+            this.ghostCanvas.height = canvas.height;
+        }
+        return this.ghostCanvas.getContext('2d');
+    }
+
+    // Pose every animated object at time, returning what is needed to put them back
+    applyStatesAtTime(time) {
+        const saved = [];
+        const apply = (obj, state) => {
+            const original = {};
+            Object.keys(state).forEach(key => {
+                original[key] = obj[key];
+            });
+            saved.push({ obj, original });
+            Object.assign(obj, state);
+        };
+        
+        const objects = this.canvasEngine.objects;
+        objects.forEach(obj => {
+            const state = this.timeline.getObjectStateAtTime(obj.id, time);
+            if (state) {
+                apply(obj, state);
+            }
+        });
+        
+        // Motion paths are resolved once every object is posed, as in PlaybackEngine
+        if (this.playbackEngine) {
+            objects.forEach(obj => {
+                const state = this.playbackEngine.getMotionPathState(obj, time);
+                if (state) {
+                    apply(obj, state);
+                }
+            });
+        }
+        return saved;
+    }
+
+    restoreStates(saved) {
+        // In reverse, so a value overwritten twice gets its original back
+        saved.slice().reverse().forEach(({ obj, original }) => Object.assign(obj, original));
+    }
+}
+
+OnionSkin.optionKeys = [
+    'enabled', 'previousFrames', 'nextFrames', 'frameStep', 'previousColor', 'nextColor',
+    'opacity', 'tintStrength', 'selectedOnly', 'showDuringPlayback'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OnionSkin;
+}
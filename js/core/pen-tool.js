@@ -0,0 +1,338 @@
+/**
+ * Pen Tool - Draws new path objects and edits the anchors of existing ones
+ *   click             add a corner anchor          drag    add a smooth anchor
+ *   click 1st anchor  close the path               Enter / double-click / Escape  finish
+ * With a path selected: drag anchors or handles (Alt breaks the mirrored pair), Alt-drag an
+ * anchor to pull out new handles, Alt-click to make it a corner, Delete to remove it
+ */
+
+class PenTool {
+    constructor(canvasEngine) {
+        this.canvasEngine = canvasEngine;
+
+        this.draft = null;          // { points } in scene coordinates while drawing a new path
+        this.drag = null;
+        this.selectedAnchor = null; // { objectId, index } on the path being edited
+        this.pointer = null;
+
+        this.color = '#00d4ff';
+        this.handleRadius = 5;
+    }
+
+    // Mouse Handling
+    handleMouseDown(pos, e) {
+        const engine = this.canvasEngine;
+
+        if (this.draft) {
+            const first = this.draft.points[0];
+            if (this.draft.points.length > 1 && this.isNear(pos, first)) {
+                this.finish(true);
+                return;
+            }
+            this.addDraftPoint(pos);
+            return;
+        }
+
+        const target = this.getEditTarget();
+        const handle = target ? this.getHandleAtPosition(target, pos) : null;
+        if (handle) {
+            this.beginEdit(target, handle, pos, e);
+            return;
+        }
+
+        const objectUnderMouse = engine.getObjectAtPosition(pos.x, pos.y, true);
+        if (objectUnderMouse && objectUnderMouse.type === 'path') {
+            engine.clearSelection();
+            engine.selectObject(objectUnderMouse.id);
+            this.selectedAnchor = null;
+            return;
+        }
+
+        engine.clearSelection();
+        this.selectedAnchor = null;
+        this.draft = { points: [] };
+        this.addDraftPoint(pos);
+    }
+
+    handleMouseMove(pos, e) {
+        this.pointer = pos;
+
+        if (this.drag && this.drag.type === 'draft') {
+            // Dragging out a new anchor gives it mirrored handles
+            const point = this.draft.points[this.draft.points.length - 1];
+            point.outX = pos.x - point.x;
+            point.outY = pos.y - point.y;
+            point.inX = -point.outX;
+            point.inY = -point.outY;
+        } else if (this.drag) {
+            this.updateEdit(pos, e);
+        }
+
+        this.canvasEngine.render();
+    }
+
+    handleMouseUp() {
+        if (this.drag && this.drag.type === 'edit') {
+            this.endEdit();
+        }
+        this.drag = null;
+        this.canvasEngine.render();
+    }
+
+    handleKeyDown(e) {
+        if (this.draft && (e.key === 'Enter' || e.key === 'Escape')) {
+            this.finish(false);
+            return true;
+        }
+        if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedAnchor) {
+            this.deleteSelectedAnchor();
+            return true;
+        }
+        return false;
+    }
+
+    // Drawing
+    addDraftPoint(pos) {
+        this.draft.points.push({ x: pos.x, y: pos.y, inX: 0, inY: 0, outX: 0, outY: 0 });
+        this.drag = { type: 'draft' };
+    }
+
+    // Turn the draft into a path object; paths need at least two anchors
+    finish(closed = false) {
+        const draft = this.draft;
+        this.draft = null;
+        this.drag = null;
+
+        // A double-click to finish also lands two clicks on the last anchor
+        const points = draft ? draft.points.filter((point, i) => i === 0 || !this.isNear(point, draft.points[i - 1])) : [];
+        if (points.length < 2) {
+            this.canvasEngine.render();
+            return null;
+        }
+
+        return this.canvasEngine.addPathObject(points, {
+            closed,
+            fill: closed ? 'rgba(0, 212, 255, 0.25)' : 'none'
+        });
+    }
+
+    // Editing
+    getEditTarget() {
+        const selected = this.canvasEngine.getTopmostSelected();
+        if (selected.length !== 1 || selected[0].type !== 'path' || this.canvasEngine.isLockedInHierarchy(selected[0])) {
+            return null;
+        }
+        return selected[0];
+    }
+
+    // Box coordinates (anchor space) of a path object to scene and back
+    boxToScene(obj, x, y) {
+        return this.canvasEngine.getWorldMatrix(obj).transformPoint(
+            new DOMPoint(x - obj.width / 2, y - obj.height / 2)
+        );
+    }
+
+    sceneToBox(obj, pos) {
+        const local = this.canvasEngine.getWorldMatrix(obj).inverse().transformPoint(new DOMPoint(pos.x, pos.y));
+        return { x: local.x + obj.width / 2, y: local.y + obj.height / 2 };
+    }
+
+    getHandles(obj) {
+        const handles = [];
+        (obj.points || []).forEach((point, index) => {
+            const anchor = this.boxToScene(obj, point.x, point.y);
+            handles.push({ part: 'anchor', index, ...anchor, anchor });
+            if (point.inX || point.inY) {
+                handles.push({ part: 'in', index, ...this.boxToScene(obj, point.x + point.inX, point.y + point.inY), anchor });
+            }
+            if (point.outX || point.outY) {
+                handles.push({ part: 'out', index, ...this.boxToScene(obj, point.x + point.outX, point.y + point.outY), anchor });
+            }
+        });
+        return handles;
+    }
+
+    getHandleAtPosition(obj, pos) {
+        const handles = this.getHandles(obj);
+        const ordered = [...handles.filter(h => h.part !== 'anchor'), ...handles.filter(h => h.part === 'anchor')];
+        return ordered.find(handle => this.isNear(pos, handle)) || null;
+    }
+
+    isNear(pos, point) {
+        return Math.hypot(pos.x - point.x, pos.y - point.y) <= this.handleRadius * 1.5 / this.canvasEngine.zoom;
+    }
+
+    beginEdit(obj, handle, pos, e) {
+        const before = this.capturePath(obj);
+        const pullOut = handle.part === 'anchor' && e.altKey;
+
+        // Copy the points so keyframes holding the previous array are left untouched
+        obj.points = obj.points.map(point => ({ ...point }));
+        this.selectedAnchor = { objectId: obj.id, index: handle.index };
+        this.drag = {
+            type: 'edit',
+            obj,
+            part: pullOut ? 'out' : handle.part,
+            index: handle.index,
+            pullOut,
+            start: pos,
+            moved: false,
+            before
+        };
+    }
+
+    updateEdit(pos, e) {
+        const { obj, part, index, pullOut } = this.drag;
+        const point = obj.points[index];
+        const target = this.sceneToBox(obj, pos);
+        this.drag.moved = true;
+
+        if (part === 'anchor') {
+            point.x = target.x;
+            point.y = target.y;
+            return;
+        }
+
+        const own = part === 'in' ? ['inX', 'inY'] : ['outX', 'outY'];
+        const opposite = part === 'in' ? ['outX', 'outY'] : ['inX', 'inY'];
+        point[own[0]] = target.x - point.x;
+        point[own[1]] = target.y - point.y;
+        if (!e.altKey || pullOut) {
+            point[opposite[0]] = -point[own[0]];
+            point[opposite[1]] = -point[own[1]];
+        }
+    }
+
+    endEdit() {
+        const { obj, index, pullOut, moved, before } = this.drag;
+
+        // Alt-click without dragging turns the anchor into a corner
+        if (pullOut && !moved) {
+            Object.assign(obj.points[index], { inX: 0, inY: 0, outX: 0, outY: 0 });
+        }
+
+        this.canvasEngine.fitPathBounds(obj);
+        this.commitEdit(obj, before, 'Edit path');
+    }
+
+    deleteSelectedAnchor() {
+        const obj = this.canvasEngine.getObject(this.selectedAnchor.objectId);
+        const index = this.selectedAnchor.index;
+        this.selectedAnchor = null;
+        if (!obj || !obj.points || obj.points.length <= 2) {
+            return;
+        }
+
+        const before = this.capturePath(obj);
+        obj.points = obj.points.filter((_, i) => i !== index);
+        this.canvasEngine.fitPathBounds(obj);
+        this.commitEdit(obj, before, 'Delete path point');
+    }
+
+    capturePath(obj) {
+        return {
+            points: obj.points.map(point => ({ ...point })),
+            x: obj.x,
+            y: obj.y,
+            width: obj.width,
+            height: obj.height
+        };
+    }
+
+    commitEdit(obj, before, name) {
+        const after = this.capturePath(obj);
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return;
+        }
+
+        const apply = state => {
+            const target = this.canvasEngine.getObject(obj.id);
+            if (target) {
+                Object.assign(target, state, { points: state.points.map(point => ({ ...point })) });
+                this.canvasEngine.render();
+                this.canvasEngine.canvas.dispatchEvent(new CustomEvent('objectUpdated', {
+                    detail: { object: target }
+                }));
+            }
+        };
+
+        this.canvasEngine.recordHistory(name, () => apply(before), () => apply(after));
+        this.canvasEngine.canvas.dispatchEvent(new CustomEvent('objectUpdated', {
+            detail: { object: obj }
+        }));
+    }
+
+    // Rendering
+    // Called by CanvasEngine.render on its own context, in scene coordinates
+    draw(ctx) {
+        const zoom = this.canvasEngine.zoom;
+        const radius = this.handleRadius / zoom;
+
+        ctx.save();
+        ctx.strokeStyle = this.color;
+        ctx.fillStyle = this.color;
+        ctx.lineWidth = 1 / zoom;
+
+        if (this.draft) {
+            const points = this.draft.points;
+            ctx.beginPath();
+            this.canvasEngine.tracePath(points, false);
+            ctx.lineWidth = 2 / zoom;
+            ctx.stroke();
+
+            // Rubber band to the pointer
+            const last = points[points.length - 1];
+            if (this.pointer && !this.drag) {
+                ctx.setLineDash([4 / zoom, 4 / zoom]);
+                ctx.beginPath();
+                ctx.moveTo(last.x, last.y);
+                ctx.lineTo(this.pointer.x, this.pointer.y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            points.forEach(point => this.drawAnchor(ctx, point, radius, false));
+            if (last.outX || last.outY) {
+                this.drawHandle(ctx, last, { x: last.x + last.outX, y: last.y + last.outY }, radius);
+                this.drawHandle(ctx, last, { x: last.x + last.inX, y: last.y + last.inY }, radius);
+            }
+        } else {
+            const target = this.getEditTarget();
+            if (target) {
+                this.getHandles(target).forEach(handle => {
+                    if (handle.part === 'anchor') {
+                        const selected = this.selectedAnchor && this.selectedAnchor.objectId === target.id &&
+                            this.selectedAnchor.index === handle.index;
+                        this.drawAnchor(ctx, handle, radius, selected);
+                    } else {
+                        this.drawHandle(ctx, handle.anchor, handle, radius);
+                    }
+                });
+            }
+        }
+
+        ctx.restore();
+    }
+
+    drawAnchor(ctx, point, radius, selected) {
+        ctx.fillStyle = selected ? this.color : '#ffffff';
+        ctx.fillRect(point.x - radius, point.y - radius, radius * 2, radius * 2);
+        ctx.strokeRect(point.x - radius, point.y - radius, radius * 2, radius * 2);
+    }
+
+    drawHandle(ctx, anchor, handle, radius) {
+        ctx.beginPath();
+        ctx.moveTo(anchor.x, anchor.y);
+        ctx.lineTo(handle.x, handle.y);
+        ctx.stroke();
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(handle.x, handle.y, radius * 0.8, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PenTool;
+}
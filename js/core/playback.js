@@ -208,6 +208,19 @@ class PlaybackEngine {
                 Object.assign(obj, state);
             }
         });
+        
+        // Motion paths read other objects' animated state, so they are resolved afterwards
+        objects.forEach(obj => {
+            const state = this.getMotionPathState(obj, time);
+            if (state) {
+                Object.assign(obj, state);
+            }
+        });
+    }
+
+    // Properties driven by motion paths (orient to path, following a path object)
+    getMotionPathState(obj, time) {
+        return this.motionPaths ? this.motionPaths.resolveState(obj, time) : null;
     }
 
     updateObjectStates() {
@@ -221,36 +234,29 @@ class PlaybackEngine {
         const selectedObjects = this.canvasEngine.selectedObjects;
         const addedKeyframes = [];
         
-        selectedObjects.forEach(obj => {
+        this.timeline.withHistoryGroup('Add keyframe', () => selectedObjects.forEach(obj => {
             // Capture current object state
-            const properties = {
-                x: obj.x,
-                y: obj.y,
-                width: obj.width,
-                height: obj.height,
-                rotation: obj.rotation,
-                scaleX: obj.scaleX || 1,
-                scaleY: obj.scaleY || 1,
-                opacity: obj.opacity !== undefined ? obj.opacity : 1
-            };
+            const properties = this.getKeyableProperties(obj);
             
-            // Add keyframe at current time
-            const keyframe = this.timeline.addKeyframe(
+            // Add one keyframe per property channel at current time
+            const keyframes = this.timeline.addKeyframe(
                 obj.id,
                 this.timeline.currentTime,
                 properties
             );
             
-            addedKeyframes.push(keyframe);
-        });
+            addedKeyframes.push(...keyframes);
+        }));
         
         return addedKeyframes;
     }
 
-    addKeyframeForObject(objectId) {
-        const obj = this.canvasEngine.getObject(objectId);
-        if (!obj) return null;
-        
+    // The object's current values to keyframe. Values a motion path drives are left out:
+    // an object following a path is keyed by its progress, and an oriented object's
+    // rotation comes from the path. Colours, shape parameters (sides, corner radii, ...),
+    // path points, text spacing and animators, shadows and filters are keyed too, so they
+    // can animate and morph
+    getKeyableProperties(obj) {
         const properties = {
             x: obj.x,
             y: obj.y,
@@ -262,19 +268,80 @@ class PlaybackEngine {
             opacity: obj.opacity !== undefined ? obj.opacity : 1
         };
         
+        if (obj.pathId) {
+            delete properties.x;
+            delete properties.y;
+            properties.pathProgress = obj.pathProgress ?? 0;
+        }
+        if (obj.orientToPath) {
+            delete properties.rotation;
+        }
+        // Colours and gradients are copied, so later edits don't change the keyframe
+        const paintKeys = obj.type === 'text' ? ['color', 'stroke'] : ['shape', 'path'].includes(obj.type) ? ['fill', 'stroke'] : [];
+        paintKeys.forEach(key => {
+            if (obj[key] !== undefined) {
+                properties[key] = typeof obj[key] === 'object' ? JSON.parse(JSON.stringify(obj[key])) : obj[key];
+            }
+        });
+        this.canvasEngine.getShapeParameters(obj).forEach(parameter => {
+            properties[parameter] = obj[parameter];
+        });
+        if (obj.type === 'text') {
+            properties.letterSpacing = obj.letterSpacing || 0;
+            properties.lineHeight = obj.lineHeight ?? 1.2;
+            if (TextAnimators.isAnimated(obj)) {
+                properties.animators = obj.animators.map(animator => ({ ...animator }));
+            }
+        }
+        if (obj.type === 'path' && Array.isArray(obj.points)) {
+            // Copied, so later edits to the path don't change the keyframe
+            properties.points = obj.points.map(point => ({ ...point }));
+        }
+        if (this.canvasEngine.hasShadow(obj)) {
+            properties.shadowColor = obj.shadowColor;
+            properties.shadowBlur = obj.shadowBlur || 0;
+            properties.shadowOffsetX = obj.shadowOffsetX || 0;
+            properties.shadowOffsetY = obj.shadowOffsetY || 0;
+        }
+        if (Array.isArray(obj.filters) && obj.filters.length > 0) {
+            // Stacks with the same filters in the same order blend amount by amount
+            properties.filters = obj.filters.map(filter => ({ ...filter }));
+        }
+        
+        return properties;
+    }
+
+    addKeyframeForObject(objectId) {
+        const obj = this.canvasEngine.getObject(objectId);
+        if (!obj) return null;
+        
+        const properties = this.getKeyableProperties(obj);
+        
         return this.timeline.addKeyframe(objectId, this.timeline.currentTime, properties);
     }
 
+    // Key a single property at the current time, leaving the object's other channels alone
+    addPropertyKeyframe(objectId, property) {
+        const obj = this.canvasEngine.getObject(objectId);
+        if (!obj) return null;
+        
+        const value = this.getKeyableProperties(obj)[property];
+        if (value === undefined) return null;
+        
+        return this.timeline.addKeyframe(objectId, this.timeline.currentTime, { [property]: value })[0] || null;
+    }
+
     removeKeyframeAtCurrentTime(objectId) {
         const keyframes = this.timeline.getKeyframesForObject(objectId);
         const currentTime = this.timeline.currentTime;
         
-        const keyframe = keyframes.find(kf => Math.abs(kf.time - currentTime) < 0.01);
-        if (keyframe) {
-            return this.timeline.deleteKeyframe(keyframe.id);
-        }
+        // Remove the keyframe from every channel that has one at this time
+        const keyframesAtTime = keyframes.filter(kf => Math.abs(kf.time - currentTime) < 0.01);
+        this.timeline.withHistoryGroup('Delete keyframe', () => {
+            keyframesAtTime.forEach(kf => this.timeline.deleteKeyframe(kf.id));
+        });
         
-        return false;
+        return keyframesAtTime.length > 0;
     }
 
     // UI Updates
@@ -0,0 +1,330 @@
+/**
+ * Project Bundle - Self-contained .zip project files
+ * A bundle holds project.json plus an assets/ folder with the original media and thumbnails,
+ * so a project can be handed to someone else and reopen exactly as it was saved
+ *
+ *   project.json                  ProjectSchema data; inline sources replaced by bundle paths
+ *   assets/<assetId>.<ext>        original file of each library asset
+ *   assets/objects/<id>.<ext>     image objects that were not placed from the library
+ *   assets/thumbnails/<id>.jpg    library thumbnails
+ */
+
+class ProjectBundle {
+    constructor() {
+        this.projectFile = 'project.json';
+        this.assetsFolder = 'assets/';
+        this.mimeType = 'application/zip';
+        this.crcTable = null;
+    }
+
+    // Writing
+    async createBundle(projectData) {
+        const project = JSON.parse(JSON.stringify(projectData));
+        const files = new Map();
+
+        const addFile = (item, srcKey, pathKey, path) => {
+            const source = item[srcKey];
+            if (typeof source !== 'string' || !source.startsWith('data:')) {
+                return;
+            }
+            const { bytes, mimeType } = this.dataURLToBytes(source);
+            const fullPath = `${path}.${this.getExtension(mimeType)}`;
+            if (!files.has(fullPath)) {
+                files.set(fullPath, bytes);
+            }
+            item[srcKey] = null;
+            item[pathKey] = fullPath;
+            item[`${pathKey}Type`] = mimeType;
+        };
+
+        const assets = (project.assets && project.assets.assets) || [];
+        const assetSources = new Map(assets.map(asset => [asset.id, asset.src]));
+        assets.forEach(asset => {
+            addFile(asset, 'src', 'bundlePath', `${this.assetsFolder}${this.safeName(asset.id)}`);
+            addFile(asset, 'thumbnail', 'thumbnailPath', `${this.assetsFolder}thumbnails/${this.safeName(asset.id)}`);
+        });
+
+        // Image objects placed from the library share the asset's file
+        const assetsById = new Map(assets.map(asset => [asset.id, asset]));
+        const objects = (project.canvas && project.canvas.objects) || [];
+        objects.forEach(obj => {
+            const asset = obj.assetId && assetsById.get(obj.assetId);
+            if (asset && asset.bundlePath && obj.src && obj.src === assetSources.get(asset.id)) {
+                obj.src = null;
+                obj.bundlePath = asset.bundlePath;
+                obj.bundlePathType = asset.bundlePathType;
+                return;
+            }
+            addFile(obj, 'src', 'bundlePath', `${this.assetsFolder}objects/${this.safeName(obj.id)}`);
+        });
+
+        const encoder = new TextEncoder();
+        const entries = [{ name: this.projectFile, data: encoder.encode(JSON.stringify(project, null, 2)) }];
+        files.forEach((data, name) => entries.push({ name, data }));
+
+        return new Blob([this.writeZip(entries)], { type: this.mimeType });
+    }
+
+    // Reading
+    async isBundle(file) {
+        const header = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+        return header[0] === 0x50 && header[1] === 0x4B && header[2] === 0x03 && header[3] === 0x04;
+    }
+
+    async readBundle(file) {
+        const files = await this.readZip(new Uint8Array(await file.arrayBuffer()));
+        const projectBytes = files.get(this.projectFile);
+        if (!projectBytes) {
+            throw new Error(`The bundle has no ${this.projectFile}`);
+        }
+
+        const project = JSON.parse(new TextDecoder().decode(projectBytes));
+
+        const restore = (item, srcKey, pathKey) => {
+            const path = item[pathKey];
+            if (!path) {
+                return;
+            }
+            const bytes = files.get(path);
+            if (bytes) {
+                item[srcKey] = this.bytesToDataURL(bytes, item[`${pathKey}Type`] || this.getMimeType(path));
+            } else {
+                console.warn(`⚠️ ${path} is missing from the bundle`);
+            }
+            delete item[pathKey];
+            delete item[`${pathKey}Type`];
+        };
+
+        ((project.assets && project.assets.assets) || []).forEach(asset => {
+            restore(asset, 'src', 'bundlePath');
+            restore(asset, 'thumbnail', 'thumbnailPath');
+        });
+        ((project.canvas && project.canvas.objects) || []).forEach(obj => restore(obj, 'src', 'bundlePath'));
+
+        return project;
+    }
+
+    // Zip Container
+    // Entries are stored uncompressed: media is already compressed and this keeps writing cheap
+    writeZip(entries) {
+        const encoder = new TextEncoder();
+        const { time, date } = this.getDosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const name = encoder.encode(entry.name);
+            const crc = this.crc32(entry.data);
+            const size = entry.data.length;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);           // version needed
+            local.setUint16(6, 0x0800, true);       // UTF-8 names
+            local.setUint16(8, 0, true);            // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);         // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);    // local header offset
+
+            localParts.push(new Uint8Array(local.buffer), name, entry.data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    }
+
+    // Returns a Map of entry name to bytes. Reads stored and deflated entries, so bundles
+    // that were unpacked and re-zipped by another tool still open
+    async readZip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('Not a valid zip file');
+        }
+
+        const decoder = new TextDecoder();
+        const count = view.getUint16(endOffset + 10, true);
+        let position = view.getUint32(endOffset + 16, true);
+        const files = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== 0x02014B50) {
+                throw new Error('Corrupt zip directory');
+            }
+
+            const method = view.getUint16(position + 10, true);
+            const crc = view.getUint32(position + 16, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) {
+                continue;
+            }
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === 0) {
+                data = raw;
+            } else if (method === 8) {
+                data = await this.inflate(raw);
+            } else {
+                throw new Error(`${name} uses an unsupported zip compression method (${method})`);
+            }
+
+            if (this.crc32(data) !== crc) {
+                throw new Error(`${name} is corrupt (checksum mismatch)`);
+            }
+            files.set(name, data);
+        }
+
+        return files;
+    }
+
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed zip entries');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    getDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // Utility
+    dataURLToBytes(dataURL) {
+        const comma = dataURL.indexOf(',');
+        const header = dataURL.slice(5, comma);
+        const payload = dataURL.slice(comma + 1);
+        const mimeType = header.split(';')[0] || 'application/octet-stream';
+
+        if (header.endsWith(';base64')) {
+            const binary = atob(payload);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return { bytes, mimeType };
+        }
+
+        return { bytes: new TextEncoder().encode(decodeURIComponent(payload)), mimeType };
+    }
+
+    bytesToDataURL(bytes, mimeType) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+
+    getExtension(mimeType) {
+        const extension = Object.keys(ProjectBundle.mimeTypes).find(key => ProjectBundle.mimeTypes[key] === mimeType);
+        return extension || 'bin';
+    }
+
+    getMimeType(path) {
+        const extension = path.split('.').pop().toLowerCase();
+        return ProjectBundle.mimeTypes[extension] || 'application/octet-stream';
+    }
+
+    safeName(name) {
+        return String(name).replace(/[^a-zA-Z0-9._-]/g, '_');
+    }
+
+    concat(arrays) {
+        const total = arrays.reduce((sum, array) => sum + array.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+}
+
+ProjectBundle.mimeTypes = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    mp4: 'video/mp4',
+    webm: 'video/webm'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectBundle;
+}
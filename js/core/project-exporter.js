@@ -10,13 +10,18 @@ class ProjectExporter {
         this.assetLoader = assetLoader;
         this.playbackEngine = playbackEngine;
         this.projectName = 'Untitled Project';
-        this.projectVersion = '1.0.0';
+        this.projectVersion = ProjectSchema.CURRENT_VERSION;
         this.lastSaved = null;
+        this.created = null;
         this.isDirty = false;
         this.autoSaveInterval = null;
         this.autoSaveEnabled = true;
         this.exportProgress = 0;
         this.isExporting = false;
+        this.exportCancelled = false;
+        this.gifWorkerScript = 'js/vendor/gif.js/gif.worker.js';
+        this.storage = new ProjectStorage();
+        this.bundle = new ProjectBundle();
         
         this.setupEventListeners();
     }
@@ -24,6 +29,7 @@ class ProjectExporter {
     // Project Management
     createNewProject(name = 'New Project') {
         this.projectName = name;
+        this.created = Date.now();
         this.clearProject();
         this.isDirty = false;
         this.lastSaved = null;
@@ -38,10 +44,13 @@ class ProjectExporter {
         
         // Clear timeline
         this.timeline.tracks.clear();
-        this.timeline.keyframes.clear();
+        this.timeline.channels.clear();
         this.timeline.currentTime = 0;
         this.timeline.duration = 10;
         
+        this.canvasEngine.guides = [];
+        this.canvasEngine.applyStage(CanvasEngine.defaultStage);
+        
         // Stop playback
         if (this.playbackEngine.isPlaying) {
             this.playbackEngine.stop();
@@ -51,13 +60,26 @@ class ProjectExporter {
         this.canvasEngine.render();
     }
 
-    saveProject() {
-        const projectData = this.exportProjectData();
-        const projectJson = JSON.stringify(projectData, null, 2);
+    // Move projects saved by older versions from localStorage into IndexedDB
+    async initializeStorage() {
+        try {
+            return await this.storage.migrateFromLocalStorage();
+        } catch (error) {
+            console.warn('Project storage migration failed:', error);
+            return 0;
+        }
+    }
+
+    getProjectKey() {
+        return `animationstudio_project_${this.sanitizeFileName(this.projectName)}`;
+    }
+
+    async saveProject() {
+        const projectData = this.exportProjectData({ includeLargeAssets: true });
         
-        // Save to localStorage for now (could be enhanced with file download)
-        const projectKey = `animationstudio_project_${this.sanitizeFileName(this.projectName)}`;
-        localStorage.setItem(projectKey, projectJson);
+        // Asset data is stored separately in IndexedDB, so large projects fit
+        const projectKey = this.getProjectKey();
+        await this.storage.saveProject(projectKey, projectData);
         localStorage.setItem('animationstudio_last_project', projectKey);
         
         this.lastSaved = Date.now();
@@ -67,35 +89,47 @@ class ProjectExporter {
         return projectData;
     }
 
-    saveProjectAs(name) {
+    async saveProjectAs(name) {
         this.projectName = name;
         return this.saveProject();
     }
 
     async loadProject(projectData) {
         try {
+            // Upgrade and validate before touching the open project, so a bad file changes nothing
+            const project = ProjectSchema.prepare(projectData);
+            
             this.clearProject();
+            this.assetLoader.clearAssets();
             
             // Import project metadata
-            this.projectName = projectData.name || 'Untitled Project';
-            this.projectVersion = projectData.version || '1.0.0';
+            this.projectName = project.name;
+            this.projectVersion = project.projectVersion;
             
-            // Import canvas data
-            if (projectData.canvas) {
-                await this.canvasEngine.importFromJSON(projectData.canvas);
-            }
+            // Import canvas data; files without a stage size get the default stage
+            const { width, height, background, transparent } = project.settings;
+            this.canvasEngine.applyStage({
+                width: width || CanvasEngine.defaultStage.width,
+                height: height || CanvasEngine.defaultStage.height,
+                background: background || CanvasEngine.defaultStage.background,
+                transparent: Boolean(transparent)
+            });
+            await this.canvasEngine.importFromJSON(project.canvas);
             
             // Import timeline data
-            if (projectData.timeline) {
-                this.timeline.importFromJSON(projectData.timeline);
-            }
+            this.timeline.importFromJSON({
+                ...project.timeline,
+                duration: project.settings.duration,
+                fps: project.settings.fps
+            });
             
             // Import assets
-            if (projectData.assets) {
-                await this.assetLoader.importAssets(projectData.assets);
+            if (project.assets) {
+                await this.assetLoader.importAssets(project.assets, { keepIds: true });
             }
             
-            this.lastSaved = projectData.saved || Date.now();
+            this.created = project.created || null;
+            this.lastSaved = project.saved || Date.now();
             this.isDirty = false;
             
             this.notifyProjectLoaded();
@@ -107,10 +141,12 @@ class ProjectExporter {
         }
     }
 
+    // Opens either a .zip project bundle or a plain project.json file
     async loadProjectFromFile(file) {
         try {
-            const text = await this.fileToText(file);
-            const projectData = JSON.parse(text);
+            const projectData = await this.bundle.isBundle(file)
+                ? await this.bundle.readBundle(file)
+                : JSON.parse(await this.fileToText(file));
             return await this.loadProject(projectData);
         } catch (error) {
             console.error('Failed to load project from file:', error);
@@ -119,15 +155,15 @@ class ProjectExporter {
         }
     }
 
-    downloadProject() {
-        const projectData = this.exportProjectData();
-        const projectJson = JSON.stringify(projectData, null, 2);
-        const blob = new Blob([projectJson], { type: 'application/json' });
+    // Download the project as a .zip bundle with every asset's original file embedded
+    async downloadProject() {
+        const projectData = this.exportProjectData({ includeLargeAssets: true });
+        const blob = await this.bundle.createBundle(projectData);
         
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${this.sanitizeFileName(this.projectName)}.json`;
+        a.download = `${this.sanitizeFileName(this.projectName)}.zip`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -136,15 +172,27 @@ class ProjectExporter {
         this.notifyProjectDownloaded();
     }
 
-    exportProjectData() {
+    // Serialize the open project in the current ProjectSchema format.
+    // includeLargeAssets keeps the data of assets over 1 MB (used for local storage)
+    exportProjectData(options = {}) {
+        const scene = this.canvasEngine.getSceneSize();
         return {
+            format: ProjectSchema.FORMAT,
+            projectVersion: ProjectSchema.CURRENT_VERSION,
             name: this.projectName,
-            version: this.projectVersion,
-            created: this.lastSaved || Date.now(),
+            created: this.created || this.lastSaved || Date.now(),
             saved: Date.now(),
+            settings: {
+                duration: this.timeline.duration,
+                fps: this.timeline.fps,
+                width: scene.width,
+                height: scene.height,
+                background: this.canvasEngine.stage.background,
+                transparent: this.canvasEngine.stage.transparent
+            },
             canvas: this.canvasEngine.exportToJSON(),
             timeline: this.timeline.exportToJSON(),
-            assets: this.assetLoader.exportAssets(),
+            assets: this.assetLoader.exportAssets({ includeLargeSources: options.includeLargeAssets }),
             metadata: {
                 totalObjects: this.canvasEngine.objects.length,
                 totalTracks: this.timeline.getAllTracks().length,
@@ -152,8 +200,8 @@ class ProjectExporter {
                 duration: this.timeline.duration,
                 fps: this.timeline.fps,
                 resolution: {
-                    width: this.canvasEngine.canvas.width,
-                    height: this.canvasEngine.canvas.height
+                    width: scene.width,
+                    height: scene.height
                 }
             }
         };
@@ -181,14 +229,13 @@ class ProjectExporter {
         }
     }
 
-    autoSave() {
+    // Auto-saves are stored under the same key as the project they belong to
+    async autoSave() {
         if (!this.autoSaveEnabled || !this.isDirty) return;
         
         try {
-            const projectData = this.exportProjectData();
-            const autoSaveKey = `animationstudio_autosave_${this.sanitizeFileName(this.projectName)}`;
-            localStorage.setItem(autoSaveKey, JSON.stringify(projectData));
-            localStorage.setItem('animationstudio_autosave_timestamp', Date.now().toString());
+            const projectData = this.exportProjectData({ includeLargeAssets: true });
+            await this.storage.saveAutoSave(this.getProjectKey(), projectData);
             
             this.notifyAutoSaved();
         } catch (error) {
@@ -196,59 +243,135 @@ class ProjectExporter {
         }
     }
 
-    hasAutoSave() {
-        const autoSaveKey = `animationstudio_autosave_${this.sanitizeFileName(this.projectName)}`;
-        return localStorage.getItem(autoSaveKey) !== null;
+    async hasAutoSave() {
+        try {
+            return await this.storage.hasAutoSave(this.getProjectKey());
+        } catch (error) {
+            return false;
+        }
     }
 
     async loadAutoSave() {
-        const autoSaveKey = `animationstudio_autosave_${this.sanitizeFileName(this.projectName)}`;
-        const autoSaveData = localStorage.getItem(autoSaveKey);
-        
-        if (autoSaveData) {
-            try {
-                const projectData = JSON.parse(autoSaveData);
-                return await this.loadProject(projectData);
-            } catch (error) {
-                console.error('Failed to load auto-save:', error);
-                return false;
-            }
+        try {
+            const projectData = await this.storage.loadAutoSave(this.getProjectKey());
+            return projectData ? await this.loadProject(projectData) : false;
+        } catch (error) {
+            console.error('Failed to load auto-save:', error);
+            return false;
         }
-        
-        return false;
     }
 
-    // Export to Video Frames
-    async exportToFrames(options = {}) {
+    // Offline Frame Rendering
+    // Steps the timeline frame by frame and draws the stage of each frame, without editor
+    // overlays, at scale (or stretched to fit width × height)
+    async renderFrames(options = {}) {
+        const scene = this.canvasEngine.getSceneSize();
         const {
             startTime = 0,
             endTime = this.timeline.duration,
             fps = this.timeline.fps,
-            width = this.canvasEngine.canvas.width,
-            height = this.canvasEngine.canvas.height,
-            format = 'image/png',
-            quality = 0.92,
+            scale: sceneScale = 1,
+            width = Math.max(1, Math.round(scene.width * sceneScale)),
+            height = Math.max(1, Math.round(scene.height * sceneScale)),
+            background = this.canvasEngine.getStageBackground(),
+            onFrame,
             onProgress = null
         } = options;
 
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const scale = Math.min(width / scene.width, height / scene.height);
+
+        const totalFrames = Math.max(1, Math.round((endTime - startTime) * fps));
+        const originalTime = this.timeline.currentTime;
+        const wasPlaying = this.playbackEngine.isPlaying;
+
+        if (wasPlaying) {
+            this.playbackEngine.pause();
+        }
+
+        try {
+            for (let i = 0; i < totalFrames; i++) {
+                if (this.exportCancelled) {
+                    const error = new Error('Export cancelled');
+                    error.name = 'AbortError';
+                    throw error;
+                }
+
+                const time = startTime + i / fps;
+                this.playbackEngine.updateObjectsToTime(time);
+                this.canvasEngine.renderToContext(ctx, { scale, background });
+
+                await onFrame(canvas, i, time);
+
+                this.exportProgress = (i + 1) / totalFrames;
+                if (onProgress) {
+                    onProgress(this.exportProgress);
+                }
+                this.notifyExportProgress({ progress: this.exportProgress, frame: i + 1, totalFrames });
+            }
+        } finally {
+            this.playbackEngine.setCurrentTime(originalTime);
+            if (wasPlaying) {
+                this.playbackEngine.play();
+            }
+        }
+
+        return totalFrames;
+    }
+
+    // GIF transparency is all or nothing: pixels at least half covered become opaque and the rest
+    // take the key colour, so antialiased edges don't keep a fringe of it
+    keyTransparentPixels(canvas, color) {
+        const ctx = canvas.getContext('2d');
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const { data } = image;
+        const key = parseInt(color.replace('#', ''), 16);
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) {
+                data[i] = (key >> 16) & 255;
+                data[i + 1] = (key >> 8) & 255;
+                data[i + 2] = key & 255;
+            }
+            data[i + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    cancelExport() {
+        if (this.isExporting) {
+            this.exportCancelled = true;
+        }
+    }
+
+    // Export to Video Frames
+    async exportToFrames(options = {}) {
+        const {
+            format = 'image/png',
+            quality = 0.92
+        } = options;
+
         this.isExporting = true;
+        this.exportCancelled = false;
         this.exportProgress = 0;
         
         try {
-            const frames = await this.playbackEngine.renderToFrames({
-                startTime,
-                endTime,
-                fps,
-                width,
-                height,
-                format,
-                quality
+            const frames = [];
+            await this.renderFrames({
+                ...options,
+                onFrame: (canvas, frame, time) => {
+                    frames.push({ time, frame, data: canvas.toDataURL(format, quality) });
+                }
             });
 
             this.notifyExportComplete('frames', { frames, totalFrames: frames.length });
             return frames;
         } catch (error) {
-            this.notifyExportError('Failed to export frames: ' + error.message);
+            if (error.name !== 'AbortError') {
+                this.notifyExportError(`Failed to export frames: ${error.message}`);
+            }
             throw error;
         } finally {
             this.isExporting = false;
@@ -256,149 +379,255 @@ class ProjectExporter {
         }
     }
 
-    // Export to WebM using MediaRecorder (client-side)
-    async exportToWebM(options = {}) {
+    // Video Export (WebCodecs)
+    async getVideoEncoderConfig(format, width, height, fps, bitrate) {
+        if (typeof VideoEncoder === 'undefined') {
+            return null;
+        }
+
+        // Candidates in order of preference; the first one the browser accepts wins
+        const codecs = format === 'mp4'
+            ? ['avc1.640028', 'avc1.4d0028', 'avc1.42e028', 'avc1.42001f']
+            : ['vp09.00.10.08', 'vp8'];
+
+        for (const codec of codecs) {
+            const config = { codec, width, height, bitrate, framerate: fps };
+            if (format === 'mp4') {
+                config.avc = { format: 'avc' };
+            }
+
+            try {
+                const support = await VideoEncoder.isConfigSupported(config);
+                if (support.supported) {
+                    return support.config;
+                }
+            } catch (error) {
+                // Malformed or unknown codec string; try the next one
+            }
+        }
+
+        return null;
+    }
+
+    async getSupportedVideoFormats(scale = 1) {
+        const scene = this.canvasEngine.getSceneSize();
+        const width = this.toEvenSize(scene.width * scale);
+        const height = this.toEvenSize(scene.height * scale);
+        const formats = [];
+
+        for (const format of ['webm', 'mp4']) {
+            if (await this.getVideoEncoderConfig(format, width, height, this.timeline.fps, 5000000)) {
+                formats.push(format);
+            }
+        }
+
+        return formats;
+    }
+
+    async exportVideo(options = {}) {
+        const scene = this.canvasEngine.getSceneSize();
         const {
-            startTime = 0,
-            endTime = this.timeline.duration,
+            format = 'webm',
             fps = this.timeline.fps,
-            videoBitsPerSecond = 2500000, // 2.5 Mbps
-            onProgress = null
+            scale = 1,
+            bitrate = 5000000, // 5 Mbps
+            keyframeInterval = 2, // seconds
+            background = this.canvasEngine.stage.background // video has no alpha, so transparent stages use their colour
         } = options;
 
-        if (!MediaRecorder.isTypeSupported('video/webm')) {
-            throw new Error('WebM format is not supported in this browser');
+        // Encoders require even dimensions
+        const width = this.toEvenSize(options.width || scene.width * scale);
+        const height = this.toEvenSize(options.height || scene.height * scale);
+
+        const config = await this.getVideoEncoderConfig(format, width, height, fps, bitrate);
+        if (!config) {
+            throw new Error(`${format.toUpperCase()} video export is not supported in this browser`);
         }
 
         this.isExporting = true;
+        this.exportCancelled = false;
         this.exportProgress = 0;
 
-        return new Promise(async (resolve, reject) => {
-            try {
-                const canvas = this.canvasEngine.canvas;
-                const stream = canvas.captureStream(fps);
-                const recorder = new MediaRecorder(stream, {
-                    mimeType: 'video/webm',
-                    videoBitsPerSecond
-                });
-
-                const chunks = [];
-                recorder.ondataavailable = (event) => {
-                    if (event.data.size > 0) {
-                        chunks.push(event.data);
-                    }
-                };
-
-                recorder.onstop = () => {
-                    const blob = new Blob(chunks, { type: 'video/webm' });
-                    const url = URL.createObjectURL(blob);
-                    this.notifyExportComplete('webm', { blob, url, size: blob.size });
-                    resolve({ blob, url });
-                };
+        const muxer = format === 'mp4'
+            ? new MP4Muxer({ width, height, fps })
+            : new WebMMuxer({ width, height, fps, codec: config.codec });
 
-                recorder.onerror = (error) => {
-                    this.notifyExportError('WebM export failed: ' + error.message);
-                    reject(error);
-                };
-
-                // Start recording
-                recorder.start();
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+            error: (error) => {
+                encoderError = error;
+            }
+        });
 
-                // Play animation and track progress
-                const originalTime = this.timeline.currentTime;
-                const wasPlaying = this.playbackEngine.isPlaying;
+        try {
+            encoder.configure(config);
 
-                this.playbackEngine.setCurrentTime(startTime);
-                this.playbackEngine.play();
+            const frameDuration = 1000000 / fps; // µs
+            const keyframeEvery = Math.max(1, Math.round(keyframeInterval * fps));
 
-                const duration = endTime - startTime;
-                const startExportTime = Date.now();
+            await this.renderFrames({
+                ...options,
+                fps,
+                width,
+                height,
+                background,
+                onFrame: async (canvas, frameIndex) => {
+                    if (encoderError) {
+                        throw encoderError;
+                    }
 
-                const checkProgress = () => {
-                    const elapsed = (Date.now() - startExportTime) / 1000;
-                    this.exportProgress = Math.min(elapsed / duration, 1);
+                    const frame = new VideoFrame(canvas, {
+                        timestamp: Math.round(frameIndex * frameDuration),
+                        duration: Math.round(frameDuration)
+                    });
+                    encoder.encode(frame, { keyFrame: frameIndex % keyframeEvery === 0 });
+                    frame.close();
 
-                    if (onProgress) {
-                        onProgress(this.exportProgress);
+                    // Let the encoder drain so memory stays bounded on long exports
+                    while (encoder.encodeQueueSize > 4) {
+                        await new Promise(resolve => setTimeout(resolve, 5));
                     }
+                }
+            });
 
-                    if (this.timeline.currentTime >= endTime) {
-                        recorder.stop();
-                        this.playbackEngine.pause();
-                        this.playbackEngine.setCurrentTime(originalTime);
-                        
-                        if (wasPlaying) {
-                            this.playbackEngine.play();
-                        }
-                    } else {
-                        requestAnimationFrame(checkProgress);
-                    }
-                };
+            await encoder.flush();
+            if (encoderError) {
+                throw encoderError;
+            }
 
-                checkProgress();
+            const blob = muxer.finalize();
+            const url = URL.createObjectURL(blob);
+            this.notifyExportComplete(format, { blob, url, size: blob.size });
+            return { blob, url, format };
 
-            } catch (error) {
-                this.notifyExportError('Failed to start WebM export: ' + error.message);
-                reject(error);
-            } finally {
-                this.isExporting = false;
-                this.exportProgress = 0;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.notifyExportError(`${format.toUpperCase()} export failed: ${error.message}`);
             }
-        });
+            throw error;
+        } finally {
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+            this.isExporting = false;
+            this.exportProgress = 0;
+        }
+    }
+
+    // Kept for existing callers
+    async exportToWebM(options = {}) {
+        return this.exportVideo({ ...options, format: 'webm' });
     }
 
-    // Export to GIF using frames
+    toEvenSize(value) {
+        return Math.max(2, Math.round(value / 2) * 2);
+    }
+
+    // Export to GIF (gif.js)
     async exportToGIF(options = {}) {
+        const scene = this.canvasEngine.getSceneSize();
         const {
             startTime = 0,
             endTime = this.timeline.duration,
             fps = Math.min(this.timeline.fps, 15), // Limit GIF fps for size
-            width = Math.min(this.canvasEngine.canvas.width, 800), // Limit size
-            height = Math.min(this.canvasEngine.canvas.height, 600),
-            quality = 10,
-            delay = Math.floor(1000 / fps),
-            repeat = 0,
+            scale = Math.min(1, 800 / scene.width, 600 / scene.height), // Limit size
+            width = Math.max(1, Math.round(scene.width * scale)),
+            height = Math.max(1, Math.round(scene.height * scale)),
+            quality = 10, // gif.js sample interval: 1 is best, higher is faster
+            repeat = 0, // 0 loops forever, -1 plays once, n loops n extra times
+            palette = 'global', // 'global' shares the first frame's palette, 'local' quantizes every frame
+            dither = false, // false, 'FloydSteinberg', 'FalseFloydSteinberg', 'Stucki' or 'Atkinson' (append '-serpentine' to alternate direction)
+            transparent = this.canvasEngine.stage.transparent,
+            transparentColor = '#ff00ff', // key colour given to pixels less than half covered and marked transparent
+            background = this.canvasEngine.stage.background,
             onProgress = null
         } = options;
 
+        // GIF delays are whole centiseconds and browsers slow down anything under 20ms
+        const delay = Math.max(20, options.delay || 1000 / fps);
+
+        if (typeof GIF === 'undefined') {
+            throw new Error('GIF export requires gif.js to be loaded');
+        }
+
         this.isExporting = true;
+        this.exportCancelled = false;
         this.exportProgress = 0;
 
+        const gif = new GIF({
+            workerScript: this.gifWorkerScript,
+            workers: 2,
+            width,
+            height,
+            quality,
+            repeat,
+            dither,
+            globalPalette: palette === 'global',
+            transparent: transparent ? parseInt(transparentColor.replace('#', ''), 16) : null,
+            background: transparent ? transparentColor : background
+        });
+
+        const report = (progress) => {
+            this.exportProgress = progress;
+            if (onProgress) {
+                onProgress(progress);
+            }
+        };
+
         try {
-            // First, render all frames
-            const frames = await this.exportToFrames({
+            // First half of the progress bar: rendering frames
+            await this.renderFrames({
                 startTime,
                 endTime,
                 fps,
                 width,
                 height,
-                format: 'image/png',
-                quality: 0.92
+                background: transparent ? null : background,
+                onProgress: (progress) => report(progress * 0.5),
+                onFrame: (canvas, frameIndex) => {
+                    if (transparent) {
+                        this.keyTransparentPixels(canvas, transparentColor);
+                    }
+                    // Spread rounding so the total duration does not drift
+                    const frameDelay = Math.round((frameIndex + 1) * delay / 10) * 10 -
+                        Math.round(frameIndex * delay / 10) * 10;
+                    gif.addFrame(canvas, { delay: frameDelay, copy: true });
+                }
             });
 
-            // Convert frames to GIF using a library like gif.js (would need to be included)
-            // For now, we'll return the frame data structure
-            const gifData = {
-                frames: frames.map(f => f.data),
-                options: {
-                    quality,
-                    delay,
-                    repeat,
-                    width,
-                    height
-                },
-                metadata: {
-                    duration: endTime - startTime,
-                    fps,
-                    totalFrames: frames.length
-                }
-            };
+            // Second half: palette quantization and LZW encoding in workers
+            const blob = await new Promise((resolve, reject) => {
+                const cancelCheck = setInterval(() => {
+                    if (this.exportCancelled) {
+                        gif.abort();
+                    }
+                }, 100);
 
-            this.notifyExportComplete('gif', gifData);
-            return gifData;
+                gif.on('progress', (progress) => report(0.5 + progress * 0.5));
+                gif.on('finished', (result) => {
+                    clearInterval(cancelCheck);
+                    resolve(result);
+                });
+                gif.on('abort', () => {
+                    clearInterval(cancelCheck);
+                    const error = new Error('Export cancelled');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+
+                gif.render();
+            });
+
+            const url = URL.createObjectURL(blob);
+            this.notifyExportComplete('gif', { blob, url, size: blob.size });
+            return { blob, url };
 
         } catch (error) {
-            this.notifyExportError('Failed to export GIF: ' + error.message);
+            gif.abort();
+            if (error.name !== 'AbortError') {
+                this.notifyExportError(`Failed to export GIF: ${error.message}`);
+            }
             throw error;
         } finally {
             this.isExporting = false;
@@ -419,6 +648,18 @@ class ProjectExporter {
         });
     }
 
+    downloadVideo(blob, format = 'webm', filename = null) {
+        const name = filename || `${this.sanitizeFileName(this.projectName)}.${format}`;
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     downloadWebM(blob, filename = null) {
         const name = filename || `${this.sanitizeFileName(this.projectName)}.webm`;
         const url = URL.createObjectURL(blob);
@@ -461,27 +702,26 @@ class ProjectExporter {
     }
 
     generateThumbnail() {
-        // Create a smaller version of the current canvas frame
+        // Render the stage as it is now, fitted into the thumbnail
         const thumbnailCanvas = document.createElement('canvas');
         const thumbnailCtx = thumbnailCanvas.getContext('2d');
         
         thumbnailCanvas.width = 200;
         thumbnailCanvas.height = 150;
         
-        // Scale and draw the main canvas
-        const scale = Math.min(
-            thumbnailCanvas.width / this.canvasEngine.canvas.width,
-            thumbnailCanvas.height / this.canvasEngine.canvas.height
-        );
+        const scene = this.canvasEngine.getSceneSize();
+        const scale = Math.min(thumbnailCanvas.width / scene.width, thumbnailCanvas.height / scene.height);
+        const stageCanvas = document.createElement('canvas');
+        stageCanvas.width = Math.max(1, Math.round(scene.width * scale));
+        stageCanvas.height = Math.max(1, Math.round(scene.height * scale));
+        this.canvasEngine.renderToContext(stageCanvas.getContext('2d'), { scale });
         
-        const scaledWidth = this.canvasEngine.canvas.width * scale;
-        const scaledHeight = this.canvasEngine.canvas.height * scale;
-        const x = (thumbnailCanvas.width - scaledWidth) / 2;
-        const y = (thumbnailCanvas.height - scaledHeight) / 2;
+        const x = (thumbnailCanvas.width - stageCanvas.width) / 2;
+        const y = (thumbnailCanvas.height - stageCanvas.height) / 2;
         
         thumbnailCtx.fillStyle = '#f0f0f0';
         thumbnailCtx.fillRect(0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
-        thumbnailCtx.drawImage(this.canvasEngine.canvas, x, y, scaledWidth, scaledHeight);
+        thumbnailCtx.drawImage(stageCanvas, x, y);
         
         return thumbnailCanvas.toDataURL('image/jpeg', 0.8);
     }
@@ -521,7 +761,14 @@ class ProjectExporter {
                 extension: 'webm',
                 type: 'video',
                 description: 'Export as WebM video file',
-                supported: MediaRecorder.isTypeSupported('video/webm')
+                supported: typeof VideoEncoder !== 'undefined'
+            },
+            {
+                name: 'MP4 Video',
+                extension: 'mp4',
+                type: 'video',
+                description: 'Export as H.264 MP4 video file (where the browser can encode H.264)',
+                supported: typeof VideoEncoder !== 'undefined'
             },
             {
                 name: 'Animated GIF',
@@ -544,6 +791,9 @@ class ProjectExporter {
         this.canvasEngine.canvas.addEventListener('objectCreated', () => this.markDirty());
         this.canvasEngine.canvas.addEventListener('objectUpdated', () => this.markDirty());
         this.canvasEngine.canvas.addEventListener('objectDeleted', () => this.markDirty());
+        this.canvasEngine.canvas.addEventListener('objectsReordered', () => this.markDirty());
+        this.canvasEngine.canvas.addEventListener('stageChanged', () => this.markDirty());
+        this.canvasEngine.canvas.addEventListener('guidesChanged', () => this.markDirty());
         
         window.addEventListener('timeline:keyframeAdded', () => this.markDirty());
         window.addEventListener('timeline:keyframeUpdated', () => this.markDirty());
@@ -573,48 +823,28 @@ class ProjectExporter {
     }
 
     // Project List Management
-    getProjectList() {
-        const projects = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith('animationstudio_project_')) {
-                try {
-                    const projectData = JSON.parse(localStorage.getItem(key));
-                    projects.push({
-                        key,
-                        name: projectData.name,
-                        saved: projectData.saved,
-                        size: localStorage.getItem(key).length,
-                        thumbnail: projectData.metadata?.thumbnail || null
-                    });
-                } catch (error) {
-                    console.warn('Invalid project data:', key);
-                }
-            }
+    async getProjectList() {
+        try {
+            return await this.storage.listProjects();
+        } catch (error) {
+            console.warn('Could not list saved projects:', error);
+            return [];
         }
-        
-        return projects.sort((a, b) => b.saved - a.saved);
     }
 
     async loadProjectByKey(key) {
-        const projectJson = localStorage.getItem(key);
-        if (projectJson) {
-            try {
-                const projectData = JSON.parse(projectJson);
-                return await this.loadProject(projectData);
-            } catch (error) {
-                console.error('Failed to load project:', error);
-                return false;
-            }
+        try {
+            const projectData = await this.storage.loadProject(key);
+            return projectData ? await this.loadProject(projectData) : false;
+        } catch (error) {
+            console.error('Failed to load project:', error);
+            return false;
         }
-        return false;
     }
 
-    deleteProjectByKey(key) {
-        localStorage.removeItem(key);
-        // Also remove auto-save if it exists
-        const autoSaveKey = key.replace('_project_', '_autosave_');
-        localStorage.removeItem(autoSaveKey);
+    // Removes the project, its auto-save and any asset data only it used
+    async deleteProjectByKey(key) {
+        await this.storage.deleteProject(key);
     }
 
     // Event Notifications
@@ -0,0 +1,417 @@
+/**
+ * Project Schema - Versioned project file format, validation and migrations
+ *
+ * A project file (format 'animationstudio-project') looks like:
+ *
+ *   {
+ *     format: 'animationstudio-project',
+ *     projectVersion: '2.1.0',        // bumped whenever the layout changes
+ *     name: 'My Animation',
+ *     created: 1700000000000,         // ms timestamps
+ *     saved: 1700000000000,
+ *     settings: { duration, fps, width, height, background, transparent },
+ *                 // width × height is the stage, the part of the scene from (0, 0) that
+ *                 // exports render; background is a CSS colour, unused while transparent
+ *     canvas: { objects: [ { id, type, name, parentId, x, y, width, height,
+ *                            rotation, scaleX, scaleY, originX, originY,
+ *                            opacity, visible, locked, orientToPath, pathId,
+ *                            pathProgress, ...type-specific } ] },
+ *                 // shape objects: shape (see CanvasEngine.shapeTypes) drawn inside the box,
+ *                 // plus that shape's parameters, e.g. sides, starPoints, innerRadius
+ *                 // fill, stroke and text color: a CSS colour or a gradient (see ColorUtils)
+ *                 // text objects: text, spans, fontSize, fontFamily, fontWeight, fontStyle,
+ *                 // textAlign, verticalAlign, lineHeight, letterSpacing, autoSize, stroke,
+ *                 // strokeWidth (see TextLayout), animators (see TextAnimators)
+ *                 // path objects: points [{ x, y, inX, inY, outX, outY }] in their box, with
+ *                 // bezier handles as offsets; closed, fill, stroke, strokeWidth, lineCap,
+ *                 // lineJoin, lineDash
+ *                 // any object: blendMode (see CanvasEngine.blendModes), shadowColor, shadowBlur,
+ *                 // shadowOffsetX, shadowOffsetY, filters [{ type, amount }] applied in order
+ *                 // (see CanvasEngine.filterTypes), maskId and maskMode (see CanvasEngine.maskModes);
+ *                 // a maskId whose object is gone leaves the object unmasked
+ *                 // guides: [{ axis: 'x' | 'y', position }], vertical guides at x and
+ *                 // horizontal ones at y, in scene units
+ *     timeline: { duration, fps, tracks: [[trackId, track]],
+ *                 channels: [[objectId, [[property, [keyframe]]]]] },
+ *                 // keyframe: { id, objectId, property, time, value, easingType, easingParams,
+ *                 //             spatialIn, spatialOut, colorMode }  (spatial tangents on x/y only;
+ *                 //             colorMode 'rgb' | 'hsl' | 'oklab' on fill/stroke/color/shadowColor only)
+ *     assets: { assets: [ { id, name, type, src, ... } ], categories },
+ *     metadata: { totalObjects, totalTracks, totalAssets, ... }  // informational only
+ *   }
+ *
+ * Runtime-only values (e.g. the HTMLImageElement behind image objects) are never stored;
+ * images are reloaded from their `src` when the project opens.
+ *
+ * Older files are upgraded one step at a time through `migrations`; add a new entry (and
+ * bump CURRENT_VERSION) whenever the layout changes so existing projects keep opening.
+ */
+
+class ProjectSchema {
+    // Upgrade a parsed project file to the current version and validate it.
+    // Throws an Error listing every problem found.
+    static prepare(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid project file: expected a JSON object');
+        }
+
+        if (data.format !== undefined && data.format !== ProjectSchema.FORMAT) {
+            throw new Error(`Invalid project file: unknown format "${data.format}"`);
+        }
+
+        const project = ProjectSchema.migrate(JSON.parse(JSON.stringify(data)));
+        const errors = ProjectSchema.validate(project);
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid project file:\n- ${errors.join('\n- ')}`);
+        }
+
+        return project;
+    }
+
+    static getVersion(data) {
+        // Files from before the schema was versioned stored the version under `version`
+        return data.projectVersion || data.version || '1.0.0';
+    }
+
+    static migrate(data) {
+        let project = data;
+        let version = ProjectSchema.getVersion(project);
+
+        if (ProjectSchema.compareVersions(version, ProjectSchema.CURRENT_VERSION) > 0) {
+            throw new Error(`This project was saved by a newer version of AnimationStudio (format ${version}); ` +
+                `this version reads up to ${ProjectSchema.CURRENT_VERSION}`);
+        }
+
+        while (version !== ProjectSchema.CURRENT_VERSION) {
+            const migration = ProjectSchema.migrations.find(step => step.from === version);
+            if (!migration) {
+                throw new Error(`Don't know how to upgrade project format ${version}`);
+            }
+
+            project = migration.migrate(project);
+            project.projectVersion = migration.to;
+            version = migration.to;
+        }
+
+        return project;
+    }
+
+    // Returns a list of human-readable problems; empty when the project is valid
+    static validate(project) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (typeof project.name !== 'string' || project.name.trim() === '') {
+            errors.push('name must be a non-empty string');
+        }
+
+        const settings = project.settings;
+        if (!settings || typeof settings !== 'object') {
+            errors.push('settings is missing');
+        } else {
+            if (!isNumber(settings.duration) || settings.duration <= 0) {
+                errors.push('settings.duration must be a positive number');
+            }
+            if (!isNumber(settings.fps) || settings.fps <= 0) {
+                errors.push('settings.fps must be a positive number');
+            }
+            ['width', 'height'].forEach(key => {
+                if (settings[key] !== undefined && settings[key] !== null && (!isNumber(settings[key]) || settings[key] <= 0)) {
+                    errors.push(`settings.${key} must be a positive number`);
+                }
+            });
+            if (settings.background !== undefined && typeof settings.background !== 'string') {
+                errors.push('settings.background must be a colour string');
+            }
+            if (settings.transparent !== undefined && typeof settings.transparent !== 'boolean') {
+                errors.push('settings.transparent must be true or false');
+            }
+        }
+
+        const objects = project.canvas && project.canvas.objects;
+        const objectIds = new Set();
+
+        if (!Array.isArray(objects)) {
+            errors.push('canvas.objects must be an array');
+        } else {
+            objects.forEach((obj, index) => {
+                const path = `canvas.objects[${index}]`;
+                if (!obj || typeof obj !== 'object') {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+
+                if (typeof obj.id !== 'string' || obj.id === '') {
+                    errors.push(`${path}.id must be a non-empty string`);
+                } else if (objectIds.has(obj.id)) {
+                    errors.push(`${path}.id "${obj.id}" is used by more than one object`);
+                } else {
+                    objectIds.add(obj.id);
+                }
+
+                if (!ProjectSchema.objectTypes.includes(obj.type)) {
+                    errors.push(`${path}.type "${obj.type}" is not a known object type`);
+                }
+
+                ProjectSchema.numericObjectProperties.forEach(property => {
+                    if (obj[property] !== undefined && !isNumber(obj[property])) {
+                        errors.push(`${path}.${property} must be a number`);
+                    }
+                });
+
+                ['fill', 'stroke', 'color'].forEach(property => {
+                    const paint = obj[property];
+                    if (paint === undefined || typeof paint === 'string') {
+                        return;
+                    }
+                    const isGradient = paint && (paint.type === 'linear' || paint.type === 'radial') &&
+                        Array.isArray(paint.stops) &&
+                        paint.stops.every(stop => stop && isNumber(stop.offset) && typeof stop.color === 'string');
+                    if (!isGradient) {
+                        errors.push(`${path}.${property} must be a colour or a linear/radial gradient with stops`);
+                    }
+                });
+
+                if (obj.shadowColor !== undefined && typeof obj.shadowColor !== 'string') {
+                    errors.push(`${path}.shadowColor must be a colour`);
+                }
+                if (obj.blendMode !== undefined && typeof obj.blendMode !== 'string') {
+                    errors.push(`${path}.blendMode must be a string`);
+                }
+                ['fontFamily', 'fontWeight', 'fontStyle'].forEach(property => {
+                    if (obj[property] !== undefined && typeof obj[property] !== 'string') {
+                        errors.push(`${path}.${property} must be a string`);
+                    }
+                });
+                if (obj.maskId !== undefined && obj.maskId !== null && typeof obj.maskId !== 'string') {
+                    errors.push(`${path}.maskId must be an object id`);
+                }
+                if (obj.filters !== undefined && (!Array.isArray(obj.filters) || obj.filters.some(filter =>
+                    !filter || typeof filter.type !== 'string' || !isNumber(filter.amount)))) {
+                    errors.push(`${path}.filters must be a list of filters with a type and a numeric amount`);
+                }
+
+                if (obj.type === 'text' && (typeof obj.text !== 'string' || (obj.spans !== undefined && obj.spans !== null && (!Array.isArray(obj.spans) ||
+                    obj.spans.some(span => !span || typeof span.text !== 'string'))))) {
+                    errors.push(`${path} must have a text string and spans with text`);
+                }
+
+                if (obj.animators !== undefined && (!Array.isArray(obj.animators) ||
+                    obj.animators.some(animator => !animator || typeof animator !== 'object'))) {
+                    errors.push(`${path}.animators must be a list of text animators`);
+                }
+
+                if (obj.type === 'path' && (!Array.isArray(obj.points) || obj.points.some(point =>
+                    !point || !isNumber(point.x) || !isNumber(point.y)))) {
+                    errors.push(`${path}.points must be a list of points with numeric x and y`);
+                }
+                if (obj.lineDash !== undefined && (!Array.isArray(obj.lineDash) ||
+                    obj.lineDash.some(length => !isNumber(length) || length < 0))) {
+                    errors.push(`${path}.lineDash must be a list of non-negative numbers`);
+                }
+            });
+
+            // Parents must exist and the hierarchy must not loop
+            const byId = new Map(objects.filter(obj => obj && obj.id).map(obj => [obj.id, obj]));
+            objects.forEach((obj, index) => {
+                if (obj && obj.pathId && !byId.has(obj.pathId)) {
+                    errors.push(`canvas.objects[${index}].pathId "${obj.pathId}" does not match any object`);
+                }
+            });
+            objects.forEach((obj, index) => {
+                if (!obj || !obj.parentId) {
+                    return;
+                }
+                if (!byId.has(obj.parentId)) {
+                    errors.push(`canvas.objects[${index}].parentId "${obj.parentId}" does not match any object`);
+                    return;
+                }
+
+                const seen = new Set([obj.id]);
+                for (let parent = byId.get(obj.parentId); parent; parent = byId.get(parent.parentId)) {
+                    if (seen.has(parent.id)) {
+                        errors.push(`canvas.objects[${index}] is part of a parenting cycle`);
+                        break;
+                    }
+                    seen.add(parent.id);
+                }
+            });
+        }
+
+        const guides = project.canvas && project.canvas.guides;
+        if (guides !== undefined && (!Array.isArray(guides) ||
+            guides.some(guide => !guide || (guide.axis !== 'x' && guide.axis !== 'y') || !isNumber(guide.position)))) {
+            errors.push('canvas.guides must be a list of { axis: "x" | "y", position }');
+        }
+
+        const timeline = project.timeline;
+        if (!timeline || typeof timeline !== 'object') {
+            errors.push('timeline is missing');
+        } else {
+            if (!Array.isArray(timeline.tracks)) {
+                errors.push('timeline.tracks must be an array');
+            }
+
+            if (!Array.isArray(timeline.channels)) {
+                // Legacy snapshot keyframes are split into channels by Timeline on import
+                if (!Array.isArray(timeline.keyframes)) {
+                    errors.push('timeline.channels must be an array');
+                }
+            } else {
+                timeline.channels.forEach((entry, index) => {
+                    const path = `timeline.channels[${index}]`;
+                    if (!Array.isArray(entry) || !Array.isArray(entry[1])) {
+                        errors.push(`${path} must be an [objectId, channels] pair`);
+                        return;
+                    }
+
+                    entry[1].forEach(channel => {
+                        const [property, keyframes] = Array.isArray(channel) ? channel : [];
+                        if (!Array.isArray(keyframes)) {
+                            errors.push(`${path} channel "${property}" must list its keyframes`);
+                            return;
+                        }
+                        if (keyframes.some(keyframe => !keyframe || !isNumber(keyframe.time) || keyframe.time < 0)) {
+                            errors.push(`${path} channel "${property}" has a keyframe without a valid time`);
+                        }
+                    });
+                });
+            }
+        }
+
+        if (project.assets !== undefined && (!project.assets || !Array.isArray(project.assets.assets))) {
+            errors.push('assets.assets must be an array');
+        }
+
+        return errors;
+    }
+
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+}
+
+ProjectSchema.FORMAT = 'animationstudio-project';
+ProjectSchema.CURRENT_VERSION = '2.1.0';
+
+// Object types the canvas engine can draw
+ProjectSchema.objectTypes = ['image', 'text', 'shape', 'path', 'group'];
+
+ProjectSchema.numericObjectProperties = [
+    'x', 'y', 'width', 'height', 'rotation', 'scaleX', 'scaleY', 'originX', 'originY', 'opacity',
+    'pathProgress', 'strokeWidth', 'cornerRadiusTopLeft', 'cornerRadiusTopRight', 'cornerRadiusBottomRight',
+    'cornerRadiusBottomLeft', 'sides', 'starPoints', 'innerRadius', 'headLength', 'shadowBlur',
+    'shadowOffsetX', 'shadowOffsetY', 'fontSize', 'lineHeight', 'letterSpacing'
+];
+
+// Each step upgrades a project from one format version to the next
+ProjectSchema.migrations = [
+    {
+        // 1.0.0: untagged files with `version`, settings only in metadata, and a timeline that
+        // may still hold whole-object keyframe snapshots
+        from: '1.0.0',
+        to: '2.0.0',
+        migrate(data) {
+            const metadata = data.metadata || {};
+            const timeline = data.timeline || {};
+            const canvas = Array.isArray(data.canvas) ? { objects: data.canvas } : (data.canvas || {});
+            const resolution = metadata.resolution || {};
+
+            const project = {
+                ...data,
+                format: ProjectSchema.FORMAT,
+                name: data.name || 'Untitled Project',
+                settings: {
+                    duration: timeline.duration || metadata.duration || 10,
+                    fps: timeline.fps || metadata.fps || 30,
+                    width: resolution.width || null,
+                    height: resolution.height || null
+                },
+                canvas: { ...canvas, objects: canvas.objects || [] },
+                timeline: {
+                    ...timeline,
+                    tracks: timeline.tracks || []
+                }
+            };
+            delete project.version;
+
+            if (!project.timeline.channels && !project.timeline.keyframes) {
+                project.timeline.channels = [];
+            }
+
+            return project;
+        }
+    },
+    {
+        // 2.0.0: circles were drawn from a separate `radius` around the box centre, ignoring
+        // width/height; they are now ellipses filling their box
+        from: '2.0.0',
+        to: '2.1.0',
+        migrate(data) {
+            const circles = new Map();
+            const objects = (data.canvas && data.canvas.objects) || [];
+            objects.forEach(obj => {
+                if (!obj || obj.type !== 'shape' || obj.shape !== 'circle' || typeof obj.radius !== 'number') {
+                    return;
+                }
+                // Keep the centre where it was
+                const size = obj.radius * 2;
+                const circle = { width: size, height: size, x: (obj.width - size) / 2, y: (obj.height - size) / 2 };
+                obj.x += circle.x;
+                obj.y += circle.y;
+                obj.width = size;
+                obj.height = size;
+                circles.set(obj.id, circle);
+                delete obj.radius;
+            });
+
+            // Width/height keys never affected old circles, so they hold the circle's size;
+            // position keys move by the same offset as the object
+            const adjust = (circle, property, value) => {
+                if (property === 'width' || property === 'height') {
+                    return circle[property];
+                }
+                return (property === 'x' || property === 'y') && typeof value === 'number' ? value + circle[property] : value;
+            };
+            const channels = (data.timeline && data.timeline.channels) || [];
+            channels.forEach(([objectId, entries]) => {
+                if (!circles.has(objectId) || !Array.isArray(entries)) {
+                    return;
+                }
+                entries.forEach(([property, keyframes]) => {
+                    if (Array.isArray(keyframes)) {
+                        keyframes.forEach(keyframe => {
+                            keyframe.value = adjust(circles.get(objectId), property, keyframe.value);
+                        });
+                    }
+                });
+            });
+            const snapshots = (data.timeline && data.timeline.keyframes) || [];
+            snapshots.forEach(([objectId, keyframes]) => {
+                if (circles.has(objectId) && Array.isArray(keyframes)) {
+                    keyframes.forEach(keyframe => {
+                        Object.keys(keyframe.properties || {}).forEach(property => {
+                            keyframe.properties[property] = adjust(circles.get(objectId), property, keyframe.properties[property]);
+                        });
+                    });
+                }
+            });
+
+            return data;
+        }
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectSchema;
+}
@@ -0,0 +1,300 @@
+/**
+ * Project Storage - IndexedDB persistence for projects, auto-saves and asset data
+ * Asset data is stored once as Blobs keyed by id; saved projects reference it instead of
+ * embedding base64 sources, so storage is not limited by the localStorage quota
+ */
+
+class ProjectStorage {
+    constructor(dbName = 'animationstudio') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.db = null;
+
+        // Legacy localStorage keys migrated on first launch
+        this.legacyProjectPrefix = 'animationstudio_project_';
+        this.legacyAutoSavePrefix = 'animationstudio_autosave_';
+        this.legacyAutoSaveTimestampKey = 'animationstudio_autosave_timestamp';
+    }
+
+    // Database
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('autosaves')) {
+                    db.createObjectStore('autosaves', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('assets')) {
+                    db.createObjectStore('assets', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run fn against the named stores inside one transaction; resolves with fn's result
+    // once the transaction has committed
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => tx.objectStore(name));
+            let result;
+
+            Promise.resolve(fn(...stores)).then(value => {
+                result = value;
+            }, error => {
+                tx.abort();
+                reject(error);
+            });
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    // Projects
+    async saveProject(key, projectData) {
+        await this.writeRecord('projects', key, projectData);
+        await this.collectGarbage();
+    }
+
+    async loadProject(key) {
+        return this.readRecord('projects', key);
+    }
+
+    async deleteProject(key) {
+        await this.transaction(['projects', 'autosaves'], 'readwrite', (projects, autosaves) => {
+            projects.delete(key);
+            autosaves.delete(key);
+        });
+        await this.collectGarbage();
+    }
+
+    // Summaries of saved projects, newest first
+    async listProjects() {
+        const records = await this.transaction(['projects'], 'readonly', projects => this.request(projects.getAll()));
+
+        return records
+            .map(record => ({
+                key: record.key,
+                name: record.name,
+                saved: record.saved,
+                size: record.size,
+                thumbnail: record.thumbnail || null
+            }))
+            .sort((a, b) => b.saved - a.saved);
+    }
+
+    // Auto-saves
+    async saveAutoSave(key, projectData) {
+        await this.writeRecord('autosaves', key, projectData);
+        await this.collectGarbage();
+    }
+
+    async loadAutoSave(key) {
+        return this.readRecord('autosaves', key);
+    }
+
+    async hasAutoSave(key) {
+        const count = await this.transaction(['autosaves'], 'readonly', autosaves => this.request(autosaves.count(key)));
+        return count > 0;
+    }
+
+    // Records
+    // Move every inline data: URL source into the asset store and save the project without them
+    async writeRecord(storeName, key, projectData) {
+        const { project, blobs } = await this.extractAssetData(projectData);
+        const json = JSON.stringify(project);
+
+        const record = {
+            key,
+            name: project.name,
+            saved: project.saved || Date.now(),
+            size: json.length + blobs.reduce((sum, entry) => sum + entry.blob.size, 0),
+            thumbnail: project.metadata ? project.metadata.thumbnail || null : null,
+            assetIds: blobs.map(entry => entry.id),
+            project
+        };
+
+        await this.transaction([storeName, 'assets'], 'readwrite', (records, assets) => {
+            blobs.forEach(entry => assets.put(entry));
+            records.put(record);
+        });
+    }
+
+    async readRecord(storeName, key) {
+        const record = await this.transaction([storeName], 'readonly', store => this.request(store.get(key)));
+        if (!record) {
+            return null;
+        }
+
+        return this.restoreAssetData(record.project);
+    }
+
+    // Asset data
+    async extractAssetData(projectData) {
+        const project = JSON.parse(JSON.stringify(projectData));
+        const blobs = new Map();
+
+        const externalize = async (item, id) => {
+            if (typeof item.src === 'string' && item.src.startsWith('data:')) {
+                if (!blobs.has(id)) {
+                    const blob = await this.dataURLToBlob(item.src);
+                    blobs.set(id, { id, blob, mimeType: blob.type });
+                }
+                item.src = null;
+                item.storedAssetId = id;
+            }
+        };
+
+        const assets = (project.assets && project.assets.assets) || [];
+        for (const asset of assets) {
+            await externalize(asset, asset.id);
+        }
+
+        // Image objects placed from an asset share its data; others get their own entry
+        const assetIds = new Set(assets.map(asset => asset.id));
+        const objects = (project.canvas && project.canvas.objects) || [];
+        for (const obj of objects) {
+            await externalize(obj, obj.assetId && assetIds.has(obj.assetId) ? obj.assetId : `object_${obj.id}`);
+        }
+
+        return { project, blobs: Array.from(blobs.values()) };
+    }
+
+    async restoreAssetData(project) {
+        const items = [
+            ...((project.assets && project.assets.assets) || []),
+            ...((project.canvas && project.canvas.objects) || [])
+        ].filter(item => item.storedAssetId);
+
+        const ids = [...new Set(items.map(item => item.storedAssetId))];
+        const entries = await this.transaction(['assets'], 'readonly', assets =>
+            Promise.all(ids.map(id => this.request(assets.get(id))))
+        );
+
+        const sources = new Map();
+        for (let i = 0; i < ids.length; i++) {
+            if (entries[i]) {
+                sources.set(ids[i], await this.blobToDataURL(entries[i].blob));
+            }
+        }
+
+        items.forEach(item => {
+            if (sources.has(item.storedAssetId)) {
+                item.src = sources.get(item.storedAssetId);
+            } else {
+                console.warn(`⚠️ Stored data for ${item.name || item.storedAssetId} is missing`);
+            }
+            delete item.storedAssetId;
+        });
+
+        return project;
+    }
+
+    // Delete asset data no saved project or auto-save refers to any more
+    async collectGarbage() {
+        await this.transaction(['projects', 'autosaves', 'assets'], 'readwrite', async (projects, autosaves, assets) => {
+            const records = [
+                ...await this.request(projects.getAll()),
+                ...await this.request(autosaves.getAll())
+            ];
+            const referenced = new Set(records.flatMap(record => record.assetIds || []));
+            const storedIds = await this.request(assets.getAllKeys());
+
+            storedIds
+                .filter(id => !referenced.has(id))
+                .forEach(id => assets.delete(id));
+        });
+    }
+
+    // Migration
+    // Copy projects and auto-saves from localStorage into IndexedDB, removing each copied entry
+    async migrateFromLocalStorage() {
+        if (typeof localStorage === 'undefined') {
+            return 0;
+        }
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key === this.legacyAutoSaveTimestampKey) {
+                continue;
+            }
+            if (key.startsWith(this.legacyProjectPrefix) || key.startsWith(this.legacyAutoSavePrefix)) {
+                keys.push(key);
+            }
+        }
+
+        let migrated = 0;
+        for (const key of keys) {
+            try {
+                const projectData = JSON.parse(localStorage.getItem(key));
+                if (key.startsWith(this.legacyProjectPrefix)) {
+                    await this.writeRecord('projects', key, projectData);
+                } else {
+                    // Auto-saves are keyed by their project's key
+                    await this.writeRecord('autosaves', key.replace(this.legacyAutoSavePrefix, this.legacyProjectPrefix), projectData);
+                }
+                localStorage.removeItem(key);
+                migrated++;
+            } catch (error) {
+                console.warn(`⚠️ Could not migrate ${key}:`, error);
+            }
+        }
+
+        if (migrated > 0) {
+            localStorage.removeItem(this.legacyAutoSaveTimestampKey);
+            console.log(`📦 Migrated ${migrated} saved project(s) from localStorage`);
+        }
+        return migrated;
+    }
+
+    // Utility
+    async dataURLToBlob(dataURL) {
+        const response = await fetch(dataURL);
+        return response.blob();
+    }
+
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectStorage;
+}
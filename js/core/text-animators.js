@@ -0,0 +1,173 @@
+/**
+ * Text Animators - Per-character, per-word and per-line animation of text objects
+ *
+ * A text object's `animators` each move, turn, scale, fade or recolour the units (characters,
+ * words or lines) their range selector picks. The selector covers start-end percent of the
+ * units, shifted by offset; shape sets how strongly units across the range are picked, and
+ * stagger (square ranges only) eases units in over that many percent at each edge instead of
+ * all at once. amount scales the whole animator.
+ *
+ * The animators list is one keyframeable property: keyframes whose lists have the same length
+ * blend value by value, so keyframing offset from 0 to 100 sweeps the range across the text.
+ */
+
+class TextAnimators {
+    static create(properties = {}) {
+        return { ...TextAnimators.defaults, ...properties };
+    }
+
+    static isAnimated(obj) {
+        return Array.isArray(obj.animators) && obj.animators.length > 0;
+    }
+
+    // How strongly (0-1) the animator's range selects unit index of count
+    static getSelection(animator, index, count) {
+        const offset = animator.offset ?? 0;
+        const start = Math.min(animator.start ?? 0, animator.end ?? 100) + offset;
+        const end = Math.max(animator.start ?? 0, animator.end ?? 100) + offset;
+        const unitStart = index / count * 100;
+        const unitEnd = (index + 1) / count * 100;
+        const centre = (unitStart + unitEnd) / 2;
+        const shape = animator.shape || 'square';
+
+        if (shape === 'square') {
+            const stagger = animator.stagger || 0;
+            if (stagger > 0) {
+                return Math.max(0, Math.min(1, (centre - start) / stagger, (end - centre) / stagger));
+            }
+            // Units part way into the range are partly selected
+            const overlap = Math.min(end, unitEnd) - Math.max(start, unitStart);
+            return Math.max(0, Math.min(1, overlap / (unitEnd - unitStart)));
+        }
+
+        if (end <= start || centre < start || centre > end) {
+            return 0;
+        }
+        const t = (centre - start) / (end - start);
+        switch (shape) {
+            case 'rampUp':
+                return t;
+            case 'rampDown':
+                return 1 - t;
+            case 'triangle':
+                return 1 - Math.abs(2 * t - 1);
+            case 'round':
+                return Math.sqrt(1 - (2 * t - 1) ** 2);
+            case 'smooth':
+                return (1 - Math.cos(2 * Math.PI * t)) / 2;
+            default:
+                return 1;
+        }
+    }
+
+    // The combined effect of all animators on each glyph (see TextLayout.getGlyphs):
+    // { matrix, opacity, colors: [[color, amount]] }, the matrix in the object's content space.
+    // Each animator turns and scales glyphs around the centre of its unit, so words and lines
+    // stay whole
+    static getGlyphStates(obj, glyphs) {
+        const states = glyphs.map(() => ({ matrix: new DOMMatrix(), opacity: 1, colors: [] }));
+        if (!TextAnimators.isAnimated(obj)) {
+            return states;
+        }
+
+        obj.animators.forEach(animator => {
+            const unit = TextAnimators.units.includes(animator.unit) ? animator.unit : 'character';
+            const units = TextAnimators.getUnitBounds(glyphs, unit);
+            const amount = (animator.amount ?? 100) / 100;
+
+            glyphs.forEach((glyph, i) => {
+                const index = glyph[unit];
+                const selected = amount * TextAnimators.getSelection(animator, index, units.length);
+                if (selected === 0) {
+                    return;
+                }
+
+                const state = states[i];
+                const centerX = (units[index].left + units[index].right) / 2;
+                const scale = 1 + selected * ((animator.scale ?? 100) / 100 - 1);
+                state.matrix = new DOMMatrix()
+                    .translate(centerX + selected * (animator.x || 0), glyph.y + selected * (animator.y || 0))
+                    .rotate(selected * (animator.rotation || 0))
+                    .scale(scale, scale)
+                    .translate(-centerX, -glyph.y)
+                    .multiply(state.matrix);
+                state.opacity *= Math.max(0, 1 + selected * ((animator.opacity ?? 100) / 100 - 1));
+                if (animator.color) {
+                    state.colors.push([animator.color, Math.min(1, Math.abs(selected))]);
+                }
+            });
+        });
+        return states;
+    }
+
+    // Left and right edge of each unit, by unit index
+    static getUnitBounds(glyphs, unit) {
+        const units = [];
+        glyphs.forEach(glyph => {
+            const bounds = units[glyph[unit]] || (units[glyph[unit]] = { left: Infinity, right: -Infinity });
+            bounds.left = Math.min(bounds.left, glyph.x);
+            bounds.right = Math.max(bounds.right, glyph.x + glyph.width);
+        });
+        return units;
+    }
+}
+
+TextAnimators.units = ['character', 'word', 'line'];
+TextAnimators.shapes = ['square', 'rampUp', 'rampDown', 'triangle', 'round', 'smooth'];
+
+// A new animator selects everything and changes nothing until its properties are set.
+// Offsets are in pixels, rotation in degrees, and start, end, offset, stagger, amount, scale
+// and opacity in percent
+TextAnimators.defaults = {
+    unit: 'character',
+    shape: 'square',
+    start: 0,
+    end: 100,
+    offset: 0,
+    stagger: 0,
+    amount: 100,
+    x: 0,
+    y: 0,
+    rotation: 0,
+    scale: 100,
+    opacity: 100,
+    color: null
+};
+
+// Ready-made animators: the animator, and the values it is keyframed from and to over
+// duration seconds
+TextAnimators.presets = {
+    typewriter: {
+        name: 'Typewriter',
+        duration: 2,
+        animator: { unit: 'character', opacity: 0 },
+        from: { offset: 0 },
+        to: { offset: 100 }
+    },
+    cascade: {
+        name: 'Cascade',
+        duration: 1.5,
+        animator: { unit: 'character', y: -40, opacity: 0, start: -30, end: 130, stagger: 30 },
+        from: { offset: 0 },
+        to: { offset: 130 }
+    },
+    wave: {
+        name: 'Wave',
+        duration: 2,
+        animator: { unit: 'character', shape: 'smooth', start: 0, end: 30, y: -20, scale: 120 },
+        from: { offset: -30 },
+        to: { offset: 100 }
+    },
+    wordPop: {
+        name: 'Word pop',
+        duration: 1.5,
+        animator: { unit: 'word', scale: 0, opacity: 0, start: -20, end: 120, stagger: 20 },
+        from: { offset: 0 },
+        to: { offset: 120 }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextAnimators;
+}
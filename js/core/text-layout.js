@@ -0,0 +1,314 @@
+/**
+ * Text Layout - Breaks a text object into styled, positioned lines
+ *
+ * A text object's `text` is drawn in its own font, weight, style and colour. Parts of it can
+ * be styled differently with `spans`, runs that together spell out the text:
+ *
+ *   spans: [{ text: 'Hello ' }, { text: 'world', fontWeight: 'bold', fontStyle: 'italic', color: '#f00' }]
+ *
+ * Spans that no longer add up to `text` (e.g. after the text was set directly) are ignored.
+ * With autoSize (the default) the box grows to fit the lines; with autoSize false lines wrap
+ * at the box width and sit at the top, middle or bottom of it (verticalAlign). lineHeight is a
+ * multiple of the font size and letterSpacing is in pixels.
+ */
+
+class TextLayout {
+    // Style runs of a text object, each with its resolved weight, style and colour (null colour
+    // means the object's own paint)
+    static getRuns(obj) {
+        const base = { fontWeight: obj.fontWeight || 'normal', fontStyle: obj.fontStyle || 'normal', color: null };
+        const text = obj.text ?? '';
+
+        if (!Array.isArray(obj.spans) || obj.spans.map(span => span.text).join('') !== text) {
+            return [{ ...base, text }];
+        }
+        return obj.spans.map(span => ({
+            text: span.text,
+            fontWeight: span.fontWeight || base.fontWeight,
+            fontStyle: span.fontStyle || base.fontStyle,
+            color: span.color || null
+        }));
+    }
+
+    // Spans for the given runs, or null when none of them differs from the object's own style
+    static toSpans(obj, runs) {
+        const spans = [];
+        runs.forEach(run => {
+            if (!run.text) {
+                return;
+            }
+            const span = { text: run.text };
+            if (run.fontWeight && run.fontWeight !== (obj.fontWeight || 'normal')) {
+                span.fontWeight = run.fontWeight;
+            }
+            if (run.fontStyle && run.fontStyle !== (obj.fontStyle || 'normal')) {
+                span.fontStyle = run.fontStyle;
+            }
+            if (run.color) {
+                span.color = run.color;
+            }
+
+            // Neighbours with the same style become one span
+            const previous = spans[spans.length - 1];
+            if (previous && previous.fontWeight === span.fontWeight && previous.fontStyle === span.fontStyle &&
+                previous.color === span.color) {
+                previous.text += span.text;
+            } else {
+                spans.push(span);
+            }
+        });
+        return spans.some(span => span.fontWeight || span.fontStyle || span.color) ? spans : null;
+    }
+
+    static getFont(obj, run = obj) {
+        return `${run.fontStyle || 'normal'} ${run.fontWeight || 'normal'} ${obj.fontSize}px ${obj.fontFamily}`;
+    }
+
+    static getLineHeight(obj) {
+        return obj.fontSize * (obj.lineHeight ?? 1.2);
+    }
+
+    // Width of text in a run's font, letter spacing included
+    static measure(ctx, obj, run, text) {
+        ctx.font = TextLayout.getFont(obj, run);
+        return ctx.measureText(text).width + (obj.letterSpacing || 0) * [...text].length;
+    }
+
+    // { lines: [{ pieces: [{ text, run, x, width }], width, broken }], width, height, lineHeight }.
+    // Piece x is measured from the start of its line; broken lines carry on a word too long for
+    // the line before. Layouts are cached per object until one of TextLayout.layoutProperties
+    // (or the wrap width) changes
+    static layout(obj, ctx) {
+        const wrapWidth = obj.autoSize === false ? Math.max(1, obj.width) : Infinity;
+        const key = JSON.stringify([wrapWidth, ...TextLayout.layoutProperties.map(property => obj[property])]);
+        const cached = TextLayout.cache.get(obj);
+        if (cached && cached.key === key) {
+            return cached.layout;
+        }
+
+        ctx.save();
+        const lines = [];
+        TextLayout.getParagraphs(obj).forEach(paragraph => {
+            lines.push(...TextLayout.wrapParagraph(ctx, obj, paragraph, wrapWidth));
+        });
+        ctx.restore();
+
+        const lineHeight = TextLayout.getLineHeight(obj);
+        const layout = {
+            lines,
+            width: Math.max(0, ...lines.map(line => line.width)),
+            height: lines.length * lineHeight,
+            lineHeight
+        };
+        TextLayout.cache.set(obj, { key, layout });
+        return layout;
+    }
+
+    // Runs split at line breaks: one list of { text, run } pieces per paragraph
+    static getParagraphs(obj) {
+        const paragraphs = [[]];
+        TextLayout.getRuns(obj).forEach(run => {
+            run.text.split('\n').forEach((text, index) => {
+                if (index > 0) {
+                    paragraphs.push([]);
+                }
+                if (text) {
+                    paragraphs[paragraphs.length - 1].push({ text, run });
+                }
+            });
+        });
+        return paragraphs;
+    }
+
+    // Greedy word wrap. Spaces at a wrap are dropped; words wider than the box break anywhere
+    static wrapParagraph(ctx, obj, pieces, wrapWidth) {
+        // Words and the spaces between them; a word may change style part way through
+        const items = [];
+        pieces.forEach(({ text, run }) => {
+            (text.match(/\s+|\S+/g) || []).forEach(token => {
+                const type = /^\s/.test(token) ? 'space' : 'word';
+                const last = items[items.length - 1];
+                if (last && last.type === type) {
+                    last.fragments.push({ text: token, run });
+                } else {
+                    items.push({ type, fragments: [{ text: token, run }] });
+                }
+            });
+        });
+        items.forEach(item => {
+            item.width = item.fragments.reduce((sum, fragment) => sum + TextLayout.measure(ctx, obj, fragment.run, fragment.text), 0);
+        });
+
+        const lines = [];
+        let line = { fragments: [], width: 0 };
+        let spaces = [];
+        const breakLine = () => {
+            lines.push(line);
+            line = { fragments: [], width: 0 };
+        };
+        const append = fragments => {
+            fragments.forEach(fragment => {
+                line.fragments.push(fragment);
+                line.width += TextLayout.measure(ctx, obj, fragment.run, fragment.text);
+            });
+        };
+
+        items.forEach(item => {
+            if (item.type === 'space') {
+                spaces.push(...item.fragments);
+                return;
+            }
+
+            const spaceWidth = spaces.reduce((sum, fragment) => sum + TextLayout.measure(ctx, obj, fragment.run, fragment.text), 0);
+            if (line.fragments.length > 0 && line.width + spaceWidth + item.width > wrapWidth) {
+                breakLine();
+            } else {
+                append(spaces);
+            }
+            spaces = [];
+
+            if (item.width <= wrapWidth - line.width) {
+                append(item.fragments);
+                return;
+            }
+
+            // Too wide for a line of its own: fill lines character by character
+            item.fragments.forEach(fragment => {
+                [...fragment.text].forEach(character => {
+                    const width = TextLayout.measure(ctx, obj, fragment.run, character);
+                    if (line.fragments.length > 0 && line.width + width > wrapWidth) {
+                        breakLine();
+                        line.broken = true;
+                    }
+                    append([{ text: character, run: fragment.run }]);
+                });
+            });
+        });
+        lines.push(line);
+
+        return lines.map(({ fragments, broken }) => ({ ...TextLayout.toLine(ctx, obj, fragments), broken: Boolean(broken) }));
+    }
+
+    // Merge neighbouring fragments of the same run into pieces and place them along the line
+    static toLine(ctx, obj, fragments) {
+        const pieces = [];
+        fragments.forEach(fragment => {
+            const last = pieces[pieces.length - 1];
+            if (last && last.run === fragment.run) {
+                last.text += fragment.text;
+            } else {
+                pieces.push({ text: fragment.text, run: fragment.run });
+            }
+        });
+
+        let x = 0;
+        pieces.forEach(piece => {
+            piece.x = x;
+            piece.width = TextLayout.measure(ctx, obj, piece.run, piece.text);
+            x += piece.width;
+        });
+        return { pieces, width: x };
+    }
+
+    // Visible characters with their place in the object's content space: { text, run, x, y,
+    // width, character, word, line }. x is the left edge and y the middle of the line; the
+    // indices count characters, words and lines without the whitespace between them
+    static getGlyphs(obj, ctx) {
+        const layout = TextLayout.layout(obj, ctx);
+        if (!layout.glyphs) {
+            layout.glyphs = TextLayout.placeGlyphs(obj, ctx, layout);
+        }
+
+        const top = TextLayout.getTop(obj, layout);
+        return layout.glyphs.map(glyph => ({
+            ...glyph,
+            x: TextLayout.getLineX(obj, layout.lines[glyph.line]) + glyph.x,
+            y: top + (glyph.line + 0.5) * layout.lineHeight
+        }));
+    }
+
+    // Glyphs with x measured from the start of their line
+    static placeGlyphs(obj, ctx, layout) {
+        const spacing = obj.letterSpacing || 0;
+        const glyphs = [];
+        let character = 0;
+        let word = -1;
+        let inWord = false;
+
+        ctx.save();
+        layout.lines.forEach((line, lineIndex) => {
+            // Lines never end mid-word except where a long word was broken, which stays one word
+            const previous = glyphs[glyphs.length - 1];
+            if (lineIndex > 0 && !(previous && previous.line === lineIndex - 1 && line.broken)) {
+                inWord = false;
+            }
+            line.pieces.forEach(piece => {
+                ctx.font = TextLayout.getFont(obj, piece.run);
+                const characters = [...piece.text];
+                characters.forEach((text, index) => {
+                    if (/\s/.test(text)) {
+                        inWord = false;
+                        return;
+                    }
+                    if (!inWord) {
+                        word++;
+                        inWord = true;
+                    }
+                    const before = characters.slice(0, index).join('');
+                    glyphs.push({
+                        text,
+                        run: piece.run,
+                        x: piece.x + ctx.measureText(before).width + spacing * index,
+                        width: ctx.measureText(text).width,
+                        character: character++,
+                        word,
+                        line: lineIndex
+                    });
+                });
+            });
+        });
+        ctx.restore();
+
+        return glyphs;
+    }
+
+    // Where a line starts in the object's content space (the box is centred on the origin)
+    static getLineX(obj, line) {
+        switch (obj.textAlign) {
+            case 'center':
+                return -line.width / 2;
+            case 'right':
+                return obj.width / 2 - line.width;
+            default:
+                return -obj.width / 2;
+        }
+    }
+
+    // Top of the first line in the object's content space
+    static getTop(obj, layout) {
+        switch (obj.autoSize === false ? obj.verticalAlign : 'top') {
+            case 'middle':
+                return -layout.height / 2;
+            case 'bottom':
+                return obj.height / 2 - layout.height;
+            default:
+                return -obj.height / 2;
+        }
+    }
+}
+
+// Text object properties that change its layout
+TextLayout.layoutProperties = [
+    'text', 'spans', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'autoSize'
+];
+
+TextLayout.textAligns = ['left', 'center', 'right'];
+TextLayout.verticalAligns = ['top', 'middle', 'bottom'];
+
+// Last layout of each text object, with the key it was made for
+TextLayout.cache = new WeakMap();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextLayout;
+}
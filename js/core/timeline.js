@@ -10,17 +10,35 @@ class Timeline {
         this.currentTime = 0;
         this.isPlaying = false;
         
-        // Keyframes organized by object ID
-        this.keyframes = new Map(); // objectId -> [keyframes]
+        // Keyframes organized by object ID, then by animated property
+        this.channels = new Map(); // objectId -> Map(property -> [keyframes])
         this.tracks = new Map(); // trackId -> track info
         
         // Animation properties that can be keyframed
         this.animatableProperties = [
             'x', 'y', 'width', 'height', 
             'rotation', 'scaleX', 'scaleY', 
-            'opacity', 'visible'
+            'opacity', 'visible', 'pathProgress', 'points', 'fill', 'stroke', 'color',
+            // Shape parameters (see CanvasEngine.shapeTypes)
+            'cornerRadiusTopLeft', 'cornerRadiusTopRight', 'cornerRadiusBottomRight', 'cornerRadiusBottomLeft',
+            'sides', 'starPoints', 'innerRadius', 'headLength',
+            // Effects: drop shadow and the filter stack
+            'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'filters',
+            // Text spacing and per-character animators (see TextAnimators)
+            'letterSpacing', 'lineHeight', 'animators'
         ];
         
+        // Position channels; their keyframes may carry spatial tangents (spatialIn/spatialOut,
+        // offsets from the keyframe value) that bend the motion path into a bezier curve
+        this.spatialProperties = ['x', 'y'];
+        
+        // Colour channels; their keyframes may set colorMode ('rgb', 'hsl' or 'oklab', see
+        // ColorUtils) for the blend towards the next keyframe
+        this.colorProperties = ['fill', 'stroke', 'color', 'shadowColor'];
+        
+        // Undo/redo history, assigned by the application
+        this.history = null;
+        
         console.log('✅ Timeline initialized');
     }
 
@@ -89,9 +107,9 @@ class Timeline {
         
         this.tracks.set(trackId, track);
         
-        // Initialize keyframe array for this object
-        if (!this.keyframes.has(objectId)) {
-            this.keyframes.set(objectId, []);
+        // Initialize channel map for this object
+        if (!this.channels.has(objectId)) {
+            this.channels.set(objectId, new Map());
         }
         
         return track;
@@ -117,56 +135,187 @@ class Timeline {
     deleteTrack(trackId) {
         const track = this.tracks.get(trackId);
         if (track) {
-            // Delete all keyframes for this track
-            this.keyframes.delete(track.objectId);
+            const channels = this.channels.get(track.objectId);
+            
+            // Delete all channels for this track
+            this.channels.delete(track.objectId);
             this.tracks.delete(trackId);
             
+            this.recordHistory(
+                `Delete track ${track.name}`,
+                () => this.restoreTrack(track, channels),
+                () => this.deleteTrack(trackId)
+            );
+            
             window.dispatchEvent(new CustomEvent('timeline:trackDeleted', {
                 detail: { trackId, objectId: track.objectId }
             }));
         }
     }
 
+    restoreTrack(track, channels) {
+        this.tracks.set(track.id, track);
+        this.channels.set(track.objectId, channels || new Map());
+        this.updateTrackKeyframeCount(track.objectId);
+        
+        this.getKeyframesForObject(track.objectId).forEach(keyframe => {
+            window.dispatchEvent(new CustomEvent('timeline:keyframeAdded', {
+                detail: { keyframe, objectId: track.objectId }
+            }));
+        });
+    }
+
+    // Channel Management
+    isAnimatableProperty(property) {
+        return this.animatableProperties.includes(property);
+    }
+
+    isColorProperty(property) {
+        return this.colorProperties.includes(property);
+    }
+
+    // Short description of a channel value, for labels and tooltips
+    describeValue(property, value) {
+        if (Array.isArray(value)) {
+            const count = value.length;
+            switch (property) {
+                case 'filters':
+                    return value.map(filter => filter.type).join(', ') || 'no filters';
+                case 'animators':
+                    return `${count} animator${count === 1 ? '' : 's'}`;
+                case 'points':
+                    return `${count} point${count === 1 ? '' : 's'}`;
+                default:
+                    return `${count} item${count === 1 ? '' : 's'}`;
+            }
+        }
+        if (ColorUtils.isGradient(value)) {
+            return `${value.type} gradient`;
+        }
+        return typeof value === 'number' ? (Math.round(value * 100) / 100).toString() : String(value);
+    }
+
+    getChannelsForObject(objectId) {
+        return this.channels.get(objectId) || new Map();
+    }
+
+    getChannel(objectId, property) {
+        return this.getChannelsForObject(objectId).get(property) || [];
+    }
+
+    getAnimatedProperties(objectId) {
+        return Array.from(this.getChannelsForObject(objectId).keys());
+    }
+
+    deleteChannel(objectId, property) {
+        const channels = this.channels.get(objectId);
+        if (!channels || !channels.has(property)) {
+            return false;
+        }
+        
+        const keyframes = channels.get(property);
+        channels.delete(property);
+        this.updateTrackKeyframeCount(objectId);
+        
+        this.recordHistory(
+            `Delete ${property} channel`,
+            () => keyframes.forEach(keyframe => this.restoreKeyframe(keyframe)),
+            () => this.deleteChannel(objectId, property)
+        );
+        
+        keyframes.forEach(keyframe => {
+            window.dispatchEvent(new CustomEvent('timeline:keyframeDeleted', {
+                detail: { keyframe, objectId }
+            }));
+        });
+        
+        return true;
+    }
+
+    updateTrackKeyframeCount(objectId) {
+        const track = this.getTrackByObjectId(objectId);
+        if (track) {
+            track.keyframeCount = this.getKeyframesForObject(objectId).length;
+        }
+    }
+
     // Keyframe Management
-    addKeyframe(objectId, time, properties) {
+    addChannelKeyframe(objectId, property, time, value, easing = {}) {
+        if (!this.isAnimatableProperty(property)) {
+            throw new Error(`Property "${property}" cannot be animated`);
+        }
+        
         // Ensure we have a track for this object
         let track = this.getTrackByObjectId(objectId);
         if (!track) {
             track = this.createTrack(objectId, `Object ${objectId.substring(0, 8)}`);
         }
         
-        // Get or create keyframe array for this object
-        if (!this.keyframes.has(objectId)) {
-            this.keyframes.set(objectId, []);
+        // Get or create the keyframe array for this property
+        if (!this.channels.has(objectId)) {
+            this.channels.set(objectId, new Map());
         }
         
-        const keyframeArray = this.keyframes.get(objectId);
+        const channels = this.channels.get(objectId);
+        if (!channels.has(property)) {
+            channels.set(property, []);
+        }
         
-        // Check if keyframe already exists at this time
-        const existingIndex = keyframeArray.findIndex(kf => Math.abs(kf.time - time) < 0.01);
+        const keyframeArray = channels.get(property);
         
-        const keyframe = {
-            id: this.generateKeyframeId(),
-            objectId: objectId,
-            time: time,
-            properties: { ...properties },
-            easingType: 'linear',
-            easingParams: {},
-            selected: false
-        };
+        // Check if keyframe already exists at this time
+        const existing = keyframeArray.find(kf => Math.abs(kf.time - time) < 0.01);
         
-        if (existingIndex !== -1) {
-            // Update existing keyframe
-            keyframe.id = keyframeArray[existingIndex].id;
-            keyframeArray[existingIndex] = keyframe;
+        let keyframe;
+        if (existing) {
+            const previous = {
+                value: existing.value,
+                easingType: existing.easingType,
+                easingParams: existing.easingParams
+            };
+            
+            // Update existing keyframe, keeping its easing unless a new one is given
+            existing.value = value;
+            if (easing.easingType) {
+                existing.easingType = easing.easingType;
+                existing.easingParams = { ...(easing.easingParams || {}) };
+            }
+            keyframe = existing;
+            
+            const next = {
+                value: existing.value,
+                easingType: existing.easingType,
+                easingParams: existing.easingParams
+            };
+            this.recordHistory(
+                `Set ${property} keyframe`,
+                () => this.updateKeyframe(existing.id, previous),
+                () => this.updateKeyframe(existing.id, next)
+            );
         } else {
+            keyframe = {
+                id: this.generateKeyframeId(),
+                objectId,
+                property,
+                time,
+                value,
+                easingType: easing.easingType || 'linear',
+                easingParams: { ...(easing.easingParams || {}) },
+                selected: false
+            };
+            
             // Add new keyframe and sort by time
             keyframeArray.push(keyframe);
             keyframeArray.sort((a, b) => a.time - b.time);
+            
+            this.recordHistory(
+                `Add ${property} keyframe`,
+                () => this.deleteKeyframe(keyframe.id),
+                () => this.restoreKeyframe(keyframe)
+            );
         }
         
-        // Update track keyframe count
-        track.keyframeCount = keyframeArray.length;
+        this.updateTrackKeyframeCount(objectId);
         
         // Emit event
         window.dispatchEvent(new CustomEvent('timeline:keyframeAdded', {
@@ -176,37 +325,91 @@ class Timeline {
         return keyframe;
     }
 
+    // Writes each animatable property of the bag into its own channel
+    addKeyframe(objectId, time, properties) {
+        const keyframes = [];
+        
+        this.withHistoryGroup('Add keyframe', () => {
+            for (const property in properties) {
+                if (this.isAnimatableProperty(property) && properties[property] !== undefined) {
+                    keyframes.push(this.addChannelKeyframe(objectId, property, time, properties[property]));
+                }
+            }
+        });
+        
+        return keyframes;
+    }
+
+    // Put a previously deleted keyframe back into its channel, keeping its id
+    restoreKeyframe(keyframe) {
+        if (this.getKeyframe(keyframe.id)) {
+            return keyframe;
+        }
+        
+        if (!this.getTrackByObjectId(keyframe.objectId)) {
+            this.createTrack(keyframe.objectId, `Object ${keyframe.objectId.substring(0, 8)}`);
+        }
+        if (!this.channels.has(keyframe.objectId)) {
+            this.channels.set(keyframe.objectId, new Map());
+        }
+        
+        const channels = this.channels.get(keyframe.objectId);
+        if (!channels.has(keyframe.property)) {
+            channels.set(keyframe.property, []);
+        }
+        
+        const keyframeArray = channels.get(keyframe.property);
+        keyframeArray.push(keyframe);
+        keyframeArray.sort((a, b) => a.time - b.time);
+        this.updateTrackKeyframeCount(keyframe.objectId);
+        
+        window.dispatchEvent(new CustomEvent('timeline:keyframeAdded', {
+            detail: { keyframe, objectId: keyframe.objectId }
+        }));
+        
+        return keyframe;
+    }
+
     getKeyframe(keyframeId) {
-        for (const keyframeArray of this.keyframes.values()) {
-            const keyframe = keyframeArray.find(kf => kf.id === keyframeId);
-            if (keyframe) {
-                return keyframe;
+        for (const channels of this.channels.values()) {
+            for (const keyframeArray of channels.values()) {
+                const keyframe = keyframeArray.find(kf => kf.id === keyframeId);
+                if (keyframe) {
+                    return keyframe;
+                }
             }
         }
         return null;
     }
 
     getKeyframesAtTime(time, tolerance = 0.01) {
-        const keyframes = [];
-        
-        for (const keyframeArray of this.keyframes.values()) {
-            const keyframe = keyframeArray.find(kf => Math.abs(kf.time - time) <= tolerance);
-            if (keyframe) {
-                keyframes.push(keyframe);
-            }
+        return this.getAllKeyframes().filter(kf => Math.abs(kf.time - time) <= tolerance);
+    }
+
+    // The keyframe that ends the segment starting at keyframeId, in the same channel
+    getNextKeyframeInChannel(keyframeId) {
+        const keyframe = this.getKeyframe(keyframeId);
+        if (!keyframe) {
+            return null;
         }
         
-        return keyframes;
+        const channel = this.getChannel(keyframe.objectId, keyframe.property);
+        const index = channel.indexOf(keyframe);
+        return index !== -1 && index < channel.length - 1 ? channel[index + 1] : null;
     }
 
     getKeyframesForObject(objectId) {
-        return this.keyframes.get(objectId) || [];
+        const keyframes = [];
+        for (const keyframeArray of this.getChannelsForObject(objectId).values()) {
+            keyframes.push(...keyframeArray);
+        }
+        return keyframes.sort((a, b) => a.time - b.time);
     }
 
     getAllKeyframes() {
         const allKeyframes = [];
-        for (const keyframeArray of this.keyframes.values()) {
-            allKeyframes.push(...keyframeArray);
+        for (const objectId of this.channels.keys()) {
+            allKeyframes.push(...this.getKeyframesForObject(objectId));
         }
         return allKeyframes.sort((a, b) => a.time - b.time);
     }
@@ -214,12 +417,32 @@ class Timeline {
     updateKeyframe(keyframeId, updates) {
         const keyframe = this.getKeyframe(keyframeId);
         if (keyframe) {
-            Object.assign(keyframe, updates);
+            // A keyframe cannot move to another object or channel
+            const allowedUpdates = { ...updates };
+            delete allowedUpdates.objectId;
+            delete allowedUpdates.property;
+            
+            const previous = {};
+            for (const key in allowedUpdates) {
+                previous[key] = keyframe[key];
+            }
+            
+            Object.assign(keyframe, allowedUpdates);
             
-            // Re-sort keyframes if time changed
-            if ('time' in updates) {
-                const keyframeArray = this.keyframes.get(keyframe.objectId);
-                keyframeArray.sort((a, b) => a.time - b.time);
+            // Re-sort the channel if time changed
+            if ('time' in allowedUpdates) {
+                this.getChannel(keyframe.objectId, keyframe.property).sort((a, b) => a.time - b.time);
+            }
+            
+            // Selection is view state, not an edit
+            const keys = Object.keys(allowedUpdates).filter(key => key !== 'selected');
+            if (keys.length > 0) {
+                this.recordHistory(
+                    `Edit ${keyframe.property} keyframe`,
+                    () => this.updateKeyframe(keyframeId, previous),
+                    () => this.updateKeyframe(keyframeId, allowedUpdates),
+                    { coalesceKey: `keyframe:${keyframeId}:${keys.join(',')}` }
+                );
             }
             
             window.dispatchEvent(new CustomEvent('timeline:keyframeUpdated', {
@@ -228,24 +451,49 @@ class Timeline {
         }
     }
 
+    // After a move, a moved keyframe replaces any other in its channel at the same time, as
+    // addChannelKeyframe does. Where moved keyframes land on each other the first one wins
+    replaceOverlappedKeyframes(movedIds) {
+        const kept = new Set();
+        movedIds.forEach(id => {
+            const keyframe = this.getKeyframe(id);
+            if (!keyframe) {
+                return;
+            }
+            this.getChannel(keyframe.objectId, keyframe.property)
+                .filter(other => other !== keyframe && !kept.has(other) && Math.abs(other.time - keyframe.time) < 0.01)
+                .forEach(other => this.deleteKeyframe(other.id));
+            kept.add(keyframe);
+        });
+    }
+
     deleteKeyframe(keyframeId) {
-        for (const [objectId, keyframeArray] of this.keyframes) {
-            const index = keyframeArray.findIndex(kf => kf.id === keyframeId);
-            if (index !== -1) {
-                const keyframe = keyframeArray[index];
-                keyframeArray.splice(index, 1);
-                
-                // Update track keyframe count
-                const track = this.getTrackByObjectId(objectId);
-                if (track) {
-                    track.keyframeCount = keyframeArray.length;
+        for (const [objectId, channels] of this.channels) {
+            for (const [property, keyframeArray] of channels) {
+                const index = keyframeArray.findIndex(kf => kf.id === keyframeId);
+                if (index !== -1) {
+                    const keyframe = keyframeArray[index];
+                    keyframeArray.splice(index, 1);
+                    
+                    // Drop empty channels so they stop contributing to the object state
+                    if (keyframeArray.length === 0) {
+                        channels.delete(property);
+                    }
+                    
+                    this.updateTrackKeyframeCount(objectId);
+                    
+                    this.recordHistory(
+                        `Delete ${property} keyframe`,
+                        () => this.restoreKeyframe(keyframe),
+                        () => this.deleteKeyframe(keyframeId)
+                    );
+                    
+                    window.dispatchEvent(new CustomEvent('timeline:keyframeDeleted', {
+                        detail: { keyframe, objectId }
+                    }));
+                    
+                    return true;
                 }
-                
-                window.dispatchEvent(new CustomEvent('timeline:keyframeDeleted', {
-                    detail: { keyframe, objectId }
-                }));
-                
-                return true;
             }
         }
         return false;
@@ -256,6 +504,7 @@ class Timeline {
         const keyframe = this.getKeyframe(keyframeId);
         if (keyframe) {
             keyframe.selected = true;
+            this.emitKeyframeSelectionChanged();
         }
     }
 
@@ -263,83 +512,271 @@ class Timeline {
         const keyframe = this.getKeyframe(keyframeId);
         if (keyframe) {
             keyframe.selected = false;
+            this.emitKeyframeSelectionChanged();
         }
     }
 
     clearKeyframeSelection() {
-        for (const keyframeArray of this.keyframes.values()) {
-            keyframeArray.forEach(kf => kf.selected = false);
-        }
+        this.getAllKeyframes().forEach(kf => kf.selected = false);
+        this.emitKeyframeSelectionChanged();
+    }
+
+    // Replace (or extend) the selection in one step so listeners update once
+    selectKeyframes(keyframeIds, addToSelection = false) {
+        const ids = new Set(keyframeIds);
+        this.getAllKeyframes().forEach(kf => {
+            if (ids.has(kf.id)) {
+                kf.selected = true;
+            } else if (!addToSelection) {
+                kf.selected = false;
+            }
+        });
+        this.emitKeyframeSelectionChanged();
+    }
+
+    emitKeyframeSelectionChanged() {
+        window.dispatchEvent(new CustomEvent('timeline:selectionChanged', {
+            detail: { selectedKeyframes: this.getSelectedKeyframes() }
+        }));
     }
 
     getSelectedKeyframes() {
-        const selected = [];
-        for (const keyframeArray of this.keyframes.values()) {
-            selected.push(...keyframeArray.filter(kf => kf.selected));
-        }
-        return selected;
+        return this.getAllKeyframes().filter(kf => kf.selected);
     }
 
     // Animation Interpolation
     getObjectStateAtTime(objectId, time) {
-        const keyframeArray = this.keyframes.get(objectId);
-        if (!keyframeArray || keyframeArray.length === 0) {
+        const channels = this.channels.get(objectId);
+        if (!channels || channels.size === 0) {
             return null;
         }
         
-        // If time is before first keyframe, return first keyframe
+        // Each channel is evaluated on its own schedule and composed into one state
+        const state = {};
+        for (const [property, keyframeArray] of channels) {
+            if (keyframeArray.length > 0) {
+                state[property] = this.getChannelValueAtTime(keyframeArray, time);
+            }
+        }
+        
+        return Object.keys(state).length > 0 ? state : null;
+    }
+
+    getChannelValueAtTime(keyframeArray, time) {
+        // If time is before first keyframe, hold the first value
         if (time <= keyframeArray[0].time) {
-            return { ...keyframeArray[0].properties };
+            return keyframeArray[0].value;
         }
         
-        // If time is after last keyframe, return last keyframe
-        if (time >= keyframeArray[keyframeArray.length - 1].time) {
-            return { ...keyframeArray[keyframeArray.length - 1].properties };
+        // If time is after last keyframe, hold the last value
+        const lastKeyframe = keyframeArray[keyframeArray.length - 1];
+        if (time >= lastKeyframe.time) {
+            return lastKeyframe.value;
         }
         
         // Find surrounding keyframes
-        let beforeKeyframe = null;
-        let afterKeyframe = null;
-        
         for (let i = 0; i < keyframeArray.length - 1; i++) {
-            if (keyframeArray[i].time <= time && keyframeArray[i + 1].time >= time) {
-                beforeKeyframe = keyframeArray[i];
-                afterKeyframe = keyframeArray[i + 1];
-                break;
+            const beforeKeyframe = keyframeArray[i];
+            const afterKeyframe = keyframeArray[i + 1];
+            
+            if (beforeKeyframe.time <= time && afterKeyframe.time >= time) {
+                const duration = afterKeyframe.time - beforeKeyframe.time;
+                const progress = duration > 0 ? (time - beforeKeyframe.time) / duration : 0;
+                
+                if (this.hasSpatialTangents(beforeKeyframe, afterKeyframe)) {
+                    return this.interpolateSpatial(beforeKeyframe, afterKeyframe, progress);
+                }
+                
+                return this.interpolateValue(
+                    beforeKeyframe.value,
+                    afterKeyframe.value,
+                    progress,
+                    beforeKeyframe.easingType,
+                    beforeKeyframe.easingParams,
+                    beforeKeyframe.colorMode
+                );
             }
         }
         
-        if (!beforeKeyframe || !afterKeyframe) {
-            return { ...keyframeArray[0].properties };
+        return keyframeArray[0].value;
+    }
+
+    interpolateValue(startValue, endValue, progress, easingType = 'linear', easingParams = {}, colorMode = 'rgb') {
+        const easedProgress = this.applyEasing(progress, easingType, easingParams);
+        return this.blendValues(startValue, endValue, easedProgress, colorMode);
+    }
+
+    // Numbers blend linearly and colours and gradients through ColorUtils; arrays of the same
+    // length (e.g. path points) and plain objects blend element by element, so paths with
+    // matching point counts morph between keyframes
+    blendValues(startValue, endValue, t, colorMode = 'rgb') {
+        if (typeof startValue === 'number' && typeof endValue === 'number') {
+            return startValue + (endValue - startValue) * t;
         }
         
-        // Interpolate between keyframes
-        const duration = afterKeyframe.time - beforeKeyframe.time;
-        const progress = duration > 0 ? (time - beforeKeyframe.time) / duration : 0;
+        if (ColorUtils.isPaint(startValue) && ColorUtils.isPaint(endValue)) {
+            return ColorUtils.interpolatePaint(startValue, endValue, t, colorMode);
+        }
         
-        return this.interpolateProperties(
-            beforeKeyframe.properties,
-            afterKeyframe.properties,
-            progress,
-            beforeKeyframe.easingType
-        );
+        if (Array.isArray(startValue) && Array.isArray(endValue) && startValue.length === endValue.length) {
+            return startValue.map((value, i) => this.blendValues(value, endValue[i], t, colorMode));
+        }
+        
+        if (startValue && endValue && typeof startValue === 'object' && typeof endValue === 'object' &&
+            !Array.isArray(startValue) && !Array.isArray(endValue)) {
+            const result = {};
+            Object.keys(startValue).forEach(key => {
+                result[key] = key in endValue ? this.blendValues(startValue[key], endValue[key], t, colorMode) : startValue[key];
+            });
+            return result;
+        }
+        
+        // For other values, use step interpolation
+        return t < 0.5 ? startValue : endValue;
+    }
+
+    // Spatial Interpolation
+    // A position segment is curved when any of its handles, on either axis, is non-zero. Both
+    // axes then follow the same bezier, so the path leaves each key along its handle
+    hasSpatialTangents(startKeyframe, endKeyframe) {
+        if (!this.spatialProperties.includes(startKeyframe.property)) {
+            return false;
+        }
+        const segments = [[startKeyframe, endKeyframe], this.getSpatialPartners(startKeyframe, endKeyframe)];
+        return segments.some(segment => segment && Boolean(segment[0].spatialOut || segment[1].spatialIn));
+    }
+
+    // The other axis's keyframes at the segment's two times, or null unless it has both
+    getSpatialPartners(startKeyframe, endKeyframe) {
+        const axis = this.spatialProperties.find(property => property !== startKeyframe.property);
+        const channel = this.getChannel(startKeyframe.objectId, axis);
+        const at = time => channel.find(keyframe => Math.abs(keyframe.time - time) < 0.01);
+        const start = at(startKeyframe.time);
+        const end = at(endKeyframe.time);
+        return start && end ? [start, end] : null;
+    }
+
+    // The x and y channels each follow one axis of the same cubic bezier, so matching x/y
+    // keyframes move the object along a curve. Easing still controls the speed along it; both
+    // axes take it from the x keyframe so they stay at the same point of the curve
+    interpolateSpatial(startKeyframe, endKeyframe, progress) {
+        const partners = startKeyframe.property === 'x' ? null : this.getSpatialPartners(startKeyframe, endKeyframe);
+        const timing = partners ? partners[0] : startKeyframe;
+        const t = this.applyEasing(progress, timing.easingType, timing.easingParams);
+        const p0 = startKeyframe.value;
+        const p1 = startKeyframe.value + (startKeyframe.spatialOut || 0);
+        const p2 = endKeyframe.value + (endKeyframe.spatialIn || 0);
+        const p3 = endKeyframe.value;
+        const u = 1 - t;
+        
+        return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3;
+    }
+
+    // Position keyframes of an object: one entry per time where x and/or y is keyed
+    getPositionKeys(objectId) {
+        const xChannel = this.getChannel(objectId, 'x');
+        const yChannel = this.getChannel(objectId, 'y');
+        const keys = new Map();
+        
+        const add = (keyframe, axis) => {
+            const existing = Array.from(keys.values()).find(key => Math.abs(key.time - keyframe.time) < 0.01);
+            const key = existing || { time: keyframe.time, x: null, y: null };
+            key[axis] = keyframe;
+            keys.set(key.time, key);
+        };
+        xChannel.forEach(keyframe => add(keyframe, 'x'));
+        yChannel.forEach(keyframe => add(keyframe, 'y'));
+        
+        return Array.from(keys.values()).sort((a, b) => a.time - b.time);
+    }
+
+    getPositionAtTime(objectId, time) {
+        const xChannel = this.getChannel(objectId, 'x');
+        const yChannel = this.getChannel(objectId, 'y');
+        return {
+            x: xChannel.length > 0 ? this.getChannelValueAtTime(xChannel, time) : null,
+            y: yChannel.length > 0 ? this.getChannelValueAtTime(yChannel, time) : null
+        };
+    }
+
+    // Direction of travel along the position path in degrees, or null when not moving
+    getPathAngleAtTime(objectId, time) {
+        const xChannel = this.getChannel(objectId, 'x');
+        const yChannel = this.getChannel(objectId, 'y');
+        if (xChannel.length + yChannel.length < 2) {
+            return null;
+        }
+        
+        const step = 1 / (this.fps * 10);
+        const start = Math.max(0, time - step);
+        const end = Math.min(this.duration, time + step);
+        const a = this.getPositionAtTime(objectId, start);
+        const b = this.getPositionAtTime(objectId, end);
+        const dx = (b.x ?? 0) - (a.x ?? 0);
+        const dy = (b.y ?? 0) - (a.y ?? 0);
+        
+        if (Math.hypot(dx, dy) < 1e-9) {
+            return null;
+        }
+        return Math.atan2(dy, dx) * 180 / Math.PI;
+    }
+
+    // Set the spatial tangents of the position keyframes at a key (any side left out is kept)
+    setSpatialTangents(key, tangents) {
+        this.withHistoryGroup('Edit motion path', () => {
+            ['x', 'y'].forEach(axis => {
+                const keyframe = key[axis];
+                if (!keyframe) {
+                    return;
+                }
+                const updates = {};
+                if (tangents.in) {
+                    updates.spatialIn = tangents.in[axis];
+                }
+                if (tangents.out) {
+                    updates.spatialOut = tangents.out[axis];
+                }
+                this.updateKeyframe(keyframe.id, updates);
+            });
+        });
+    }
+
+    // Give every position key smooth (Catmull-Rom) tangents so the path flows through them
+    smoothMotionPath(objectId) {
+        const keys = this.getPositionKeys(objectId);
+        const point = key => ({
+            x: key.x ? key.x.value : this.getPositionAtTime(objectId, key.time).x,
+            y: key.y ? key.y.value : this.getPositionAtTime(objectId, key.time).y
+        });
+        
+        this.withHistoryGroup('Smooth motion path', () => keys.forEach((key, index) => {
+            if (index === 0 || index === keys.length - 1) {
+                this.setSpatialTangents(key, { in: { x: 0, y: 0 }, out: { x: 0, y: 0 } });
+                return;
+            }
+            const previous = point(keys[index - 1]);
+            const next = point(keys[index + 1]);
+            const tangent = { x: (next.x - previous.x) / 6, y: (next.y - previous.y) / 6 };
+            this.setSpatialTangents(key, {
+                in: { x: -tangent.x, y: -tangent.y },
+                out: tangent
+            });
+        }));
     }
 
-    interpolateProperties(startProps, endProps, progress, easingType = 'linear') {
+    straightenMotionPath(objectId) {
+        this.withHistoryGroup('Straighten motion path', () => this.getPositionKeys(objectId).forEach(key => {
+            this.setSpatialTangents(key, { in: { x: 0, y: 0 }, out: { x: 0, y: 0 } });
+        }));
+    }
+
+    interpolateProperties(startProps, endProps, progress, easingType = 'linear', easingParams = {}) {
         const result = {};
-        const easedProgress = this.applyEasing(progress, easingType);
         
-        // Interpolate numeric properties
         for (const prop in startProps) {
-            const startValue = startProps[prop];
-            const endValue = endProps[prop];
-            
-            if (typeof startValue === 'number' && typeof endValue === 'number') {
-                result[prop] = startValue + (endValue - startValue) * easedProgress;
-            } else {
-                // For non-numeric properties, use step interpolation
-                result[prop] = easedProgress < 0.5 ? startValue : endValue;
-            }
+            result[prop] = prop in endProps
+                ? this.interpolateValue(startProps[prop], endProps[prop], progress, easingType, easingParams)
+                : startProps[prop];
         }
         
         // Include properties that only exist in end state
@@ -352,39 +789,8 @@ class Timeline {
         return result;
     }
 
-    applyEasing(progress, easingType) {
-        switch (easingType) {
-            case 'linear':
-                return progress;
-                
-            case 'easeIn':
-                return progress * progress;
-                
-            case 'easeOut':
-                return 1 - Math.pow(1 - progress, 2);
-                
-            case 'easeInOut':
-                return progress < 0.5 
-                    ? 2 * progress * progress 
-                    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-                    
-            case 'bounce':
-                const n1 = 7.5625;
-                const d1 = 2.75;
-                
-                if (progress < 1 / d1) {
-                    return n1 * progress * progress;
-                } else if (progress < 2 / d1) {
-                    return n1 * (progress -= 1.5 / d1) * progress + 0.75;
-                } else if (progress < 2.5 / d1) {
-                    return n1 * (progress -= 2.25 / d1) * progress + 0.9375;
-                } else {
-                    return n1 * (progress -= 2.625 / d1) * progress + 0.984375;
-                }
-                
-            default:
-                return progress;
-        }
+    applyEasing(progress, easingType, easingParams = {}) {
+        return Easing.apply(progress, easingType, easingParams);
     }
 
     // Timeline Utilities
@@ -438,38 +844,55 @@ class Timeline {
         const pastedKeyframes = [];
         const timeOffset = pasteTime - clipboardData.relativeTime;
         
-        clipboardData.keyframes.forEach(kfData => {
+        this.withHistoryGroup('Paste keyframes', () => clipboardData.keyframes.forEach(kfData => {
             const newTime = kfData.time + timeOffset;
             if (newTime >= 0 && newTime <= this.duration) {
-                const keyframe = this.addKeyframe(
+                // Arrays and objects (points, filters, animators) are copied so pastes don't share them
+                const value = typeof kfData.value === 'object' && kfData.value !== null
+                    ? JSON.parse(JSON.stringify(kfData.value))
+                    : kfData.value;
+                const keyframe = this.addChannelKeyframe(
                     kfData.objectId,
+                    kfData.property,
                     newTime,
-                    kfData.properties
+                    value,
+                    { easingType: kfData.easingType, easingParams: kfData.easingParams }
                 );
+                
+                // Tangents and colour mode come along, replacing those of a keyframe pasted over
+                const extras = {};
+                ['spatialIn', 'spatialOut', 'colorMode'].forEach(key => {
+                    if (kfData[key] !== keyframe[key]) {
+                        extras[key] = kfData[key];
+                    }
+                });
+                if (Object.keys(extras).length > 0) {
+                    this.updateKeyframe(keyframe.id, extras);
+                }
                 pastedKeyframes.push(keyframe);
             }
-        });
+        }));
         
         return pastedKeyframes;
     }
 
     // Bulk Operations
     scaleKeyframes(keyframes, scaleFactor, pivotTime = 0) {
-        keyframes.forEach(kf => {
+        this.withHistoryGroup('Scale keyframes', () => keyframes.forEach(kf => {
             const newTime = pivotTime + (kf.time - pivotTime) * scaleFactor;
             this.updateKeyframe(kf.id, { 
                 time: Math.max(0, Math.min(this.duration, newTime))
             });
-        });
+        }));
     }
 
     offsetKeyframes(keyframes, timeOffset) {
-        keyframes.forEach(kf => {
+        this.withHistoryGroup('Move keyframes', () => keyframes.forEach(kf => {
             const newTime = kf.time + timeOffset;
             this.updateKeyframe(kf.id, { 
                 time: Math.max(0, Math.min(this.duration, newTime))
             });
-        });
+        }));
     }
 
     // Export/Import
@@ -478,12 +901,28 @@ class Timeline {
             duration: this.duration,
             fps: this.fps,
             tracks: Array.from(this.tracks.entries()),
-            keyframes: Array.from(this.keyframes.entries())
+            channels: Array.from(this.channels.entries()).map(([objectId, channels]) => [
+                objectId,
+                Array.from(channels.entries())
+            ])
         };
         
         return data;
     }
 
+    // Project file serialization (see ProjectSchema)
+    exportToJSON() {
+        return this.exportTimelineData();
+    }
+
+    importFromJSON(data) {
+        this.importTimelineData(data);
+        
+        window.dispatchEvent(new CustomEvent('timeline:loaded', {
+            detail: { duration: this.duration, fps: this.fps }
+        }));
+    }
+
     importTimelineData(data) {
         this.duration = data.duration || 10;
         this.fps = data.fps || 30;
@@ -491,7 +930,7 @@ class Timeline {
         
         // Clear existing data
         this.tracks.clear();
-        this.keyframes.clear();
+        this.channels.clear();
         
         // Import tracks
         if (data.tracks) {
@@ -500,18 +939,55 @@ class Timeline {
             });
         }
         
-        // Import keyframes
-        if (data.keyframes) {
+        // Import channels
+        if (data.channels) {
+            data.channels.forEach(([objectId, channelEntries]) => {
+                this.channels.set(objectId, new Map(channelEntries));
+            });
+        } else if (data.keyframes) {
+            // Older data stored whole-object snapshots; split them into channels
             data.keyframes.forEach(([objectId, keyframeArray]) => {
-                this.keyframes.set(objectId, keyframeArray);
+                this.channels.set(objectId, this.splitSnapshotKeyframes(objectId, keyframeArray));
             });
         }
+        
+        this.tracks.forEach(track => this.updateTrackKeyframeCount(track.objectId));
+    }
+
+    splitSnapshotKeyframes(objectId, keyframeArray) {
+        const channels = new Map();
+        
+        keyframeArray.forEach(snapshot => {
+            for (const property in snapshot.properties) {
+                if (!this.isAnimatableProperty(property)) {
+                    continue;
+                }
+                
+                if (!channels.has(property)) {
+                    channels.set(property, []);
+                }
+                
+                channels.get(property).push({
+                    id: this.generateKeyframeId(),
+                    objectId,
+                    property,
+                    time: snapshot.time,
+                    value: snapshot.properties[property],
+                    easingType: snapshot.easingType || 'linear',
+                    easingParams: { ...(snapshot.easingParams || {}) },
+                    selected: false
+                });
+            }
+        });
+        
+        channels.forEach(keyframeArray => keyframeArray.sort((a, b) => a.time - b.time));
+        return channels;
     }
 
     // Clear Timeline
     clear() {
         this.tracks.clear();
-        this.keyframes.clear();
+        this.channels.clear();
         this.currentTime = 0;
         
         window.dispatchEvent(new CustomEvent('timeline:cleared'));
@@ -521,18 +997,34 @@ class Timeline {
     getStats() {
         const totalKeyframes = this.getAllKeyframes().length;
         const totalTracks = this.tracks.size;
+        let totalChannels = 0;
+        for (const channels of this.channels.values()) {
+            totalChannels += channels.size;
+        }
         const avgKeyframesPerTrack = totalTracks > 0 ? totalKeyframes / totalTracks : 0;
         
         return {
             duration: this.duration,
             fps: this.fps,
             totalFrames: this.getTotalFrames(),
-            totalTracks: totalTracks,
-            totalKeyframes: totalKeyframes,
+            totalTracks,
+            totalChannels,
+            totalKeyframes,
             averageKeyframesPerTrack: Math.round(avgKeyframesPerTrack * 10) / 10
         };
     }
 
+    // History
+    recordHistory(name, undo, redo, options) {
+        if (this.history) {
+            this.history.record(name, undo, redo, options);
+        }
+    }
+
+    withHistoryGroup(name, fn) {
+        return this.history ? this.history.group(name, fn) : fn();
+    }
+
     // Utility Functions
     generateTrackId() {
         return 'track_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -560,10 +1052,11 @@ class Timeline {
         return keyframe &&
                typeof keyframe.id === 'string' &&
                typeof keyframe.objectId === 'string' &&
+               this.isAnimatableProperty(keyframe.property) &&
                typeof keyframe.time === 'number' &&
                keyframe.time >= 0 &&
                keyframe.time <= this.duration &&
-               typeof keyframe.properties === 'object';
+               'value' in keyframe;
     }
 
     validateTrack(track) {
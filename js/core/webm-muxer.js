@@ -0,0 +1,188 @@
+/**
+ * WebM Muxer - Packs encoded VP8/VP9 chunks into a WebM (Matroska) file
+ * Builds the whole file in memory once encoding has finished
+ */
+
+class WebMMuxer {
+    constructor({ width, height, codec = 'vp9', fps = 30 }) {
+        this.width = width;
+        this.height = height;
+        this.codecId = codec.startsWith('vp8') ? 'V_VP8' : 'V_VP9';
+        this.fps = fps;
+        this.chunks = [];
+    }
+
+    // Accepts EncodedVideoChunk output from a VideoEncoder
+    addVideoChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.chunks.push({
+            data,
+            timestamp: Math.round(chunk.timestamp / 1000), // µs -> ms
+            isKey: chunk.type === 'key'
+        });
+    }
+
+    finalize() {
+        const frameDuration = 1000 / this.fps;
+        const lastTimestamp = this.chunks.length > 0 ? this.chunks[this.chunks.length - 1].timestamp : 0;
+        const duration = lastTimestamp + frameDuration;
+
+        const header = this.element(0x1A45DFA3, [
+            this.uintElement(0x4286, 1),        // EBMLVersion
+            this.uintElement(0x42F7, 1),        // EBMLReadVersion
+            this.uintElement(0x42F2, 4),        // EBMLMaxIDLength
+            this.uintElement(0x42F3, 8),        // EBMLMaxSizeLength
+            this.stringElement(0x4282, 'webm'), // DocType
+            this.uintElement(0x4287, 2),        // DocTypeVersion
+            this.uintElement(0x4285, 2)         // DocTypeReadVersion
+        ]);
+
+        const info = this.element(0x1549A966, [
+            this.uintElement(0x2AD7B1, 1000000), // TimecodeScale: 1ms
+            this.stringElement(0x4D80, 'AnimationStudio'),
+            this.stringElement(0x5741, 'AnimationStudio'),
+            this.floatElement(0x4489, duration)
+        ]);
+
+        const tracks = this.element(0x1654AE6B, [
+            this.element(0xAE, [
+                this.uintElement(0xD7, 1),          // TrackNumber
+                this.uintElement(0x73C5, 1),        // TrackUID
+                this.uintElement(0x83, 1),          // TrackType: video
+                this.stringElement(0x86, this.codecId),
+                this.uintElement(0x23E383, Math.round(1e9 / this.fps)), // DefaultDuration (ns)
+                this.element(0xE0, [
+                    this.uintElement(0xB0, this.width),
+                    this.uintElement(0xBA, this.height)
+                ])
+            ])
+        ]);
+
+        // Clusters start at keyframes and whenever relative timecodes would overflow int16
+        const clusters = [];
+        let current = null;
+        this.chunks.forEach(chunk => {
+            if (!current || chunk.isKey || chunk.timestamp - current.timestamp > 32000) {
+                current = { timestamp: chunk.timestamp, blocks: [] };
+                clusters.push(current);
+            }
+            current.blocks.push(this.simpleBlock(chunk, chunk.timestamp - current.timestamp));
+        });
+
+        const clusterBytes = clusters.map(cluster => this.serialize(this.element(0x1F43B675, [
+            this.uintElement(0xE7, cluster.timestamp),
+            ...cluster.blocks
+        ])));
+
+        // Cue points let players seek straight to each cluster
+        const headBytes = this.serialize(info).length + this.serialize(tracks).length;
+        let position = headBytes;
+        const cuePoints = clusters.map((cluster, index) => {
+            const cuePoint = this.element(0xBB, [
+                this.uintElement(0xB3, cluster.timestamp),
+                this.element(0xB7, [
+                    this.uintElement(0xF7, 1),
+                    this.uintElement(0xF1, position)
+                ])
+            ]);
+            position += clusterBytes[index].length;
+            return cuePoint;
+        });
+
+        const segmentChildren = [
+            this.serialize(info),
+            this.serialize(tracks),
+            ...clusterBytes,
+            this.serialize(this.element(0x1C53BB6B, cuePoints))
+        ];
+        const segment = this.element(0x18538067, this.concat(segmentChildren));
+
+        return new Blob([this.serialize(header), this.serialize(segment)], { type: 'video/webm' });
+    }
+
+    // EBML Encoding
+    element(id, content) {
+        return { id, content };
+    }
+
+    uintElement(id, value) {
+        const bytes = [];
+        let remaining = value;
+        do {
+            bytes.unshift(remaining % 256);
+            remaining = Math.floor(remaining / 256);
+        } while (remaining > 0);
+        return this.element(id, new Uint8Array(bytes));
+    }
+
+    floatElement(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return this.element(id, bytes);
+    }
+
+    stringElement(id, value) {
+        return this.element(id, new TextEncoder().encode(value));
+    }
+
+    simpleBlock(chunk, relativeTimestamp) {
+        const header = new Uint8Array(4);
+        header[0] = 0x81; // track number 1 as a one-byte vint
+        new DataView(header.buffer).setInt16(1, relativeTimestamp);
+        header[3] = chunk.isKey ? 0x80 : 0x00;
+        return this.element(0xA3, this.concat([header, chunk.data]));
+    }
+
+    serialize(element) {
+        const content = Array.isArray(element.content)
+            ? this.concat(element.content.map(child => (child instanceof Uint8Array ? child : this.serialize(child))))
+            : element.content;
+
+        return this.concat([this.encodeId(element.id), this.encodeSize(content.length), content]);
+    }
+
+    encodeId(id) {
+        const bytes = [];
+        let remaining = id;
+        while (remaining > 0) {
+            bytes.unshift(remaining & 0xFF);
+            remaining = Math.floor(remaining / 256);
+        }
+        return new Uint8Array(bytes);
+    }
+
+    encodeSize(size) {
+        // Smallest vint that can hold the size (all-ones is reserved for "unknown")
+        let length = 1;
+        while (size >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+
+        const bytes = new Uint8Array(length);
+        let remaining = size;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = remaining % 256;
+            remaining = Math.floor(remaining / 256);
+        }
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    }
+
+    concat(arrays) {
+        const total = arrays.reduce((sum, array) => sum + array.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebMMuxer;
+}
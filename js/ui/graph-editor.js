@@ -0,0 +1,479 @@
+/**
+ * Graph Editor UI
+ * Easing curve editor for the selected keyframe segment
+ */
+
+class GraphEditor {
+    constructor(timeline) {
+        this.timeline = timeline;
+        this.container = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.easingSelect = null;
+        this.paramsElement = null;
+        this.readout = null;
+
+        // Segment being edited: the selected keyframe and the next one in its channel
+        this.keyframe = null;
+        this.nextKeyframe = null;
+
+        this.dragHandle = null;
+        this.handleRadius = 6;
+        this.padding = 24;
+        this.valueRange = { min: 0, max: 1 };
+
+        // Bezier presets used when switching a named easing to a custom curve
+        this.bezierPresets = {
+            linear: { x1: 0, y1: 0, x2: 1, y2: 1 },
+            easeIn: { x1: 0.42, y1: 0, x2: 1, y2: 1 },
+            easeOut: { x1: 0, y1: 0, x2: 0.58, y2: 1 },
+            easeInOut: { x1: 0.42, y1: 0, x2: 0.58, y2: 1 },
+            easeInSine: { x1: 0.12, y1: 0, x2: 0.39, y2: 0 },
+            easeOutSine: { x1: 0.61, y1: 1, x2: 0.88, y2: 1 },
+            easeInOutSine: { x1: 0.37, y1: 0, x2: 0.63, y2: 1 },
+            easeInCubic: { x1: 0.32, y1: 0, x2: 0.67, y2: 0 },
+            easeOutCubic: { x1: 0.33, y1: 1, x2: 0.68, y2: 1 },
+            easeInOutCubic: { x1: 0.65, y1: 0, x2: 0.35, y2: 1 },
+            easeInBack: { x1: 0.36, y1: 0, x2: 0.66, y2: -0.56 },
+            easeOutBack: { x1: 0.34, y1: 1.56, x2: 0.64, y2: 1 }
+        };
+
+        this.setupGraphContainer();
+    }
+
+    setupGraphContainer() {
+        this.container = document.getElementById('graphEditor');
+        if (!this.container) {
+            console.warn('Graph editor container not found');
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="graph-editor-header">
+                <span class="graph-editor-title">Easing</span>
+                <select class="graph-editor-easing" disabled></select>
+            </div>
+            <div class="graph-editor-params"></div>
+            <canvas class="graph-editor-canvas"></canvas>
+            <div class="graph-editor-readout">Select a keyframe to edit its easing</div>
+        `;
+
+        this.easingSelect = this.container.querySelector('.graph-editor-easing');
+        this.paramsElement = this.container.querySelector('.graph-editor-params');
+        this.canvas = this.container.querySelector('.graph-editor-canvas');
+        this.readout = this.container.querySelector('.graph-editor-readout');
+        this.ctx = this.canvas.getContext('2d');
+
+        Easing.getTypes().forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            this.easingSelect.appendChild(option);
+        });
+
+        this.setupEventListeners();
+        this.resize();
+    }
+
+    setupEventListeners() {
+        this.easingSelect.addEventListener('change', () => {
+            this.setEasingType(this.easingSelect.value);
+        });
+
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', () => this.handleMouseUp());
+
+        // Follow keyframe selection and edits made elsewhere
+        window.addEventListener('timeline:selectionChanged', () => this.refresh());
+        window.addEventListener('timeline:keyframeUpdated', () => this.refresh());
+        window.addEventListener('timeline:keyframeDeleted', () => this.refresh());
+        window.addEventListener('timeline:cleared', () => this.refresh());
+        window.addEventListener('timeline:loaded', () => this.refresh());
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.resize()).observe(this.container);
+        }
+    }
+
+    resize() {
+        if (!this.canvas) {
+            return;
+        }
+
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.max(100, this.canvas.clientWidth);
+        const height = Math.max(100, this.canvas.clientHeight);
+
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.render();
+    }
+
+    // Segment Selection
+    refresh() {
+        if (!this.container || this.dragHandle) {
+            return;
+        }
+
+        const selected = this.timeline.getSelectedKeyframes();
+        this.keyframe = selected.length > 0 ? selected[0] : null;
+        this.nextKeyframe = this.keyframe ? this.timeline.getNextKeyframeInChannel(this.keyframe.id) : null;
+
+        this.easingSelect.disabled = !this.keyframe;
+        if (this.keyframe) {
+            this.easingSelect.value = this.keyframe.easingType;
+        }
+
+        this.renderParams();
+        this.render();
+    }
+
+    setEasingType(easingType) {
+        if (!this.keyframe) {
+            return;
+        }
+
+        let easingParams = {};
+        if (easingType === 'cubicBezier') {
+            // Start the custom curve from the closest named preset
+            easingParams = { ...(this.bezierPresets[this.keyframe.easingType] || this.bezierPresets.easeInOut) };
+        } else if (easingType === 'steps') {
+            easingParams = { steps: 5, position: 'end' };
+        }
+
+        this.timeline.updateKeyframe(this.keyframe.id, { easingType, easingParams });
+    }
+
+    updateEasingParams(updates) {
+        if (!this.keyframe) {
+            return;
+        }
+
+        this.timeline.updateKeyframe(this.keyframe.id, {
+            easingParams: { ...this.keyframe.easingParams, ...updates }
+        });
+    }
+
+    getParamFields(easingType) {
+        if (easingType === 'cubicBezier') {
+            return [
+                { name: 'x1', min: 0, max: 1, step: 0.01, fallback: 0.25 },
+                { name: 'y1', step: 0.01, fallback: 0.1 },
+                { name: 'x2', min: 0, max: 1, step: 0.01, fallback: 0.25 },
+                { name: 'y2', step: 0.01, fallback: 1 }
+            ];
+        }
+        if (easingType === 'steps') {
+            return [{ name: 'steps', min: 1, max: 100, step: 1, fallback: 5 }];
+        }
+        if (easingType === 'back' || /Back$/.test(easingType)) {
+            return [{ name: 'overshoot', min: 0, step: 0.1, fallback: 1.70158 }];
+        }
+        if (easingType === 'elastic' || /Elastic$/.test(easingType)) {
+            return [
+                { name: 'amplitude', min: 1, step: 0.1, fallback: 1 },
+                { name: 'period', min: 0.05, max: 2, step: 0.05, fallback: 0.3 }
+            ];
+        }
+        return [];
+    }
+
+    renderParams() {
+        this.paramsElement.innerHTML = '';
+        if (!this.keyframe) {
+            return;
+        }
+
+        const params = this.keyframe.easingParams || {};
+        this.getParamFields(this.keyframe.easingType).forEach(field => {
+            const label = document.createElement('label');
+            label.textContent = field.name;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = field.step;
+            if (field.min !== undefined) {
+                input.min = field.min;
+            }
+            if (field.max !== undefined) {
+                input.max = field.max;
+            }
+            input.value = params[field.name] ?? field.fallback ?? 0;
+
+            input.addEventListener('change', () => {
+                let value = parseFloat(input.value);
+                if (isNaN(value)) {
+                    return;
+                }
+                if (field.min !== undefined) {
+                    value = Math.max(field.min, value);
+                }
+                if (field.max !== undefined) {
+                    value = Math.min(field.max, value);
+                }
+                this.updateEasingParams({ [field.name]: value });
+            });
+
+            label.appendChild(input);
+            this.paramsElement.appendChild(label);
+        });
+
+        // Colour channels also choose the colour space they blend through
+        if (this.timeline.isColorProperty(this.keyframe.property)) {
+            const label = document.createElement('label');
+            label.textContent = 'blend';
+
+            const select = document.createElement('select');
+            ColorUtils.modes.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = mode === 'oklab' ? 'OKLab' : mode.toUpperCase();
+                select.appendChild(option);
+            });
+            select.value = this.keyframe.colorMode || 'rgb';
+            select.addEventListener('change', () => {
+                this.timeline.updateKeyframe(this.keyframe.id, { colorMode: select.value });
+            });
+
+            label.appendChild(select);
+            this.paramsElement.appendChild(label);
+        }
+    }
+
+    // Coordinate Conversion
+    getGraphRect() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        return {
+            x: this.padding,
+            y: this.padding,
+            width: Math.max(1, width - this.padding * 2),
+            height: Math.max(1, height - this.padding * 2)
+        };
+    }
+
+    graphToScreen(progress, value) {
+        const rect = this.getGraphRect();
+        const span = this.valueRange.max - this.valueRange.min;
+        return {
+            x: rect.x + progress * rect.width,
+            y: rect.y + rect.height - ((value - this.valueRange.min) / span) * rect.height
+        };
+    }
+
+    screenToGraph(x, y) {
+        const rect = this.getGraphRect();
+        const span = this.valueRange.max - this.valueRange.min;
+        return {
+            progress: (x - rect.x) / rect.width,
+            value: this.valueRange.min + ((rect.y + rect.height - y) / rect.height) * span
+        };
+    }
+
+    // Rendering
+    render() {
+        if (!this.ctx) {
+            return;
+        }
+
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        this.ctx.clearRect(0, 0, width, height);
+
+        if (!this.keyframe || !this.nextKeyframe) {
+            this.valueRange = { min: 0, max: 1 };
+            this.drawGrid();
+            this.readout.textContent = this.keyframe
+                ? 'Last keyframe in this channel - add another to create a segment'
+                : 'Select a keyframe to edit its easing';
+            return;
+        }
+
+        // Sample the eased progress so overshooting curves stay on screen
+        const samples = [];
+        const sampleCount = 120;
+        for (let i = 0; i <= sampleCount; i++) {
+            const progress = i / sampleCount;
+            samples.push(this.timeline.applyEasing(progress, this.keyframe.easingType, this.keyframe.easingParams));
+        }
+
+        // The range stays put while a handle is dragged, so the graph doesn't rescale under the pointer
+        if (!this.dragHandle) {
+            const { y1, y2 } = this.getBezierParams();
+            const handleValues = this.keyframe.easingType === 'cubicBezier' ? [y1, y2] : [];
+            this.valueRange = {
+                min: Math.min(0, ...samples, ...handleValues) - 0.05,
+                max: Math.max(1, ...samples, ...handleValues) + 0.05
+            };
+        }
+
+        this.drawGrid();
+        this.drawValueLabels();
+        this.drawCurve(samples);
+
+        if (this.keyframe.easingType === 'cubicBezier') {
+            this.drawBezierHandles();
+        }
+
+        const duration = this.nextKeyframe.time - this.keyframe.time;
+        this.readout.textContent = `${this.keyframe.property}: ${this.keyframe.time.toFixed(2)}s → ${this.nextKeyframe.time.toFixed(2)}s (${duration.toFixed(2)}s)`;
+    }
+
+    drawGrid() {
+        const start = this.graphToScreen(0, 0);
+        const end = this.graphToScreen(1, 1);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1;
+
+        for (let i = 0; i <= 4; i++) {
+            const x = start.x + (end.x - start.x) * (i / 4);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, this.padding);
+            this.ctx.lineTo(x, this.canvas.clientHeight - this.padding);
+            this.ctx.stroke();
+        }
+
+        // Start and end value guides
+        this.ctx.strokeStyle = '#666';
+        this.ctx.setLineDash([4, 4]);
+        [start.y, end.y].forEach(y => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, y);
+            this.ctx.lineTo(end.x, y);
+            this.ctx.stroke();
+        });
+
+        this.ctx.restore();
+    }
+
+    drawValueLabels() {
+        const start = this.graphToScreen(0, 0);
+        const end = this.graphToScreen(1, 1);
+
+        this.ctx.save();
+        this.ctx.fillStyle = '#999';
+        this.ctx.font = '10px Arial';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(this.timeline.describeValue(this.keyframe.property, this.keyframe.value), start.x + 4, start.y - 2);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(this.timeline.describeValue(this.nextKeyframe.property, this.nextKeyframe.value), end.x - 4, end.y - 2);
+        this.ctx.restore();
+    }
+
+    drawCurve(samples) {
+        this.ctx.save();
+        this.ctx.strokeStyle = '#00d4ff';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+
+        samples.forEach((value, i) => {
+            const point = this.graphToScreen(i / (samples.length - 1), value);
+            if (i === 0) {
+                this.ctx.moveTo(point.x, point.y);
+            } else {
+                this.ctx.lineTo(point.x, point.y);
+            }
+        });
+
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Bezier control points, with the defaults Easing.apply uses for missing ones
+    getBezierParams() {
+        const params = this.keyframe.easingParams || {};
+        return {
+            x1: params.x1 ?? 0.25,
+            y1: params.y1 ?? 0.1,
+            x2: params.x2 ?? 0.25,
+            y2: params.y2 ?? 1
+        };
+    }
+
+    drawBezierHandles() {
+        const params = this.getBezierParams();
+        const handles = [
+            { anchor: this.graphToScreen(0, 0), point: this.graphToScreen(params.x1, params.y1) },
+            { anchor: this.graphToScreen(1, 1), point: this.graphToScreen(params.x2, params.y2) }
+        ];
+
+        this.ctx.save();
+        handles.forEach(({ anchor, point }) => {
+            this.ctx.strokeStyle = '#ffc107';
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(anchor.x, anchor.y);
+            this.ctx.lineTo(point.x, point.y);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = '#ffc107';
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, this.handleRadius, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+        this.ctx.restore();
+    }
+
+    // Handle Dragging
+    getMousePos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    getHandleAtPosition(x, y) {
+        if (!this.keyframe || !this.nextKeyframe || this.keyframe.easingType !== 'cubicBezier') {
+            return null;
+        }
+
+        const params = this.getBezierParams();
+        const handles = { 1: this.graphToScreen(params.x1, params.y1), 2: this.graphToScreen(params.x2, params.y2) };
+
+        for (const [handle, point] of Object.entries(handles)) {
+            if (Math.hypot(point.x - x, point.y - y) <= this.handleRadius + 3) {
+                return handle;
+            }
+        }
+        return null;
+    }
+
+    handleMouseDown(e) {
+        const pos = this.getMousePos(e);
+        this.dragHandle = this.getHandleAtPosition(pos.x, pos.y);
+        if (this.dragHandle) {
+            e.preventDefault();
+        }
+    }
+
+    handleMouseMove(e) {
+        if (!this.dragHandle || !this.keyframe) {
+            return;
+        }
+
+        const pos = this.getMousePos(e);
+        const point = this.screenToGraph(pos.x, pos.y);
+        const x = Math.max(0, Math.min(1, point.progress));
+        const y = Math.round(point.value * 100) / 100;
+
+        this.updateEasingParams({
+            [`x${this.dragHandle}`]: Math.round(x * 100) / 100,
+            [`y${this.dragHandle}`]: y
+        });
+        this.render();
+    }
+
+    handleMouseUp() {
+        if (this.dragHandle) {
+            this.dragHandle = null;
+            this.refresh();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphEditor;
+}
@@ -0,0 +1,271 @@
+/**
+ * Layers Panel - The scene's objects as a stack of layers, front-most at the top
+ * Rows show, lock and solo their object and rename it on double-click. Dragging a row restacks
+ * its object above or below another; dropping it on the middle of a group moves it inside
+ */
+
+class LayersPanel {
+    constructor(canvasEngine, list, controls) {
+        this.canvasEngine = canvasEngine;
+        this.list = list;
+        this.controls = controls;
+
+        // Deletes a layer; the app sets this to confirm first
+        this.onDelete = id => this.canvasEngine.deleteObject(id);
+
+        this.dragId = null;
+        this.renaming = null;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        const canvas = this.canvasEngine.canvas;
+        ['objectCreated', 'objectDeleted', 'objectUpdated', 'objectsReordered', 'selectionChanged', 'soloChanged', 'canvasCleared']
+            .forEach(type => canvas.addEventListener(type, () => this.render()));
+
+        if (this.controls) {
+            this.controls.querySelectorAll('[data-restack]').forEach(button => {
+                button.addEventListener('click', () => this.canvasEngine.restackSelectedObjects(button.dataset.restack));
+            });
+        }
+
+        // Rows come and go, so their drag and drop is handled here
+        this.list.addEventListener('dragover', (e) => this.handleDragOver(e));
+        this.list.addEventListener('dragleave', (e) => {
+            if (!this.list.contains(e.relatedTarget)) {
+                this.clearDropMarker();
+            }
+        });
+        this.list.addEventListener('drop', (e) => this.handleDrop(e));
+    }
+
+    render() {
+        // Rebuilding would throw away a name being typed
+        if (this.renaming) {
+            return;
+        }
+
+        const engine = this.canvasEngine;
+        this.list.innerHTML = '';
+        this.updateControls();
+
+        if (engine.objects.length === 0) {
+            this.list.innerHTML = '<p class="empty-state">No objects in scene. Drag assets to canvas to add objects!</p>';
+            return;
+        }
+
+        // Front-most first, children under their parent
+        const addRows = (objects, depth) => {
+            [...objects].reverse().forEach(obj => {
+                this.list.appendChild(this.createRow(obj, depth));
+                addRows(engine.getChildren(obj.id), depth + 1);
+            });
+        };
+        addRows(engine.getRootObjects(), 0);
+    }
+
+    updateControls() {
+        if (!this.controls) {
+            return;
+        }
+        const empty = this.canvasEngine.selectedObjects.length === 0;
+        this.controls.querySelectorAll('[data-restack]').forEach(button => {
+            button.disabled = empty;
+        });
+    }
+
+    createRow(obj, depth) {
+        const engine = this.canvasEngine;
+        const row = document.createElement('div');
+        row.className = 'scene-object layer-row';
+        row.dataset.id = obj.id;
+        row.draggable = true;
+        row.style.marginLeft = `${depth * 16}px`;
+        row.classList.toggle('selected', engine.selectedObjects.includes(obj));
+        row.classList.toggle('layer-hidden', !engine.isVisibleInHierarchy(obj));
+        row.classList.toggle('layer-muted', !engine.isSoloed(obj));
+
+        const soloed = engine.soloIds.has(obj.id);
+        row.innerHTML = `
+            <div class="scene-object-icon">${LayersPanel.icons[obj.type] || '⬜'}</div>
+            <div class="scene-object-info">
+                <div class="scene-object-name"></div>
+                <div class="scene-object-type">${obj.type}</div>
+            </div>
+            <div class="layer-toggles">
+                <button class="layer-toggle ${obj.visible ? '' : 'off'}" data-toggle="visible" title="${obj.visible ? 'Hide' : 'Show'}">👁</button>
+                <button class="layer-toggle ${obj.locked ? 'on' : 'off'}" data-toggle="locked" title="${obj.locked ? 'Unlock' : 'Lock'}">${obj.locked ? '🔒' : '🔓'}</button>
+                <button class="layer-toggle ${soloed ? 'on' : 'off'}" data-toggle="solo" title="${soloed ? 'Unsolo' : 'Solo (show only this while editing)'}">S</button>
+                <button class="layer-toggle" data-toggle="delete" title="Delete" ${engine.isLockedInHierarchy(obj) ? 'disabled' : ''}>🗑️</button>
+            </div>
+        `;
+
+        const name = row.querySelector('.scene-object-name');
+        name.textContent = obj.name || 'Object';
+        name.title = 'Double-click to rename';
+        name.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.beginRename(obj, name);
+        });
+
+        row.querySelectorAll('[data-toggle]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggle(obj, button.dataset.toggle);
+            });
+        });
+
+        row.addEventListener('click', (e) => this.selectRow(obj, e.shiftKey || e.ctrlKey || e.metaKey));
+
+        row.addEventListener('dragstart', (e) => {
+            this.dragId = obj.id;
+            e.dataTransfer.setData('text/layer-id', obj.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        row.addEventListener('dragend', () => {
+            this.dragId = null;
+            this.clearDropMarker();
+        });
+
+        return row;
+    }
+
+    toggle(obj, toggle) {
+        const engine = this.canvasEngine;
+        switch (toggle) {
+            case 'visible':
+                engine.updateObject(obj.id, { visible: !obj.visible });
+                break;
+            case 'locked':
+                engine.updateObject(obj.id, { locked: !obj.locked });
+                break;
+            case 'solo':
+                engine.toggleSolo(obj.id);
+                break;
+            case 'delete':
+                this.onDelete(obj.id);
+                break;
+        }
+    }
+
+    // A plain click selects just the layer; with shift or ctrl it joins or leaves the selection
+    selectRow(obj, extend) {
+        const engine = this.canvasEngine;
+        if (!extend) {
+            engine.clearSelection();
+            engine.selectObject(obj.id);
+        } else if (engine.selectedObjects.includes(obj)) {
+            engine.deselectObject(obj.id);
+        } else {
+            engine.selectObject(obj.id);
+        }
+    }
+
+    // Enter or leaving the field renames; Escape keeps the old name
+    beginRename(obj, name) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layer-name-input';
+        input.value = obj.name || '';
+        name.textContent = '';
+        name.appendChild(input);
+        this.renaming = obj.id;
+
+        let done = false;
+        const finish = commit => {
+            if (done) {
+                return;
+            }
+            done = true;
+            this.renaming = null;
+            const value = input.value.trim();
+            if (commit && value && value !== obj.name) {
+                this.canvasEngine.updateObject(obj.id, { name: value });
+            } else {
+                this.render();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.focus();
+        input.select();
+    }
+
+    // Drag and Drop
+    // Where a drop on row would put the dragged layer: the top and bottom of a row place it
+    // above or below, the middle of a group puts it inside. Null where it can't go
+    getPlacement(row, clientY) {
+        const engine = this.canvasEngine;
+        const dragged = engine.getObject(this.dragId);
+        const target = engine.getObject(row.dataset.id);
+        if (!dragged || !target || dragged === target || engine.isAncestorOf(dragged.id, target)) {
+            return null;
+        }
+
+        const rect = row.getBoundingClientRect();
+        const fraction = (clientY - rect.top) / rect.height;
+        if (target.type === 'group') {
+            if (fraction < 0.25) {
+                return 'above';
+            }
+            return fraction > 0.75 ? 'below' : 'inside';
+        }
+        return fraction < 0.5 ? 'above' : 'below';
+    }
+
+    handleDragOver(e) {
+        const row = e.target.closest('.layer-row');
+        const placement = this.dragId && row ? this.getPlacement(row, e.clientY) : null;
+        this.clearDropMarker();
+        if (!placement) {
+            return;
+        }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        row.classList.add(`drop-${placement}`);
+    }
+
+    handleDrop(e) {
+        const row = e.target.closest('.layer-row');
+        const placement = this.dragId && row ? this.getPlacement(row, e.clientY) : null;
+        this.clearDropMarker();
+        if (!placement) {
+            return;
+        }
+
+        e.preventDefault();
+        this.canvasEngine.placeObject(this.dragId, row.dataset.id, placement);
+        this.dragId = null;
+    }
+
+    clearDropMarker() {
+        this.list.querySelectorAll('.drop-above, .drop-below, .drop-inside').forEach(row => {
+            row.classList.remove('drop-above', 'drop-below', 'drop-inside');
+        });
+    }
+}
+
+LayersPanel.icons = {
+    image: '🖼️',
+    text: '📝',
+    shape: '🔷',
+    path: '✒️',
+    group: '📁'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayersPanel;
+}
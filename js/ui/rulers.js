@@ -0,0 +1,174 @@
+/**
+ * Rulers - Pixel rulers along the top and left edges of the canvas view
+ * They read in scene units, follow the view's zoom and pan, shade the stage and mark the pointer.
+ * Dragging out of a ruler makes a guide: horizontal from the top ruler, vertical from the left
+ */
+
+class Rulers {
+    constructor(canvasEngine, container) {
+        this.canvasEngine = canvasEngine;
+        this.container = container;
+        this.pointer = null;
+
+        this.top = this.createRuler('ruler ruler-top');
+        this.left = this.createRuler('ruler ruler-left');
+        this.corner = document.createElement('div');
+        this.corner.className = 'ruler-corner';
+        this.container.appendChild(this.corner);
+
+        this.setupEventListeners();
+        this.draw();
+    }
+
+    createRuler(className) {
+        const canvas = document.createElement('canvas');
+        canvas.className = className;
+        this.container.appendChild(canvas);
+        return canvas;
+    }
+
+    setupEventListeners() {
+        const canvas = this.canvasEngine.canvas;
+        canvas.addEventListener('viewChanged', () => this.draw());
+        canvas.addEventListener('stageChanged', () => this.draw());
+
+        canvas.addEventListener('mousemove', (e) => {
+            const pos = this.canvasEngine.getMousePos(e);
+            this.pointer = this.canvasEngine.screenToCanvas(pos.x, pos.y);
+            this.draw();
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.pointer = null;
+            this.draw();
+        });
+
+        window.addEventListener('resize', () => this.draw());
+
+        this.top.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            this.canvasEngine.beginGuideDrag('y');
+        });
+        this.left.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            this.canvasEngine.beginGuideDrag('x');
+        });
+    }
+
+    draw() {
+        this.drawRuler(this.top, true);
+        this.drawRuler(this.left, false);
+    }
+
+    // Both rulers start at the view's top-left corner, so view and ruler positions match
+    drawRuler(canvas, horizontal) {
+        const engine = this.canvasEngine;
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        // Ticks are drawn as if every ruler were horizontal; the left one's are flipped onto it
+        const length = horizontal ? width : height;
+        const size = horizontal ? height : width;
+        if (!horizontal) {
+            ctx.transform(0, 1, 1, 0, 0, 0);
+        }
+
+        const zoom = engine.zoom;
+        const pan = horizontal ? engine.panX : engine.panY;
+        const toView = value => pan + value * zoom;
+
+        ctx.fillStyle = '#252525';
+        ctx.fillRect(0, 0, length, size);
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(toView(0), 0, (horizontal ? engine.stage.width : engine.stage.height) * zoom, size);
+
+        const { step, minor } = Rulers.getSteps(zoom);
+        const perStep = Math.round(step / minor);
+        const first = Math.ceil(-pan / zoom / minor);
+        const last = Math.floor((length - pan) / zoom / minor);
+
+        ctx.strokeStyle = '#777777';
+        ctx.fillStyle = '#aaaaaa';
+        ctx.lineWidth = 1;
+        ctx.font = '9px sans-serif';
+        ctx.textBaseline = 'top';
+        const labels = [];
+        ctx.beginPath();
+        for (let i = first; i <= last; i++) {
+            const x = Math.round(toView(i * minor)) + 0.5;
+            const major = i % perStep === 0;
+            ctx.moveTo(x, size);
+            ctx.lineTo(x, major ? 0 : size * 0.7);
+            if (major) {
+                labels.push([Rulers.formatValue(i * minor), x]);
+            }
+        }
+        ctx.stroke();
+
+        if (this.pointer) {
+            const x = Math.round(toView(horizontal ? this.pointer.x : this.pointer.y)) + 0.5;
+            ctx.strokeStyle = '#00d4ff';
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, size);
+            ctx.stroke();
+        }
+
+        // Labels sit just past their tick; the left ruler's read upwards
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        labels.forEach(([text, x]) => {
+            if (horizontal) {
+                ctx.fillText(text, x + 3, 2);
+            } else {
+                ctx.save();
+                ctx.translate(2, x + 3 + ctx.measureText(text).width);
+                ctx.rotate(-Math.PI / 2);
+                ctx.fillText(text, 0, 0);
+                ctx.restore();
+            }
+        });
+
+        ctx.fillStyle = '#444444';
+        if (horizontal) {
+            ctx.fillRect(0, height - 1, width, 1);
+        } else {
+            ctx.fillRect(width - 1, 0, 1, height);
+        }
+    }
+
+    // Scene units between labelled ticks (1, 2 or 5 times a power of ten, at least
+    // Rulers.labelSpacing view pixels apart) and between the small ticks in between
+    static getSteps(zoom) {
+        const target = Rulers.labelSpacing / zoom;
+        const power = 10 ** Math.floor(Math.log10(target));
+        const step = [1, 2, 5, 10].map(factor => factor * power).find(value => value >= target);
+
+        let minor = step / 10;
+        if (minor * zoom < 5) {
+            minor = step / 5;
+        }
+        if (minor * zoom < 5) {
+            minor = step / 2;
+        }
+        return { step, minor };
+    }
+
+    static formatValue(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
+
+// Least distance in view pixels between labelled ticks
+Rulers.labelSpacing = 60;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Rulers;
+}
@@ -0,0 +1,281 @@
+/**
+ * Text Editor - Edits a text object in place, in an editable box laid over the canvas
+ * Ctrl+B / Ctrl+I or the toolbar style the selected words; Escape cancels and clicking away
+ * or Ctrl+Enter keeps the changes, which are stored as the object's text and spans
+ */
+
+class TextEditor {
+    constructor(canvasEngine) {
+        this.canvasEngine = canvasEngine;
+        this.object = null;
+        this.container = null;
+        this.content = null;
+        this.toolbar = null;
+        this.savedRange = null;
+        
+        // Keeps the editor over its object while the view zooms or pans
+        this.handleViewChanged = () => this.position();
+    }
+
+    isEditing(obj) {
+        return this.object === obj;
+    }
+
+    open(obj) {
+        if (this.object) {
+            this.commit();
+        }
+        this.object = obj;
+
+        this.container = document.createElement('div');
+        this.container.className = 'text-editor';
+        this.content = document.createElement('div');
+        this.content.className = 'text-editor-content';
+        this.content.contentEditable = 'true';
+        this.content.spellcheck = false;
+        this.content.replaceChildren(this.toFragment(obj));
+        this.container.appendChild(this.content);
+
+        this.toolbar = this.createToolbar();
+
+        const wrapper = this.canvasEngine.canvas.parentElement;
+        wrapper.appendChild(this.container);
+        wrapper.appendChild(this.toolbar);
+        this.position();
+
+        this.content.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.content.addEventListener('blur', (e) => this.handleBlur(e));
+        this.canvasEngine.canvas.addEventListener('viewChanged', this.handleViewChanged);
+
+        // Style with spans, which read back the same way toolbar and shortcut changes are made
+        document.execCommand('styleWithCSS', false, true);
+        this.content.focus();
+        document.execCommand('selectAll', false, null);
+
+        this.canvasEngine.render();
+    }
+
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'text-editor-toolbar';
+        toolbar.innerHTML = `
+            <button class="btn btn-small" data-command="bold" title="Bold (Ctrl+B)"><b>B</b></button>
+            <button class="btn btn-small" data-command="italic" title="Italic (Ctrl+I)"><i>I</i></button>
+            <input type="color" data-command="foreColor" title="Colour of the selected text">
+            <button class="btn btn-small" data-command="removeFormat" title="Clear styles">✕</button>
+        `;
+
+        // Buttons act on the text selection, so they must not take focus from it
+        toolbar.querySelectorAll('button').forEach(button => {
+            button.addEventListener('mousedown', (e) => e.preventDefault());
+            button.addEventListener('click', () => this.applyCommand(button.dataset.command));
+        });
+        const colorInput = toolbar.querySelector('input');
+        colorInput.addEventListener('input', () => this.applyCommand('foreColor', colorInput.value));
+        colorInput.addEventListener('blur', (e) => this.handleBlur(e));
+        return toolbar;
+    }
+
+    // Lay the editor over the object: its box in scene space, through the view's zoom and pan
+    position() {
+        const engine = this.canvasEngine;
+        const obj = this.object;
+        const canvas = engine.canvas;
+        const canvasRect = canvas.getBoundingClientRect();
+        const wrapperRect = canvas.parentElement.getBoundingClientRect();
+
+        const matrix = new DOMMatrix()
+            .translate(canvasRect.left - wrapperRect.left + canvas.clientLeft, canvasRect.top - wrapperRect.top + canvas.clientTop)
+            .multiply(new DOMMatrix([engine.zoom, 0, 0, engine.zoom, engine.panX, engine.panY]))
+            .multiply(engine.getWorldMatrix(obj))
+            .translate(-obj.width / 2, -obj.height / 2);
+
+        const fixed = obj.autoSize === false;
+        const color = ColorUtils.isGradient(obj.color) ? obj.color.stops[0].color : obj.color;
+        Object.assign(this.container.style, {
+            transform: `matrix(${matrix.a}, ${matrix.b}, ${matrix.c}, ${matrix.d}, ${matrix.e}, ${matrix.f})`,
+            width: fixed ? `${obj.width}px` : 'auto',
+            minWidth: `${Math.max(obj.width, obj.fontSize)}px`,
+            height: fixed ? `${obj.height}px` : 'auto',
+            justifyContent: { middle: 'center', bottom: 'flex-end' }[fixed ? obj.verticalAlign : 'top'] || 'flex-start'
+        });
+        Object.assign(this.content.style, {
+            font: TextLayout.getFont(obj),
+            lineHeight: `${TextLayout.getLineHeight(obj)}px`,
+            letterSpacing: `${obj.letterSpacing || 0}px`,
+            textAlign: obj.textAlign || 'left',
+            whiteSpace: fixed ? 'pre-wrap' : 'pre',
+            color: color && color !== 'none' ? color : '#ffffff'
+        });
+
+        const top = matrix.transformPoint(new DOMPoint(0, 0));
+        this.toolbar.style.left = `${top.x}px`;
+        this.toolbar.style.top = `${top.y - 36}px`;
+    }
+
+    handleKeyDown(e) {
+        // Keys typed here are text, not editor shortcuts
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.commit();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            document.execCommand('insertLineBreak');
+        }
+    }
+
+    // Focus moving to the toolbar keeps the editor open; anywhere else keeps the changes
+    handleBlur(e) {
+        if (e.relatedTarget && (this.toolbar.contains(e.relatedTarget) || e.relatedTarget === this.content)) {
+            const selection = window.getSelection();
+            if (selection.rangeCount > 0 && this.content.contains(selection.anchorNode)) {
+                this.savedRange = selection.getRangeAt(0);
+            }
+            return;
+        }
+        this.commit();
+    }
+
+    applyCommand(command, value = null) {
+        if (this.savedRange && document.activeElement !== this.content) {
+            this.content.focus();
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(this.savedRange);
+        }
+        document.execCommand(command, false, value);
+    }
+
+    commit() {
+        const obj = this.object;
+        if (!obj) {
+            return;
+        }
+        const runs = this.readRuns(this.content, obj);
+        this.close();
+
+        const text = runs.map(run => run.text).join('');
+        const spans = TextLayout.toSpans(obj, runs);
+        if (text !== obj.text || JSON.stringify(spans) !== JSON.stringify(obj.spans ?? null)) {
+            this.canvasEngine.updateObject(obj.id, { text, spans });
+        }
+    }
+
+    close() {
+        if (!this.object) {
+            return;
+        }
+
+        // Detach first: removing the focused box fires one more blur
+        this.object = null;
+        this.canvasEngine.canvas.removeEventListener('viewChanged', this.handleViewChanged);
+        this.container.remove();
+        this.toolbar.remove();
+        this.container = this.content = this.toolbar = this.savedRange = null;
+        this.canvasEngine.render();
+        this.canvasEngine.canvas.focus();
+    }
+
+    // Conversion
+    // Styles go through element.style, so values from opened projects can't break out into markup
+    toFragment(obj) {
+        const fragment = document.createDocumentFragment();
+        const appendText = (parent, text) => {
+            text.split('\n').forEach((line, index) => {
+                if (index > 0) {
+                    parent.appendChild(document.createElement('br'));
+                }
+                if (line) {
+                    parent.appendChild(document.createTextNode(line));
+                }
+            });
+        };
+
+        TextLayout.getRuns(obj).forEach(run => {
+            const span = document.createElement('span');
+            if (run.fontWeight !== (obj.fontWeight || 'normal')) {
+                span.style.fontWeight = run.fontWeight;
+            }
+            if (run.fontStyle !== (obj.fontStyle || 'normal')) {
+                span.style.fontStyle = run.fontStyle;
+            }
+            if (run.color) {
+                span.style.color = run.color;
+            }
+            if (span.style.length > 0) {
+                appendText(span, run.text);
+                fragment.appendChild(span);
+            } else {
+                appendText(fragment, run.text);
+            }
+        });
+        fragment.appendChild(document.createElement('br'));
+        return fragment;
+    }
+
+    // Styled runs of the edited content. Line breaks are <br>s or the blocks browsers add
+    readRuns(root, obj) {
+        const runs = [];
+        const push = (text, style) => runs.push({ text, ...style });
+        const endsLine = () => runs.length === 0 || runs[runs.length - 1].text.endsWith('\n');
+
+        const visit = (node, style) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                push(node.textContent.replace(/\u00a0/g, ' '), style);
+                return;
+            }
+            if (node.nodeName === 'BR') {
+                push('\n', style);
+                return;
+            }
+
+            const next = { ...style };
+            if (node.nodeName === 'B' || node.nodeName === 'STRONG') {
+                next.fontWeight = 'bold';
+            }
+            if (node.nodeName === 'I' || node.nodeName === 'EM') {
+                next.fontStyle = 'italic';
+            }
+            if (node.style) {
+                const weight = node.style.fontWeight;
+                if (weight) {
+                    next.fontWeight = weight === '700' || weight === 'bold' ? 'bold' : weight === '400' ? 'normal' : weight;
+                }
+                if (node.style.fontStyle) {
+                    next.fontStyle = node.style.fontStyle;
+                }
+                if (node.style.color) {
+                    next.color = node.style.color;
+                }
+            }
+            if (node.nodeName === 'FONT' && node.color) {
+                next.color = node.color;
+            }
+
+            const isBlock = node !== root && (node.nodeName === 'DIV' || node.nodeName === 'P');
+            if (isBlock && !endsLine()) {
+                push('\n', style);
+            }
+            node.childNodes.forEach(child => visit(child, next));
+        };
+
+        visit(root, { fontWeight: obj.fontWeight || 'normal', fontStyle: obj.fontStyle || 'normal', color: null });
+
+        // The last line always ends with a <br> so it can be empty while editing
+        const last = runs[runs.length - 1];
+        if (last && last.text.endsWith('\n')) {
+            last.text = last.text.slice(0, -1);
+        }
+        return runs;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextEditor;
+}
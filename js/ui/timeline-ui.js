@@ -8,10 +8,19 @@ class TimelineUI {
         this.timeline = timeline;
         this.playbackEngine = playbackEngine;
         this.container = null;
+        this.scrollElement = null;
+        this.tracksElement = null;
+        this.playheadElement = null;
+        this.selectionElement = null;
         this.zoom = 1;
         this.pixelsPerSecond = 100;
-        this.selectedKeyframes = [];
-        
+        this.collapsedTracks = new Set();
+
+        // Pointer interaction state
+        this.keyframeDrag = null;
+        this.rubberBand = null;
+        this.isScrubbing = false;
+
         this.setupTimelineContainer();
     }
 
@@ -21,143 +30,624 @@ class TimelineUI {
             console.warn('Timeline container not found');
             return;
         }
-        
-        // Enhanced timeline UI would be built here
-        // For now, basic timeline rendering is handled in app.js
-        console.log('Timeline UI initialized');
+
+        this.setupEventListeners();
+        this.render();
     }
 
+    setupEventListeners() {
+        // Structural changes need a full re-render
+        const rerender = () => {
+            if (!this.keyframeDrag) {
+                this.render();
+            }
+        };
+        window.addEventListener('timeline:keyframeAdded', rerender);
+        window.addEventListener('timeline:keyframeDeleted', rerender);
+        window.addEventListener('timeline:trackDeleted', rerender);
+        window.addEventListener('timeline:cleared', rerender);
+        window.addEventListener('timeline:loaded', rerender);
+        window.addEventListener('timeline:keyframeUpdated', () => {
+            if (this.keyframeDrag) {
+                this.updateKeyframePositions();
+            } else {
+                this.render();
+            }
+        });
+        window.addEventListener('timeline:selectionChanged', () => this.updateKeyframeSelection());
+
+        // Time changes only move the playhead
+        window.addEventListener('playback:timeChanged', (e) => {
+            this.updatePlayhead();
+            if (this.playbackEngine.isPlaying) {
+                this.ensureTimeVisible(e.detail.currentTime);
+            }
+        });
+
+        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+
+        // Ctrl/Cmd + wheel zooms the time axis
+        this.container.addEventListener('wheel', (e) => {
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+                this.setZoom(this.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+            }
+        }, { passive: false });
+    }
+
+    // Coordinate Conversion
+    timeToX(time) {
+        return time * this.pixelsPerSecond * this.zoom;
+    }
+
+    xToTime(x) {
+        return x / (this.pixelsPerSecond * this.zoom);
+    }
+
+    getTimeAtClientX(clientX) {
+        const rect = this.tracksElement.getBoundingClientRect();
+        const time = this.xToTime(clientX - rect.left);
+        return Math.max(0, Math.min(this.timeline.duration, time));
+    }
+
+    // Rendering
     render() {
-        if (!this.container) return;
-        
-        // Advanced timeline rendering would go here
-        this.renderRuler();
-        this.renderTracks();
-        this.renderKeyframes();
-        this.renderPlayhead();
+        if (!this.container) {
+            return;
+        }
+
+        const scrollLeft = this.scrollElement ? this.scrollElement.scrollLeft : 0;
+        const tracks = this.timeline.getAllTracks();
+
+        this.container.innerHTML = '';
+
+        const content = document.createElement('div');
+        content.className = 'timeline-content';
+
+        const trackList = document.createElement('div');
+        trackList.className = 'timeline-track-list';
+
+        const header = document.createElement('div');
+        header.className = 'timeline-track-header';
+        header.textContent = `Objects (${tracks.length})`;
+        trackList.appendChild(header);
+
+        this.scrollElement = document.createElement('div');
+        this.scrollElement.className = 'timeline-track-content';
+
+        this.tracksElement = document.createElement('div');
+        this.tracksElement.className = 'timeline-tracks';
+        this.tracksElement.style.width = `${this.timeToX(this.timeline.duration) + 20}px`;
+        this.tracksElement.addEventListener('mousedown', (e) => this.handleTracksMouseDown(e));
+
+        this.tracksElement.appendChild(this.renderRuler());
+
+        if (tracks.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'timeline-empty';
+            empty.textContent = 'No animated objects';
+            trackList.appendChild(empty);
+        }
+
+        this.renderTracks(tracks, trackList);
+
+        this.tracksElement.appendChild(this.renderPlayhead());
+
+        this.selectionElement = document.createElement('div');
+        this.selectionElement.className = 'timeline-selection';
+        this.selectionElement.style.display = 'none';
+        this.tracksElement.appendChild(this.selectionElement);
+
+        this.scrollElement.appendChild(this.tracksElement);
+        content.appendChild(trackList);
+        content.appendChild(this.scrollElement);
+        this.container.appendChild(content);
+        this.container.appendChild(this.renderZoomControls());
+
+        this.scrollElement.scrollLeft = scrollLeft;
     }
 
     renderRuler() {
         // Time ruler with second markers
         const ruler = document.createElement('div');
         ruler.className = 'timeline-ruler';
-        
+
         const duration = this.timeline.duration;
-        const width = duration * this.pixelsPerSecond * this.zoom;
-        
+        const secondWidth = this.pixelsPerSecond * this.zoom;
+
+        // Thin out labels when zoomed out, add tenths when zoomed in
+        const labelEvery = secondWidth < 30 ? 5 : secondWidth < 60 ? 2 : 1;
+        const minorStep = secondWidth >= 200 ? 0.1 : secondWidth >= 80 ? 0.5 : null;
+
         for (let i = 0; i <= duration; i++) {
             const mark = document.createElement('div');
             mark.className = 'ruler-mark major';
-            mark.style.left = (i * this.pixelsPerSecond * this.zoom) + 'px';
-            
-            const label = document.createElement('span');
-            label.className = 'time-label';
-            label.textContent = i + 's';
-            mark.appendChild(label);
-            
+            mark.style.left = `${this.timeToX(i)}px`;
+
+            if (i % labelEvery === 0) {
+                const label = document.createElement('span');
+                label.className = 'time-label';
+                label.textContent = `${i}s`;
+                mark.appendChild(label);
+            }
+
             ruler.appendChild(mark);
         }
-        
+
+        if (minorStep) {
+            for (let t = minorStep; t < duration; t += minorStep) {
+                if (Math.abs(t - Math.round(t)) < 0.001) {
+                    continue;
+                }
+                const mark = document.createElement('div');
+                mark.className = 'ruler-mark minor';
+                mark.style.left = `${this.timeToX(t)}px`;
+                ruler.appendChild(mark);
+            }
+        }
+
         return ruler;
     }
 
-    renderTracks() {
-        // Render timeline tracks for each object
-        const tracks = this.timeline.getAllTracks();
-        
+    renderTracks(tracks, trackList) {
+        // Render one row per object plus one row per animated property
         tracks.forEach(track => {
-            const trackElement = this.createTrackElement(track);
-            // Add to timeline
+            const collapsed = this.collapsedTracks.has(track.id);
+
+            trackList.appendChild(this.createTrackInfoElement(track, collapsed));
+            this.tracksElement.appendChild(this.createTrackElement(track));
+
+            if (collapsed) {
+                return;
+            }
+
+            this.timeline.getAnimatedProperties(track.objectId).forEach(property => {
+                trackList.appendChild(this.createChannelInfoElement(track, property));
+                this.tracksElement.appendChild(this.createChannelElement(track, property));
+            });
         });
     }
 
+    createTrackInfoElement(track, collapsed) {
+        const item = document.createElement('div');
+        item.className = 'timeline-track-item';
+        item.dataset.trackId = track.id;
+
+        const object = this.getCanvasObject(track.objectId);
+        if (object && this.playbackEngine.canvasEngine.selectedObjects.includes(object)) {
+            item.classList.add('selected');
+        }
+
+        const toggle = document.createElement('button');
+        toggle.className = 'track-control-btn';
+        toggle.title = collapsed ? 'Show property channels' : 'Hide property channels';
+        toggle.textContent = collapsed ? '▸' : '▾';
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (collapsed) {
+                this.collapsedTracks.delete(track.id);
+            } else {
+                this.collapsedTracks.add(track.id);
+            }
+            this.render();
+        });
+
+        const info = document.createElement('div');
+        info.className = 'timeline-track-info';
+        info.innerHTML = `
+            <div class="track-name"></div>
+            <div class="track-type">${track.keyframeCount} keyframe(s)</div>
+        `;
+        info.querySelector('.track-name').textContent = object ? object.name : track.name;
+
+        // Clicking the track name selects its object on the canvas
+        item.addEventListener('click', () => {
+            if (object) {
+                this.playbackEngine.canvasEngine.clearSelection();
+                this.playbackEngine.canvasEngine.selectObject(object.id);
+            }
+        });
+
+        item.appendChild(toggle);
+        item.appendChild(info);
+        return item;
+    }
+
+    createChannelInfoElement(track, property) {
+        const item = document.createElement('div');
+        item.className = 'timeline-track-item timeline-channel-item';
+
+        const name = document.createElement('span');
+        name.className = 'channel-name';
+        name.textContent = property;
+
+        // Keys this property alone at the playhead
+        const key = document.createElement('button');
+        key.className = 'track-control-btn';
+        key.title = `Key ${property} at the current time`;
+        key.textContent = '◆';
+        key.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.playbackEngine.addPropertyKeyframe(track.objectId, property)) {
+                this.render();
+            }
+        });
+
+        item.appendChild(name);
+        item.appendChild(key);
+        return item;
+    }
+
     createTrackElement(track) {
         const element = document.createElement('div');
         element.className = 'timeline-track-row';
         element.dataset.trackId = track.id;
-        
-        // Track content would be rendered here
+
+        // Summary row shows one diamond per keyframe time across all channels
+        const groups = new Map();
+        this.timeline.getKeyframesForObject(track.objectId).forEach(keyframe => {
+            const key = Math.round(keyframe.time * 100);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(keyframe);
+        });
+
+        groups.forEach(keyframes => {
+            const keyframeElement = this.createKeyframeElement(keyframes);
+            keyframeElement.classList.add('keyframe-summary');
+            element.appendChild(keyframeElement);
+        });
+
         return element;
     }
 
-    renderKeyframes() {
-        // Render keyframes on tracks
-        for (const [trackId, keyframes] of this.timeline.keyframes.entries()) {
-            keyframes.forEach(keyframe => {
-                const keyframeElement = this.createKeyframeElement(keyframe);
-                // Position and add to track
-            });
-        }
+    createChannelElement(track, property) {
+        const element = document.createElement('div');
+        element.className = 'timeline-track-row timeline-channel-row';
+        element.dataset.trackId = track.id;
+        element.dataset.property = property;
+
+        this.timeline.getChannel(track.objectId, property).forEach(keyframe => {
+            element.appendChild(this.createKeyframeElement([keyframe]));
+        });
+
+        return element;
     }
 
-    createKeyframeElement(keyframe) {
+    createKeyframeElement(keyframes) {
+        const keyframe = keyframes[0];
         const element = document.createElement('div');
         element.className = 'keyframe';
-        element.dataset.keyframeId = keyframe.id;
-        
-        const leftPosition = keyframe.time * this.pixelsPerSecond * this.zoom;
-        element.style.left = leftPosition + 'px';
-        
+        element.dataset.keyframeIds = keyframes.map(kf => kf.id).join(',');
+        element.style.left = `${this.timeToX(keyframe.time)}px`;
+        element.title = keyframes.length === 1
+            ? `${keyframe.property} = ${this.timeline.describeValue(keyframe.property, keyframe.value)} at ${keyframe.time.toFixed(2)}s (${keyframe.easingType})`
+            : `${keyframes.length} keyframes at ${keyframe.time.toFixed(2)}s`;
+
+        const easingClass = this.getEasingClass(keyframe.easingType);
+        if (easingClass) {
+            element.classList.add(easingClass);
+        }
+        if (keyframes.every(kf => kf.selected)) {
+            element.classList.add('selected');
+        }
+
         // Add interaction handlers
-        element.addEventListener('click', (e) => {
-            this.selectKeyframe(keyframe.id, e.ctrlKey);
-        });
-        
+        element.addEventListener('mousedown', (e) => this.handleKeyframeMouseDown(e, element));
+
         return element;
     }
 
     renderPlayhead() {
         // Render the timeline playhead
-        const playhead = document.createElement('div');
-        playhead.className = 'timeline-playhead';
-        
-        const currentTime = this.timeline.currentTime;
-        const leftPosition = currentTime * this.pixelsPerSecond * this.zoom;
-        playhead.style.left = leftPosition + 'px';
-        
-        return playhead;
+        this.playheadElement = document.createElement('div');
+        this.playheadElement.className = 'timeline-playhead';
+
+        const handle = document.createElement('div');
+        handle.className = 'playhead-handle';
+        handle.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.startScrubbing(e.clientX);
+        });
+        this.playheadElement.appendChild(handle);
+
+        this.updatePlayhead();
+        return this.playheadElement;
     }
 
-    selectKeyframe(keyframeId, addToSelection = false) {
-        if (!addToSelection) {
-            this.selectedKeyframes = [];
+    renderZoomControls() {
+        const controls = document.createElement('div');
+        controls.className = 'timeline-zoom';
+        controls.innerHTML = `
+            <button data-zoom="out" title="Zoom out">−</button>
+            <input type="range" min="0.1" max="5" step="0.1" value="${this.zoom}" title="Timeline zoom">
+            <button data-zoom="in" title="Zoom in">+</button>
+        `;
+
+        controls.querySelector('[data-zoom="out"]').addEventListener('click', () => this.setZoom(this.zoom / 1.25));
+        controls.querySelector('[data-zoom="in"]').addEventListener('click', () => this.setZoom(this.zoom * 1.25));
+        controls.querySelector('input').addEventListener('input', (e) => this.setZoom(parseFloat(e.target.value)));
+
+        return controls;
+    }
+
+    updatePlayhead() {
+        if (!this.playheadElement) {
+            return;
         }
-        
-        if (!this.selectedKeyframes.includes(keyframeId)) {
-            this.selectedKeyframes.push(keyframeId);
+        this.playheadElement.style.left = `${this.timeToX(this.timeline.currentTime)}px`;
+    }
+
+    updateKeyframePositions() {
+        if (!this.tracksElement) {
+            return;
         }
-        
-        this.timeline.selectKeyframes(this.selectedKeyframes);
-        this.updateKeyframeSelection();
+
+        this.tracksElement.querySelectorAll('.keyframe').forEach(element => {
+            const keyframe = this.timeline.getKeyframe(element.dataset.keyframeIds.split(',')[0]);
+            if (keyframe) {
+                element.style.left = `${this.timeToX(keyframe.time)}px`;
+            }
+        });
+    }
+
+    // Keyframe Selection
+    selectKeyframe(keyframeId, addToSelection = false) {
+        this.timeline.selectKeyframes([keyframeId], addToSelection);
     }
 
     updateKeyframeSelection() {
         // Update visual selection of keyframes
-        const keyframeElements = this.container.querySelectorAll('.keyframe');
+        if (!this.tracksElement) {
+            return;
+        }
+
+        const keyframeElements = this.tracksElement.querySelectorAll('.keyframe');
         keyframeElements.forEach(element => {
-            const keyframeId = element.dataset.keyframeId;
-            if (this.selectedKeyframes.includes(keyframeId)) {
-                element.classList.add('selected');
-            } else {
-                element.classList.remove('selected');
+            const selected = element.dataset.keyframeIds.split(',').every(id => {
+                const keyframe = this.timeline.getKeyframe(id);
+                return keyframe && keyframe.selected;
+            });
+            element.classList.toggle('selected', selected);
+        });
+    }
+
+    // Pointer Interaction
+    handleKeyframeMouseDown(e, element) {
+        if (e.button !== 0) {
+            return;
+        }
+        e.stopPropagation();
+        e.preventDefault();
+
+        const ids = element.dataset.keyframeIds.split(',');
+        const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+        const isSelected = element.classList.contains('selected');
+
+        if (additive && isSelected) {
+            // Ctrl-click on a selected keyframe toggles it off without dragging
+            const remaining = this.timeline.getSelectedKeyframes()
+                .map(kf => kf.id)
+                .filter(id => !ids.includes(id));
+            this.timeline.selectKeyframes(remaining);
+            return;
+        }
+
+        if (!isSelected) {
+            this.timeline.selectKeyframes(ids, additive);
+        }
+
+        // Drag every selected keyframe together, remembering where each started
+        const selected = this.timeline.getSelectedKeyframes();
+        this.keyframeDrag = {
+            startX: e.clientX,
+            originalTimes: new Map(selected.map(kf => [kf.id, kf.time])),
+            moved: false
+        };
+    }
+
+    handleTracksMouseDown(e) {
+        if (e.button !== 0) {
+            return;
+        }
+
+        // The ruler scrubs; empty track space starts a rubber-band selection
+        if (e.target.closest('.timeline-ruler')) {
+            e.preventDefault();
+            this.startScrubbing(e.clientX);
+            return;
+        }
+
+        e.preventDefault();
+        const rect = this.tracksElement.getBoundingClientRect();
+        this.rubberBand = {
+            startX: e.clientX - rect.left,
+            startY: e.clientY - rect.top,
+            additive: e.ctrlKey || e.metaKey || e.shiftKey,
+            initialSelection: this.timeline.getSelectedKeyframes().map(kf => kf.id),
+            moved: false
+        };
+    }
+
+    handleMouseMove(e) {
+        if (this.isScrubbing) {
+            this.playbackEngine.scrubToTime(this.getTimeAtClientX(e.clientX));
+        } else if (this.keyframeDrag) {
+            this.dragKeyframes(e);
+        } else if (this.rubberBand) {
+            this.updateRubberBand(e);
+        }
+    }
+
+    handleMouseUp(e) {
+        if (this.isScrubbing) {
+            this.isScrubbing = false;
+            this.playbackEngine.endScrubbing();
+        }
+
+        if (this.keyframeDrag) {
+            if (this.keyframeDrag.moved) {
+                // Dropped keys replace whatever was already at their time
+                this.timeline.replaceOverlappedKeyframes(Array.from(this.keyframeDrag.originalTimes.keys()));
+                if (this.timeline.history) {
+                    this.timeline.history.endGroup();
+                }
             }
+            this.keyframeDrag = null;
+            this.render();
+        }
+
+        if (this.rubberBand) {
+            const rubberBand = this.rubberBand;
+            this.rubberBand = null;
+            this.selectionElement.style.display = 'none';
+
+            // A click without dragging moves the playhead and clears the selection
+            if (!rubberBand.moved) {
+                if (!rubberBand.additive) {
+                    this.timeline.clearKeyframeSelection();
+                }
+                this.playbackEngine.setCurrentTime(this.getTimeAtClientX(e.clientX));
+            }
+        }
+    }
+
+    dragKeyframes(e) {
+        const drag = this.keyframeDrag;
+        const deltaX = e.clientX - drag.startX;
+        if (!drag.moved && Math.abs(deltaX) < 3) {
+            return;
+        }
+        if (!drag.moved && this.timeline.history) {
+            // The whole drag becomes one undo step
+            this.timeline.history.beginGroup('Move keyframes');
+        }
+        drag.moved = true;
+
+        let deltaTime = this.xToTime(deltaX);
+
+        // Keep the whole selection inside the timeline
+        const times = Array.from(drag.originalTimes.values());
+        deltaTime = Math.max(-Math.min(...times), Math.min(this.timeline.duration - Math.max(...times), deltaTime));
+
+        drag.originalTimes.forEach((originalTime, id) => {
+            let time = originalTime + deltaTime;
+
+            // Snap to frames unless Alt is held
+            if (!e.altKey) {
+                time = this.timeline.snapTimeToFrame(time);
+            }
+
+            this.timeline.updateKeyframe(id, {
+                time: Math.max(0, Math.min(this.timeline.duration, time))
+            });
         });
     }
 
+    updateRubberBand(e) {
+        const band = this.rubberBand;
+        const rect = this.tracksElement.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (!band.moved && Math.hypot(x - band.startX, y - band.startY) < 3) {
+            return;
+        }
+        band.moved = true;
+
+        const left = Math.min(band.startX, x);
+        const top = Math.min(band.startY, y);
+        const width = Math.abs(x - band.startX);
+        const height = Math.abs(y - band.startY);
+
+        Object.assign(this.selectionElement.style, {
+            display: 'block',
+            left: `${left}px`,
+            top: `${top}px`,
+            width: `${width}px`,
+            height: `${height}px`
+        });
+
+        // Select every keyframe whose marker intersects the band
+        const bandRect = {
+            left: rect.left + left,
+            top: rect.top + top,
+            right: rect.left + left + width,
+            bottom: rect.top + top + height
+        };
+
+        const ids = new Set(band.additive ? band.initialSelection : []);
+        this.tracksElement.querySelectorAll('.keyframe').forEach(element => {
+            const kfRect = element.getBoundingClientRect();
+            const intersects = kfRect.right >= bandRect.left && kfRect.left <= bandRect.right &&
+                kfRect.bottom >= bandRect.top && kfRect.top <= bandRect.bottom;
+            if (intersects) {
+                element.dataset.keyframeIds.split(',').forEach(id => ids.add(id));
+            }
+        });
+
+        this.timeline.selectKeyframes(Array.from(ids));
+    }
+
+    startScrubbing(clientX) {
+        this.isScrubbing = true;
+        this.playbackEngine.startScrubbing();
+        this.playbackEngine.scrubToTime(this.getTimeAtClientX(clientX));
+    }
+
+    // Zoom and Scrolling
     setZoom(zoom) {
+        const time = this.timeline.currentTime;
         this.zoom = Math.max(0.1, Math.min(5, zoom));
         this.render();
+        this.scrollToTime(time);
     }
 
     scrollToTime(time) {
-        if (!this.container) return;
-        
-        const position = time * this.pixelsPerSecond * this.zoom;
-        this.container.scrollLeft = position - this.container.clientWidth / 2;
+        if (!this.scrollElement) {
+            return;
+        }
+
+        const position = this.timeToX(time);
+        this.scrollElement.scrollLeft = position - this.scrollElement.clientWidth / 2;
+    }
+
+    ensureTimeVisible(time) {
+        if (!this.scrollElement) {
+            return;
+        }
+
+        const position = this.timeToX(time);
+        const left = this.scrollElement.scrollLeft;
+        const right = left + this.scrollElement.clientWidth;
+        if (position < left || position > right - 20) {
+            this.scrollToTime(time);
+        }
+    }
+
+    // Utilities
+    getCanvasObject(objectId) {
+        return this.playbackEngine.canvasEngine.getObject(objectId);
+    }
+
+    getEasingClass(easingType) {
+        if (/^easeInOut|^cubicBezier$/.test(easingType)) {
+            return 'easing-both';
+        }
+        if (/^easeIn/.test(easingType)) {
+            return 'easing-in';
+        }
+        if (/^easeOut|^bounce$|^elastic$|^back$/.test(easingType)) {
+            return 'easing-out';
+        }
+        return null;
     }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = TimelineUI;
-}
\ No newline at end of file
+}